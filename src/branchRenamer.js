@@ -0,0 +1,30 @@
+const BRANCH_REF_PREFIX = 'refs/heads/';
+
+function BranchRenamer(renames = {}) {
+	this.renames = renames;
+
+	this.renameBranch = function(branchName) {
+		return this.renames[branchName] || branchName;
+	};
+
+	this.renameRef = function(fullRef) {
+		if(!fullRef.startsWith(BRANCH_REF_PREFIX)) {
+			return fullRef;
+		}
+		return BRANCH_REF_PREFIX + this.renameBranch(fullRef.substring(BRANCH_REF_PREFIX.length));
+	};
+
+	this.renameRefs = function(refs) {
+		const renamedRefs = {};
+		Object.keys(refs).forEach((ref) => {
+			const renamedRef = this.renameRef(ref);
+			if(renamedRef in renamedRefs || (renamedRef !== ref && renamedRef in refs)) {
+				throw new Error(`Unable to rename ${ref} to ${renamedRef} as it already exists`);
+			}
+			renamedRefs[renamedRef] = refs[ref];
+		});
+		return renamedRefs;
+	};
+}
+
+module.exports = BranchRenamer;
@@ -0,0 +1,543 @@
+const _ = require('lodash');
+const yaml = require('js-yaml');
+
+const DEFAULT_STAGES = ['build', 'test', 'deploy'];
+const DEFAULT_STAGE = 'test';
+// keywords which configure the pipeline rather than name a job
+const GLOBAL_KEYWORDS = ['image', 'services', 'stages', 'types', 'before_script', 'after_script', 'variables', 'cache', 'include', 'workflow', 'default', 'spec'];
+// keywords whose value under default applies to every job, of which the first few are still accepted at the top level
+const DEFAULT_KEYWORDS = ['image', 'services', 'before_script', 'after_script', 'cache', 'tags', 'timeout', 'retry', 'interruptible', 'artifacts'];
+const TOP_LEVEL_DEFAULT_KEYWORDS = DEFAULT_KEYWORDS.slice(0, 5);
+const TRANSLATED_KEYWORDS = ['stage', 'extends', 'image', 'script', 'before_script', 'after_script', 'variables', 'cache', 'artifacts', 'only', 'except',
+	'rules', 'needs', 'dependencies', 'allow_failure', 'timeout', 'environment', 'resource_group', 'when'];
+const RUNNER = 'ubuntu-latest';
+const CHECKOUT_ACTION = 'actions/checkout@v4';
+const CACHE_ACTIONS = {'pull-push': 'actions/cache@v4', 'pull': 'actions/cache/restore@v4', 'push': 'actions/cache/save@v4'};
+const UPLOAD_ARTIFACT_ACTION = 'actions/upload-artifact@v4';
+const DOWNLOAD_ARTIFACT_ACTION = 'actions/download-artifact@v4';
+// GitHub keeps artifacts for at most 90 days
+const MAX_RETENTION_DAYS = 90;
+const NOT_PULL_REQUEST = 'github.event_name != \'pull_request\'';
+// a job whose condition cannot be converted must not run more often than on GitLab, so it does not run at all
+const DISABLED = false;
+// GitLab predefined variables which have an equivalent in GitHub Actions expressions
+const CONTEXTS = {
+	CI_COMMIT_BRANCH: `(${NOT_PULL_REQUEST} && github.ref_type == 'branch' && github.ref_name || '')`,
+	CI_COMMIT_TAG: '(github.ref_type == \'tag\' && github.ref_name || \'\')',
+	CI_COMMIT_REF_NAME: 'github.ref_name',
+	CI_COMMIT_SHA: 'github.sha',
+	CI_DEFAULT_BRANCH: 'github.event.repository.default_branch',
+	CI_JOB_NAME: 'github.job',
+	CI_PROJECT_NAME: 'github.event.repository.name',
+	CI_MERGE_REQUEST_SOURCE_BRANCH_NAME: 'github.head_ref',
+	CI_MERGE_REQUEST_TARGET_BRANCH_NAME: 'github.base_ref'
+};
+const PIPELINE_SOURCE_EVENTS = {'push': 'push', 'merge_request_event': 'pull_request', 'schedule': 'schedule', 'web': 'workflow_dispatch'};
+const REF_CONDITIONS = {
+	'branches': `${NOT_PULL_REQUEST} && github.ref_type == 'branch'`,
+	'tags': 'github.ref_type == \'tag\'',
+	'merge_requests': 'github.event_name == \'pull_request\'',
+	'schedules': 'github.event_name == \'schedule\'',
+	'web': 'github.event_name == \'workflow_dispatch\''
+};
+const DURATION_UNITS = {s: 1, sec: 1, second: 1, m: 60, min: 60, minute: 60, h: 3600, hr: 3600, hour: 3600,
+	d: 86400, day: 86400, w: 604800, week: 604800, mo: 2592000, month: 2592000, y: 31536000, year: 31536000};
+
+// GitLab shares parts of a configuration through the !reference tag, which js-yaml does not know
+function Reference(path) {
+	this.path = path;
+}
+const REFERENCE_SCHEMA = yaml.Schema.create(yaml.DEFAULT_SAFE_SCHEMA, [
+	new yaml.Type('!reference', {kind: 'sequence', construct: path => new Reference(path)})
+]);
+
+function CiConverter() {}
+
+CiConverter.GITLAB_CI_FILE = '.gitlab-ci.yml';
+CiConverter.WORKFLOW_FILE = '.github/workflows/ci.yml';
+CiConverter.DISABLED_NOTE = 'the job is disabled until converted by hand';
+
+// Converts the content of a .gitlab-ci.yml into a GitHub Actions workflow, with a TODO comment for everything left out
+CiConverter.convert = function(content) {
+	const pipeline = _resolveReferences(yaml.safeLoad(content, {schema: REFERENCE_SCHEMA}) || {});
+	const todos = [];
+	const triggers = new Set(['push']);
+	const defaults = Object.assign(_.pick(pipeline, TOP_LEVEL_DEFAULT_KEYWORDS), _.pick(pipeline.default, DEFAULT_KEYWORDS));
+	const stages = ['.pre', ...(pipeline.stages || pipeline.types || DEFAULT_STAGES), '.post'];
+	if(pipeline.include !== undefined) {
+		todos.push(`included configuration is not converted: ${_describe(pipeline.include)}`);
+	}
+	if(pipeline.workflow !== undefined) {
+		todos.push('workflow rules, which decide when a pipeline runs, are not converted');
+	}
+
+	const gitlabJobs = {};
+	Object.keys(pipeline).filter(name => _isJob(name, pipeline[name])).forEach((name) => {
+		const job = _extend(name, pipeline, []);
+		if(job.trigger !== undefined) {
+			todos.push(`job ${name} triggers a downstream pipeline, which is not converted`);
+		} else if(job.when === 'never') {
+			todos.push(`job ${name} never runs, so it is not converted`);
+		} else {
+			gitlabJobs[name] = job;
+		}
+	});
+	if(_.isEmpty(gitlabJobs)) {
+		todos.push('the pipeline has no jobs to convert');
+	}
+	const jobIds = _jobIdsFor(Object.keys(gitlabJobs));
+	const stageOf = name => stages.indexOf(gitlabJobs[name].stage || DEFAULT_STAGE);
+	Object.keys(gitlabJobs).filter(name => stageOf(name) === -1).forEach((name) => {
+		todos.push(`job ${name} is in stage ${gitlabJobs[name].stage}, which is not listed in stages`);
+	});
+
+	const jobs = {};
+	const jobTodos = {};
+	Object.keys(gitlabJobs).forEach((name) => {
+		const job = Object.assign({}, _.omit(defaults, Object.keys(gitlabJobs[name])), gitlabJobs[name]);
+		const earlierJobs = Object.keys(gitlabJobs).filter(other => stageOf(other) < stageOf(name));
+		// without needs, a job waits for every job of the stage before its own
+		const previousStage = _.max(earlierJobs.map(stageOf));
+		jobTodos[name] = [];
+		const needs = job.needs === undefined
+			? earlierJobs.filter(other => stageOf(other) === previousStage)
+			: _neededJobs(job.needs, gitlabJobs, jobTodos[name]);
+		// like on GitLab, artifacts come from the dependencies, else from the needed jobs, else from every earlier stage
+		const artifactSources = job.dependencies !== undefined
+			? job.dependencies.filter(other => gitlabJobs[other] !== undefined)
+			: (job.needs === undefined ? earlierJobs : needs.filter(other => _needsArtifacts(job.needs, other)));
+		jobs[jobIds[name]] = _convertJob(name, job, {
+			jobId: jobIds[name], jobIds, todos: jobTodos[name], triggers, pipelineVariables: pipeline.variables || {},
+			needs: needs.map(other => jobIds[other]),
+			artifactSources: artifactSources.filter(other => _artifactsOf(gitlabJobs[other], defaults) !== undefined)
+				.map(other => ({id: jobIds[other], paths: _artifactsOf(gitlabJobs[other], defaults).paths}))
+		});
+	});
+	// GitLab only runs jobs without conditions for pushes, so they skip the other events the workflow is triggered by
+	if(triggers.size > 1) {
+		Object.values(jobs).filter(job => job.if === undefined).forEach((job) => {
+			job.if = NOT_PULL_REQUEST;
+		});
+	}
+	return _render(triggers, _variablesOf(pipeline.variables), jobs, todos, jobTodos, jobIds);
+};
+
+var _isJob = function(name, value) {
+	return !GLOBAL_KEYWORDS.includes(name) && !name.startsWith('.') && _.isPlainObject(value);
+};
+
+var _extend = function(name, pipeline, seen) {
+	const job = pipeline[name] || {};
+	if(job.extends === undefined || seen.includes(name)) {
+		return job;
+	}
+	// GitLab merges hashes of the extended jobs in order, while arrays and values of later ones replace earlier ones
+	const parents = [].concat(job.extends).map(parent => _extend(parent, pipeline, seen.concat(name)));
+	return _.mergeWith({}, ...parents, _.omit(job, 'extends'), (objValue, srcValue) => Array.isArray(srcValue) ? srcValue : undefined);
+};
+
+var _resolveReferences = function(pipeline) {
+	const resolve = (value, depth) => {
+		if(value instanceof Reference) {
+			return depth > 10 ? undefined : resolve(_.get(pipeline, value.path), depth + 1);
+		}
+		if(Array.isArray(value)) {
+			return value.map(item => resolve(item, depth));
+		}
+		return _.isPlainObject(value) ? _.mapValues(value, item => resolve(item, depth)) : value;
+	};
+	return resolve(pipeline, 0);
+};
+
+var _jobIdsFor = function(names) {
+	// GitHub job ids only take letters, digits, - and _, and start with a letter or _
+	const jobIds = {};
+	const taken = new Set();
+	names.forEach((name) => {
+		const base = name.replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^(?=[^A-Za-z_])/, '_');
+		let jobId = base;
+		for (let count = 2; taken.has(jobId); count++) {
+			jobId = `${base}-${count}`;
+		}
+		taken.add(jobId);
+		jobIds[name] = jobId;
+	});
+	return jobIds;
+};
+
+var _neededJobs = function(needs, gitlabJobs, todos) {
+	return needs.map(need => typeof need === 'string' ? {job: need} : need)
+		.filter((need) => {
+			if(need.project !== undefined || need.pipeline !== undefined) {
+				todos.push(`needs artifacts of ${need.job} from another pipeline, which is not converted`);
+				return false;
+			}
+			return gitlabJobs[need.job] !== undefined;
+		})
+		.map(need => need.job);
+};
+
+var _needsArtifacts = function(needs, name) {
+	const need = needs.find(need => need === name || need.job === name);
+	return need === name || need.artifacts !== false;
+};
+
+var _artifactsOf = function(job, defaults) {
+	const artifacts = job.artifacts === undefined ? defaults.artifacts : job.artifacts;
+	return artifacts && artifacts.paths ? artifacts : undefined;
+};
+
+var _convertJob = function(name, job, context) {
+	const {jobIds, todos} = context;
+	const converted = {};
+	if(jobIds[name] !== name) {
+		converted.name = name;
+	}
+	converted['runs-on'] = RUNNER;
+	if(job.tags !== undefined) {
+		todos.push(`ran on GitLab runners tagged ${[].concat(job.tags).join(', ')}, pick a matching runner`);
+	}
+	if(job.image !== undefined) {
+		const image = typeof job.image === 'string' ? {name: job.image} : job.image;
+		converted.container = image.name;
+		if(image.entrypoint !== undefined) {
+			todos.push(`the entrypoint of image ${image.name} is not converted`);
+		}
+	}
+	if(job.services !== undefined) {
+		todos.push(`services are not converted: ${_describe(job.services)}`);
+	}
+	if(context.needs.length > 0) {
+		converted.needs = context.needs;
+	}
+	// kept in place even when undefined, as jobs without conditions may get one once every job is converted
+	converted.if = _conditionFor(job, todos, context.triggers);
+	if(job.environment !== undefined) {
+		converted.environment = _environmentFor(job.environment, todos);
+	}
+	if(job.resource_group !== undefined) {
+		converted.concurrency = {group: _templateFor(String(job.resource_group), todos, 'resource group')};
+	}
+	if(job.timeout !== undefined) {
+		const seconds = _parseDuration(job.timeout);
+		if(seconds === undefined) {
+			todos.push(`timeout ${job.timeout} is not converted`);
+		} else {
+			converted['timeout-minutes'] = Math.ceil(seconds / 60);
+		}
+	}
+	if(job.allow_failure === true) {
+		converted['continue-on-error'] = true;
+	} else if(_.isPlainObject(job.allow_failure)) {
+		todos.push(`failures allowed for some exit codes are not converted: ${_describe(job.allow_failure)}`);
+	}
+	if(job.variables !== undefined) {
+		converted.env = _variablesOf(job.variables);
+	}
+	Object.keys(job).filter(keyword => !TRANSLATED_KEYWORDS.includes(keyword) && !['tags', 'services'].includes(keyword)).forEach((keyword) => {
+		todos.push(`${keyword} is not converted: ${_describe(job[keyword])}`);
+	});
+	converted.steps = _stepsFor(job, context);
+	return converted;
+};
+
+var _stepsFor = function(job, context) {
+	const {todos} = context;
+	const variables = Object.assign({}, _variablesOf(context.pipelineVariables), _variablesOf(job.variables));
+	const steps = [];
+	if(variables.GIT_STRATEGY !== 'none') {
+		const checkout = _.omitBy({
+			'fetch-depth': variables.GIT_DEPTH === undefined ? undefined : parseInt(variables.GIT_DEPTH, 10),
+			'submodules': {normal: true, recursive: 'recursive'}[variables.GIT_SUBMODULE_STRATEGY]
+		}, _.isUndefined);
+		steps.push(_.isEmpty(checkout) ? {uses: CHECKOUT_ACTION} : {uses: CHECKOUT_ACTION, with: checkout});
+	}
+	context.artifactSources.forEach((source) => {
+		// upload-artifact stores paths relative to their common directory, so they are downloaded back into it
+		steps.push({uses: DOWNLOAD_ARTIFACT_ACTION, with: {name: source.id, path: _commonDirectory(source.paths)}});
+	});
+	const caches = [].concat(job.cache || []).filter(cache => !_.isEmpty(cache));
+	const cacheSteps = caches.map(cache => ({policy: cache.policy || 'pull-push', step: _cacheStepFor(cache, todos)}));
+	steps.push(...cacheSteps.filter(cacheStep => cacheStep.policy !== 'push').map(cacheStep => cacheStep.step));
+	const script = _.flattenDeep([job.before_script || [], job.script || []]).filter(line => line !== undefined && line !== null);
+	if(script.length === 0) {
+		todos.push('the job has no script');
+	} else {
+		steps.push({run: script.join('\n')});
+	}
+	const afterScript = _.flattenDeep([job.after_script || []]).filter(line => line !== undefined && line !== null);
+	if(afterScript.length > 0) {
+		steps.push({if: 'always()', run: afterScript.join('\n')});
+	}
+	steps.push(...cacheSteps.filter(cacheStep => cacheStep.policy === 'push').map(cacheStep => cacheStep.step));
+	if(job.artifacts !== undefined) {
+		steps.push(..._artifactStepsFor(job.artifacts, context));
+	}
+	const gitlabVariables = _.uniq(_.flatMap(script.concat(afterScript), line => String(line).match(/\$\{?(CI_\w+|GITLAB_\w+)/g) || []))
+		.map(match => match.replace(/^\$\{?/, ''));
+	if(gitlabVariables.length > 0) {
+		todos.push(`the script uses variables predefined by GitLab, which GitHub does not set: ${gitlabVariables.join(', ')}`);
+	}
+	return steps;
+};
+
+var _cacheStepFor = function(cache, todos) {
+	const policy = cache.policy || 'pull-push';
+	if(CACHE_ACTIONS[policy] === undefined) {
+		todos.push(`cache policy ${policy} is not converted`);
+	}
+	if(cache.untracked || cache.when !== undefined) {
+		todos.push(`cache settings are not converted: ${_describe(_.pick(cache, ['untracked', 'when']))}`);
+	}
+	const settings = _.omitBy({
+		path: [].concat(cache.paths || []).join('\n'),
+		key: _cacheKeyFor(cache.key, todos),
+		'restore-keys': cache.fallback_keys && policy !== 'push' ? cache.fallback_keys.map(key => _templateFor(key, todos, 'cache key')).join('\n') : undefined
+	}, _.isUndefined);
+	return {uses: CACHE_ACTIONS[policy] || CACHE_ACTIONS['pull-push'], with: settings};
+};
+
+var _cacheKeyFor = function(key, todos) {
+	if(key === undefined) {
+		return 'default';
+	}
+	if(_.isPlainObject(key)) {
+		const files = [].concat(key.files || []).map(file => `'${file}'`).join(', ');
+		const prefix = key.prefix === undefined ? '' : `${_templateFor(String(key.prefix), todos, 'cache key')}-`;
+		return `${prefix}\${{ hashFiles(${files}) }}`;
+	}
+	return _templateFor(String(key), todos, 'cache key');
+};
+
+var _artifactStepsFor = function(artifacts, context) {
+	const {todos} = context;
+	const steps = [];
+	['reports', 'exclude', 'untracked', 'expose_as', 'public', 'access'].filter(keyword => artifacts[keyword] !== undefined).forEach((keyword) => {
+		todos.push(`artifacts ${keyword} are not converted: ${_describe(artifacts[keyword])}`);
+	});
+	if(artifacts.paths === undefined) {
+		return steps;
+	}
+	const upload = {uses: UPLOAD_ARTIFACT_ACTION};
+	const condition = {always: 'always()', on_failure: 'failure()'}[artifacts.when];
+	if(condition !== undefined) {
+		upload.if = condition;
+	}
+	upload.with = {name: context.jobId, path: [].concat(artifacts.paths).join('\n')};
+	if(artifacts.expire_in !== undefined && artifacts.expire_in !== 'never') {
+		const seconds = _parseDuration(artifacts.expire_in);
+		if(seconds === undefined) {
+			todos.push(`artifacts expire in ${artifacts.expire_in}, which is not converted`);
+		} else {
+			upload.with['retention-days'] = Math.min(Math.max(Math.ceil(seconds / 86400), 1), MAX_RETENTION_DAYS);
+		}
+	}
+	steps.push(upload);
+	return steps;
+};
+
+var _conditionFor = function(job, todos, triggers) {
+	let condition;
+	if(job.rules !== undefined) {
+		condition = _conditionForRules(job.rules, todos, triggers);
+	} else if(job.only !== undefined || job.except !== undefined) {
+		const only = job.only === undefined ? undefined : _conditionForRefs(job.only, todos, triggers);
+		// refs a job is excluded from do not need to trigger the workflow
+		const except = job.except === undefined ? undefined : _conditionForRefs(job.except, todos, new Set());
+		if(only === DISABLED || except === DISABLED) {
+			return DISABLED;
+		}
+		condition = [only, except === undefined ? undefined : `!(${except})`].filter(part => part !== undefined).join(' && ') || undefined;
+	}
+	if(condition === DISABLED) {
+		return DISABLED;
+	}
+	if(job.when === 'manual') {
+		todos.push(`the job runs when started by hand on GitLab, ${CiConverter.DISABLED_NOTE}`);
+		return DISABLED;
+	}
+	if(job.when === 'delayed') {
+		todos.push(`the job runs after a delay of ${job.start_in} on GitLab, which is not converted`);
+	}
+	const status = {always: 'always()', on_failure: 'failure()'}[job.when];
+	if(status === undefined) {
+		return condition;
+	}
+	return condition === undefined ? status : `${status} && (${condition})`;
+};
+
+var _conditionForRules = function(rules, todos, triggers) {
+	// the first matching rule decides, so each rule only applies where the ones before it did not match
+	let condition = 'false';
+	for (const rule of [...rules].reverse()) {
+		const untranslated = Object.keys(rule).filter(keyword => !['if', 'when'].includes(keyword));
+		const when = rule.when || 'on_success';
+		if(untranslated.length > 0 || !['on_success', 'always', 'never'].includes(when)) {
+			todos.push(`rules are not converted, ${CiConverter.DISABLED_NOTE}: ${_describe(rules)}`);
+			return DISABLED;
+		}
+		const runs = when !== 'never';
+		if(rule.if === undefined) {
+			condition = runs ? 'true' : 'false';
+			continue;
+		}
+		const expression = _expressionFor(rule.if, triggers);
+		if(expression === undefined) {
+			todos.push(`rules are not converted, ${CiConverter.DISABLED_NOTE}: ${_describe(rules)}`);
+			return DISABLED;
+		}
+		if(runs) {
+			condition = condition === 'false' ? expression : `(${expression}) || (${condition})`;
+		} else {
+			condition = condition === 'true' ? `!(${expression})` : (condition === 'false' ? 'false' : `!(${expression}) && (${condition})`);
+		}
+	}
+	if(condition === 'false') {
+		todos.push('no rule lets the job run');
+	}
+	return condition === 'true' ? undefined : condition;
+};
+
+var _conditionForRefs = function(refs, todos, triggers) {
+	if(_.isPlainObject(refs)) {
+		const untranslated = _.omit(refs, 'refs');
+		if(!_.isEmpty(untranslated)) {
+			todos.push(`only and except are not converted, ${CiConverter.DISABLED_NOTE}: ${_describe(untranslated)}`);
+			return DISABLED;
+		}
+		return refs.refs === undefined ? undefined : _conditionForRefs(refs.refs, todos, triggers);
+	}
+	const conditions = [];
+	for (const ref of [].concat(refs)) {
+		if(ref === 'merge_requests') {
+			triggers.add('pull_request');
+		} else if(ref === 'schedules') {
+			triggers.add('schedule');
+		} else if(ref === 'web') {
+			triggers.add('workflow_dispatch');
+		}
+		if(REF_CONDITIONS[ref] !== undefined) {
+			conditions.push(REF_CONDITIONS[ref]);
+		} else if(/^\/.*\/$/.test(ref) || ref.includes('@')) {
+			todos.push(`only and except are not converted, ${CiConverter.DISABLED_NOTE}: ${_describe(refs)}`);
+			return DISABLED;
+		} else {
+			conditions.push(`${NOT_PULL_REQUEST} && github.ref_name == '${ref}'`);
+		}
+	}
+	return conditions.length === 1 ? conditions[0] : conditions.map(condition => `(${condition})`).join(' || ');
+};
+
+var _expressionFor = function(condition, triggers) {
+	let translated = true;
+	const expression = condition
+		.replace(/\$\{?CI_PIPELINE_SOURCE\}?\s*(==|!=)\s*(["'])(.*?)\2/g, (match, operator, quote, source) => {
+			const event = PIPELINE_SOURCE_EVENTS[source];
+			if(event === undefined) {
+				translated = false;
+				return match;
+			}
+			triggers.add(event);
+			return `github.event_name ${operator} '${event}'`;
+		})
+		.replace(/\$\{?(\w+)\}?/g, (match, name) => {
+			if(CONTEXTS[name] === undefined) {
+				translated = false;
+				return match;
+			}
+			return CONTEXTS[name];
+		})
+		.replace(/"([^"']*)"/g, '\'$1\'');
+	return translated && !/=~|!~|"/.test(expression) ? expression : undefined;
+};
+
+var _templateFor = function(value, todos, description) {
+	let translated = true;
+	const template = value.replace(/\$\{?(\w+)\}?/g, (match, name) => {
+		if(CONTEXTS[name] === undefined) {
+			translated = false;
+			return match;
+		}
+		return `\${{ ${CONTEXTS[name]} }}`;
+	});
+	if(!translated) {
+		todos.push(`${description} ${value} uses variables which are not converted`);
+	}
+	return template;
+};
+
+var _environmentFor = function(environment, todos) {
+	const settings = typeof environment === 'string' ? {name: environment} : environment;
+	const untranslated = _.omit(settings, ['name', 'url']);
+	if(!_.isEmpty(untranslated)) {
+		todos.push(`environment settings are not converted: ${_describe(untranslated)}`);
+	}
+	const name = _templateFor(String(settings.name), todos, 'environment');
+	return settings.url === undefined ? name : {name, url: _templateFor(String(settings.url), todos, 'environment url')};
+};
+
+var _variablesOf = function(variables) {
+	// a variable is either its value, or its value with a description and options to pick from in the GitLab UI
+	return variables === undefined ? undefined : _.mapValues(variables, variable => _.isPlainObject(variable) ? variable.value : variable);
+};
+
+var _commonDirectory = function(paths) {
+	const directories = [].concat(paths).map((artifactPath) => {
+		const segments = artifactPath.replace(/^\.\//, '').replace(/\/+$/, '').split('/');
+		const globIndex = segments.findIndex(segment => /[*?[{]/.test(segment));
+		if(globIndex !== -1) {
+			return segments.slice(0, globIndex);
+		}
+		// a path without a trailing slash is taken for a file when its name has an extension
+		const isFile = !artifactPath.endsWith('/') && /[^.]\.\w+$/.test(segments[segments.length - 1]);
+		return isFile ? segments.slice(0, -1) : segments;
+	});
+	const common = directories.reduce((commonSegments, segments) => _.takeWhile(commonSegments, (segment, index) => segments[index] === segment));
+	return common.length === 0 ? '.' : common.join('/');
+};
+
+var _parseDuration = function(duration) {
+	const text = String(duration).trim().toLowerCase();
+	if(/^\d+$/.test(text)) {
+		return parseInt(text, 10);
+	}
+	let seconds = 0;
+	const rest = text.replace(/(\d+(?:\.\d+)?)\s*([a-z]+)/g, (match, amount, unit) => {
+		const unitSeconds = DURATION_UNITS[unit] || DURATION_UNITS[unit.replace(/s$/, '')];
+		if(unitSeconds === undefined) {
+			return match;
+		}
+		seconds += parseFloat(amount) * unitSeconds;
+		return '';
+	});
+	return rest.replace(/and|,|\s/g, '') === '' && seconds > 0 ? seconds : undefined;
+};
+
+var _describe = function(value) {
+	return JSON.stringify(value);
+};
+
+var _render = function(triggers, env, jobs, todos, jobTodos, jobIds) {
+	const lines = [`# Converted from ${CiConverter.GITLAB_CI_FILE} by gl2gh, review the TODO comments before relying on it`];
+	todos.forEach(todo => lines.push(`# TODO: ${todo}`));
+	if(triggers.has('schedule')) {
+		lines.push('# TODO: GitLab schedules are configured outside of .gitlab-ci.yml, add their cron expressions under on.schedule');
+	}
+	const header = _.omitBy({name: 'CI', on: [...triggers].filter(trigger => trigger !== 'schedule'), env}, _.isUndefined);
+	// js-yaml quotes the on key, which YAML 1.1 parsers would otherwise read as a boolean; GitHub does not need that
+	lines.push(_dump(header).replace(/^'on':/m, 'on:'));
+	lines.push('jobs:');
+	Object.keys(jobTodos).forEach((name) => {
+		const [firstLine, ...otherLines] = _dump({[jobIds[name]]: _.omitBy(jobs[jobIds[name]], _.isUndefined)}).split('\n');
+		lines.push(`  ${firstLine}`);
+		jobTodos[name].forEach(todo => lines.push(`    # TODO: ${todo}`));
+		lines.push(...otherLines.filter(line => line !== '').map(line => `  ${line}`));
+	});
+	return `${lines.join('\n')}\n`;
+};
+
+var _dump = function(value) {
+	return yaml.safeDump(value, {lineWidth: -1, noRefs: true}).replace(/\n$/, '');
+};
+
+module.exports = CiConverter;
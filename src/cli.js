@@ -1,10 +1,12 @@
 #!/usr/bin/env node
 
-const { Command } = require('commander');
+const { Command, InvalidOptionArgumentError } = require('commander');
 const yaml = require('js-yaml');
 const fs   = require('fs');
+const readline = require('readline');
 
 const Migrate = require('./migrate.js');
+const CiConverter = require('./ciConverter.js');
 
 const log4js = require('log4js').configure('./config/log4js.json');
 const logger = log4js.getLogger('cli');
@@ -23,54 +25,261 @@ program
 		await listProjects(gitlabGroupName, cmdObj.number, cmdObj.startsWith, cmdObj.output);
 	});
 
-program.command('copy-content <gitlab-group-name>')
+withNamingOptions(withRenameBranchOption(program.command('copy-content <gitlab-group-name>'), 'Rename the branch on GitHub, also as default branch, can be repeated'))
 	.description('Copy content of repositories from GitLab to GitHub')
 	.option('--github-org <org_name>', 'GitHub Organisation Name')
 	.option('--starts-with <prefix>', 'Filter projects starting with specified prefix', '')
+	.option('--sync', 'Push only the refs which are new or changed on GitLab since the last copy', false)
+	.option('--force', 'With --sync, force-update refs which were rewritten on GitLab', false)
+	.option('--prune', 'With --sync, delete refs on GitHub which were removed from GitLab', false)
+	.option('--concurrency <integer>', 'Number of repositories cloned and pushed at once', parseInteger)
+	.option('--rest-concurrency <integer>', 'Number of GitHub API calls made at once', parseInteger)
+	.option('--journal <file>', 'Write the journal of this run to the specified file, defaults to tmp/journal/<gitlab-group-name>-<timestamp>.json')
+	.option('--resume <journal>', 'Resume the run recorded in the journal, skipping work which already finished')
+	.option('--rewrite-urls', 'Commit GitLab URLs in .gitmodules, package.json and README rewritten to GitHub on the default branch', false)
+	.option('--preview-rewrite-urls', 'Print the diffs of the GitLab URLs which would be rewritten, without committing them', false)
+	.option('--convert-ci', 'Commit .gitlab-ci.yml converted into .github/workflows/ci.yml on the default branch', false)
+	.option('--archived <policy>', 'Skip archived projects, migrate them as they are, or migrate and archive their GitHub repos, like skip, migrate or archive', 'migrate')
+	.option('--dry-run', 'Print the plan of what would be copied without creating, cloning or modifying any repository', false)
+	.option('--output <type>', 'With --dry-run, specify output type of the plan like text or json', 'text')
 	.action( async (gitlabGroupName, cmdObj) => {
-		await migrate.copyContentFromGitlabToGithub(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith)
+		const options = {sync: cmdObj.sync, force: cmdObj.force, prune: cmdObj.prune,
+			concurrency: cmdObj.concurrency, restConcurrency: cmdObj.restConcurrency,
+			journal: cmdObj.journal, resume: cmdObj.resume,
+			rewriteUrls: cmdObj.rewriteUrls, previewRewriteUrls: cmdObj.previewRewriteUrls,
+			convertCi: cmdObj.convertCi, branchRenames: cmdObj.renameBranch, archived: cmdObj.archived,
+			naming: cmdObj.naming, nameTemplate: cmdObj.nameTemplate, nameMapping: cmdObj.nameMapping};
+		if(cmdObj.dryRun) {
+			await planCopyContent(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith, options, cmdObj.output);
+			return;
+		}
+		await migrate.copyContentFromGitlabToGithub(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith, options)
 			.catch((err) => logger.error(err.message));
 	});
 
 program
-	.command('protect-branch <owner> <branch-name> <repo-name...>')
+	.command('convert-ci <path>')
+	.description('Print the GitHub Actions workflow converted from a .gitlab-ci.yml, with TODO comments for what is left to convert by hand')
+	.action((gitlabCiPath) => {
+		try {
+			console.info(CiConverter.convert(fs.readFileSync(gitlabCiPath, 'utf8')).replace(/\n$/, ''));
+		} catch(error) {
+			logger.error(error.message);
+			process.exitCode = 1;
+		}
+	});
+
+withNamingOptions(program.command('copy-wiki <gitlab-group-name>'))
+	.description('Copy wikis of projects from GitLab to the wikis of their GitHub repositories')
+	.option('--github-org <org_name>', 'GitHub Organisation Name')
+	.option('--starts-with <prefix>', 'Filter projects starting with specified prefix', '')
+	.option('--concurrency <integer>', 'Number of wikis cloned and pushed at once', parseInteger)
+	.action(async (gitlabGroupName, cmdObj) => {
+		const options = {concurrency: cmdObj.concurrency,
+			naming: cmdObj.naming, nameTemplate: cmdObj.nameTemplate, nameMapping: cmdObj.nameMapping};
+		await migrate.copyWikiFromGitlabToGithub(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith, options)
+			.catch((err) => logger.error(err.message));
+	});
+
+withNamingOptions(program.command('copy-issues <gitlab-group-name>'))
+	.description('Copy labels, milestones, issues and their comments of projects from GitLab to GitHub')
+	.option('--github-org <org_name>', 'GitHub Organisation Name')
+	.option('--starts-with <prefix>', 'Filter projects starting with specified prefix', '')
+	.option('--concurrency <integer>', 'Number of projects whose issues are copied at once', parseInteger)
+	.option('--user-mapping <file>', 'YAML file mapping GitLab usernames to GitHub logins, for authors and assignees', readYamlFile)
+	.option('--include-confidential', 'Also copy confidential issues and internal comments, which anyone who can read the GitHub repo will see', false)
+	.action(async (gitlabGroupName, cmdObj) => {
+		const options = {concurrency: cmdObj.concurrency, userMapping: cmdObj.userMapping, includeConfidential: cmdObj.includeConfidential,
+			naming: cmdObj.naming, nameTemplate: cmdObj.nameTemplate, nameMapping: cmdObj.nameMapping};
+		await migrate.copyIssuesFromGitlabToGithub(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith, options)
+			.catch((err) => logger.error(err.message));
+	});
+
+withNamingOptions(withRenameBranchOption(program.command('copy-merge-requests <gitlab-group-name>'), 'Expect the branch renamed on GitHub, can be repeated'))
+	.description('Open pull requests on GitHub for the open merge requests of projects on GitLab, with their discussions')
+	.option('--github-org <org_name>', 'GitHub Organisation Name')
+	.option('--starts-with <prefix>', 'Filter projects starting with specified prefix', '')
+	.option('--concurrency <integer>', 'Number of projects whose merge requests are copied at once', parseInteger)
+	.option('--user-mapping <file>', 'YAML file mapping GitLab usernames to GitHub logins, for authors and assignees', readYamlFile)
+	.option('--include-confidential', 'Also copy internal comments, which anyone who can read the GitHub repo will see', false)
+	.action(async (gitlabGroupName, cmdObj) => {
+		const options = {concurrency: cmdObj.concurrency, userMapping: cmdObj.userMapping, branchRenames: cmdObj.renameBranch,
+			includeConfidential: cmdObj.includeConfidential, naming: cmdObj.naming, nameTemplate: cmdObj.nameTemplate, nameMapping: cmdObj.nameMapping};
+		await migrate.copyMergeRequestsFromGitlabToGithub(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith, options)
+			.catch((err) => logger.error(err.message));
+	});
+
+withNamingOptions(program.command('copy-releases <gitlab-group-name>'))
+	.description('Copy releases of projects from GitLab to GitHub, re-uploading their assets')
+	.option('--github-org <org_name>', 'GitHub Organisation Name')
+	.option('--starts-with <prefix>', 'Filter projects starting with specified prefix', '')
+	.option('--concurrency <integer>', 'Number of projects whose releases are copied at once', parseInteger)
+	.action(async (gitlabGroupName, cmdObj) => {
+		const options = {concurrency: cmdObj.concurrency,
+			naming: cmdObj.naming, nameTemplate: cmdObj.nameTemplate, nameMapping: cmdObj.nameMapping};
+		await migrate.copyReleasesFromGitlabToGithub(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith, options)
+			.catch((err) => logger.error(err.message));
+	});
+
+withNamingOptions(withRenameBranchOption(program.command('verify <gitlab-group-name>'), 'Expect the branch renamed on GitHub, can be repeated'))
+	.description('Verify the branches and tags of GitHub repositories match those of the GitLab projects')
+	.option('--github-org <org_name>', 'GitHub Organisation Name')
+	.option('--starts-with <prefix>', 'Filter projects starting with specified prefix', '')
+	.option('--concurrency <integer>', 'Number of repositories compared at once', parseInteger)
+	.option('--output <type>', 'Specify output type of the report like text or json', 'text')
+	.action(async (gitlabGroupName, cmdObj) => {
+		const options = {concurrency: cmdObj.concurrency, branchRenames: cmdObj.renameBranch,
+			naming: cmdObj.naming, nameTemplate: cmdObj.nameTemplate, nameMapping: cmdObj.nameMapping};
+		await verifyGithubRefs(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith, options, cmdObj.output);
+	});
+
+withNamingOptions(withRenameBranchOption(program.command('cutover <gitlab-group-name>'), 'Rename the branch on GitHub, also as default branch, can be repeated'))
+	.description('Freeze the branches of GitLab projects, copy their last changes, verify the refs on GitHub and archive the projects, restoring the branches at the first failure')
+	.option('--github-org <org_name>', 'GitHub Organisation Name')
+	.option('--starts-with <prefix>', 'Filter projects starting with specified prefix', '')
+	.option('--concurrency <integer>', 'Number of repositories cloned and pushed at once', parseInteger)
+	.option('--rest-concurrency <integer>', 'Number of GitLab and GitHub API calls made at once', parseInteger)
+	.option('--journal <file>', 'Write the journal of the final copy to the specified file, defaults to tmp/journal/<gitlab-group-name>-<timestamp>.json')
+	.option('--moved-notice', 'Point the projects at their GitHub repos when archiving them, in their description and a MOVED.md file on their default branch', false)
+	.option('--yes', 'Run every step without asking for confirmation', false)
+	.action(async (gitlabGroupName, cmdObj) => {
+		const options = {concurrency: cmdObj.concurrency, restConcurrency: cmdObj.restConcurrency,
+			journal: cmdObj.journal, branchRenames: cmdObj.renameBranch, movedNotice: cmdObj.movedNotice,
+			naming: cmdObj.naming, nameTemplate: cmdObj.nameTemplate, nameMapping: cmdObj.nameMapping};
+		if(!cmdObj.yes) {
+			options.confirm = confirmOnConsole;
+		}
+		await cutover(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith, options);
+	});
+
+withRenameBranchOption(program.command('protect-branch <owner> <branch-name> <repo-name...>'), 'Protect the renamed branch instead, can be repeated')
 	.description('Configure to protect branch of GitHub repo from direct pushes, rather expecting a pull request review')
 	.option('-c, --config <branch_protection_config>', 'Config for branch protection rule on github', readYamlFile, readYamlFile('./config/templates/branchProtectionRuleTemplate.yml'))
+	.option('--concurrency <integer>', 'Number of GitHub API calls made at once', parseInteger)
 	.action(async (owner, branchName, repoNames, cmdObj) => {
-		await migrate.configureGithubBranchProtectionRule(owner, repoNames, branchName, cmdObj.config.branchProtectionRule)
+		const options = {concurrency: cmdObj.concurrency, branchRenames: cmdObj.renameBranch};
+		await migrate.configureGithubBranchProtectionRule(owner, repoNames, branchName, cmdObj.config.branchProtectionRule, options)
+			.catch((err) => logger.error(err.message));
+	});
+
+withNamingOptions(withRenameBranchOption(program.command('copy-protection <gitlab-group-name>'), 'Protect the renamed branch instead, can be repeated'))
+	.description('Protect branches of GitHub repositories the way their GitLab projects protect them, including approval rules')
+	.option('--github-org <org_name>', 'GitHub Organisation Name')
+	.option('--starts-with <prefix>', 'Filter projects starting with specified prefix', '')
+	.option('--concurrency <integer>', 'Number of projects whose protection is copied at once', parseInteger)
+	.action(async (gitlabGroupName, cmdObj) => {
+		const options = {concurrency: cmdObj.concurrency, branchRenames: cmdObj.renameBranch,
+			naming: cmdObj.naming, nameTemplate: cmdObj.nameTemplate, nameMapping: cmdObj.nameMapping};
+		await migrate.copyProtectionFromGitlabToGithub(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith, options)
 			.catch((err) => logger.error(err.message));
 	});
 
+withNamingOptions(program.command('copy-variables <gitlab-group-name>'))
+	.description('Copy CI/CD variables of the GitLab group and projects to GitHub Actions secrets and variables, reporting those which cannot be mapped')
+	.option('--github-org <org_name>', 'GitHub Organisation Name')
+	.option('--starts-with <prefix>', 'Filter projects starting with specified prefix', '')
+	.option('--concurrency <integer>', 'Number of projects whose variables are copied at once', parseInteger)
+	.option('--output <type>', 'Specify output type of the report like text or json', 'text')
+	.action(async (gitlabGroupName, cmdObj) => {
+		const options = {concurrency: cmdObj.concurrency,
+			naming: cmdObj.naming, nameTemplate: cmdObj.nameTemplate, nameMapping: cmdObj.nameMapping};
+		await copyVariables(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith, options, cmdObj.output);
+	});
+
+withNamingOptions(program.command('copy-members <gitlab-group-name>'))
+	.description('Grant GitHub collaborators and teams the permissions GitLab members and groups have on projects, reporting those which cannot be mapped')
+	.option('--github-org <org_name>', 'GitHub Organisation Name')
+	.option('--starts-with <prefix>', 'Filter projects starting with specified prefix', '')
+	.option('--concurrency <integer>', 'Number of projects whose members are copied at once', parseInteger)
+	.option('--user-mapping <file>', 'YAML file mapping GitLab usernames to GitHub logins', readYamlFile)
+	.option('--role-mapping <file>', 'YAML file mapping GitLab roles to GitHub permissions, like developer: write', readYamlFile)
+	.option('--team-mapping <file>', 'YAML file mapping GitLab group paths to GitHub team slugs', readYamlFile)
+	.option('--output <type>', 'Specify output type of the report like text or json', 'text')
+	.action(async (gitlabGroupName, cmdObj) => {
+		const options = {concurrency: cmdObj.concurrency, userMapping: cmdObj.userMapping, roleMapping: cmdObj.roleMapping, teamMapping: cmdObj.teamMapping,
+			naming: cmdObj.naming, nameTemplate: cmdObj.nameTemplate, nameMapping: cmdObj.nameMapping};
+		await copyMembers(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith, options, cmdObj.output);
+	});
+
+withNamingOptions(program.command('copy-teams <gitlab-group-name>'))
+	.description('Create a GitHub team for the GitLab group and each of its subgroups, with their members and access to the repos of each subgroup')
+	.requiredOption('--github-org <org_name>', 'GitHub Organisation Name')
+	.option('--starts-with <prefix>', 'Filter projects starting with specified prefix', '')
+	.option('--concurrency <integer>', 'Number of teams filled at once', parseInteger)
+	.option('--permission <permission>', 'Permission of each team on the repos of its subgroup, like read, triage, write, maintain or admin', 'write')
+	.option('--user-mapping <file>', 'YAML file mapping GitLab usernames to GitHub logins', readYamlFile)
+	.option('--role-mapping <file>', 'YAML file mapping GitLab roles to GitHub permissions, like developer: write', readYamlFile)
+	.option('--team-mapping <file>', 'YAML file mapping GitLab group paths to GitHub team names', readYamlFile)
+	.option('--output <type>', 'Specify output type of the report like text or json', 'text')
+	.action(async (gitlabGroupName, cmdObj) => {
+		const options = {concurrency: cmdObj.concurrency, permission: cmdObj.permission,
+			userMapping: cmdObj.userMapping, roleMapping: cmdObj.roleMapping, teamMapping: cmdObj.teamMapping,
+			naming: cmdObj.naming, nameTemplate: cmdObj.nameTemplate, nameMapping: cmdObj.nameMapping};
+		await copyTeams(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith, options, cmdObj.output);
+	});
+
+withNamingOptions(program.command('copy-deploy-keys <gitlab-group-name>'))
+	.description('Add the deploy keys of GitLab projects to their GitHub repos, reporting keys shared by several projects')
+	.option('--github-org <org_name>', 'GitHub Organisation Name')
+	.option('--starts-with <prefix>', 'Filter projects starting with specified prefix', '')
+	.option('--concurrency <integer>', 'Number of projects whose deploy keys are copied at once', parseInteger)
+	.option('--output <type>', 'Specify output type of the report like text or json', 'text')
+	.action(async (gitlabGroupName, cmdObj) => {
+		const options = {concurrency: cmdObj.concurrency,
+			naming: cmdObj.naming, nameTemplate: cmdObj.nameTemplate, nameMapping: cmdObj.nameMapping};
+		await copyDeployKeys(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith, options, cmdObj.output);
+	});
+
+withNamingOptions(program.command('copy-webhooks <gitlab-group-name>'))
+	.description('Create GitHub webhooks for the hooks of GitLab projects, reporting triggers which have no GitHub equivalent')
+	.option('--github-org <org_name>', 'GitHub Organisation Name')
+	.option('--starts-with <prefix>', 'Filter projects starting with specified prefix', '')
+	.option('--concurrency <integer>', 'Number of projects whose webhooks are copied at once', parseInteger)
+	.option('--secret <secret>', 'Secret GitHub signs the payloads of the created webhooks with, as GitLab does not reveal the secret tokens of hooks')
+	.option('--output <type>', 'Specify output type of the report like text or json', 'text')
+	.action(async (gitlabGroupName, cmdObj) => {
+		const options = {concurrency: cmdObj.concurrency, secret: cmdObj.secret,
+			naming: cmdObj.naming, nameTemplate: cmdObj.nameTemplate, nameMapping: cmdObj.nameMapping};
+		await copyWebhooks(gitlabGroupName, cmdObj.githubOrg, cmdObj.startsWith, options, cmdObj.output);
+	});
+
 program
 	.command('auto-delete-head-branches <owner> <repo-name...>')
 	.description('Enables the setting to automatically delete head branches after pull requests are merged on the GitHub repo')
-	.action(async (owner, repoNames) => {
-		await migrate.updateAutoDeleteHeadBranchesOnGithub(owner, repoNames)
+	.option('--concurrency <integer>', 'Number of GitHub API calls made at once', parseInteger)
+	.action(async (owner, repoNames, cmdObj) => {
+		await migrate.updateAutoDeleteHeadBranchesOnGithub(owner, repoNames, {concurrency: cmdObj.concurrency})
 			.catch((err) => logger.error(err.message));
 	});
 
 program
 	.command('set-default-branch <owner> <branch-name> <repo-name...>')
 	.description('Sets the default branch on GitHub')
-	.action(async (owner, branchName, repoNames) => {
-		await migrate.updateDefaultBranchOnGithub(owner, repoNames, branchName)
+	.option('--concurrency <integer>', 'Number of GitHub API calls made at once', parseInteger)
+	.action(async (owner, branchName, repoNames, cmdObj) => {
+		await migrate.updateDefaultBranchOnGithub(owner, repoNames, branchName, {concurrency: cmdObj.concurrency})
 			.catch((err) => logger.error(err.message));
 	});
 
-program
-	.command('archive-project <project-path...>')
+withNamingOptions(program.command('archive-project <project-path...>'))
 	.description('Archive project(s) on GitLab')
-	.action(async (projectPaths) => {
-		await migrate.archiveGitlabProject(projectPaths)
+	.option('--moved-notice', 'Point the projects at their GitHub repos before archiving them, in their description and a MOVED.md file on their default branch', false)
+	.option('--gitlab-group <group_name>', 'GitLab group the projects were copied from with copy-content, required with --moved-notice')
+	.option('--github-org <org_name>', 'GitHub Organisation Name the projects were copied to')
+	.action(async (projectPaths, cmdObj) => {
+		const options = {movedNotice: cmdObj.movedNotice, gitlabGroup: cmdObj.gitlabGroup, githubOrg: cmdObj.githubOrg,
+			naming: cmdObj.naming, nameTemplate: cmdObj.nameTemplate, nameMapping: cmdObj.nameMapping};
+		await migrate.archiveGitlabProject(projectPaths, options)
 			.catch((err) => logger.error(err.message));
 	});
 
 program
 	.command('create-webhook <github-org-name> <repo-name...>')
 	.requiredOption('-c, --config <type>', 'Config for webhook creation on github', readYamlFile)
+	.option('--concurrency <integer>', 'Number of GitHub API calls made at once', parseInteger)
 	.description('extracts the secret for the repo name and creates webhook for the repo')
 	.action(async (githubOrgName, repoNames, cmdObj) => {
-		await migrate.createWebhook(cmdObj.config, githubOrgName, repoNames)
+		await migrate.createWebhook(cmdObj.config, githubOrgName, repoNames, {concurrency: cmdObj.concurrency})
 			.catch((err) => logger.error(err.message));
 	});
 
@@ -97,6 +306,276 @@ function printProjectsOnConsole(projects, numberOfProjectsPerResult, outputType)
 	});
 }
 
+async function planCopyContent(gitlabGroupName, githubOrgName, projectNameFilter, options, outputType) {
+	try {
+		const plan = await migrate.planCopyContent(gitlabGroupName, githubOrgName, projectNameFilter, options);
+		printPlanOnConsole(plan, outputType);
+	} catch(error) {
+		logger.error(error.message);
+	}
+}
+
+function printPlanOnConsole(plan, outputType) {
+	if(outputType === 'json') {
+		console.info(JSON.stringify(plan, null, 2));
+		return;
+	}
+	plan.forEach((entry) => {
+		const status = entry.exists ? 'exists' : 'new';
+		console.info(`${entry.gitlabUrl} -> ${entry.owner}/${entry.repo} (${status})`);
+		console.info(`  branches: ${entry.branches.join(', ') || '-'}`);
+		console.info(`  tags: ${entry.tags.join(', ') || '-'}`);
+	});
+	console.info(`${plan.length} project(s), ${plan.filter(entry => !entry.exists).length} repo(s) to create`);
+}
+
+async function verifyGithubRefs(gitlabGroupName, githubOrgName, projectNameFilter, options, outputType) {
+	try {
+		const report = await migrate.verifyGithubRefs(gitlabGroupName, githubOrgName, projectNameFilter, options);
+		printVerificationReportOnConsole(report, outputType);
+		if(report.some(entry => !entry.inSync)) {
+			process.exitCode = 1;
+		}
+	} catch(error) {
+		logger.error(error.message);
+		process.exitCode = 1;
+	}
+}
+
+function printVerificationReportOnConsole(report, outputType) {
+	if(outputType === 'json') {
+		console.info(JSON.stringify(report, null, 2));
+		return;
+	}
+	report.forEach((entry) => {
+		if(!entry.exists) {
+			console.info(`${entry.owner}/${entry.repo}: repository does not exist`);
+		} else if(entry.inSync) {
+			console.info(`${entry.owner}/${entry.repo}: in sync`);
+		} else {
+			console.info(`${entry.owner}/${entry.repo}: differs`);
+		}
+		['missing', 'extra', 'diverged'].forEach((kind) => {
+			if(entry[kind].length > 0) {
+				console.info(`  ${kind}: ${entry[kind].join(', ')}`);
+			}
+		});
+	});
+	console.info(`${report.filter(entry => entry.inSync).length} of ${report.length} repo(s) in sync`);
+}
+
+async function copyVariables(gitlabGroupName, githubOrgName, projectNameFilter, options, outputType) {
+	try {
+		const report = await migrate.copyVariablesFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, options);
+		printVariablesReportOnConsole(report, outputType);
+		if(report.some(entry => entry.status === 'failed')) {
+			process.exitCode = 1;
+		}
+	} catch(error) {
+		logger.error(error.message);
+		process.exitCode = 1;
+	}
+}
+
+function printVariablesReportOnConsole(report, outputType) {
+	if(outputType === 'json') {
+		console.info(JSON.stringify(report, null, 2));
+		return;
+	}
+	report.forEach((entry) => {
+		const key = entry.key === undefined ? '' : ` ${entry.key}`;
+		if(entry.status === 'copied') {
+			const environment = entry.environment === undefined ? '' : ` of environment ${entry.environment}`;
+			console.info(`${entry.source}${key}: copied as ${entry.kind}${environment} to ${entry.target}`);
+		} else {
+			console.info(`${entry.source}${key}: ${entry.status}, ${entry.reason}`);
+		}
+	});
+	console.info(`${report.filter(entry => entry.status === 'copied').length} of ${report.length} variable(s) copied`);
+}
+
+async function copyMembers(gitlabGroupName, githubOrgName, projectNameFilter, options, outputType) {
+	try {
+		const report = await migrate.copyMembersFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, options);
+		printMembersReportOnConsole(report, outputType);
+		if(report.some(entry => entry.status === 'failed')) {
+			process.exitCode = 1;
+		}
+	} catch(error) {
+		logger.error(error.message);
+		process.exitCode = 1;
+	}
+}
+
+function printMembersReportOnConsole(report, outputType) {
+	if(outputType === 'json') {
+		console.info(JSON.stringify(report, null, 2));
+		return;
+	}
+	report.forEach((entry) => {
+		const member = entry.member === undefined ? '' : ` ${entry.member}`;
+		if(entry.status === 'granted' || entry.status === 'invited') {
+			const kind = entry.kind === 'team' ? 'team' : 'collaborator';
+			console.info(`${entry.source}${member}: ${entry.status} ${entry.permission} on ${entry.target} as ${kind} ${entry.grantee}`);
+		} else {
+			console.info(`${entry.source}${member}: ${entry.status}, ${entry.reason}`);
+		}
+	});
+	const granted = report.filter(entry => entry.status === 'granted' || entry.status === 'invited').length;
+	console.info(`${granted} of ${report.length} member(s) granted access`);
+}
+
+async function copyTeams(gitlabGroupName, githubOrgName, projectNameFilter, options, outputType) {
+	try {
+		const report = await migrate.copyTeamsFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, options);
+		printTeamsReportOnConsole(report, outputType);
+		if(report.some(entry => entry.status === 'failed')) {
+			process.exitCode = 1;
+		}
+	} catch(error) {
+		logger.error(error.message);
+		process.exitCode = 1;
+	}
+}
+
+function printTeamsReportOnConsole(report, outputType) {
+	if(outputType === 'json') {
+		console.info(JSON.stringify(report, null, 2));
+		return;
+	}
+	report.forEach((entry) => {
+		const name = entry.member || entry.repo;
+		const source = name === undefined ? entry.source : `${entry.source} ${name}`;
+		if(entry.status === 'failed' || entry.status === 'unmapped') {
+			console.info(`${source}: ${entry.status}, ${entry.reason}`);
+		} else if(entry.kind === 'team') {
+			console.info(`${source}: team ${entry.target} ${entry.status}`);
+		} else if(entry.kind === 'member') {
+			console.info(`${source}: ${entry.status} to ${entry.target} as ${entry.role} ${entry.grantee}`);
+		} else {
+			console.info(`${source}: granted ${entry.permission} to ${entry.target}`);
+		}
+	});
+	const count = kind => report.filter(entry => entry.kind === kind && entry.status !== 'failed' && entry.status !== 'unmapped').length;
+	console.info(`${count('team')} team(s), ${count('member')} member(s) and ${count('repo')} repo(s) copied`);
+}
+
+async function copyDeployKeys(gitlabGroupName, githubOrgName, projectNameFilter, options, outputType) {
+	try {
+		const report = await migrate.copyDeployKeysFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, options);
+		printDeployKeysReportOnConsole(report, outputType);
+		if(report.some(entry => entry.status === 'failed')) {
+			process.exitCode = 1;
+		}
+	} catch(error) {
+		logger.error(error.message);
+		process.exitCode = 1;
+	}
+}
+
+function printDeployKeysReportOnConsole(report, outputType) {
+	if(outputType === 'json') {
+		console.info(JSON.stringify(report, null, 2));
+		return;
+	}
+	report.forEach((entry) => {
+		const key = entry.key === undefined ? '' : ` ${entry.key}`;
+		const access = entry.readOnly ? 'read-only' : 'read-write';
+		if(entry.status === 'added') {
+			console.info(`${entry.source}${key}: added as ${access} deploy key to ${entry.target}`);
+		} else if(entry.status === 'exists') {
+			console.info(`${entry.source}${key}: exists on ${entry.target}`);
+		} else {
+			console.info(`${entry.source}${key}: ${entry.status}, ${entry.reason}`);
+		}
+	});
+	console.info(`${report.filter(entry => entry.status === 'added').length} of ${report.length} deploy key(s) added`);
+}
+
+async function copyWebhooks(gitlabGroupName, githubOrgName, projectNameFilter, options, outputType) {
+	try {
+		const report = await migrate.copyWebhooksFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, options);
+		printWebhooksReportOnConsole(report, outputType);
+		if(report.some(entry => entry.status === 'failed')) {
+			process.exitCode = 1;
+		}
+	} catch(error) {
+		logger.error(error.message);
+		process.exitCode = 1;
+	}
+}
+
+function printWebhooksReportOnConsole(report, outputType) {
+	if(outputType === 'json') {
+		console.info(JSON.stringify(report, null, 2));
+		return;
+	}
+	report.forEach((entry) => {
+		const url = entry.url === undefined ? '' : ` ${entry.url}`;
+		const ignoring = entry.unmapped === undefined ? '' : `, ignoring: ${entry.unmapped.join('; ')}`;
+		if(entry.status === 'created') {
+			console.info(`${entry.source}${url}: created on ${entry.target} for ${entry.events.join(', ')}${ignoring}`);
+		} else if(entry.status === 'exists') {
+			console.info(`${entry.source}${url}: exists on ${entry.target}`);
+		} else {
+			console.info(`${entry.source}${url}: ${entry.status}, ${entry.reason}${ignoring}`);
+		}
+	});
+	console.info(`${report.filter(entry => entry.status === 'created').length} of ${report.length} webhook(s) created`);
+}
+
+async function cutover(gitlabGroupName, githubOrgName, projectNameFilter, options) {
+	try {
+		const report = await migrate.cutover(gitlabGroupName, githubOrgName, projectNameFilter, options);
+		report.forEach((entry) => {
+			const reason = entry.reason === undefined ? '' : `, ${entry.reason}`;
+			console.info(`${entry.description}: ${entry.status}${reason}`);
+		});
+		if(report.some(entry => entry.status !== 'done')) {
+			process.exitCode = 1;
+		}
+	} catch(error) {
+		logger.error(error.message);
+		process.exitCode = 1;
+	}
+}
+
+function confirmOnConsole(question) {
+	const rl = readline.createInterface({input: process.stdin, output: process.stdout});
+	return new Promise((resolve) => {
+		rl.question(`${question}? [y/N] `, (answer) => {
+			rl.close();
+			resolve(/^y(es)?$/i.test(answer.trim()));
+		});
+	});
+}
+
+function parseInteger(value) {
+	if(!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+		throw new InvalidOptionArgumentError('Expected a positive integer.');
+	}
+	return parseInt(value, 10);
+}
+
+function collectBranchRename(value, branchRenames) {
+	const [from, to] = value.split(':');
+	if(!from || !to) {
+		throw new Error(`Invalid branch rename: ${value}, expected <from>:<to>`);
+	}
+	return Object.assign({}, branchRenames, {[from]: to});
+}
+
+function withRenameBranchOption(command, description) {
+	return command.option('--rename-branch <from:to>', description, collectBranchRename, {});
+}
+
+function withNamingOptions(command) {
+	return command
+		.option('--naming <strategy>', 'Name GitHub repos after the project name or its path flattened below the group, like name or path', 'name')
+		.option('--name-template <template>', 'Name GitHub repos after the template with {name} and {path} placeholders, like legacy-{name}')
+		.option('--name-mapping <file>', 'YAML file mapping GitLab project paths to GitHub repo names, which takes precedence', readYamlFile);
+}
+
 function readYamlFile(yamlFile) {
 	return yaml.safeLoad(fs.readFileSync(yamlFile, 'utf8'));
 }
\ No newline at end of file
@@ -1,43 +1,254 @@
 const git = require('isomorphic-git');
 const http = require('isomorphic-git/http/node');
 const fs = require('fs');
+const path = require('path');
+const minimatch = require('minimatch');
 const logger = require('log4js').configure('./config/log4js.json').getLogger('GitClient');
 
+const MIRRORED_REF_NAMESPACES = ['heads', 'tags', 'notes'];
+const LFS_POINTER_VERSION = 'version https://git-lfs.github.com/spec/v1';
+
 function GitClient(gitlabUserName, gitlabToken, githubToken) {
 	this.gitlabUserName = gitlabUserName;
 	this.gitlabToken = gitlabToken;
 	this.githubToken = githubToken;
 
-	this.clone = function(httpsRemoteUrl, pathToCloneRepo, remoteName) {
-		return git.clone({ fs, http, dir: pathToCloneRepo, url: httpsRemoteUrl, remote: remoteName,
+	this.mirror = async function(httpsRemoteUrl, pathToRepo, remoteName) {
+		// a crashed run leaves its clone behind, with refs which may have been deleted on GitLab since
+		await fs.promises.rm(pathToRepo, {recursive: true, force: true});
+		await git.init({fs, gitdir: pathToRepo, bare: true});
+		await git.addRemote({fs, gitdir: pathToRepo, remote: remoteName, url: httpsRemoteUrl});
+		await git.setConfig({fs, gitdir: pathToRepo, path: `remote.${remoteName}.fetch`, value: '+refs/heads/*:refs/heads/*'});
+		await git.setConfig({fs, gitdir: pathToRepo, path: `remote.${remoteName}.fetch`, value: '+refs/tags/*:refs/tags/*', append: true});
+		await git.setConfig({fs, gitdir: pathToRepo, path: `remote.${remoteName}.fetch`, value: '+refs/notes/*:refs/notes/*', append: true});
+		await git.fetch({fs, http, gitdir: pathToRepo, remote: remoteName, tags: true,
 			onAuth: () => ({ username: this.gitlabUserName, password: this.gitlabToken }),
 			onAuthFailure: () => {logger.error('Cant authenticate with GitLab');}
 		});
+		// a regular fetch only brings branches and tags, so notes are fetched one ref at a time
+		const remoteRefs = await this.listGitlabRefs(httpsRemoteUrl);
+		const notesRefs = Object.keys(remoteRefs).filter(ref => ref.startsWith('refs/notes/'));
+		for (const notesRef of notesRefs) {
+			await git.fetch({fs, http, gitdir: pathToRepo, remote: remoteName, ref: notesRef, singleBranch: true,
+				onAuth: () => ({ username: this.gitlabUserName, password: this.gitlabToken }),
+				onAuthFailure: () => {logger.error('Cant authenticate with GitLab');}
+			});
+		}
 	};
 
-	this.addRemote = function(repoPathOnLocal, remoteName, httpsRemoteUrl) {
-		return git.addRemote({fs, dir: repoPathOnLocal, remote: remoteName, url: httpsRemoteUrl});
+	this.addRemote = function(pathToRepo, remoteName, httpsRemoteUrl) {
+		return git.addRemote({fs, gitdir: pathToRepo, remote: remoteName, url: httpsRemoteUrl});
 	};
 
-	this.listBranches = async function(repoPathOnLocal, remoteName) {
-		const branches = await git.listBranches({fs, dir: repoPathOnLocal, remote: remoteName});
-		const filteredBranches = branches.filter(branch => branch !== 'HEAD');
-		for (const branch of filteredBranches) {
-			await git.checkout({fs, dir: repoPathOnLocal, ref: branch, remote: remoteName});
+	this.listRefs = async function(pathToRepo) {
+		const refs = {};
+		const branches = await git.listBranches({fs, gitdir: pathToRepo});
+		const tags = await git.listTags({fs, gitdir: pathToRepo});
+		const notes = await _listNotesRefs(pathToRepo);
+		const fullRefs = branches.map(branch => `refs/heads/${branch}`)
+			.concat(tags.map(tag => `refs/tags/${tag}`))
+			.concat(notes);
+		for (const fullRef of fullRefs) {
+			refs[fullRef] = await git.resolveRef({fs, gitdir: pathToRepo, ref: fullRef});
 		}
-		return filteredBranches;
+		return refs;
 	};
 
-	this.listTags = async function(repoPathOnLocal) {
-		return git.listTags({fs, dir: repoPathOnLocal});
+	this.listGitlabRefs = async function(httpsRemoteUrl) {
+		const info = await git.getRemoteInfo({ http, url: httpsRemoteUrl,
+			onAuth: () => ({ username: this.gitlabUserName, password: this.gitlabToken }),
+			onAuthFailure: () => {logger.error('Cant authenticate with GitLab');}
+		});
+		return _flattenRemoteRefs(info.refs);
 	};
 
-	this.push = function(repoPathOnLocal, remoteName, branchName) {
-		return git.push({fs, http, dir: repoPathOnLocal, remote: remoteName,
-			ref: branchName, onAuth: () => ({ username: this.githubToken }),
+	this.listGithubRefs = async function(httpsRemoteUrl) {
+		const info = await git.getRemoteInfo({ http, url: httpsRemoteUrl, forPush: true,
+			onAuth: () => ({ username: this.githubToken }),
 			onAuthFailure: () => {logger.error('Cant authenticate with GitHub');}
 		});
+		return _flattenRemoteRefs(info.refs);
+	};
+
+	this.isDescendent = function(pathToRepo, oid, ancestor) {
+		return git.isDescendent({fs, gitdir: pathToRepo, oid, ancestor})
+			.catch(() => false);
+	};
+
+	this.push = function(pathToRepo, remoteName, fullRef, options = {}) {
+		return git.push(Object.assign({fs, http, gitdir: pathToRepo, remote: remoteName,
+			ref: fullRef, remoteRef: fullRef, onAuth: () => ({ username: this.githubToken }),
+			onAuthFailure: () => {logger.error('Cant authenticate with GitHub');}
+		}, options));
+	};
+
+	this.deleteRemoteRef = function(pathToRepo, remoteName, fullRef) {
+		// isomorphic-git expands `ref` locally even when deleting, so point it at HEAD which always exists
+		return this.push(pathToRepo, remoteName, 'HEAD', {remoteRef: fullRef, delete: true});
+	};
+
+	this.listLfsPointers = async function(pathToRepo, refs) {
+		const pointers = {};
+		for (const ref of refs) {
+			for (const pointer of await _listLfsPointersAt(pathToRepo, ref)) {
+				pointers[pointer.oid] = pointer;
+			}
+		}
+		return Object.values(pointers);
+	};
+
+	this.listFiles = function(pathToRepo, ref) {
+		return _listBlobs(pathToRepo, ref);
+	};
+
+	this.readFiles = async function(pathToRepo, ref, filter) {
+		const files = {};
+		const blobs = await _listBlobs(pathToRepo, ref);
+		for (const blob of blobs.filter(blob => filter(blob.filepath))) {
+			files[blob.filepath] = await _readBlobAsText(pathToRepo, blob.oid);
+		}
+		return files;
+	};
+
+	this.commitFiles = async function(pathToRepo, ref, files, message, author) {
+		const parent = await git.resolveRef({fs, gitdir: pathToRepo, ref});
+		const tree = await _writeTreeWithFiles(pathToRepo, parent, files);
+		return git.commit({fs, gitdir: pathToRepo, ref, parent: [parent], tree, message, author});
+	};
+
+	this.commitTree = async function(pathToRepo, ref, files, message, author) {
+		const parent = await git.resolveRef({fs, gitdir: pathToRepo, ref});
+		const tree = await _writeTreeWithFiles(pathToRepo, undefined, files);
+		return git.commit({fs, gitdir: pathToRepo, ref, parent: [parent], tree, message, author});
+	};
+
+	var _writeTreeWithFiles = async function(pathToRepo, oid, files) {
+		const entries = oid === undefined ? [] : (await git.readTree({fs, gitdir: pathToRepo, oid})).tree;
+		const filesInSubtrees = {};
+		for (const [filepath, content] of Object.entries(files)) {
+			const [name, ...rest] = filepath.split('/');
+			if(rest.length > 0) {
+				filesInSubtrees[name] = Object.assign(filesInSubtrees[name] || {}, {[rest.join('/')]: content});
+				continue;
+			}
+			// a file is either new content or an {oid} of a blob already in the repo
+			const blobOid = typeof content === 'string' ? await git.writeBlob({fs, gitdir: pathToRepo, blob: Buffer.from(content, 'utf8')}) : content.oid;
+			_replaceEntry(entries, {mode: content.mode || '100644', path: name, oid: blobOid, type: 'blob'});
+		}
+		for (const [name, subtreeFiles] of Object.entries(filesInSubtrees)) {
+			const subtree = entries.find(entry => entry.path === name && entry.type === 'tree');
+			const subtreeOid = await _writeTreeWithFiles(pathToRepo, subtree && subtree.oid, subtreeFiles);
+			_replaceEntry(entries, {mode: '040000', path: name, oid: subtreeOid, type: 'tree'});
+		}
+		return git.writeTree({fs, gitdir: pathToRepo, tree: entries});
+	};
+
+	var _replaceEntry = function(entries, newEntry) {
+		const index = entries.findIndex(entry => entry.path === newEntry.path);
+		if(index === -1) {
+			entries.push(newEntry);
+		} else {
+			entries[index] = Object.assign({}, newEntry, {mode: entries[index].type === newEntry.type ? entries[index].mode : newEntry.mode});
+		}
+	};
+
+	var _listBlobs = function(pathToRepo, ref) {
+		return git.walk({fs, gitdir: pathToRepo, trees: [git.TREE({ref})],
+			map: async (filepath, [entry]) => {
+				if(await entry.type() !== 'blob') {
+					return undefined;
+				}
+				return {filepath, oid: await entry.oid()};
+			}
+		});
+	};
+
+	var _listLfsPointersAt = async function(pathToRepo, ref) {
+		const blobs = await _listBlobs(pathToRepo, ref);
+		const lfsPatterns = [];
+		for (const attributes of blobs.filter(blob => path.posix.basename(blob.filepath) === '.gitattributes')) {
+			const content = await _readBlobAsText(pathToRepo, attributes.oid);
+			lfsPatterns.push(..._parseLfsPatterns(path.posix.dirname(attributes.filepath), content));
+		}
+		const pointers = [];
+		for (const blob of blobs.filter(blob => _isTrackedByLfs(blob.filepath, lfsPatterns))) {
+			const pointer = _parseLfsPointer(await _readBlobAsText(pathToRepo, blob.oid));
+			if(pointer) {
+				pointers.push(pointer);
+			}
+		}
+		return pointers;
+	};
+
+	var _readBlobAsText = async function(pathToRepo, oid) {
+		const { blob } = await git.readBlob({fs, gitdir: pathToRepo, oid});
+		return Buffer.from(blob).toString('utf8');
+	};
+
+	var _parseLfsPatterns = function(directory, attributes) {
+		return attributes.split('\n')
+			.map(line => line.trim().split(/\s+/))
+			.filter(([pattern, ...attrs]) => pattern && !pattern.startsWith('#') && attrs.includes('filter=lfs'))
+			.map(([pattern]) => ({directory, pattern: pattern.replace(/^\//, ''), matchBase: !pattern.includes('/')}));
+	};
+
+	var _isTrackedByLfs = function(filepath, lfsPatterns) {
+		return lfsPatterns.some(({directory, pattern, matchBase}) => {
+			const relativePath = directory === '.' ? filepath : path.posix.relative(directory, filepath);
+			return !relativePath.startsWith('..') && minimatch(relativePath, pattern, {matchBase, dot: true});
+		});
+	};
+
+	var _parseLfsPointer = function(content) {
+		if(!content.startsWith(LFS_POINTER_VERSION)) {
+			return undefined;
+		}
+		const oid = content.match(/^oid sha256:([0-9a-f]{64})$/m);
+		const size = content.match(/^size (\d+)$/m);
+		if(!oid || !size) {
+			return undefined;
+		}
+		return {oid: oid[1], size: parseInt(size[1], 10)};
+	};
+
+	// notes refs can be nested, like refs/notes/review/approvals, so their directory is walked all the way down
+	var _listNotesRefs = async function(pathToRepo, directory = 'refs/notes') {
+		let entries;
+		try {
+			entries = await fs.promises.readdir(path.join(pathToRepo, directory), {withFileTypes: true});
+		} catch(error) {
+			return [];
+		}
+		const refs = [];
+		for (const entry of entries) {
+			const ref = `${directory}/${entry.name}`;
+			refs.push(...(entry.isDirectory() ? await _listNotesRefs(pathToRepo, ref) : [ref]));
+		}
+		return refs;
+	};
+
+	var _flattenRemoteRefs = function(remoteRefs = {}) {
+		let refs = {};
+		MIRRORED_REF_NAMESPACES.forEach((namespace) => {
+			Object.assign(refs, _flattenRefs(`refs/${namespace}`, remoteRefs[namespace]));
+		});
+		return refs;
+	};
+
+	var _flattenRefs = function(prefix, tree = {}) {
+		let refs = {};
+		Object.keys(tree).forEach((name) => {
+			if(name.endsWith('^{}')) {
+				return;
+			}
+			if(typeof tree[name] === 'object') {
+				Object.assign(refs, _flattenRefs(`${prefix}/${name}`, tree[name]));
+			} else {
+				refs[`${prefix}/${name}`] = tree[name];
+			}
+		});
+		return refs;
 	};
 }
 
-module.exports = GitClient;
\ No newline at end of file
+module.exports = GitClient;
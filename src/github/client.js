@@ -1,13 +1,18 @@
 const axios = require('axios').default;
+const sodium = require('libsodium-wrappers');
 const Repository = require('./model/repository.js');
 const logger = require('log4js').configure('./config/log4js.json').getLogger('GithubClient');
 
+// the API still names the read and write permissions after pull and push
+const API_PERMISSIONS = {read: 'pull', write: 'push'};
+const PAGE_SIZE = 100;
+
 function GithubClient(url, username, privateToken) {
 	this.url = url;
 	this.username = username;
 	this.privateToken = privateToken;
 
-	this.createRepo = function (repoName, isPrivate, orgName) {
+	this.createRepo = function (repoName, isPrivate, orgName, settings = {}) {
 		let path;
 		let owner;
 		if(orgName !== undefined) {
@@ -17,10 +22,10 @@ function GithubClient(url, username, privateToken) {
 			path = 'user/repos';
 			owner = this.username;
 		}
-		const data = {
+		const data = Object.assign({
 			'name': repoName,
 			'private': isPrivate
-		};
+		}, settings);
 		let params = this._getParams('POST', path);
 		params.data = data;
 
@@ -33,7 +38,7 @@ function GithubClient(url, username, privateToken) {
 				if(error.response === undefined) {
 					logger.error(error);
 					throw new Error(`Unable to create repo: ${repoName}`);
-				} else if(error.response.status === 422) {
+				} else if(_isNameTaken(error.response)) {
 					logger.warn(`Repository already exists with name: ${repoName}`);
 					return this.getRepo(owner, repoName);
 				} else {
@@ -61,6 +66,55 @@ function GithubClient(url, username, privateToken) {
 			});
 	};
 
+	this.findRepo = function(owner, repoName) {
+		const path = `repos/${owner}/${repoName}`;
+		let params = this._getParams('GET', path);
+
+		return axios(params)
+			.then(response => {
+				return new Repository(response.data.name, response.data.clone_url,
+					response.data.delete_branch_on_merge, response.data.default_branch);
+			}).catch((error) => {
+				if(error.response !== undefined && error.response.status === 404) {
+					return undefined;
+				}
+				logger.error(error);
+				throw new Error(`Unable to find repo with name ${repoName}`);
+			});
+	};
+
+	this.getCommit = function(owner, repoName, sha) {
+		const path = `repos/${owner}/${repoName}/commits/${sha}`;
+		let params = this._getParams('GET', path);
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error fetching commit %s of %s: %s', sha, repoName, error.message);
+				throw new Error(`Unable to fetch commit ${sha} of ${repoName}`);
+			});
+	};
+
+	this.replaceTopics = function(owner, repoName, topics) {
+		const path = `repos/${owner}/${repoName}/topics`;
+		const data = {
+			'names': topics
+		};
+		let params = this._getParams('PUT', path);
+		params.data = data;
+		// Using a custom media header for Accept as topics are in preview. For details, check here https://developer.github.com/v3/repos/#replace-all-repository-topics
+		params.headers.Accept = 'application/vnd.github.mercy-preview+json';
+
+		return axios(params)
+			.then(response => {
+				logger.info(`Topics of ${repoName} set to ${topics.join(', ')}`);
+				return response.data.names;
+			}).catch((error) => {
+				logger.error('Error setting topics of %s: %s', repoName, error.message);
+				throw new Error(`Unable to set topics of ${repoName}`);
+			});
+	};
+
 	this.configureBranchProtectionRule = function (owner, repoName, branchName, rules) {
 		logger.info('Configuring branch protection rule on %s', repoName);
 		const path = `repos/${owner}/${repoName}/branches/${branchName}/protection`;
@@ -69,12 +123,14 @@ function GithubClient(url, username, privateToken) {
 				'strict': true,
 				'contexts': rules.required_status_checks_contexts
 			},
-			'required_pull_request_reviews': {
+			'required_pull_request_reviews': rules.require_pull_request ? {
 				'required_approving_review_count': rules.required_approving_review_count,
-				'dismiss_stale_reviews': rules.dismiss_stale_reviews
-			},
+				'dismiss_stale_reviews': rules.dismiss_stale_reviews,
+				'require_code_owner_reviews': rules.require_code_owner_reviews
+			} : null,
 			'enforce_admins': rules.enforce_admins,
-			'restrictions': null
+			'restrictions': null,
+			'allow_force_pushes': rules.allow_force_pushes
 		};
 		let params = this._getParams('PUT', path);
 		params.data = data;
@@ -115,6 +171,22 @@ function GithubClient(url, username, privateToken) {
 			});
 	};
 
+	this.archiveRepo = function(owner, repoName) {
+		logger.info('Archiving %s', repoName);
+		const path = `repos/${owner}/${repoName}`;
+		let params = this._getParams('PATCH', path);
+		params.data = {'archived': true};
+
+		return axios(params)
+			.then(response => {
+				return new Repository(response.data.name, response.data.clone_url,
+					response.data.delete_branch_on_merge, response.data.default_branch);
+			}).catch((error) => {
+				logger.error('Error archiving %s: %s', repoName, error.message);
+				throw new Error(`Unable to archive repo ${repoName}`);
+			});
+	};
+
 	this.updateDefaultBranch = function(owner, repoName, defaultBranchName) {
 		const path = `repos/${owner}/${repoName}`;
 		const data = {
@@ -141,7 +213,7 @@ function GithubClient(url, username, privateToken) {
 			'config': {
 				'url': webhookConfig.payloadUrl,
 				'content_type': 'json',
-				'insecure_ssl': '0',
+				'insecure_ssl': webhookConfig.insecureSsl ? '1' : '0',
 				'secret': webhookConfig.secret
 			}
 		};
@@ -159,6 +231,369 @@ function GithubClient(url, username, privateToken) {
 			});
 	};
 
+	this.getWebhooks = function(owner, repoName) {
+		const path = `repos/${owner}/${repoName}/hooks?per_page=${PAGE_SIZE}`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error fetching webhooks of %s: %s', repoName, error.message);
+				throw new Error(`Unable to fetch webhooks of ${repoName}`);
+			});
+	};
+
+	this.createLabel = function(owner, repoName, label) {
+		const path = `repos/${owner}/${repoName}/labels`;
+		let params = this._getParams('POST', path);
+		params.data = label;
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				if(error.response !== undefined && error.response.status === 422) {
+					logger.debug(`Label ${label.name} already exists on ${repoName}`);
+					return undefined;
+				}
+				logger.error('Error creating label %s on %s: %s', label.name, repoName, error.message);
+				throw new Error(`Unable to create label ${label.name} on ${repoName}`);
+			});
+	};
+
+	this.getMilestones = function(owner, repoName) {
+		const path = `repos/${owner}/${repoName}/milestones?state=all&per_page=${PAGE_SIZE}`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error fetching milestones of %s: %s', repoName, error.message);
+				throw new Error(`Unable to fetch milestones of ${repoName}`);
+			});
+	};
+
+	this.createMilestone = function(owner, repoName, milestone) {
+		const path = `repos/${owner}/${repoName}/milestones`;
+		let params = this._getParams('POST', path);
+		params.data = milestone;
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error creating milestone %s on %s: %s', milestone.title, repoName, error.message);
+				throw new Error(`Unable to create milestone ${milestone.title} on ${repoName}`);
+			});
+	};
+
+	this.getIssues = function(owner, repoName) {
+		// pull requests are listed along with the issues
+		const path = `repos/${owner}/${repoName}/issues?state=all&per_page=${PAGE_SIZE}`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error fetching issues of %s: %s', repoName, error.message);
+				throw new Error(`Unable to fetch issues of ${repoName}`);
+			});
+	};
+
+	this.createIssue = function(owner, repoName, issue) {
+		const path = `repos/${owner}/${repoName}/issues`;
+		let params = this._getParams('POST', path);
+		params.data = issue;
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error creating issue %s on %s: %s', issue.title, repoName, error.message);
+				throw new Error(`Unable to create issue ${issue.title} on ${repoName}`);
+			});
+	};
+
+	this.updateIssue = function(owner, repoName, issueNumber, data) {
+		const path = `repos/${owner}/${repoName}/issues/${issueNumber}`;
+		let params = this._getParams('PATCH', path);
+		params.data = data;
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error updating issue #%s on %s: %s', issueNumber, repoName, error.message);
+				throw new Error(`Unable to update issue #${issueNumber} on ${repoName}`);
+			});
+	};
+
+	this.createIssueComment = function(owner, repoName, issueNumber, body) {
+		const path = `repos/${owner}/${repoName}/issues/${issueNumber}/comments`;
+		let params = this._getParams('POST', path);
+		params.data = {
+			'body': body
+		};
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error commenting on issue #%s on %s: %s', issueNumber, repoName, error.message);
+				throw new Error(`Unable to comment on issue #${issueNumber} on ${repoName}`);
+			});
+	};
+
+	this.createPullRequest = function(owner, repoName, pullRequest) {
+		const path = `repos/${owner}/${repoName}/pulls`;
+		let params = this._getParams('POST', path);
+		params.data = pullRequest;
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error creating pull request %s on %s: %s', pullRequest.title, repoName, error.message);
+				if(error.response !== undefined && error.response.status === 422) {
+					throw new Error(`Unable to create pull request ${pullRequest.title} on ${repoName}, it may already exist`);
+				}
+				throw new Error(`Unable to create pull request ${pullRequest.title} on ${repoName}`);
+			});
+	};
+
+	this.createRelease = function(owner, repoName, release) {
+		const path = `repos/${owner}/${repoName}/releases`;
+		let params = this._getParams('POST', path);
+		params.data = release;
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error creating release %s on %s: %s', release.tag_name, repoName, error.message);
+				if(error.response !== undefined && error.response.status === 422) {
+					throw new Error(`Unable to create release ${release.tag_name} on ${repoName}, it may already exist`);
+				}
+				throw new Error(`Unable to create release ${release.tag_name} on ${repoName}`);
+			});
+	};
+
+	this.updateRelease = function(owner, repoName, releaseId, data) {
+		const path = `repos/${owner}/${repoName}/releases/${releaseId}`;
+		let params = this._getParams('PATCH', path);
+		params.data = data;
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error updating release %s on %s: %s', releaseId, repoName, error.message);
+				throw new Error(`Unable to update release ${releaseId} on ${repoName}`);
+			});
+	};
+
+	this.uploadReleaseAsset = function(release, name, content) {
+		let params = this._getParams('POST', '');
+		// upload_url is a URI template like https://uploads.github.com/repos/owner/repo/releases/1/assets{?name,label}
+		params.url = `${release.upload_url.replace(/\{.*\}$/, '')}?name=${encodeURIComponent(name)}`;
+		params.headers['Content-Type'] = 'application/octet-stream';
+		params.data = content;
+		params.maxBodyLength = Infinity;
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error uploading asset %s to release %s: %s', name, release.tag_name, error.message);
+				throw new Error(`Unable to upload asset ${name} to release ${release.tag_name}`);
+			});
+	};
+
+	this.addCollaborator = function(owner, repoName, login, permission) {
+		const path = `repos/${owner}/${repoName}/collaborators/${login}`;
+		let params = this._getParams('PUT', path);
+		params.data = {'permission': API_PERMISSIONS[permission] || permission};
+
+		return axios(params)
+			.then(response => {
+				// GitHub invites users who are not members of the org yet, and answers 204 when nothing changed
+				return response.status === 201 ? 'invited' : 'added';
+			}).catch((error) => {
+				logger.error('Error adding collaborator %s to %s: %s', login, repoName, error.message);
+				throw new Error(`Unable to add collaborator ${login} to ${repoName}`);
+			});
+	};
+
+	this.addTeamRepo = function(orgName, teamSlug, repoName, permission) {
+		const path = `orgs/${orgName}/teams/${teamSlug}/repos/${orgName}/${repoName}`;
+		let params = this._getParams('PUT', path);
+		params.data = {'permission': API_PERMISSIONS[permission] || permission};
+
+		return axios(params)
+			.then(() => teamSlug)
+			.catch((error) => {
+				logger.error('Error granting team %s access to %s: %s', teamSlug, repoName, error.message);
+				if(error.response !== undefined && error.response.status === 404) {
+					throw new Error(`Unable to grant team ${teamSlug} access to ${repoName}, the team may not exist`);
+				}
+				throw new Error(`Unable to grant team ${teamSlug} access to ${repoName}`);
+			});
+	};
+
+	this.findTeam = function(orgName, teamSlug) {
+		const path = `orgs/${orgName}/teams/${teamSlug}`;
+		let params = this._getParams('GET', path);
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				if(error.response !== undefined && error.response.status === 404) {
+					return undefined;
+				}
+				logger.error(error);
+				throw new Error(`Unable to find team with slug ${teamSlug}`);
+			});
+	};
+
+	this.createTeam = function(orgName, team) {
+		const path = `orgs/${orgName}/teams`;
+		let params = this._getParams('POST', path);
+		params.data = team;
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error creating team %s: %s', team.name, error.message);
+				throw new Error(`Unable to create team ${team.name}`);
+			});
+	};
+
+	this.addTeamMember = function(orgName, teamSlug, login, role) {
+		const path = `orgs/${orgName}/teams/${teamSlug}/memberships/${login}`;
+		let params = this._getParams('PUT', path);
+		params.data = {role};
+
+		return axios(params)
+			.then(response => {
+				// users who are not members of the org yet are invited and stay pending until they accept
+				return response.data.state === 'pending' ? 'invited' : 'added';
+			}).catch((error) => {
+				logger.error('Error adding %s to team %s: %s', login, teamSlug, error.message);
+				throw new Error(`Unable to add ${login} to team ${teamSlug}`);
+			});
+	};
+
+	this.findRepoId = function(owner, repoName) {
+		const path = `repos/${owner}/${repoName}`;
+		let params = this._getParams('GET', path);
+
+		return axios(params)
+			.then(response => response.data.id)
+			.catch((error) => {
+				if(error.response !== undefined && error.response.status === 404) {
+					return undefined;
+				}
+				logger.error(error);
+				throw new Error(`Unable to find repo with name ${repoName}`);
+			});
+	};
+
+	this.getDeployKeys = function(owner, repoName) {
+		const path = `repos/${owner}/${repoName}/keys?per_page=${PAGE_SIZE}`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error fetching deploy keys of %s: %s', repoName, error.message);
+				throw new Error(`Unable to fetch deploy keys of ${repoName}`);
+			});
+	};
+
+	this.createDeployKey = function(owner, repoName, deployKey) {
+		const path = `repos/${owner}/${repoName}/keys`;
+		let params = this._getParams('POST', path);
+		params.data = deployKey;
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error adding deploy key %s to %s: %s', deployKey.title, repoName, error.message);
+				// GitHub answers 422 when the key is in use on another repo or by a user
+				if(error.response !== undefined && error.response.status === 422) {
+					throw new Error(`Unable to add deploy key ${deployKey.title} to ${repoName}, the key is already in use on GitHub`);
+				}
+				throw new Error(`Unable to add deploy key ${deployKey.title} to ${repoName}`);
+			});
+	};
+
+	this.getEnvironments = function(owner, repoName) {
+		const path = `repos/${owner}/${repoName}/environments?per_page=${PAGE_SIZE}`;
+
+		// unlike the other lists, the environments come wrapped in an object with their total count
+		return _getAllPages(path, data => data.environments)
+			.then(environments => environments.map(environment => environment.name))
+			.catch((error) => {
+				logger.error('Error fetching environments of %s: %s', repoName, error.message);
+				throw new Error(`Unable to fetch environments of ${repoName}`);
+			});
+	};
+
+	// scope is the API path owning the secrets and variables, like repos/owner/repo/actions,
+	// repos/owner/repo/environments/production or orgs/org/actions
+	this.getActionsPublicKey = function(scope) {
+		const path = `${scope}/secrets/public-key`;
+		let params = this._getParams('GET', path);
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error fetching public key of %s: %s', scope, error.message);
+				throw new Error(`Unable to fetch public key of ${scope}`);
+			});
+	};
+
+	this.putActionsSecret = async function(scope, name, value, publicKey, settings = {}) {
+		const path = `${scope}/secrets/${name}`;
+		let params = this._getParams('PUT', path);
+		params.data = Object.assign({
+			'encrypted_value': await _encrypt(publicKey.key, value),
+			'key_id': publicKey.key_id
+		}, settings);
+
+		return axios(params)
+			.then(() => name)
+			.catch((error) => {
+				logger.error('Error creating secret %s in %s: %s', name, scope, error.message);
+				throw new Error(`Unable to create secret ${name} in ${scope}`);
+			});
+	};
+
+	this.putActionsVariable = function(scope, name, value, settings = {}) {
+		const data = Object.assign({'name': name, 'value': value}, settings);
+		let params = this._getParams('POST', `${scope}/variables`);
+		params.data = data;
+
+		return axios(params)
+			.catch((error) => {
+				// variables are created and updated through different endpoints
+				if(error.response !== undefined && error.response.status === 409) {
+					let updateParams = this._getParams('PATCH', `${scope}/variables/${name}`);
+					updateParams.data = data;
+					return axios(updateParams);
+				}
+				throw error;
+			})
+			.then(() => name)
+			.catch((error) => {
+				logger.error('Error creating variable %s in %s: %s', name, scope, error.message);
+				throw new Error(`Unable to create variable ${name} in ${scope}`);
+			});
+	};
+
+	var _isNameTaken = function(response) {
+		// GitHub also answers 422 to other invalid settings, which must not be mistaken for an existing repo
+		const errors = (response.data && response.data.errors) || [];
+		return response.status === 422 && errors.some(error => /already exists/.test(error.message));
+	};
+
+	var _getAllPages = async (path, itemsOf = data => data, page = 1) => {
+		const response = await axios(this._getParams('GET', `${path}&page=${page}`));
+		const items = itemsOf(response.data);
+		// a page short of the page size is the last one
+		return items.length < PAGE_SIZE ? items : items.concat(await _getAllPages(path, itemsOf, page + 1));
+	};
+
+	var _encrypt = async function(publicKey, value) {
+		// GitHub only accepts secrets sealed with the public key of the repo, environment or org
+		await sodium.ready;
+		const sealed = sodium.crypto_box_seal(sodium.from_string(value), sodium.from_base64(publicKey, sodium.base64_variants.ORIGINAL));
+		return sodium.to_base64(sealed, sodium.base64_variants.ORIGINAL);
+	};
+
 	this._getParams = function (method, path) {
 		return {
 			url: `https://${this.url}/${path}`,
@@ -1,3 +1,4 @@
+const _ = require('lodash');
 const logger = require('log4js').configure('./config/log4js.json').getLogger('BranchProtectionRule');
 
 function BranchProtectionRule(rules) {
@@ -7,9 +8,12 @@ function BranchProtectionRule(rules) {
 	}
 	//TODO: validate - like approve count should be between 1 and 6 etc
 	this.required_status_checks_contexts = rules.required_status_checks_contexts || [];
-	this.required_approving_review_count = rules.required_approving_review_count || 1;
-	this.dismiss_stale_reviews = rules.dismiss_stale_reviews || true;
-	this.enforce_admins = rules.enforce_admins || true;
+	this.required_approving_review_count = _.defaultTo(rules.required_approving_review_count, 1);
+	this.dismiss_stale_reviews = _.defaultTo(rules.dismiss_stale_reviews, true);
+	this.enforce_admins = _.defaultTo(rules.enforce_admins, true);
+	this.require_pull_request = _.defaultTo(rules.require_pull_request, true);
+	this.require_code_owner_reviews = _.defaultTo(rules.require_code_owner_reviews, false);
+	this.allow_force_pushes = _.defaultTo(rules.allow_force_pushes, false);
 }
 
-module.exports = BranchProtectionRule;
\ No newline at end of file
+module.exports = BranchProtectionRule;
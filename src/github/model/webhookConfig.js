@@ -1,4 +1,4 @@
-function WebhookConfig(repoName, secret, events, payloadUrl){
+function WebhookConfig(repoName, secret, events, payloadUrl, insecureSsl = false){
 	if(events === null || events === undefined || !Array.isArray(events) || events.length == 0) {
 		throw new Error(`No events found for ${repoName}`);
 	}
@@ -9,6 +9,7 @@ function WebhookConfig(repoName, secret, events, payloadUrl){
 	this.secret = secret;
 	this.events = events;
 	this.payloadUrl = payloadUrl;
+	this.insecureSsl = insecureSsl;
 }
 
 module.exports = WebhookConfig;
\ No newline at end of file
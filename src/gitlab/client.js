@@ -3,6 +3,8 @@ const Group = require('./model/group.js');
 const Subgroup = require('./model/subgroup.js');
 const logger = require('log4js').configure('./config/log4js.json').getLogger('GitlabClient');
 
+const PAGE_SIZE = 100;
+
 function GitlabClient(url, privateToken) {
 	this.url = url;
 	this.privateToken = privateToken;
@@ -85,6 +87,280 @@ function GitlabClient(url, privateToken) {
 			});
 	};
 
+	this.updateProject = function(projectPath, settings) {
+		const path = `projects/${encodeURIComponent(projectPath)}`;
+		const params = this._getParams('PUT', path);
+		params.data = settings;
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error while updating project %s: %s', projectPath, error.message);
+				throw new Error(`Error while updating project ${projectPath}`);
+			});
+	};
+
+	this.writeFile = function(projectPath, branch, filePath, content, commitMessage) {
+		const path = `projects/${encodeURIComponent(projectPath)}/repository/files/${encodeURIComponent(filePath)}`;
+		const data = {branch, content, commit_message: commitMessage};
+		const createParams = this._getParams('POST', path);
+		createParams.data = data;
+
+		return axios(createParams)
+			.catch((error) => {
+				// GitLab refuses to create a file which exists already, so it is updated instead
+				if(error.response && error.response.status === 400) {
+					const updateParams = this._getParams('PUT', path);
+					updateParams.data = data;
+					return axios(updateParams);
+				}
+				throw error;
+			})
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error while writing %s to branch %s of project %s: %s', filePath, branch, projectPath, error.message);
+				throw new Error(`Error while writing ${filePath} to branch ${branch} of project ${projectPath}`);
+			});
+	};
+
+	this.getLabels = function(projectPath) {
+		const path = `projects/${encodeURIComponent(projectPath)}/labels`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching labels of project %s: %s', projectPath, error.message);
+				throw new Error(`Error while fetching labels of project ${projectPath}`);
+			});
+	};
+
+	this.getMilestones = function(projectPath) {
+		const path = `projects/${encodeURIComponent(projectPath)}/milestones`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching milestones of project %s: %s', projectPath, error.message);
+				throw new Error(`Error while fetching milestones of project ${projectPath}`);
+			});
+	};
+
+	this.getIssues = function(projectPath) {
+		const path = `projects/${encodeURIComponent(projectPath)}/issues?scope=all&order_by=created_at&sort=asc`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching issues of project %s: %s', projectPath, error.message);
+				throw new Error(`Error while fetching issues of project ${projectPath}`);
+			});
+	};
+
+	this.getIssueNotes = function(projectPath, issueIid) {
+		const path = `projects/${encodeURIComponent(projectPath)}/issues/${issueIid}/notes?order_by=created_at&sort=asc`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching notes of issue %s of project %s: %s', issueIid, projectPath, error.message);
+				throw new Error(`Error while fetching notes of issue ${issueIid} of project ${projectPath}`);
+			});
+	};
+
+	this.getOpenMergeRequests = function(projectPath) {
+		const path = `projects/${encodeURIComponent(projectPath)}/merge_requests?state=opened&order_by=created_at&sort=asc`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching merge requests of project %s: %s', projectPath, error.message);
+				throw new Error(`Error while fetching merge requests of project ${projectPath}`);
+			});
+	};
+
+	this.getMergeRequestDiscussions = function(projectPath, mergeRequestIid) {
+		const path = `projects/${encodeURIComponent(projectPath)}/merge_requests/${mergeRequestIid}/discussions`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching discussions of merge request %s of project %s: %s', mergeRequestIid, projectPath, error.message);
+				throw new Error(`Error while fetching discussions of merge request ${mergeRequestIid} of project ${projectPath}`);
+			});
+	};
+
+	this.getReleases = function(projectPath) {
+		const path = `projects/${encodeURIComponent(projectPath)}/releases?order_by=released_at&sort=asc`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching releases of project %s: %s', projectPath, error.message);
+				throw new Error(`Error while fetching releases of project ${projectPath}`);
+			});
+	};
+
+	this.getProtectedBranches = function(projectPath) {
+		const path = `projects/${encodeURIComponent(projectPath)}/protected_branches`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching protected branches of project %s: %s', projectPath, error.message);
+				throw new Error(`Error while fetching protected branches of project ${projectPath}`);
+			});
+	};
+
+	this.protectBranch = function(projectPath, protection) {
+		const path = `projects/${encodeURIComponent(projectPath)}/protected_branches`;
+		const params = this._getParams('POST', path);
+		params.data = protection;
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error while protecting branch %s of project %s: %s', protection.name, projectPath, error.message);
+				throw new Error(`Error while protecting branch ${protection.name} of project ${projectPath}`);
+			});
+	};
+
+	this.unprotectBranch = function(projectPath, branchName) {
+		const path = `projects/${encodeURIComponent(projectPath)}/protected_branches/${encodeURIComponent(branchName)}`;
+		const params = this._getParams('DELETE', path);
+
+		return axios(params)
+			.catch((error) => {
+				logger.error('Error while unprotecting branch %s of project %s: %s', branchName, projectPath, error.message);
+				throw new Error(`Error while unprotecting branch ${branchName} of project ${projectPath}`);
+			});
+	};
+
+	this.getApprovalRules = function(projectPath) {
+		const path = `projects/${encodeURIComponent(projectPath)}/approval_rules`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				if(_isUnlicensed(error)) {
+					return [];
+				}
+				logger.error('Error while fetching approval rules of project %s: %s', projectPath, error.message);
+				throw new Error(`Error while fetching approval rules of project ${projectPath}`);
+			});
+	};
+
+	this.getApprovalSettings = function(projectPath) {
+		const path = `projects/${encodeURIComponent(projectPath)}/approvals`;
+		const params = this._getParams('GET', path);
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				if(_isUnlicensed(error)) {
+					return {};
+				}
+				logger.error('Error while fetching approval settings of project %s: %s', projectPath, error.message);
+				throw new Error(`Error while fetching approval settings of project ${projectPath}`);
+			});
+	};
+
+	this.getProjectMembers = function(projectPath) {
+		// members/all includes the members inherited from the groups above the project
+		const path = `projects/${encodeURIComponent(projectPath)}/members/all`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching members of project %s: %s', projectPath, error.message);
+				throw new Error(`Error while fetching members of project ${projectPath}`);
+			});
+	};
+
+	this.getDescendantGroups = function(groupPath) {
+		const path = `groups/${encodeURIComponent(groupPath)}/descendant_groups`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching descendant groups of group %s: %s', groupPath, error.message);
+				throw new Error(`Error while fetching descendant groups of group ${groupPath}`);
+			});
+	};
+
+	this.getGroupMembers = function(groupPath) {
+		const path = `groups/${encodeURIComponent(groupPath)}/members/all`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching members of group %s: %s', groupPath, error.message);
+				throw new Error(`Error while fetching members of group ${groupPath}`);
+			});
+	};
+
+	this.getDeployKeys = function(projectPath) {
+		const path = `projects/${encodeURIComponent(projectPath)}/deploy_keys`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching deploy keys of project %s: %s', projectPath, error.message);
+				throw new Error(`Error while fetching deploy keys of project ${projectPath}`);
+			});
+	};
+
+	this.getProjectHooks = function(projectPath) {
+		const path = `projects/${encodeURIComponent(projectPath)}/hooks`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching hooks of project %s: %s', projectPath, error.message);
+				throw new Error(`Error while fetching hooks of project ${projectPath}`);
+			});
+	};
+
+	this.getProjectVariables = function(projectPath) {
+		const path = `projects/${encodeURIComponent(projectPath)}/variables`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching variables of project %s: %s', projectPath, error.message);
+				throw new Error(`Error while fetching variables of project ${projectPath}`);
+			});
+	};
+
+	this.getGroupVariables = function(groupPath) {
+		const path = `groups/${encodeURIComponent(groupPath)}/variables`;
+
+		return _getAllPages(path)
+			.catch((error) => {
+				logger.error('Error while fetching variables of group %s: %s', groupPath, error.message);
+				throw new Error(`Error while fetching variables of group ${groupPath}`);
+			});
+	};
+
+	this.downloadFile = function(fileUrl) {
+		const params = {
+			url: fileUrl,
+			method: 'GET',
+			responseType: 'arraybuffer',
+			headers: {
+				'User-Agent': 'gl2gh'
+			}
+		};
+		// release links may point anywhere, and the token must only ever be sent to GitLab
+		if(new URL(fileUrl).host === this.url) {
+			params.headers['Private-Token'] = this.privateToken;
+		}
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error while downloading %s: %s', fileUrl, error.message);
+				throw new Error(`Error while downloading ${fileUrl}`);
+			});
+	};
+
+	// approvals are a paid feature, which GitLab reports as missing or forbidden on other tiers
+	var _isUnlicensed = function(error) {
+		return error.response !== undefined && (error.response.status === 403 || error.response.status === 404);
+	};
+
+	var _getAllPages = async (path, page = 1) => {
+		const separator = path.includes('?') ? '&' : '?';
+		const response = await axios(this._getParams('GET', `${path}${separator}per_page=${PAGE_SIZE}&page=${page}`));
+		// GitLab leaves x-next-page empty on the last page
+		const nextPage = response.headers['x-next-page'];
+		return nextPage ? response.data.concat(await _getAllPages(path, nextPage)) : response.data;
+	};
+
 	this._getParams = function (method, path) {
 		return {
 			url: `https://${this.url}/api/v4/${path}`,
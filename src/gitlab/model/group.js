@@ -5,11 +5,11 @@ function Group(options) {
 }
 
 Group.prototype.getProjects = function () {
-	return this.body.projects.map(project => new Project(project.name, project.description, project.http_url_to_repo));
+	return this.body.projects.map(project => new Project(project.name, project.description, project.http_url_to_repo, project.default_branch, project.path_with_namespace, project));
 };
 
 Group.prototype.getSharedProjects = function () {
-	return this.body.shared_projects.map(project => new Project(project.name, project.description, project.http_url_to_repo));
+	return this.body.shared_projects.map(project => new Project(project.name, project.description, project.http_url_to_repo, project.default_branch, project.path_with_namespace, project));
 };
 
 module.exports = Group;
\ No newline at end of file
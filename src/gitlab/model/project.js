@@ -1,7 +1,17 @@
-function Project(name, description, http_url_to_repo) {
+function Project(name, description, http_url_to_repo, default_branch, path_with_namespace, settings = {}) {
 	this.name = name;
 	this.description = description;
 	this.http_url_to_repo = http_url_to_repo;
+	this.default_branch = default_branch;
+	this.path_with_namespace = path_with_namespace;
+	this.web_url = settings.web_url;
+	this.visibility = settings.visibility;
+	// GitLab renamed tag_list to topics in 14.0
+	this.topics = settings.topics || settings.tag_list || [];
+	this.issues_enabled = settings.issues_enabled;
+	this.wiki_enabled = settings.wiki_enabled;
+	this.shared_with_groups = settings.shared_with_groups || [];
+	this.archived = settings.archived || false;
 }
 
 Project.prototype.startsWith = function(namePrefix) {
@@ -9,7 +19,8 @@ Project.prototype.startsWith = function(namePrefix) {
 };
 
 Project.prototype.toString = function() {
-	return `${this.name}, ${this.description}, ${this.http_url_to_repo}`;
+	const projectString = `${this.name}, ${this.description}, ${this.http_url_to_repo}`;
+	return this.archived ? `${projectString}, archived` : projectString;
 };
 
 module.exports = Project;
\ No newline at end of file
@@ -0,0 +1,63 @@
+function IssueFormatter(projectWebUrl, userMapper) {
+	this.projectWebUrl = projectWebUrl;
+	this.userMapper = userMapper;
+
+	this.issueBody = function(issue) {
+		const header = [`${_originOf(issue)} on GitLab, opened by ${this.userFor(issue.author)} on ${issue.created_at}`];
+		if(issue.closed_at) {
+			header.push(`Closed${issue.closed_by ? ` by ${this.userFor(issue.closed_by)}` : ''} on ${issue.closed_at}`);
+		}
+		const unmappedAssignees = (issue.assignees || []).filter(user => this.userMapper.githubLoginFor(user.username) === undefined);
+		if(unmappedAssignees.length > 0) {
+			header.push(`Assigned on GitLab to ${unmappedAssignees.map(user => this.userFor(user)).join(', ')}`);
+		}
+		return _withHeader(header, issue.description);
+	};
+
+	// an issue copied by an earlier run starts with the link to its GitLab issue
+	this.isCopyOf = function(githubIssue, issue) {
+		return (githubIssue.body || '').startsWith(`> ${_originOf(issue)} `);
+	};
+
+	this.mergeRequestBody = function(mergeRequest) {
+		return _withHeader([`Migrated from [!${mergeRequest.iid}](${mergeRequest.web_url}) on GitLab, opened by ${this.userFor(mergeRequest.author)} on ${mergeRequest.created_at}`], mergeRequest.description);
+	};
+
+	this.discussionBody = function(notes, githubRepoUrl) {
+		const bodies = notes.map(note => this.noteBody(note));
+		const position = notes[0].position;
+		if(position) {
+			// a line only exists in the old version of the file when it was removed
+			const [filepath, line, sha] = position.new_line ? [position.new_path, position.new_line, position.head_sha] : [position.old_path, position.old_line, position.base_sha];
+			const location = line ? `${filepath} line ${line}` : filepath;
+			bodies.unshift(`> Thread on [${location}](${githubRepoUrl}/blob/${sha}/${filepath}${line ? `#L${line}` : ''})`);
+		}
+		return bodies.join('\n\n');
+	};
+
+	this.noteBody = function(note) {
+		return _withHeader([`Comment by ${this.userFor(note.author)} on ${note.created_at}`], note.body);
+	};
+
+	this.userFor = function(user) {
+		const login = this.userMapper.githubLoginFor(user.username);
+		// unmapped users link to their GitLab profile rather than mentioning whoever has the name on GitHub
+		return login === undefined ? `[${user.username}](${user.web_url})` : `@${login}`;
+	};
+
+	var _originOf = (issue) => {
+		return `Migrated from [#${issue.iid}](${issue.web_url})`;
+	};
+
+	var _withHeader = (header, content) => {
+		const quotedHeader = header.map(line => `> ${line}`).join('\n');
+		return content ? `${quotedHeader}\n\n${_rewriteUploads(content)}` : quotedHeader;
+	};
+
+	var _rewriteUploads = (content) => {
+		// attachments stay on GitLab, and their links are relative to the project
+		return content.replace(/(\]\()\/uploads\//g, `$1${this.projectWebUrl}/uploads/`);
+	};
+}
+
+module.exports = IssueFormatter;
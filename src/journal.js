@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+
+const Repository = require('./github/model/repository.js');
+
+function Journal(filePath, projects = {}) {
+	this.filePath = filePath;
+	this.projects = projects;
+
+	this.getCreatedRepo = function(project) {
+		const repository = _entryFor(project).repository;
+		if(repository === undefined) {
+			return undefined;
+		}
+		return new Repository(repository.name, repository.clone_url, repository.delete_branch_on_merge, repository.default_branch);
+	};
+
+	this.recordRepoCreated = function(project, githubRepository) {
+		_entryFor(project).repository = githubRepository;
+		this.save();
+	};
+
+	this.recordCloned = function(project) {
+		_entryFor(project).cloned = true;
+		this.save();
+	};
+
+	this.isRefPushed = function(project, ref, sha) {
+		return _entryFor(project).refs[ref] === sha;
+	};
+
+	this.recordRefPushed = function(project, ref, sha) {
+		const entry = _entryFor(project);
+		entry.refs[ref] = sha;
+		if(entry.failedRefs !== undefined) {
+			delete entry.failedRefs[ref];
+		}
+		this.save();
+	};
+
+	this.recordRefFailed = function(project, ref, error) {
+		const entry = _entryFor(project);
+		entry.failedRefs = Object.assign({}, entry.failedRefs, {[ref]: error.message});
+		this.save();
+	};
+
+	this.getFailedRefs = function(project) {
+		return Object.keys(_entryFor(project).failedRefs || {});
+	};
+
+	this.isLfsPending = function(project) {
+		return _entryFor(project).lfsPending === true;
+	};
+
+	this.recordLfsPending = function(project) {
+		_entryFor(project).lfsPending = true;
+		this.save();
+	};
+
+	this.recordLfsCopied = function(project) {
+		delete _entryFor(project).lfsPending;
+		this.save();
+	};
+
+	this.isDefaultBranchSet = function(project) {
+		return _entryFor(project).defaultBranchSet === true;
+	};
+
+	this.recordDefaultBranchSet = function(project) {
+		const entry = _entryFor(project);
+		entry.defaultBranchSet = true;
+		delete entry.error;
+		this.save();
+	};
+
+	this.recordFailure = function(project, error) {
+		_entryFor(project).error = error.message;
+		this.save();
+	};
+
+	this.save = function() {
+		fs.mkdirSync(path.dirname(this.filePath), {recursive: true});
+		fs.writeFileSync(this.filePath, JSON.stringify({projects: this.projects}, null, 2));
+	};
+
+	var _entryFor = (project) => {
+		const key = project.http_url_to_repo;
+		if(this.projects[key] === undefined) {
+			this.projects[key] = {name: project.name, refs: {}};
+		}
+		return this.projects[key];
+	};
+}
+
+Journal.load = function(filePath) {
+	let content;
+	try {
+		content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+	} catch(error) {
+		throw new Error(`Unable to read journal ${filePath}: ${error.message}`);
+	}
+	return new Journal(filePath, content.projects);
+};
+
+Journal.defaultPath = function(gitlabGroupName) {
+	const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+	return path.join(process.cwd(), 'tmp', 'journal', `${gitlabGroupName.replace(/\//g, '-')}-${timestamp}.json`);
+};
+
+module.exports = Journal;
@@ -0,0 +1,105 @@
+const axios = require('axios').default;
+const _ = require('lodash');
+const logger = require('log4js').configure('./config/log4js.json').getLogger('LfsClient');
+
+const LFS_MEDIA_TYPE = 'application/vnd.git-lfs+json';
+// git-lfs asks for at most 100 objects at once, and servers reject or time out on much larger batches
+const BATCH_SIZE = 100;
+
+function LfsClient(gitlabUserName, gitlabToken, githubToken) {
+	this.gitlabUserName = gitlabUserName;
+	this.gitlabToken = gitlabToken;
+	this.githubToken = githubToken;
+
+	this.copyObjects = async function(gitlabRepoUrl, githubRepoUrl, pointers) {
+		const summary = {objects: pointers.length, uploaded: 0, bytes: 0};
+		if(pointers.length === 0) {
+			return summary;
+		}
+		const githubAuth = {username: this.githubToken, password: ''};
+		const gitlabAuth = {username: this.gitlabUserName, password: this.gitlabToken};
+		for (const batchPointers of _.chunk(pointers, BATCH_SIZE)) {
+			// objects GitHub already has come back without an upload action, so only the rest is downloaded
+			const uploads = (await _batch(githubRepoUrl, 'upload', batchPointers, githubAuth))
+				.filter(object => object.actions && object.actions.upload);
+			if(uploads.length === 0) {
+				continue;
+			}
+			const downloads = await _batch(gitlabRepoUrl, 'download', uploads.map(object => ({oid: object.oid, size: object.size})), gitlabAuth);
+			for (const upload of uploads) {
+				const download = downloads.find(object => object.oid === upload.oid);
+				if(download === undefined || !download.actions || !download.actions.download) {
+					throw new Error(`LFS object ${upload.oid} is not available on ${gitlabRepoUrl}`);
+				}
+				// objects can be gigabytes large, so they are streamed from GitLab to GitHub rather than held in memory
+				const content = await _transfer('GET', download.actions.download, download.oid);
+				await _transfer('PUT', upload.actions.upload, upload.oid, content, upload.size);
+				if(upload.actions.verify) {
+					await _transfer('POST', upload.actions.verify, upload.oid, {oid: upload.oid, size: upload.size});
+				}
+				summary.uploaded += 1;
+				summary.bytes += upload.size;
+			}
+		}
+		return summary;
+	};
+
+	var _batch = function(repoUrl, operation, pointers, auth) {
+		const params = {
+			url: `${repoUrl}/info/lfs/objects/batch`,
+			method: 'POST',
+			auth: auth,
+			headers: {
+				'Accept': LFS_MEDIA_TYPE,
+				'Content-Type': LFS_MEDIA_TYPE,
+				'User-Agent': 'gl2gh'
+			},
+			data: {
+				operation: operation,
+				transfers: ['basic'],
+				objects: pointers.map(pointer => ({oid: pointer.oid, size: pointer.size}))
+			}
+		};
+
+		return axios(params)
+			.then(response => {
+				const failed = response.data.objects.find(object => object.error);
+				if(failed) {
+					throw new Error(`${failed.oid}: ${failed.error.message}`);
+				}
+				return response.data.objects;
+			})
+			.catch((error) => {
+				logger.error('Error requesting LFS %s of %s: %s', operation, repoUrl, error.message);
+				throw new Error(`Unable to ${operation} LFS objects of ${repoUrl}: ${error.message}`);
+			});
+	};
+
+	var _transfer = function(method, action, oid, data, size) {
+		const params = {
+			url: action.href,
+			method: method,
+			headers: Object.assign({'User-Agent': 'gl2gh'}, action.header),
+			data: data
+		};
+		if(method === 'GET') {
+			params.responseType = 'stream';
+		} else if(method === 'PUT') {
+			// a streamed body has no length axios could tell
+			params.headers['Content-Type'] = 'application/octet-stream';
+			params.headers['Content-Length'] = size;
+			params.maxBodyLength = Infinity;
+		} else {
+			params.headers['Content-Type'] = LFS_MEDIA_TYPE;
+		}
+
+		return axios(params)
+			.then(response => response.data)
+			.catch((error) => {
+				logger.error('Error transferring LFS object %s: %s', oid, error.message);
+				throw new Error(`Unable to transfer LFS object ${oid}: ${error.message}`);
+			});
+	};
+}
+
+module.exports = LfsClient;
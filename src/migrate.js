@@ -1,5 +1,6 @@
 const path = require('path');
 const _ = require('lodash');
+const diff = require('diff');
 const fs = require('fs');
 const config = require('config');
 
@@ -7,31 +8,82 @@ const GitlabClient = require('./gitlab/client.js');
 const GithubClient = require('./github/client.js');
 const GithubWebhookService = require('./github/webhookService.js');
 const GitClient = require('./gitClient.js');
+const LfsClient = require('./lfsClient.js');
+const RefComparator = require('./refComparator.js');
+const WorkerPool = require('./workerPool.js');
+const Journal = require('./journal.js');
+const UrlRewriter = require('./urlRewriter.js');
+const BranchRenamer = require('./branchRenamer.js');
+const RepoNamer = require('./repoNamer.js');
+const WikiConverter = require('./wikiConverter.js');
+const UserMapper = require('./userMapper.js');
+const RoleMapper = require('./roleMapper.js');
+const IssueFormatter = require('./issueFormatter.js');
+const ProtectionConverter = require('./protectionConverter.js');
+const VariableConverter = require('./variableConverter.js');
+const CiConverter = require('./ciConverter.js');
+const WebhookConverter = require('./webhookConverter.js');
+const GithubWebhookConfig = require('./github/model/webhookConfig.js');
 const GithubBranchProtectionRule = require('./github/model/branchProtectionRule.js');
 const logger = require('log4js').configure('./config/log4js.json').getLogger('GitlabClient');
 
+const DEFAULT_GIT_CONCURRENCY = 4;
+const DEFAULT_REST_CONCURRENCY = 10;
+const DEFAULT_COMMIT_AUTHOR = {name: 'gl2gh', email: 'gl2gh@users.noreply.github.com'};
+const DEFAULT_TEAM_PERMISSION = 'write';
+// GitHub only shows the pages of this branch of a wiki
+const GITHUB_WIKI_REF = 'refs/heads/master';
+// internal repos are only available to GitHub Enterprise orgs, so they stay private unless configured otherwise
+const DEFAULT_VISIBILITY_MAPPING = {public: 'public', internal: 'private', private: 'private'};
+// archived projects are skipped, copied as they are, or copied and then archived on GitHub as well
+const ARCHIVED_POLICIES = ['skip', 'migrate', 'archive'];
+const DEFAULT_ARCHIVED_POLICY = 'migrate';
+
+const MOVED_NOTICE_FILE = 'MOVED.md';
+// GitHub rejects a ref creating or updating a file in .github/workflows when the token lacks the workflow scope
+const MISSING_WORKFLOW_SCOPE_PATTERN = /without `?workflow`? scope/;
+
+// no one can push or merge to any branch of a project while it is cut over
+const FROZEN_PROTECTION = {name: '*', push_access_level: 0, merge_access_level: 0, allow_force_push: false};
+
+// the commits gl2gh adds on top of the default branch say so in their message, for later runs to find them on GitHub
+const GENERATED_COMMIT_PATTERN = /^(Rewritten by gl2gh while migrating|Converted by gl2gh from) /m;
+
 function Migrate() {
 	const gitClient = new GitClient(config.get('gl2gh.gitlab.username'), config.get('gl2gh.gitlab.token'), config.get('gl2gh.github.token'));
+	const lfsClient = new LfsClient(config.get('gl2gh.gitlab.username'), config.get('gl2gh.gitlab.token'), config.get('gl2gh.github.token'));
 	const gitlabClient = new GitlabClient(config.get('gl2gh.gitlab.url'), config.get('gl2gh.gitlab.token'));
 	const githubClient = new GithubClient(config.get('gl2gh.github.url'), config.get('gl2gh.github.username'), config.get('gl2gh.github.token'));
+	const gitConcurrency = config.has('gl2gh.concurrency.git') ? config.get('gl2gh.concurrency.git') : DEFAULT_GIT_CONCURRENCY;
+	const restConcurrency = config.has('gl2gh.concurrency.rest') ? config.get('gl2gh.concurrency.rest') : DEFAULT_REST_CONCURRENCY;
+	const commitAuthor = config.has('gl2gh.commitAuthor') ? config.get('gl2gh.commitAuthor') : DEFAULT_COMMIT_AUTHOR;
+	const branchRenames = config.has('gl2gh.branchRenames') ? config.get('gl2gh.branchRenames') : {};
+	const userMapping = config.has('gl2gh.userMapping') ? config.get('gl2gh.userMapping') : {};
+	const roleMapping = config.has('gl2gh.roleMapping') ? config.get('gl2gh.roleMapping') : {};
+	const teamMapping = config.has('gl2gh.teamMapping') ? config.get('gl2gh.teamMapping') : {};
+	const visibilityMapping = Object.assign({}, DEFAULT_VISIBILITY_MAPPING, config.has('gl2gh.visibility') ? config.get('gl2gh.visibility') : {});
 
-	this.migrateToGithub = async function(gitlabGroupName, githubOrgName) {
+	this.migrateToGithub = async function(gitlabGroupName, githubOrgName, options = {}) {
 		let projects = [];
 		try {
 			projects.push(... await _getProjectsWithinGroup(gitlabGroupName));
 			projects.push(... await _getProjectsForAllSubgroups(gitlabGroupName));
 			projects.push(... await _getProjectsSharedWithGroup(gitlabGroupName));
-			await _migrateProjectsToGithub(this, projects, githubOrgName);
+			await _migrateProjectsToGithub(projects, githubOrgName, new Journal(Journal.defaultPath(gitlabGroupName)), new RepoNamer(gitlabGroupName, options));
 			return 0;
 		} catch(error) {
 			return 1;
 		}
 	};
 
-	this.copyContentFromGitlabToGithub = async function(gitlabGroupName, githubOrgName, projectNameFilter = '') {
+	this.copyContentFromGitlabToGithub = async function(gitlabGroupName, githubOrgName, projectNameFilter = '', options = {}) {
 		try {
-			let projects = await this.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter);
-			await _copyContentForProjects(this, projects, githubOrgName);
+			const repoNamer = new RepoNamer(gitlabGroupName, options);
+			const journal = _openJournal(gitlabGroupName, options);
+			// URLs of every project in the group are rewritten, including the ones filtered out of this run
+			const allProjects = await this.getListOfAllProjectsToMigrate(gitlabGroupName, '');
+			const projects = _applyArchivedPolicy(_filterProjectsWithPrefix(allProjects, projectNameFilter), options);
+			await _copyContentForProjects(projects, githubOrgName, journal, repoNamer, options, allProjects);
 			return 0;
 		} catch (error) {
 			logger.error(error);
@@ -39,6 +91,246 @@ function Migrate() {
 		}
 	};
 
+	this.copyWikiFromGitlabToGithub = async function(gitlabGroupName, githubOrgName, projectNameFilter = '', options = {}) {
+		try {
+			const repoNamer = new RepoNamer(gitlabGroupName, options);
+			const projects = await this.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter);
+			repoNamer.checkCollisions(projects);
+			const owner = githubOrgName === undefined ? config.get('gl2gh.github.username') : githubOrgName;
+			const gitPool = _gitPool(options.concurrency);
+			const restPool = _restPool(options.restConcurrency);
+			const copied = await Promise.all(projects.map(project => _copyWiki(project, owner, repoNamer.repoNameFor(project), gitPool, restPool)));
+			return copied.every(Boolean) ? 0 : 1;
+		} catch (error) {
+			logger.error(error);
+			return 1;
+		}
+	};
+
+	this.copyIssuesFromGitlabToGithub = async function(gitlabGroupName, githubOrgName, projectNameFilter = '', options = {}) {
+		try {
+			const repoNamer = new RepoNamer(gitlabGroupName, options);
+			const projects = await this.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter);
+			repoNamer.checkCollisions(projects);
+			const owner = githubOrgName === undefined ? config.get('gl2gh.github.username') : githubOrgName;
+			const userMapper = _userMapper(options);
+			// issues of a project are created one after another to keep their order, so only projects run in parallel
+			const copied = await _restPool(options.concurrency).map(projects, project => _copyIssues(project, owner, repoNamer.repoNameFor(project), userMapper, options));
+			return copied.every(Boolean) ? 0 : 1;
+		} catch (error) {
+			logger.error(error);
+			return 1;
+		}
+	};
+
+	this.copyMergeRequestsFromGitlabToGithub = async function(gitlabGroupName, githubOrgName, projectNameFilter = '', options = {}) {
+		try {
+			const repoNamer = new RepoNamer(gitlabGroupName, options);
+			const projects = await this.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter);
+			repoNamer.checkCollisions(projects);
+			const owner = githubOrgName === undefined ? config.get('gl2gh.github.username') : githubOrgName;
+			const userMapper = _userMapper(options);
+			const branchRenamer = _branchRenamer(options);
+			const copied = await _restPool(options.concurrency).map(projects, project => _copyMergeRequests(project, owner, repoNamer.repoNameFor(project), userMapper, branchRenamer, options));
+			return copied.every(Boolean) ? 0 : 1;
+		} catch (error) {
+			logger.error(error);
+			return 1;
+		}
+	};
+
+	this.copyReleasesFromGitlabToGithub = async function(gitlabGroupName, githubOrgName, projectNameFilter = '', options = {}) {
+		try {
+			const repoNamer = new RepoNamer(gitlabGroupName, options);
+			const projects = await this.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter);
+			repoNamer.checkCollisions(projects);
+			const owner = githubOrgName === undefined ? config.get('gl2gh.github.username') : githubOrgName;
+			const copied = await _restPool(options.concurrency).map(projects, project => _copyReleases(project, owner, repoNamer.repoNameFor(project)));
+			return copied.every(Boolean) ? 0 : 1;
+		} catch (error) {
+			logger.error(error);
+			return 1;
+		}
+	};
+
+	this.copyProtectionFromGitlabToGithub = async function(gitlabGroupName, githubOrgName, projectNameFilter = '', options = {}) {
+		try {
+			const repoNamer = new RepoNamer(gitlabGroupName, options);
+			const projects = await this.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter);
+			repoNamer.checkCollisions(projects);
+			const owner = githubOrgName === undefined ? config.get('gl2gh.github.username') : githubOrgName;
+			const branchRenamer = _branchRenamer(options);
+			const copied = await _restPool(options.concurrency).map(projects, project => _copyProtection(project, owner, repoNamer.repoNameFor(project), branchRenamer));
+			return copied.every(Boolean) ? 0 : 1;
+		} catch (error) {
+			logger.error(error);
+			return 1;
+		}
+	};
+
+	this.copyVariablesFromGitlabToGithub = async function(gitlabGroupName, githubOrgName, projectNameFilter = '', options = {}) {
+		const repoNamer = new RepoNamer(gitlabGroupName, options);
+		const projects = await this.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter);
+		repoNamer.checkCollisions(projects);
+		const owner = githubOrgName === undefined ? config.get('gl2gh.github.username') : githubOrgName;
+		const restPool = _restPool(options.concurrency);
+		const groupReport = await _copyGroupVariables(gitlabGroupName, githubOrgName, projects.map(project => repoNamer.repoNameFor(project)), restPool);
+		const projectReports = await restPool.map(projects, project => _copyProjectVariables(project, owner, repoNamer.repoNameFor(project)));
+		return groupReport.concat(...projectReports);
+	};
+
+	this.copyMembersFromGitlabToGithub = async function(gitlabGroupName, githubOrgName, projectNameFilter = '', options = {}) {
+		const repoNamer = new RepoNamer(gitlabGroupName, options);
+		const projects = await this.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter);
+		repoNamer.checkCollisions(projects);
+		const owner = githubOrgName === undefined ? config.get('gl2gh.github.username') : githubOrgName;
+		const mappers = {user: _userMapper(options), role: _roleMapper(options), team: Object.assign({}, teamMapping, options.teamMapping)};
+		const reports = await _restPool(options.concurrency).map(projects, project => _copyProjectMembers(project, githubOrgName, owner, repoNamer.repoNameFor(project), mappers));
+		return [].concat(...reports);
+	};
+
+	this.copyTeamsFromGitlabToGithub = async function(gitlabGroupName, githubOrgName, projectNameFilter = '', options = {}) {
+		if(githubOrgName === undefined) {
+			throw new Error('Teams only exist in GitHub organizations, a GitHub organisation is required');
+		}
+		const permission = options.permission || DEFAULT_TEAM_PERMISSION;
+		if(!RoleMapper.PERMISSIONS.includes(permission)) {
+			throw new Error(`Invalid permission ${permission}, expected one of ${RoleMapper.PERMISSIONS.join(', ')}`);
+		}
+		const repoNamer = new RepoNamer(gitlabGroupName, options);
+		const projects = await this.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter);
+		repoNamer.checkCollisions(projects);
+		const rootGroup = (await gitlabClient.getGroup(gitlabGroupName)).body;
+		const descendantGroups = await gitlabClient.getDescendantGroups(gitlabGroupName);
+		// parents come first so that the report follows the hierarchy of the groups
+		const groups = [rootGroup, ..._.sortBy(descendantGroups, group => group.full_path.split('/').length)];
+		const mappers = {user: _userMapper(options), role: _roleMapper(options), team: Object.assign({}, teamMapping, options.teamMapping)};
+		const teams = {};
+		const teamEntries = [];
+		for (const group of groups) {
+			teamEntries.push(await _copyTeam(group, githubOrgName, mappers.team, teams));
+		}
+		const fillEntries = await _restPool(options.concurrency).map(groups, (group) => {
+			if(teams[group.id] === undefined) {
+				return [];
+			}
+			const repoNames = projects.filter(project => path.posix.dirname(project.path_with_namespace) === group.full_path)
+				.map(project => repoNamer.repoNameFor(project));
+			return _fillTeam(group, githubOrgName, teams[group.id], repoNames, permission, mappers);
+		});
+		return [].concat(...teamEntries.map((entry, index) => [entry, ...fillEntries[index]]));
+	};
+
+	this.copyDeployKeysFromGitlabToGithub = async function(gitlabGroupName, githubOrgName, projectNameFilter = '', options = {}) {
+		const repoNamer = new RepoNamer(gitlabGroupName, options);
+		const projects = await this.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter);
+		repoNamer.checkCollisions(projects);
+		const owner = githubOrgName === undefined ? config.get('gl2gh.github.username') : githubOrgName;
+		const restPool = _restPool(options.concurrency);
+		const projectKeys = await restPool.map(projects, (project) => {
+			return gitlabClient.getDeployKeys(project.path_with_namespace)
+				.then(deployKeys => ({project, deployKeys}), error => ({project, error}));
+		});
+		// GitHub accepts a deploy key on a single repo, so keys shared by projects cannot be copied to each of their repos
+		const projectsByKey = {};
+		projectKeys.filter(({error}) => error === undefined).forEach(({project, deployKeys}) => {
+			deployKeys.forEach((deployKey) => {
+				const key = _deployKeyOf(deployKey.key);
+				projectsByKey[key] = (projectsByKey[key] || []).concat(project.path_with_namespace);
+			});
+		});
+		const reports = await restPool.map(projectKeys, ({project, deployKeys, error}) => {
+			const target = `${owner}/${repoNamer.repoNameFor(project)}`;
+			if(error !== undefined) {
+				logger.warn(error.message);
+				return [{source: project.path_with_namespace, target, status: 'failed', reason: error.message}];
+			}
+			return _copyDeployKeys(project, deployKeys, owner, repoNamer.repoNameFor(project), projectsByKey);
+		});
+		return [].concat(...reports);
+	};
+
+	this.copyWebhooksFromGitlabToGithub = async function(gitlabGroupName, githubOrgName, projectNameFilter = '', options = {}) {
+		const repoNamer = new RepoNamer(gitlabGroupName, options);
+		const projects = await this.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter);
+		repoNamer.checkCollisions(projects);
+		const owner = githubOrgName === undefined ? config.get('gl2gh.github.username') : githubOrgName;
+		const reports = await _restPool(options.concurrency).map(projects, project => _copyWebhooks(project, owner, repoNamer.repoNameFor(project), options.secret));
+		return [].concat(...reports);
+	};
+
+	this.planCopyContent = async function(gitlabGroupName, githubOrgName, projectNameFilter = '', options = {}) {
+		const repoNamer = new RepoNamer(gitlabGroupName, options);
+		const projects = _applyArchivedPolicy(await this.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter), options);
+		repoNamer.checkCollisions(projects);
+		const owner = githubOrgName === undefined ? config.get('gl2gh.github.username') : githubOrgName;
+		const gitPool = _gitPool(options.concurrency);
+		const restPool = _restPool(options.restConcurrency);
+		return Promise.all(projects.map(project => _planProject(project, owner, repoNamer.repoNameFor(project), options, gitPool, restPool)));
+	};
+
+	this.verifyGithubRefs = async function(gitlabGroupName, githubOrgName, projectNameFilter = '', options = {}) {
+		const repoNamer = new RepoNamer(gitlabGroupName, options);
+		const projects = await this.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter);
+		repoNamer.checkCollisions(projects);
+		const owner = githubOrgName === undefined ? config.get('gl2gh.github.username') : githubOrgName;
+		const gitPool = _gitPool(options.concurrency);
+		const restPool = _restPool(options.restConcurrency);
+		return Promise.all(projects.map(project => _verifyProject(project, owner, repoNamer.repoNameFor(project), options, gitPool, restPool)));
+	};
+
+	this.cutover = async function(gitlabGroupName, githubOrgName, projectNameFilter = '', options = {}) {
+		const repoNamer = new RepoNamer(gitlabGroupName, options);
+		// archived projects are read-only on GitLab already and cannot be frozen
+		const projects = _applyArchivedPolicy(await this.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter), {archived: 'skip'});
+		if(projects.length === 0) {
+			throw new Error(`No projects of ${gitlabGroupName} to cut over`);
+		}
+		repoNamer.checkCollisions(projects);
+		const owner = githubOrgName === undefined ? config.get('gl2gh.github.username') : githubOrgName;
+		const confirm = options.confirm || (() => Promise.resolve(true));
+		const restPool = _restPool(options.restConcurrency);
+		const frozenProjects = {};
+		const archivedProjectPaths = [];
+		const steps = [
+			{step: 'freeze', description: `Freeze the branches of ${projects.length} project(s) on GitLab`,
+				run: () => _freezeProjects(projects, frozenProjects, restPool)},
+			{step: 'sync', description: `Copy the refs changed since the last copy of ${projects.length} project(s) to GitHub`,
+				run: async () => _throwFailures(await _copyContentForProjects(projects, githubOrgName, _openJournal(gitlabGroupName, options), repoNamer, Object.assign({}, options, {sync: true})))},
+			{step: 'verify', description: `Verify the refs of ${projects.length} repo(s) on GitHub`,
+				run: () => _verifyCutover(projects, owner, repoNamer, options)},
+			options.movedNotice
+				? {step: 'archive', description: `Point ${projects.length} project(s) at their GitHub repos and archive them on GitLab`,
+					run: () => _archiveProjects(projects, archivedProjectPaths, restPool, {owner, repoNamer, frozenProjects})}
+				: {step: 'archive', description: `Archive ${projects.length} project(s) on GitLab`,
+					run: () => _archiveProjects(projects, archivedProjectPaths, restPool)}
+		];
+		const report = [];
+		for (const {step, description, run} of steps) {
+			const entry = {step, description};
+			report.push(entry);
+			if(!await confirm(description)) {
+				logger.info(`Cutover stopped before the ${step} step`);
+				entry.status = 'declined';
+				break;
+			}
+			logger.info(`Cutover: ${description}`);
+			try {
+				await run();
+				logger.info(`Cutover: ${step} step done`);
+				entry.status = 'done';
+			} catch(err) {
+				logger.error(`Cutover: ${step} step failed: ${err.message}`);
+				Object.assign(entry, {status: 'failed', reason: err.message});
+				break;
+			}
+		}
+		if(report[report.length - 1].status !== 'done' && Object.keys(frozenProjects).length > 0) {
+			report.push(await _unfreezeProjects(frozenProjects, archivedProjectPaths, restPool));
+		}
+		return report;
+	};
+
 	this.getListOfAllProjectsToMigrate = async function (gitlabGroupName, projectNameFilter) {
 		let projects = [];
 		try {
@@ -54,71 +346,424 @@ function Migrate() {
 		}
 	};
 
-	this.configureGithubBranchProtectionRule = function(owner, repoNames, branchName, rules) {
-		return Promise.all(repoNames.map((repoName) => {
-			return githubClient.configureBranchProtectionRule(owner, repoName, branchName, new GithubBranchProtectionRule(rules))
+	this.configureGithubBranchProtectionRule = async function(owner, repoNames, branchName, rules, options = {}) {
+		const renamedBranchName = _branchRenamer(options).renameBranch(branchName);
+		return _restPool(options.concurrency).map(repoNames, (repoName) => {
+			return githubClient.configureBranchProtectionRule(owner, repoName, renamedBranchName, new GithubBranchProtectionRule(rules))
 				.catch((error) => {
 					logger.error(error.message);
 				});
-		}));
+		});
 	};
 
-	this.updateAutoDeleteHeadBranchesOnGithub = function (owner, repoNames) {
-		return Promise.all(repoNames.map((repoName) => {
+	this.updateAutoDeleteHeadBranchesOnGithub = async function (owner, repoNames, options = {}) {
+		return _restPool(options.concurrency).map(repoNames, (repoName) => {
 			return githubClient.updateAutoDeleteHeadBranches(owner, repoName)
 				.catch((error) => {
 					logger.error(error.message);
 				});
-		}));
+		});
 	};
 
-	this.updateDefaultBranchOnGithub = function (owner, repoNames, branchName) {
-		return Promise.all(repoNames.map((repoName) => {
+	this.updateDefaultBranchOnGithub = async function (owner, repoNames, branchName, options = {}) {
+		return _restPool(options.concurrency).map(repoNames, (repoName) => {
 			return githubClient.updateDefaultBranch(owner, repoName, branchName)
 				.catch((error) => {
 					logger.error(error.message);
 				});
-		}));
+		});
 	};
 
-	this.archiveGitlabProject = function(projectPaths) {
-		return Promise.all(projectPaths.map((projectPath) => {
-			return gitlabClient.archiveProject(projectPath)
-				.catch((error) => {
-					logger.error(error.message);
-				});
+	this.archiveGitlabProject = async function(projectPaths, options = {}) {
+		let githubRepoFor;
+		if(options.movedNotice) {
+			if(options.gitlabGroup === undefined) {
+				throw new Error('The GitLab group the projects were copied from is needed to point them at their GitHub repos');
+			}
+			githubRepoFor = _githubRepoMapping(await this.getListOfAllProjectsToMigrate(options.gitlabGroup, ''), projectPaths, options);
+		}
+		return Promise.all(projectPaths.map(async (projectPath) => {
+			try {
+				if(githubRepoFor !== undefined) {
+					await _leaveMovedNotice(projectPath, githubRepoFor(projectPath));
+				}
+				return await gitlabClient.archiveProject(projectPath);
+			} catch(error) {
+				logger.error(error.message);
+			}
 		}));
 	};
 
-	this.createWebhook = function(config, orgName, repoNames) {
+	this.createWebhook = async function(config, orgName, repoNames, options = {}) {
 		const webhookConfigs = GithubWebhookService.getWebhookConfig(config, repoNames);
-		return Promise.all(webhookConfigs.map((webhookConfig) => {
+		return _restPool(options.concurrency).map(webhookConfigs, (webhookConfig) => {
 			return githubClient.createWebhook(webhookConfig, orgName)
 				.catch((error) => {
 					logger.error(error.message);
 				});
-		}));
+		});
+	};
+
+	var _migrateProjectsToGithub = function(projects, githubOrgName, journal, repoNamer) {
+		return _copyContentForProjects(projects, githubOrgName, journal, repoNamer);
 	};
 
-	var _migrateProjectsToGithub = function(self, projects, githubOrgName) {
-		return _copyContentForProjects(self, projects, githubOrgName);
+	var _openJournal = function(gitlabGroupName, options) {
+		if(options.resume) {
+			logger.info(`Resuming from journal ${options.resume}`);
+			return Journal.load(options.resume);
+		}
+		const journal = new Journal(options.journal || Journal.defaultPath(gitlabGroupName));
+		logger.info(`Writing journal of this run to ${journal.filePath}`);
+		return journal;
 	};
 
-	var _copyContentForProjects = async function(self, projects, githubOrgName) {
-		const defaultBranchName = 'master';
-		const promises = projects.map(project => _copyContent(project, githubOrgName));
+	// resolves with the reasons projects were left unfinished, so that the cutover stops on them
+	var _copyContentForProjects = async function(projects, githubOrgName, journal, repoNamer, options = {}, mappedProjects = projects) {
+		repoNamer.checkCollisions(projects);
+		const gitPool = _gitPool(options.concurrency);
+		const restPool = _restPool(options.restConcurrency);
+		const pendingProjects = projects.filter(project => !journal.isDefaultBranchSet(project));
+		if(pendingProjects.length < projects.length) {
+			logger.info(`Skipping ${projects.length - pendingProjects.length} project(s) already copied as per the journal`);
+		}
 		let owner = githubOrgName;
 		if(githubOrgName === undefined) {
 			owner = config.get('gl2gh.github.username');
 		}
+		const repoPaths = _repoPathsFor(mappedProjects, owner, repoNamer);
+		const promises = pendingProjects.map(project => _copyContent(project, repoNamer.repoNameFor(project), githubOrgName, journal, options, gitPool, restPool, repoPaths));
+		const branchRenamer = _branchRenamer(options);
 		return await Promise.all(promises)
-			.then(() => self.updateDefaultBranchOnGithub(owner, projects.map(project => project.name), defaultBranchName))
-			.catch((err) => logger.error(err.message));
+			.then(() => restPool.map(pendingProjects, async (project) => {
+				const repository = await _updateDefaultBranch(owner, repoNamer.repoNameFor(project), project, branchRenamer);
+				// archived repos are read-only, so they are archived once everything else is in place
+				if(repository && project.archived && options.archived === 'archive') {
+					return githubClient.archiveRepo(owner, repoNamer.repoNameFor(project))
+						.catch((error) => logger.error(error.message));
+				}
+				return repository;
+			}))
+			.then((repositories) => repositories.map((repository, index) => {
+				const project = pendingProjects[index];
+				const unfinished = journal.getFailedRefs(project).concat(journal.isLfsPending(project) ? ['its LFS objects'] : []);
+				// a project is only finished once all of its refs and LFS objects are copied, so that resuming retries the others
+				if(unfinished.length > 0) {
+					const failure = `${project.name} is not finished, resume from ${journal.filePath} to copy ${unfinished.join(', ')} again`;
+					logger.warn(failure);
+					return failure;
+				}
+				if(!repository) {
+					return `the default branch of ${project.name} is not set on GitHub`;
+				}
+				journal.recordDefaultBranchSet(project);
+			}))
+			.catch((err) => {
+				logger.error(err.message);
+				return [err.message];
+			});
+	};
+
+	var _updateDefaultBranch = function(owner, repoName, project, branchRenamer) {
+		if(!project.default_branch) {
+			logger.info(`${project.name} has no default branch on GitLab, leaving the default branch on GitHub as it is`);
+			return Promise.resolve(true);
+		}
+		return githubClient.updateDefaultBranch(owner, repoName, branchRenamer.renameBranch(project.default_branch))
+			.catch((error) => {
+				logger.error(error.message);
+			});
+	};
+
+	var _freezeProjects = async function(projects, frozenProjects, restPool) {
+		const failures = await restPool.map(projects, async (project) => {
+			const projectPath = project.path_with_namespace;
+			try {
+				const protectedBranches = await gitlabClient.getProtectedBranches(projectPath);
+				// GitLab lets the most permissive rule matching a branch win, so the existing rules go before the freezing one
+				frozenProjects[projectPath] = {unprotected: [], frozen: false};
+				for (const protectedBranch of protectedBranches) {
+					await gitlabClient.unprotectBranch(projectPath, protectedBranch.name);
+					frozenProjects[projectPath].unprotected.push(protectedBranch);
+				}
+				await gitlabClient.protectBranch(projectPath, FROZEN_PROTECTION);
+				frozenProjects[projectPath].frozen = true;
+			} catch(err) {
+				return err.message;
+			}
+		});
+		_throwFailures(failures);
+	};
+
+	var _unfreezeProjects = async function(frozenProjects, archivedProjectPaths, restPool) {
+		const projectPaths = Object.keys(frozenProjects).filter(projectPath => !archivedProjectPaths.includes(projectPath));
+		const entry = {step: 'unfreeze', description: `Restore the protected branches of ${projectPaths.length} project(s) on GitLab`};
+		logger.info(`Cutover: ${entry.description}`);
+		const failures = await restPool.map(projectPaths, async (projectPath) => {
+			const {unprotected, frozen} = frozenProjects[projectPath];
+			try {
+				if(frozen) {
+					await gitlabClient.unprotectBranch(projectPath, FROZEN_PROTECTION.name);
+				}
+				for (const protectedBranch of unprotected) {
+					await gitlabClient.protectBranch(projectPath, _protectionSettingsOf(protectedBranch));
+				}
+			} catch(err) {
+				return err.message;
+			}
+		});
+		try {
+			_throwFailures(failures);
+			logger.info('Cutover: unfreeze step done');
+			return Object.assign(entry, {status: 'done'});
+		} catch(err) {
+			logger.error(`Cutover: unfreeze step failed, restore the protected branches on GitLab by hand: ${err.message}`);
+			return Object.assign(entry, {status: 'failed', reason: err.message});
+		}
+	};
+
+	var _protectionSettingsOf = function(protectedBranch) {
+		// each access level is a role, a user, a group or a deploy key
+		const allowedFor = accessLevels => accessLevels.map(accessLevel => _.omitBy(_.pick(accessLevel, ['access_level', 'user_id', 'group_id', 'deploy_key_id']), _.isNil));
+		// only GitLab Premium knows the allowed_to_* lists, the other editions take the level of the role alone
+		const roleLevelOf = (accessLevels = []) => {
+			const roleLevel = accessLevels.find(accessLevel => _.isNil(accessLevel.user_id) && _.isNil(accessLevel.group_id) && _.isNil(accessLevel.deploy_key_id));
+			return roleLevel === undefined ? undefined : roleLevel.access_level;
+		};
+		return _.omitBy({
+			name: protectedBranch.name,
+			push_access_level: roleLevelOf(protectedBranch.push_access_levels),
+			merge_access_level: roleLevelOf(protectedBranch.merge_access_levels),
+			unprotect_access_level: roleLevelOf(protectedBranch.unprotect_access_levels),
+			allowed_to_push: protectedBranch.push_access_levels && allowedFor(protectedBranch.push_access_levels),
+			allowed_to_merge: protectedBranch.merge_access_levels && allowedFor(protectedBranch.merge_access_levels),
+			allowed_to_unprotect: protectedBranch.unprotect_access_levels && allowedFor(protectedBranch.unprotect_access_levels),
+			allow_force_push: protectedBranch.allow_force_push,
+			code_owner_approval_required: protectedBranch.code_owner_approval_required
+		}, _.isUndefined);
+	};
+
+	var _verifyCutover = async function(projects, owner, repoNamer, options) {
+		const gitPool = _gitPool(options.concurrency);
+		const restPool = _restPool(options.restConcurrency);
+		const verifications = await Promise.all(projects.map(project => _verifyProject(project, owner, repoNamer.repoNameFor(project), options, gitPool, restPool)));
+		const differingRepos = verifications.filter(verification => !verification.inSync).map(verification => `${verification.owner}/${verification.repo}`);
+		if(differingRepos.length > 0) {
+			throw new Error(`Refs differ between GitLab and GitHub for ${differingRepos.join(', ')}`);
+		}
+	};
+
+	var _archiveProjects = async function(projects, archivedProjectPaths, restPool, movedNotice) {
+		const failures = await restPool.map(projects, async (project) => {
+			const projectPath = project.path_with_namespace;
+			try {
+				if(movedNotice !== undefined) {
+					// the frozen branches would reject the notice, and the project is read-only again once archived
+					await gitlabClient.unprotectBranch(projectPath, FROZEN_PROTECTION.name);
+					movedNotice.frozenProjects[projectPath].frozen = false;
+					await _leaveMovedNotice(projectPath, {project, owner: movedNotice.owner, repoName: movedNotice.repoNamer.repoNameFor(project)});
+				}
+				await gitlabClient.archiveProject(projectPath);
+				archivedProjectPaths.push(projectPath);
+			} catch(err) {
+				return err.message;
+			}
+		});
+		_throwFailures(failures);
+	};
+
+	// names the GitHub repos of the group's projects as copy-content did
+	var _githubRepoMapping = function(projects, projectPaths, options) {
+		const repoNamer = new RepoNamer(options.gitlabGroup, options);
+		repoNamer.checkCollisions(projects.filter(project => projectPaths.includes(project.path_with_namespace)));
+		const owner = options.githubOrg === undefined ? config.get('gl2gh.github.username') : options.githubOrg;
+		return (projectPath) => {
+			const project = projects.find(project => project.path_with_namespace === projectPath);
+			if(project === undefined) {
+				throw new Error(`Project ${projectPath} is not part of ${options.gitlabGroup}, not archiving it`);
+			}
+			return {project, owner, repoName: repoNamer.repoNameFor(project)};
+		};
+	};
+
+	var _leaveMovedNotice = async function(projectPath, {project, owner, repoName}) {
+		const githubRepository = await githubClient.findRepo(owner, repoName);
+		if(githubRepository === undefined) {
+			throw new Error(`No GitHub repo ${owner}/${repoName} for project ${projectPath}, not archiving it`);
+		}
+		const githubUrl = githubRepository.clone_url.replace(/\.git$/, '');
+		await gitlabClient.updateProject(projectPath, {description: _movedDescription(project.description, githubUrl)});
+		if(project.default_branch) {
+			const notice = `# Moved to GitHub\n\nThis project now lives at ${githubUrl}, its GitLab project is archived.\n`;
+			await gitlabClient.writeFile(projectPath, project.default_branch, MOVED_NOTICE_FILE, notice, `Add notice of the move to ${githubUrl}`);
+		} else {
+			logger.info(`${projectPath} has no default branch, no ${MOVED_NOTICE_FILE} to commit`);
+		}
+		logger.info(`Pointed ${projectPath} at ${githubUrl}`);
+	};
+
+	var _movedDescription = function(description, githubUrl) {
+		const notice = `Moved to ${githubUrl}`;
+		if(!description) {
+			return notice;
+		}
+		// the notice of an earlier run is not repeated
+		return description.startsWith(notice) ? description : `${notice} - ${description}`;
+	};
+
+	var _throwFailures = function(failures) {
+		const messages = failures.filter(failure => failure !== undefined);
+		if(messages.length > 0) {
+			throw new Error(messages.join('; '));
+		}
+	};
+
+	var _applyArchivedPolicy = function(projects, options = {}) {
+		const policy = options.archived || DEFAULT_ARCHIVED_POLICY;
+		if(!ARCHIVED_POLICIES.includes(policy)) {
+			throw new Error(`Unknown archived policy: ${policy}, expected one of ${ARCHIVED_POLICIES.join(', ')}`);
+		}
+		if(policy !== 'skip') {
+			return projects;
+		}
+		const activeProjects = projects.filter(project => !project.archived);
+		if(activeProjects.length < projects.length) {
+			logger.info(`Skipping ${projects.length - activeProjects.length} archived project(s)`);
+		}
+		return activeProjects;
 	};
 
-	var _copyContent = function(project, githubOrgName) {
-		return githubClient.createRepo(project.name, true, githubOrgName)
-			.then((githubRepository) => _cloneAndPushToNewRemote(githubRepository, project));
+	var _branchRenamer = function(options = {}) {
+		return new BranchRenamer(Object.assign({}, branchRenames, options.branchRenames));
+	};
+
+	var _userMapper = function(options = {}) {
+		return new UserMapper(Object.assign({}, userMapping, options.userMapping));
+	};
+
+	var _roleMapper = function(options = {}) {
+		return new RoleMapper(Object.assign({}, roleMapping, options.roleMapping));
+	};
+
+	var _copyContent = function(project, repoName, githubOrgName, journal, options, gitPool, restPool, repoPaths) {
+		const createdRepository = journal.getCreatedRepo(project);
+		const repository = createdRepository ? Promise.resolve(createdRepository) : _createRepo(project, repoName, githubOrgName, restPool)
+			.then((githubRepository) => {
+				journal.recordRepoCreated(project, githubRepository);
+				return githubRepository;
+			});
+		return repository
+			.then((githubRepository) => gitPool.run(() => _cloneAndPushToNewRemote(githubRepository, project, journal, options, repoPaths)))
+			.catch((error) => {
+				journal.recordFailure(project, error);
+				throw error;
+			});
+	};
+
+	var _createRepo = async function(project, repoName, githubOrgName, restPool) {
+		const settings = _repoSettingsFor(project);
+		const githubRepository = await restPool.run(() => githubClient.createRepo(repoName, settings.visibility !== 'public', githubOrgName, settings));
+		const topics = _githubTopicsFor(project);
+		if(topics.length > 0) {
+			const owner = githubOrgName === undefined ? config.get('gl2gh.github.username') : githubOrgName;
+			await restPool.run(() => githubClient.replaceTopics(owner, repoName, topics))
+				.catch((error) => logger.warn(`Error setting topics of ${repoName}: ${error.message}`));
+		}
+		return githubRepository;
+	};
+
+	var _repoSettingsFor = function(project) {
+		return _.omitBy({
+			description: project.description ? project.description.replace(/\s+/g, ' ').trim() : undefined,
+			visibility: visibilityMapping[project.visibility] || 'private',
+			has_issues: project.issues_enabled,
+			has_wiki: project.wiki_enabled
+		}, _.isUndefined);
+	};
+
+	var _githubTopicsFor = function(project) {
+		// GitHub topics are lowercase letters, numbers and hyphens, at most 50 characters long
+		const topics = project.topics.map(topic => topic.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 50));
+		return _.uniq(topics.filter(topic => topic.length > 0));
+	};
+
+	var _planProject = async function(project, owner, repoName, options, gitPool, restPool) {
+		const githubRepository = await restPool.run(() => githubClient.findRepo(owner, repoName));
+		const sourceRefs = _branchRenamer(options).renameRefs(await gitPool.run(() => gitClient.listGitlabRefs(project.http_url_to_repo)));
+		const targetRefs = githubRepository && options.sync ? await gitPool.run(() => gitClient.listGithubRefs(githubRepository.clone_url)) : {};
+		const comparison = RefComparator.compare(sourceRefs, targetRefs);
+		const refsToPush = comparison.missing.concat(comparison.diverged);
+		return {
+			project: project.name,
+			gitlabUrl: project.http_url_to_repo,
+			owner: owner,
+			repo: repoName,
+			exists: githubRepository !== undefined,
+			branches: _refNamesIn(refsToPush, 'refs/heads/'),
+			tags: _refNamesIn(refsToPush, 'refs/tags/')
+		};
+	};
+
+	var _verifyProject = async function(project, owner, repoName, options, gitPool, restPool) {
+		const githubRepository = await restPool.run(() => githubClient.findRepo(owner, repoName));
+		const sourceRefs = _branchRenamer(options).renameRefs(_branchesAndTags(await gitPool.run(() => gitClient.listGitlabRefs(project.http_url_to_repo))));
+		const githubRefs = githubRepository ? _branchesAndTags(await gitPool.run(() => gitClient.listGithubRefs(githubRepository.clone_url))) : {};
+		const targetRefs = await restPool.run(() => _withoutGeneratedCommits(project, owner, repoName, sourceRefs, githubRefs, _branchRenamer(options)));
+		const comparison = RefComparator.compare(sourceRefs, targetRefs);
+		const inSync = githubRepository !== undefined && RefComparator.isInSync(comparison);
+		if(!inSync) {
+			logger.warn(`${owner}/${repoName} differs from ${project.http_url_to_repo}`);
+		}
+		return {
+			project: project.name,
+			gitlabUrl: project.http_url_to_repo,
+			owner: owner,
+			repo: repoName,
+			exists: githubRepository !== undefined,
+			inSync: inSync,
+			missing: comparison.missing,
+			extra: comparison.extra,
+			diverged: comparison.diverged
+		};
+	};
+
+	// the default branch on GitHub is compared without the commits gl2gh added on top of it
+	var _withoutGeneratedCommits = async function(project, owner, repoName, sourceRefs, targetRefs, branchRenamer) {
+		const ref = branchRenamer.renameRef(`refs/heads/${project.default_branch}`);
+		if(!project.default_branch || targetRefs[ref] === undefined || targetRefs[ref] === sourceRefs[ref]) {
+			return targetRefs;
+		}
+		const {base} = await _generatedCommitsOn(owner, repoName, targetRefs[ref]);
+		return Object.assign({}, targetRefs, {[ref]: base});
+	};
+
+	// follows the commits gl2gh added on GitHub down to the commit of GitLab they were added on
+	var _generatedCommitsOn = async function(owner, repoName, sha) {
+		const generated = [];
+		let commit = await githubClient.getCommit(owner, repoName, sha);
+		while(GENERATED_COMMIT_PATTERN.test(commit.commit.message) && commit.parents.length === 1) {
+			generated.push(commit.sha);
+			commit = await githubClient.getCommit(owner, repoName, commit.parents[0].sha);
+		}
+		return {base: commit.sha, generated: generated};
+	};
+
+	var _branchesAndTags = function(refs) {
+		return _.pickBy(refs, (sha, ref) => ref.startsWith('refs/heads/') || ref.startsWith('refs/tags/'));
+	};
+
+	var _refNamesIn = function(refs, prefix) {
+		return refs.filter(ref => ref.startsWith(prefix))
+			.map(ref => ref.substring(prefix.length))
+			.sort();
+	};
+
+	var _gitPool = function(concurrency) {
+		return new WorkerPool(concurrency || gitConcurrency);
+	};
+
+	var _restPool = function(concurrency) {
+		return new WorkerPool(concurrency || restConcurrency);
 	};
 
 	var _getProjectsWithinGroup = async function(gitlabGroupName) {
@@ -145,30 +790,833 @@ function Migrate() {
 			.then(group => group.getSharedProjects());
 	};
 
-	var _cloneAndPushToNewRemote = async function(githubRepository, project) {
+	var _cloneAndPushToNewRemote = async function(githubRepository, project, journal, options = {}, repoPaths = {}) {
 		const sourceRemoteName = 'gitlab';
 		const destinationRemoteName = 'github';
-		const pathToCloneRepo = path.join(process.cwd(), '/tmp','migrate', project.name);
-		await gitClient.clone(project.http_url_to_repo, pathToCloneRepo, sourceRemoteName);
+		const pathToCloneRepo = path.join(process.cwd(), '/tmp','migrate', githubRepository.name);
+		await gitClient.mirror(project.http_url_to_repo, pathToCloneRepo, sourceRemoteName);
+		journal.recordCloned(project);
 		await gitClient.addRemote(pathToCloneRepo, destinationRemoteName, githubRepository.clone_url);
-		const branches = await gitClient.listBranches(pathToCloneRepo, sourceRemoteName);
-		const promises = branches.map((branch) => {
-			return gitClient.push(pathToCloneRepo, destinationRemoteName, branch)
+		const branchRenamer = _branchRenamer(options);
+		const addsCommits = (options.rewriteUrls || options.convertCi) && project.default_branch;
+		const targetRefs = options.sync || addsCommits ? await gitClient.listGithubRefs(githubRepository.clone_url) : {};
+		const earlierCommits = addsCommits ? await _earlierGeneratedCommits(project, githubRepository, pathToCloneRepo, targetRefs, branchRenamer) : {};
+		if(earlierCommits.kept === undefined && (options.rewriteUrls || options.previewRewriteUrls)) {
+			await _rewriteGitlabUrls(project, githubRepository, pathToCloneRepo, repoPaths, options.previewRewriteUrls);
+		}
+		if(earlierCommits.kept === undefined && options.convertCi) {
+			await _convertGitlabCi(project, pathToCloneRepo);
+		}
+		const localRefs = await gitClient.listRefs(pathToCloneRepo);
+		const sourceRefs = branchRenamer.renameRefs(localRefs);
+		const localRefFor = {};
+		Object.keys(localRefs).forEach((localRef) => {
+			localRefFor[branchRenamer.renameRef(localRef)] = localRef;
+		});
+		const comparison = RefComparator.compare(sourceRefs, options.sync ? targetRefs : {});
+
+		// the LFS objects of every branch and tag are copied when an earlier run pushed refs without copying theirs
+		const copyAllLfsObjects = journal.isLfsPending(project);
+		journal.recordLfsPending(project);
+		const pushedRefs = [];
+		const pushRef = (ref, pushOptions) => {
+			return gitClient.push(pathToCloneRepo, destinationRemoteName, localRefFor[ref], Object.assign({remoteRef: ref}, pushOptions))
+				.then(() => {
+					pushedRefs.push(localRefFor[ref]);
+					journal.recordRefPushed(project, ref, sourceRefs[ref]);
+				})
 				.catch((err) => {
-					let msg = `Error pushing branch ${branch} of ${project.name}: ${err.message}`;
-					logger.warn(msg);
+					const error = MISSING_WORKFLOW_SCOPE_PATTERN.test(err.message)
+						? new Error('GitHub refused its workflow files, the GitHub token needs the `workflow` scope to push them')
+						: err;
+					logger.warn(`Error pushing ${ref} of ${project.name}: ${error.message}`);
+					journal.recordRefFailed(project, ref, error);
 				});
-		});
-		const tags = await gitClient.listTags(pathToCloneRepo);
-		promises.push(... tags.map((tag) => {
-			return gitClient.push(pathToCloneRepo, destinationRemoteName, tag)
+		};
+		// refs are pushed one after another, so each push only sends objects the previous ones did not
+		for (const ref of comparison.missing) {
+			if(ref === earlierCommits.kept || journal.isRefPushed(project, ref, sourceRefs[ref])) {
+				continue;
+			}
+			await pushRef(ref, ref === earlierCommits.replaced ? {force: true} : {});
+		}
+		for (const ref of comparison.diverged) {
+			if(ref === earlierCommits.kept) {
+				continue;
+			}
+			const isFastForward = await gitClient.isDescendent(pathToCloneRepo, sourceRefs[ref], targetRefs[ref]);
+			if(isFastForward) {
+				await pushRef(ref);
+			} else if(options.force || ref === earlierCommits.replaced) {
+				await pushRef(ref, {force: true});
+			} else {
+				logger.warn(`Skipping ${ref} of ${project.name}: rewritten on GitLab, use --force to update it`);
+			}
+		}
+		for (const ref of comparison.extra) {
+			if(!options.prune) {
+				logger.info(`${ref} of ${project.name} no longer exists on GitLab, use --prune to delete it`);
+				continue;
+			}
+			await gitClient.deleteRemoteRef(pathToCloneRepo, destinationRemoteName, ref)
 				.catch((err) => {
-					let msg = `Error pushing tag ${tag} of ${project.name}: ${err.message}`;
-					logger.warn(msg);
+					logger.warn(`Error deleting ${ref} of ${project.name}: ${err.message}`);
 				});
-		}));
-		return Promise.all(promises)
-			.then(() => fs.rmdirSync(path.join(process.cwd(), '/tmp', 'migrate', project.name), {recursive: true}));
+		}
+		if(await _copyLfsObjects(project, githubRepository, pathToCloneRepo, copyAllLfsObjects ? Object.keys(_branchesAndTags(localRefs)) : pushedRefs)) {
+			journal.recordLfsCopied(project);
+		}
+		if(options.sync) {
+			logger.info(`Synced ${project.name}: ${comparison.missing.length} new, ${comparison.diverged.length} changed, ${comparison.extra.length} removed, ${comparison.unchanged.length} unchanged ref(s)`);
+		}
+		fs.rmdirSync(pathToCloneRepo, {recursive: true});
+	};
+
+	// the commits gl2gh added on GitHub by an earlier run are kept while the default branch has not moved on GitLab,
+	// and replaced by new ones once it has moved on
+	var _earlierGeneratedCommits = async function(project, githubRepository, pathToCloneRepo, targetRefs, branchRenamer) {
+		const localRef = `refs/heads/${project.default_branch}`;
+		const ref = branchRenamer.renameRef(localRef);
+		const gitlabTip = (await gitClient.listRefs(pathToCloneRepo))[localRef];
+		if(targetRefs[ref] === undefined || targetRefs[ref] === gitlabTip) {
+			return {};
+		}
+		const owner = new URL(githubRepository.clone_url).pathname.split('/')[1];
+		const {base, generated} = await _generatedCommitsOn(owner, githubRepository.name, targetRefs[ref]);
+		if(generated.length === 0) {
+			return {};
+		}
+		if(base === gitlabTip) {
+			logger.info(`Keeping the ${generated.length} commit(s) gl2gh added on ${ref} of ${project.name}, it has not moved on GitLab since`);
+			return {kept: ref};
+		}
+		if(await gitClient.isDescendent(pathToCloneRepo, gitlabTip, base)) {
+			logger.info(`Replacing the ${generated.length} commit(s) gl2gh added on ${ref} of ${project.name}, it has moved on GitLab since`);
+			return {replaced: ref};
+		}
+		return {};
+	};
+
+	var _copyWiki = async function(project, owner, repoName, gitPool, restPool) {
+		if(project.wiki_enabled === false) {
+			logger.info(`${project.name} has its wiki disabled on GitLab, skipping it`);
+			return true;
+		}
+		try {
+			const githubRepository = await restPool.run(() => githubClient.findRepo(owner, repoName));
+			if(githubRepository === undefined) {
+				logger.warn(`${owner}/${repoName} does not exist on GitHub, copy the content of ${project.name} before its wiki`);
+				return false;
+			}
+			const gitlabWikiUrl = _wikiUrlFor(project.http_url_to_repo);
+			const wikiRefs = await gitPool.run(() => gitClient.listGitlabRefs(gitlabWikiUrl));
+			if(_.isEmpty(_branchesAndTags(wikiRefs))) {
+				logger.info(`${project.name} has no wiki pages on GitLab`);
+				return true;
+			}
+			await gitPool.run(() => _cloneAndPushWiki(githubRepository, project, gitlabWikiUrl));
+			return true;
+		} catch(err) {
+			logger.warn(`Error copying the wiki of ${project.name}: ${err.message}`);
+			return false;
+		}
+	};
+
+	var _cloneAndPushWiki = async function(githubRepository, project, gitlabWikiUrl) {
+		const githubWikiUrl = _wikiUrlFor(githubRepository.clone_url);
+		const pathToCloneWiki = path.join(process.cwd(), '/tmp', 'wiki', githubRepository.name);
+		await gitClient.mirror(gitlabWikiUrl, pathToCloneWiki, 'gitlab');
+		await gitClient.addRemote(pathToCloneWiki, 'github', githubWikiUrl);
+		const ref = _wikiBranchIn(await gitClient.listRefs(pathToCloneWiki));
+		const converter = new WikiConverter(project.web_url || project.http_url_to_repo.replace(/\.git$/, ''), `${githubRepository.clone_url.replace(/\.git$/, '')}/wiki`);
+		const blobs = await gitClient.listFiles(pathToCloneWiki, ref);
+		const files = converter.convert(blobs, await gitClient.readFiles(pathToCloneWiki, ref, WikiConverter.isMarkdown));
+		if(!_.isEqual(files, _.fromPairs(blobs.map(blob => [blob.filepath, {oid: blob.oid}])))) {
+			const message = `Convert GitLab wiki conventions to GitHub\n\nConverted by gl2gh while migrating ${gitlabWikiUrl} to ${githubWikiUrl}`;
+			await gitClient.commitTree(pathToCloneWiki, ref, files, message, commitAuthor);
+		}
+		// the wiki GitHub created with its first page is replaced by the one from GitLab
+		await gitClient.push(pathToCloneWiki, 'github', ref, {remoteRef: GITHUB_WIKI_REF, force: true})
+			.catch((err) => {
+				throw new Error(`Unable to push to ${githubWikiUrl}, GitHub only creates it once the first wiki page is saved: ${err.message}`);
+			});
+		logger.info(`Copied ${blobs.filter(blob => WikiConverter.isPage(blob.filepath)).length} wiki page(s) of ${project.name}`);
+		fs.rmdirSync(pathToCloneWiki, {recursive: true});
+	};
+
+	var _wikiUrlFor = function(repoUrl) {
+		return repoUrl.replace(/(\.git)?$/, '.wiki.git');
+	};
+
+	var _wikiBranchIn = function(refs) {
+		const branches = Object.keys(refs).filter(ref => ref.startsWith('refs/heads/'));
+		return ['refs/heads/master', 'refs/heads/main'].find(ref => branches.includes(ref)) || branches[0];
+	};
+
+	var _copyIssues = async function(project, owner, repoName, userMapper, options = {}) {
+		if(project.issues_enabled === false) {
+			logger.info(`${project.name} has its issues disabled on GitLab, skipping it`);
+			return true;
+		}
+		try {
+			const projectPath = project.path_with_namespace;
+			const formatter = new IssueFormatter(project.web_url, userMapper);
+			for (const label of await gitlabClient.getLabels(projectPath)) {
+				await githubClient.createLabel(owner, repoName, _githubLabelFor(label));
+			}
+			const milestoneNumbers = await _copyMilestones(projectPath, owner, repoName);
+			const githubIssues = await githubClient.getIssues(owner, repoName);
+			const issues = await gitlabClient.getIssues(projectPath);
+			const usernames = [];
+			const skipped = {earlierRun: 0, confidential: 0, internalNotes: 0};
+			let copiedCount = 0;
+			for (const issue of issues) {
+				if(githubIssues.some(githubIssue => formatter.isCopyOf(githubIssue, issue))) {
+					skipped.earlierRun++;
+					continue;
+				}
+				if(issue.confidential && !options.includeConfidential) {
+					skipped.confidential++;
+					continue;
+				}
+				const assignees = (issue.assignees || []).map(user => user.username);
+				const githubIssue = await githubClient.createIssue(owner, repoName, _.omitBy({
+					title: issue.title,
+					body: formatter.issueBody(issue),
+					labels: issue.labels,
+					milestone: issue.milestone ? milestoneNumbers[issue.milestone.id] : undefined,
+					assignees: userMapper.githubLoginsFor(assignees)
+				}, _.isUndefined));
+				const comments = (await gitlabClient.getIssueNotes(projectPath, issue.iid)).filter(note => !note.system);
+				const notes = _publicNotes(comments, options);
+				skipped.internalNotes += comments.length - notes.length;
+				for (const note of notes) {
+					await githubClient.createIssueComment(owner, repoName, githubIssue.number, formatter.noteBody(note));
+				}
+				if(issue.state === 'closed') {
+					await githubClient.updateIssue(owner, repoName, githubIssue.number, {state: 'closed'});
+				}
+				usernames.push(issue.author.username, ...assignees, ...notes.map(note => note.author.username));
+				copiedCount++;
+			}
+			logger.info(`Copied ${copiedCount} issue(s) of ${project.name} to ${owner}/${repoName}`);
+			if(skipped.earlierRun > 0) {
+				logger.info(`Skipped ${skipped.earlierRun} issue(s) of ${project.name} copied to ${owner}/${repoName} by an earlier run`);
+			}
+			if(skipped.confidential > 0 || skipped.internalNotes > 0) {
+				logger.warn(`Skipped ${skipped.confidential} confidential issue(s) and ${skipped.internalNotes} internal comment(s) of ${project.name}, include them with --include-confidential`);
+			}
+			const unmappedUsers = userMapper.unmapped(_.uniq(usernames));
+			if(unmappedUsers.length > 0) {
+				logger.warn(`GitLab users of ${project.name} missing from the user mapping: ${unmappedUsers.join(', ')}`);
+			}
+			return true;
+		} catch(err) {
+			logger.warn(`Error copying issues of ${project.name}: ${err.message}`);
+			return false;
+		}
+	};
+
+	// internal notes were called confidential before GitLab 15.0
+	var _publicNotes = function(notes, options) {
+		return options.includeConfidential ? notes : notes.filter(note => !note.internal && !note.confidential);
+	};
+
+	var _copyMergeRequests = async function(project, owner, repoName, userMapper, branchRenamer, options = {}) {
+		try {
+			const projectPath = project.path_with_namespace;
+			const mergeRequests = await gitlabClient.getOpenMergeRequests(projectPath);
+			if(mergeRequests.length === 0) {
+				return true;
+			}
+			const githubRepository = await githubClient.findRepo(owner, repoName);
+			if(githubRepository === undefined) {
+				logger.warn(`${owner}/${repoName} does not exist on GitHub, copy the content of ${project.name} before its merge requests`);
+				return false;
+			}
+			const githubRefs = await gitClient.listGithubRefs(githubRepository.clone_url);
+			const githubRepoUrl = githubRepository.clone_url.replace(/\.git$/, '');
+			const formatter = new IssueFormatter(project.web_url, userMapper);
+			let copied = true;
+			let skippedInternalNotes = 0;
+			for (const mergeRequest of mergeRequests) {
+				await _copyMergeRequest(project, owner, repoName, mergeRequest, githubRefs, githubRepoUrl, formatter, branchRenamer, options)
+					.then((skipped) => {
+						skippedInternalNotes += skipped;
+					})
+					.catch((err) => {
+						logger.warn(`Error copying merge request !${mergeRequest.iid} of ${project.name}: ${err.message}`);
+						copied = false;
+					});
+			}
+			if(skippedInternalNotes > 0) {
+				logger.warn(`Skipped ${skippedInternalNotes} internal comment(s) on the merge requests of ${project.name}, include them with --include-confidential`);
+			}
+			return copied;
+		} catch(err) {
+			logger.warn(`Error copying merge requests of ${project.name}: ${err.message}`);
+			return false;
+		}
+	};
+
+	// resolves with the number of internal notes left out of the pull request
+	var _copyMergeRequest = async function(project, owner, repoName, mergeRequest, githubRefs, githubRepoUrl, formatter, branchRenamer, options) {
+		if(mergeRequest.source_project_id !== mergeRequest.target_project_id) {
+			throw new Error(`its source branch ${mergeRequest.source_branch} is in a fork, which is not copied to GitHub`);
+		}
+		const head = branchRenamer.renameBranch(mergeRequest.source_branch);
+		const base = branchRenamer.renameBranch(mergeRequest.target_branch);
+		if(githubRefs[`refs/heads/${head}`] !== mergeRequest.sha) {
+			throw new Error(`its source branch ${head} is missing or behind on GitHub, run copy-content with --sync first`);
+		}
+		if(githubRefs[`refs/heads/${base}`] === undefined) {
+			throw new Error(`its target branch ${base} is missing on GitHub, run copy-content with --sync first`);
+		}
+		const draft = Boolean(mergeRequest.draft || mergeRequest.work_in_progress);
+		const pullRequest = await githubClient.createPullRequest(owner, repoName, {
+			// GitHub has a draft flag instead of the title prefixes GitLab uses
+			title: draft ? mergeRequest.title.replace(/^(\[(draft|wip)\]|\((draft|wip)\)|(draft|wip):)\s*/i, '') : mergeRequest.title,
+			head: head,
+			base: base,
+			body: formatter.mergeRequestBody(mergeRequest),
+			draft: draft
+		});
+		const assignees = formatter.userMapper.githubLoginsFor((mergeRequest.assignees || []).map(user => user.username));
+		if(mergeRequest.labels.length > 0 || assignees.length > 0) {
+			await githubClient.updateIssue(owner, repoName, pullRequest.number, {labels: mergeRequest.labels, assignees: assignees});
+		}
+		let skippedInternalNotes = 0;
+		for (const discussion of await gitlabClient.getMergeRequestDiscussions(project.path_with_namespace, mergeRequest.iid)) {
+			const comments = discussion.notes.filter(note => !note.system);
+			const notes = _publicNotes(comments, options);
+			skippedInternalNotes += comments.length - notes.length;
+			if(notes.length > 0) {
+				await githubClient.createIssueComment(owner, repoName, pullRequest.number, formatter.discussionBody(notes, githubRepoUrl));
+			}
+		}
+		logger.info(`Copied merge request !${mergeRequest.iid} of ${project.name} as pull request #${pullRequest.number} of ${owner}/${repoName}`);
+		return skippedInternalNotes;
+	};
+
+	var _copyReleases = async function(project, owner, repoName) {
+		try {
+			const releases = await gitlabClient.getReleases(project.path_with_namespace);
+			if(releases.length === 0) {
+				return true;
+			}
+			const githubRepository = await githubClient.findRepo(owner, repoName);
+			if(githubRepository === undefined) {
+				logger.warn(`${owner}/${repoName} does not exist on GitHub, copy the content of ${project.name} before its releases`);
+				return false;
+			}
+			const githubRefs = await gitClient.listGithubRefs(githubRepository.clone_url);
+			let copied = true;
+			for (const release of releases) {
+				await _copyRelease(project, owner, repoName, release, githubRefs)
+					.catch((err) => {
+						logger.warn(`Error copying release ${release.tag_name} of ${project.name}: ${err.message}`);
+						copied = false;
+					});
+			}
+			return copied;
+		} catch(err) {
+			logger.warn(`Error copying releases of ${project.name}: ${err.message}`);
+			return false;
+		}
+	};
+
+	var _copyRelease = async function(project, owner, repoName, release, githubRefs) {
+		if(githubRefs[`refs/tags/${release.tag_name}`] === undefined) {
+			// GitHub would otherwise create the tag on the default branch
+			throw new Error(`its tag ${release.tag_name} is missing on GitHub, run copy-content with --sync first`);
+		}
+		const uploadsUrl = `${project.web_url}/uploads/`;
+		const uploadPattern = new RegExp(`${_.escapeRegExp(uploadsUrl)}[^)\\s]+`, 'g');
+		const notes = (release.description || '').replace(/(\]\()\/uploads\//g, `$1${uploadsUrl}`);
+		const githubRelease = await githubClient.createRelease(owner, repoName, {
+			tag_name: release.tag_name,
+			name: release.name || release.tag_name,
+			body: notes,
+			prerelease: _isPrerelease(release)
+		});
+		const assetUrls = {};
+		for (const fileUrl of _.uniq(notes.match(uploadPattern) || [])) {
+			assetUrls[fileUrl] = await _copyReleaseAsset(githubRelease, decodeURIComponent(path.posix.basename(fileUrl)), fileUrl);
+		}
+		const links = release.assets && release.assets.links ? release.assets.links : [];
+		for (const link of links) {
+			await _copyReleaseAsset(githubRelease, link.name, link.direct_asset_url || link.url);
+		}
+		if(!_.isEmpty(assetUrls)) {
+			await githubClient.updateRelease(owner, repoName, githubRelease.id, {body: notes.replace(uploadPattern, fileUrl => assetUrls[fileUrl])});
+		}
+		logger.info(`Copied release ${release.tag_name} of ${project.name} with ${Object.keys(assetUrls).length + links.length} asset(s)`);
+	};
+
+	var _copyReleaseAsset = async function(githubRelease, name, fileUrl) {
+		const content = await gitlabClient.downloadFile(fileUrl);
+		const asset = await githubClient.uploadReleaseAsset(githubRelease, name, content);
+		return asset.browser_download_url;
+	};
+
+	var _isPrerelease = function(release) {
+		// GitLab has no prerelease flag, only releases dated in the future and semver prerelease tags come close
+		return Boolean(release.upcoming_release) || /^v?\d+(\.\d+)*-/.test(release.tag_name);
+	};
+
+	var _copyProtection = async function(project, owner, repoName, branchRenamer) {
+		try {
+			const projectPath = project.path_with_namespace;
+			const protectedBranches = await gitlabClient.getProtectedBranches(projectPath);
+			if(protectedBranches.length === 0) {
+				return true;
+			}
+			const githubRepository = await githubClient.findRepo(owner, repoName);
+			if(githubRepository === undefined) {
+				logger.warn(`${owner}/${repoName} does not exist on GitHub, copy the content of ${project.name} before its protected branches`);
+				return false;
+			}
+			const githubBranches = _refNamesIn(Object.keys(await gitClient.listGithubRefs(githubRepository.clone_url)), 'refs/heads/');
+			const approvalRules = await gitlabClient.getApprovalRules(projectPath);
+			const approvalSettings = await gitlabClient.getApprovalSettings(projectPath);
+			let copied = true;
+			for (const protectedBranch of protectedBranches) {
+				// GitHub only protects existing branches through its API, so wildcards are expanded to the branches they match now
+				const branchNames = ProtectionConverter.isWildcard(protectedBranch.name)
+					? ProtectionConverter.matchingBranches(protectedBranch.name, githubBranches)
+					: [branchRenamer.renameBranch(protectedBranch.name)].filter(branchName => githubBranches.includes(branchName));
+				if(branchNames.length === 0) {
+					logger.warn(`No branch of ${owner}/${repoName} matches ${protectedBranch.name} protected on GitLab`);
+					continue;
+				}
+				const rule = new GithubBranchProtectionRule(ProtectionConverter.rulesFor(protectedBranch, approvalRules, approvalSettings));
+				for (const branchName of branchNames) {
+					await githubClient.configureBranchProtectionRule(owner, repoName, branchName, rule)
+						.catch((err) => {
+							logger.warn(err.message);
+							copied = false;
+						});
+				}
+				const unmapped = ProtectionConverter.unmappedFor(protectedBranch);
+				if(unmapped.length > 0) {
+					logger.warn(`Protection of ${protectedBranch.name} on ${project.name} not carried over to GitHub: ${unmapped.join('; ')}`);
+				}
+			}
+			return copied;
+		} catch(err) {
+			logger.warn(`Error copying protected branches of ${project.name}: ${err.message}`);
+			return false;
+		}
+	};
+
+	var _copyGroupVariables = async function(gitlabGroupName, githubOrgName, repoNames, restPool) {
+		const target = githubOrgName === undefined ? config.get('gl2gh.github.username') : githubOrgName;
+		const entryFor = variable => ({source: gitlabGroupName, key: variable.key, target});
+		try {
+			const variables = await gitlabClient.getGroupVariables(gitlabGroupName);
+			if(variables.length === 0) {
+				return [];
+			}
+			if(githubOrgName === undefined) {
+				return variables.map(variable => Object.assign(entryFor(variable), {status: 'unmapped', reason: 'group variables need a GitHub organisation'}));
+			}
+			// org secrets and variables are only shared with the repos of the group, like they are on GitLab
+			const repositoryIds = (await restPool.map(repoNames, repoName => githubClient.findRepoId(githubOrgName, repoName)))
+				.filter(repositoryId => repositoryId !== undefined);
+			const settings = {visibility: 'selected', selected_repository_ids: repositoryIds};
+			// GitHub has no environments on orgs, so only variables for every environment are carried over
+			return await _putVariables(variables, [], entryFor, () => `orgs/${githubOrgName}/actions`, settings);
+		} catch(err) {
+			logger.warn(`Error copying variables of ${gitlabGroupName}: ${err.message}`);
+			return [{source: gitlabGroupName, target, status: 'failed', reason: err.message}];
+		}
+	};
+
+	var _copyProjectVariables = async function(project, owner, repoName) {
+		const entryFor = variable => ({source: project.path_with_namespace, key: variable.key, target: `${owner}/${repoName}`});
+		try {
+			const variables = await gitlabClient.getProjectVariables(project.path_with_namespace);
+			if(variables.length === 0) {
+				return [];
+			}
+			if(await githubClient.findRepo(owner, repoName) === undefined) {
+				const reason = `${owner}/${repoName} does not exist on GitHub, copy the content of ${project.name} before its variables`;
+				return variables.map(variable => Object.assign(entryFor(variable), {status: 'failed', reason}));
+			}
+			const environments = await githubClient.getEnvironments(owner, repoName);
+			const scopeFor = environment => environment === undefined
+				? `repos/${owner}/${repoName}/actions`
+				: `repos/${owner}/${repoName}/environments/${encodeURIComponent(environment)}`;
+			return _putVariables(variables, environments, entryFor, scopeFor);
+		} catch(err) {
+			logger.warn(`Error copying variables of ${project.name}: ${err.message}`);
+			return [{source: project.path_with_namespace, target: `${owner}/${repoName}`, status: 'failed', reason: err.message}];
+		}
+	};
+
+	var _putVariables = async function(variables, environments, entryFor, scopeFor, settings = {}) {
+		const publicKeys = {};
+		const entries = [];
+		for (const variable of variables) {
+			const target = VariableConverter.targetFor(variable, environments);
+			const entry = entryFor(variable);
+			if(target.reason !== undefined) {
+				entries.push(Object.assign(entry, {status: 'unmapped', reason: target.reason}));
+				continue;
+			}
+			Object.assign(entry, _.omitBy({kind: target.kind, environment: target.environment}, _.isUndefined));
+			const scope = scopeFor(target.environment);
+			try {
+				if(target.kind === 'secret') {
+					// every scope seals its secrets with its own public key
+					publicKeys[scope] = publicKeys[scope] || await githubClient.getActionsPublicKey(scope);
+					await githubClient.putActionsSecret(scope, variable.key, variable.value, publicKeys[scope], settings);
+				} else {
+					await githubClient.putActionsVariable(scope, variable.key, variable.value, settings);
+				}
+				entries.push(Object.assign(entry, {status: 'copied'}));
+			} catch(err) {
+				logger.warn(err.message);
+				entries.push(Object.assign(entry, {status: 'failed', reason: err.message}));
+			}
+		}
+		return entries;
+	};
+
+	var _copyProjectMembers = async function(project, githubOrgName, owner, repoName, mappers) {
+		const target = `${owner}/${repoName}`;
+		try {
+			const members = await gitlabClient.getProjectMembers(project.path_with_namespace);
+			if(await githubClient.findRepo(owner, repoName) === undefined) {
+				const reason = `${target} does not exist on GitHub, copy the content of ${project.name} before its members`;
+				return [{source: project.path_with_namespace, target, status: 'failed', reason}];
+			}
+			const entries = [];
+			for (const member of members) {
+				const entry = {source: project.path_with_namespace, member: member.username, kind: 'user', target};
+				const login = mappers.user.githubLoginFor(member.username);
+				// the owner of a personal repository has every permission already and cannot be its collaborator
+				if(login !== undefined && githubOrgName === undefined && login === owner) {
+					continue;
+				}
+				const reason = [
+					member.state === 'active' ? undefined : `${member.username} is ${member.state} on GitLab`,
+					_unmappedRoleReason(member.access_level, mappers.role),
+					login === undefined ? `no GitHub login mapped for ${member.username}` : undefined
+				].find(reason => reason !== undefined);
+				if(reason !== undefined) {
+					entries.push(Object.assign(entry, {status: 'unmapped', reason}));
+					continue;
+				}
+				const permission = mappers.role.permissionFor(member.access_level);
+				try {
+					const result = await githubClient.addCollaborator(owner, repoName, login, permission);
+					entries.push(Object.assign(entry, {grantee: login, permission, status: result === 'invited' ? 'invited' : 'granted'}));
+				} catch(err) {
+					logger.warn(err.message);
+					entries.push(Object.assign(entry, {grantee: login, permission, status: 'failed', reason: err.message}));
+				}
+			}
+			for (const group of project.shared_with_groups) {
+				const entry = {source: project.path_with_namespace, member: group.group_full_path, kind: 'team', target};
+				const teamSlug = mappers.team[group.group_full_path];
+				const reason = [
+					githubOrgName === undefined ? 'teams only exist in GitHub organizations' : undefined,
+					_unmappedRoleReason(group.group_access_level, mappers.role),
+					teamSlug === undefined ? `no GitHub team mapped for ${group.group_full_path}` : undefined
+				].find(reason => reason !== undefined);
+				if(reason !== undefined) {
+					entries.push(Object.assign(entry, {status: 'unmapped', reason}));
+					continue;
+				}
+				const permission = mappers.role.permissionFor(group.group_access_level);
+				try {
+					await githubClient.addTeamRepo(githubOrgName, teamSlug, repoName, permission);
+					entries.push(Object.assign(entry, {grantee: teamSlug, permission, status: 'granted'}));
+				} catch(err) {
+					logger.warn(err.message);
+					entries.push(Object.assign(entry, {grantee: teamSlug, permission, status: 'failed', reason: err.message}));
+				}
+			}
+			return entries;
+		} catch(err) {
+			logger.warn(`Error copying members of ${project.name}: ${err.message}`);
+			return [{source: project.path_with_namespace, target, status: 'failed', reason: err.message}];
+		}
+	};
+
+	// teams are not nested, as members of a nested team get the access of its parent team, which members of a subgroup do not
+	// have on GitLab; members of a group are members of its subgroups on GitLab, so they are in the teams of those as well
+	var _copyTeam = async function(group, githubOrgName, teamMapping, teams) {
+		const name = teamMapping[group.full_path] || group.full_path.replace(/\//g, '-');
+		const entry = {source: group.full_path, kind: 'team', target: `${githubOrgName}/${_teamSlugFor(name)}`};
+		try {
+			const existingTeam = await githubClient.findTeam(githubOrgName, _teamSlugFor(name));
+			if(existingTeam !== undefined) {
+				teams[group.id] = existingTeam;
+				return Object.assign(entry, {status: 'exists'});
+			}
+			// every team is visible to the members of the org
+			const team = await githubClient.createTeam(githubOrgName, _.omitBy({
+				name,
+				description: group.description || undefined,
+				privacy: 'closed'
+			}, _.isUndefined));
+			teams[group.id] = team;
+			return Object.assign(entry, {target: `${githubOrgName}/${team.slug}`, status: 'created'});
+		} catch(err) {
+			logger.warn(err.message);
+			return Object.assign(entry, {status: 'failed', reason: err.message});
+		}
+	};
+
+	var _fillTeam = async function(group, githubOrgName, team, repoNames, permission, mappers) {
+		const target = `${githubOrgName}/${team.slug}`;
+		const entries = [];
+		try {
+			const members = await gitlabClient.getGroupMembers(group.full_path);
+			for (const member of members) {
+				const entry = {source: group.full_path, kind: 'member', member: member.username, target};
+				const login = mappers.user.githubLoginFor(member.username);
+				const memberPermission = mappers.role.permissionFor(member.access_level);
+				const reason = [
+					member.state === 'active' ? undefined : `${member.username} is ${member.state} on GitLab`,
+					_unmappedRoleReason(member.access_level, mappers.role),
+					// a team grants the same permission to all its members, which is more than some of them have on GitLab
+					memberPermission !== undefined && RoleMapper.PERMISSIONS.indexOf(memberPermission) < RoleMapper.PERMISSIONS.indexOf(permission)
+						? `role ${RoleMapper.roleFor(member.access_level)} maps to ${memberPermission}, below the ${permission} permission of the team` : undefined,
+					login === undefined ? `no GitHub login mapped for ${member.username}` : undefined
+				].find(reason => reason !== undefined);
+				if(reason !== undefined) {
+					entries.push(Object.assign(entry, {status: 'unmapped', reason}));
+					continue;
+				}
+				const role = memberPermission === 'admin' ? 'maintainer' : 'member';
+				try {
+					const status = await githubClient.addTeamMember(githubOrgName, team.slug, login, role);
+					entries.push(Object.assign(entry, {grantee: login, role, status}));
+				} catch(err) {
+					logger.warn(err.message);
+					entries.push(Object.assign(entry, {grantee: login, role, status: 'failed', reason: err.message}));
+				}
+			}
+		} catch(err) {
+			logger.warn(err.message);
+			entries.push({source: group.full_path, kind: 'member', target, status: 'failed', reason: err.message});
+		}
+		for (const repoName of repoNames) {
+			const entry = {source: group.full_path, kind: 'repo', repo: repoName, target, permission};
+			try {
+				await githubClient.addTeamRepo(githubOrgName, team.slug, repoName, permission);
+				entries.push(Object.assign(entry, {status: 'granted'}));
+			} catch(err) {
+				logger.warn(err.message);
+				entries.push(Object.assign(entry, {status: 'failed', reason: err.message}));
+			}
+		}
+		return entries;
+	};
+
+	var _copyDeployKeys = async function(project, deployKeys, owner, repoName, projectsByKey) {
+		const target = `${owner}/${repoName}`;
+		if(deployKeys.length === 0) {
+			return [];
+		}
+		try {
+			if(await githubClient.findRepo(owner, repoName) === undefined) {
+				const reason = `${target} does not exist on GitHub, copy the content of ${project.name} before its deploy keys`;
+				return deployKeys.map(deployKey => ({source: project.path_with_namespace, key: deployKey.title, target, status: 'failed', reason}));
+			}
+			const existingKeys = (await githubClient.getDeployKeys(owner, repoName)).map(deployKey => _deployKeyOf(deployKey.key));
+			const entries = [];
+			for (const deployKey of deployKeys) {
+				const key = _deployKeyOf(deployKey.key);
+				const readOnly = !deployKey.can_push;
+				const entry = {source: project.path_with_namespace, key: deployKey.title, target, readOnly};
+				const otherProjects = projectsByKey[key].filter(projectPath => projectPath !== project.path_with_namespace);
+				if(existingKeys.includes(key)) {
+					entries.push(Object.assign(entry, {status: 'exists'}));
+				} else if(otherProjects.length > 0) {
+					const reason = `also a deploy key of ${otherProjects.join(', ')}, use a machine user or a GitHub App for access to several repos`;
+					entries.push(Object.assign(entry, {status: 'shared', reason}));
+				} else {
+					try {
+						await githubClient.createDeployKey(owner, repoName, {title: deployKey.title, key, read_only: readOnly});
+						entries.push(Object.assign(entry, {status: 'added'}));
+					} catch(err) {
+						logger.warn(err.message);
+						entries.push(Object.assign(entry, {status: 'failed', reason: err.message}));
+					}
+				}
+			}
+			return entries;
+		} catch(err) {
+			logger.warn(`Error copying deploy keys of ${project.name}: ${err.message}`);
+			return [{source: project.path_with_namespace, target, status: 'failed', reason: err.message}];
+		}
+	};
+
+	var _copyWebhooks = async function(project, owner, repoName, secret) {
+		const target = `${owner}/${repoName}`;
+		try {
+			const hooks = await gitlabClient.getProjectHooks(project.path_with_namespace);
+			if(hooks.length === 0) {
+				return [];
+			}
+			if(await githubClient.findRepo(owner, repoName) === undefined) {
+				const reason = `${target} does not exist on GitHub, copy the content of ${project.name} before its webhooks`;
+				return hooks.map(hook => ({source: project.path_with_namespace, url: hook.url, target, status: 'failed', reason}));
+			}
+			const existingUrls = (await githubClient.getWebhooks(owner, repoName)).map(webhook => webhook.config.url);
+			const entries = [];
+			for (const hook of hooks) {
+				const {events, insecureSsl, unmapped} = WebhookConverter.convert(hook);
+				const entry = Object.assign({source: project.path_with_namespace, url: hook.url, target, events}, unmapped.length > 0 ? {unmapped} : {});
+				if(existingUrls.includes(hook.url)) {
+					entries.push(Object.assign(entry, {status: 'exists'}));
+				} else if(events.length === 0) {
+					entries.push(Object.assign(entry, {status: 'unmapped', reason: 'none of its triggers has a GitHub equivalent'}));
+				} else {
+					try {
+						await githubClient.createWebhook(new GithubWebhookConfig(repoName, secret, events, hook.url, insecureSsl), owner);
+						entries.push(Object.assign(entry, {status: 'created'}));
+					} catch(err) {
+						logger.warn(err.message);
+						entries.push(Object.assign(entry, {status: 'failed', reason: err.message}));
+					}
+				}
+			}
+			return entries;
+		} catch(err) {
+			logger.warn(`Error copying webhooks of ${project.name}: ${err.message}`);
+			return [{source: project.path_with_namespace, target, status: 'failed', reason: err.message}];
+		}
+	};
+
+	var _deployKeyOf = function(publicKey) {
+		// GitHub drops the comment after the key type and body, which GitLab keeps
+		return publicKey.trim().split(/\s+/).slice(0, 2).join(' ');
+	};
+
+	var _teamSlugFor = function(teamName) {
+		return teamName.toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+	};
+
+	var _unmappedRoleReason = function(accessLevel, roleMapper) {
+		if(roleMapper.permissionFor(accessLevel) !== undefined) {
+			return undefined;
+		}
+		const role = RoleMapper.roleFor(accessLevel);
+		return role === undefined ? `no GitHub permission for access level ${accessLevel}` : `role ${role} is mapped to no GitHub permission`;
+	};
+
+	var _githubLabelFor = function(label) {
+		return _.omitBy({
+			name: label.name,
+			color: label.color.replace(/^#/, '').toLowerCase(),
+			// GitHub limits label descriptions to 100 characters
+			description: label.description ? label.description.substring(0, 100) : undefined
+		}, _.isUndefined);
+	};
+
+	var _copyMilestones = async function(projectPath, owner, repoName) {
+		const githubNumbers = _.fromPairs((await githubClient.getMilestones(owner, repoName)).map(milestone => [milestone.title, milestone.number]));
+		const milestoneNumbers = {};
+		for (const milestone of await gitlabClient.getMilestones(projectPath)) {
+			if(githubNumbers[milestone.title] === undefined) {
+				const githubMilestone = await githubClient.createMilestone(owner, repoName, _.omitBy({
+					title: milestone.title,
+					description: milestone.description || undefined,
+					state: milestone.state === 'closed' ? 'closed' : 'open',
+					due_on: milestone.due_date ? `${milestone.due_date}T00:00:00Z` : undefined
+				}, _.isUndefined));
+				githubNumbers[milestone.title] = githubMilestone.number;
+			}
+			milestoneNumbers[milestone.id] = githubNumbers[milestone.title];
+		}
+		return milestoneNumbers;
+	};
+
+	var _repoPathsFor = function(projects, owner, repoNamer) {
+		const repoPaths = {};
+		projects.forEach((project) => {
+			const gitlabPath = new URL(project.http_url_to_repo).pathname.replace(/^\//, '').replace(/\.git$/, '');
+			repoPaths[gitlabPath] = `${owner}/${repoNamer.repoNameFor(project)}`;
+		});
+		return repoPaths;
+	};
+
+	var _rewriteGitlabUrls = async function(project, githubRepository, pathToCloneRepo, repoPaths, preview) {
+		if(!project.default_branch) {
+			logger.info(`${project.name} has no default branch, no GitLab URLs to rewrite`);
+			return;
+		}
+		const ref = `refs/heads/${project.default_branch}`;
+		const urlRewriter = new UrlRewriter(new URL(project.http_url_to_repo).host, new URL(githubRepository.clone_url).host, repoPaths);
+		try {
+			const files = await gitClient.readFiles(pathToCloneRepo, ref, UrlRewriter.isRewritten);
+			const rewrittenFiles = _.pickBy(_.mapValues(files, content => urlRewriter.rewrite(content)), (content, filepath) => content !== files[filepath]);
+			if(_.isEmpty(rewrittenFiles)) {
+				logger.info(`No GitLab URLs to rewrite in ${project.name}`);
+				return;
+			}
+			if(preview) {
+				Object.keys(rewrittenFiles).forEach((filepath) => {
+					logger.info(diff.createTwoFilesPatch(`a/${filepath}`, `b/${filepath}`, files[filepath], rewrittenFiles[filepath]));
+				});
+				return;
+			}
+			const message = `Rewrite GitLab URLs to GitHub\n\nRewritten by gl2gh while migrating ${project.http_url_to_repo} to ${githubRepository.clone_url}`;
+			await gitClient.commitFiles(pathToCloneRepo, ref, rewrittenFiles, message, commitAuthor);
+			logger.info(`Rewrote GitLab URLs in ${Object.keys(rewrittenFiles).join(', ')} of ${project.name}`);
+		} catch(err) {
+			logger.warn(`Error rewriting GitLab URLs of ${project.name}: ${err.message}`);
+		}
+	};
+
+	var _convertGitlabCi = async function(project, pathToCloneRepo) {
+		if(!project.default_branch) {
+			logger.info(`${project.name} has no default branch, no GitLab CI to convert`);
+			return;
+		}
+		const ref = `refs/heads/${project.default_branch}`;
+		try {
+			const files = await gitClient.readFiles(pathToCloneRepo, ref, filepath => [CiConverter.GITLAB_CI_FILE, CiConverter.WORKFLOW_FILE].includes(filepath));
+			if(files[CiConverter.GITLAB_CI_FILE] === undefined) {
+				logger.info(`${project.name} has no ${CiConverter.GITLAB_CI_FILE} to convert`);
+				return;
+			}
+			if(files[CiConverter.WORKFLOW_FILE] !== undefined) {
+				logger.warn(`${project.name} already has a ${CiConverter.WORKFLOW_FILE}, leaving it as it is`);
+				return;
+			}
+			const workflow = CiConverter.convert(files[CiConverter.GITLAB_CI_FILE]);
+			const message = `Convert GitLab CI into a GitHub Actions workflow\n\nConverted by gl2gh from ${CiConverter.GITLAB_CI_FILE}, the TODO comments mark what is left to convert by hand`;
+			await gitClient.commitFiles(pathToCloneRepo, ref, {[CiConverter.WORKFLOW_FILE]: workflow}, message, commitAuthor);
+			const todoCount = (workflow.match(/# TODO:/g) || []).length;
+			logger.info(`Converted ${CiConverter.GITLAB_CI_FILE} of ${project.name} into ${CiConverter.WORKFLOW_FILE} with ${todoCount} TODO(s)`);
+			const disabledCount = workflow.split(CiConverter.DISABLED_NOTE).length - 1;
+			if(disabledCount > 0) {
+				logger.warn(`${disabledCount} job(s) of ${project.name} are disabled in ${CiConverter.WORKFLOW_FILE}, their conditions could not be converted`);
+			}
+		} catch(err) {
+			logger.warn(`Error converting GitLab CI of ${project.name}: ${err.message}`);
+		}
+	};
+
+	var _copyLfsObjects = async function(project, githubRepository, pathToCloneRepo, refs) {
+		try {
+			const pointers = await gitClient.listLfsPointers(pathToCloneRepo, refs);
+			if(pointers.length === 0) {
+				return true;
+			}
+			const summary = await lfsClient.copyObjects(project.http_url_to_repo, githubRepository.clone_url, pointers);
+			logger.info(`LFS objects of ${project.name}: ${summary.objects} referenced, ${summary.uploaded} uploaded, ${summary.bytes} bytes`);
+			return true;
+		} catch(err) {
+			logger.warn(`Error copying LFS objects of ${project.name}: ${err.message}`);
+			return false;
+		}
 	};
 
 	var _filterProjectsWithPrefix = function (projects, prefix) {
@@ -0,0 +1,71 @@
+const _ = require('lodash');
+
+const NO_ONE = 0;
+const DEVELOPER = 30;
+// GitHub accepts at most 6 required approving reviews
+const MAX_APPROVING_REVIEW_COUNT = 6;
+
+function ProtectionConverter() {}
+
+ProtectionConverter.rulesFor = function(protectedBranch, approvalRules = [], approvalSettings = {}) {
+	const pushLevels = protectedBranch.push_access_levels || [];
+	const mergeLevels = protectedBranch.merge_access_levels || [];
+	const noOneCanPush = pushLevels.every(level => level.access_level === NO_ONE && !_isForUserOrGroup(level));
+	const approvals = _.max(approvalRules.filter(rule => _appliesTo(rule, protectedBranch.name)).map(rule => rule.approvals_required)) || 0;
+	return {
+		required_status_checks_contexts: [],
+		required_approving_review_count: Math.min(approvals, MAX_APPROVING_REVIEW_COUNT),
+		dismiss_stale_reviews: Boolean(approvalSettings.reset_approvals_on_push),
+		enforce_admins: noOneCanPush,
+		// GitHub cannot limit pushes or merges to maintainers, requiring pull requests keeps developers from pushing directly at least
+		require_pull_request: noOneCanPush || approvals > 0 || _isLimitedAboveDevelopers(pushLevels) || _isLimitedAboveDevelopers(mergeLevels),
+		require_code_owner_reviews: Boolean(protectedBranch.code_owner_approval_required),
+		allow_force_pushes: Boolean(protectedBranch.allow_force_push)
+	};
+};
+
+ProtectionConverter.unmappedFor = function(protectedBranch) {
+	const unmapped = [];
+	const describe = (kind, levels) => {
+		if(levels.some(_isForUserOrGroup)) {
+			unmapped.push(`${kind} access of specific users or groups`);
+		}
+		const roleLevels = levels.filter(level => !_isForUserOrGroup(level) && level.access_level > DEVELOPER);
+		if(roleLevels.length > 0) {
+			unmapped.push(`${kind} access limited to ${roleLevels.map(level => level.access_level_description).join(', ')}, pull requests are required instead`);
+		}
+	};
+	describe('push', protectedBranch.push_access_levels || []);
+	describe('merge', protectedBranch.merge_access_levels || []);
+	if(ProtectionConverter.isWildcard(protectedBranch.name)) {
+		unmapped.push('branches created later which match the wildcard');
+	}
+	return unmapped;
+};
+
+ProtectionConverter.isWildcard = function(name) {
+	return name.includes('*');
+};
+
+ProtectionConverter.matchingBranches = function(pattern, branches) {
+	// a GitLab wildcard matches any characters, slashes included
+	const regex = new RegExp(`^${pattern.split('*').map(_.escapeRegExp).join('.*')}$`);
+	return branches.filter(branch => regex.test(branch));
+};
+
+var _isForUserOrGroup = function(level) {
+	return Boolean(level.user_id || level.group_id);
+};
+
+var _isLimitedAboveDevelopers = function(levels) {
+	const roleLevels = levels.filter(level => !_isForUserOrGroup(level));
+	return roleLevels.length > 0 && roleLevels.every(level => level.access_level > DEVELOPER);
+};
+
+var _appliesTo = function(rule, branchName) {
+	// a rule without protected branches applies to every branch
+	const protectedBranches = rule.protected_branches || [];
+	return protectedBranches.length === 0 || protectedBranches.some(protectedBranch => protectedBranch.name === branchName);
+};
+
+module.exports = ProtectionConverter;
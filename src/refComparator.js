@@ -0,0 +1,27 @@
+function RefComparator() {}
+
+RefComparator.compare = function (sourceRefs, targetRefs) {
+	const comparison = {
+		missing: [],
+		diverged: [],
+		extra: [],
+		unchanged: []
+	};
+	Object.keys(sourceRefs).sort().forEach((ref) => {
+		if(!(ref in targetRefs)) {
+			comparison.missing.push(ref);
+		} else if(sourceRefs[ref] !== targetRefs[ref]) {
+			comparison.diverged.push(ref);
+		} else {
+			comparison.unchanged.push(ref);
+		}
+	});
+	comparison.extra = Object.keys(targetRefs).filter(ref => !(ref in sourceRefs)).sort();
+	return comparison;
+};
+
+RefComparator.isInSync = function (comparison) {
+	return comparison.missing.length === 0 && comparison.diverged.length === 0 && comparison.extra.length === 0;
+};
+
+module.exports = RefComparator;
@@ -0,0 +1,49 @@
+const NAMING_TEMPLATES = {
+	name: '{name}',
+	path: '{path}'
+};
+
+function RepoNamer(gitlabGroupName, options = {}) {
+	this.gitlabGroupName = gitlabGroupName;
+	this.mapping = options.nameMapping || {};
+	const naming = options.naming || 'name';
+	if(!(naming in NAMING_TEMPLATES)) {
+		throw new Error(`Unknown naming strategy: ${naming}, expected one of ${Object.keys(NAMING_TEMPLATES).join(', ')}`);
+	}
+	this.template = options.nameTemplate || NAMING_TEMPLATES[naming];
+
+	this.repoNameFor = function(project) {
+		if(project.path_with_namespace in this.mapping) {
+			return this.mapping[project.path_with_namespace];
+		}
+		const repoName = this.template
+			.replace(/{name}/g, project.name)
+			.replace(/{path}/g, _flattenedPathOf(project));
+		// GitHub replaces every other character of a repo name with a hyphen
+		return repoName.replace(/[^A-Za-z0-9._-]/g, '-');
+	};
+
+	this.checkCollisions = function(projects) {
+		const projectsByRepoName = {};
+		projects.forEach((project) => {
+			// repo names on GitHub are case insensitive
+			const repoName = this.repoNameFor(project).toLowerCase();
+			projectsByRepoName[repoName] = (projectsByRepoName[repoName] || []).concat(project.path_with_namespace);
+		});
+		const collisions = Object.keys(projectsByRepoName)
+			.filter(repoName => projectsByRepoName[repoName].length > 1)
+			.map(repoName => `${projectsByRepoName[repoName].join(', ')} -> ${repoName}`);
+		if(collisions.length > 0) {
+			throw new Error(`Projects would be copied to the same GitHub repo, choose another naming strategy: ${collisions.join('; ')}`);
+		}
+	};
+
+	var _flattenedPathOf = (project) => {
+		const path = project.path_with_namespace || project.name;
+		const groupPrefix = `${this.gitlabGroupName}/`;
+		const relativePath = path.toLowerCase().startsWith(groupPrefix.toLowerCase()) ? path.substring(groupPrefix.length) : path;
+		return relativePath.replace(/\//g, '-');
+	};
+}
+
+module.exports = RepoNamer;
@@ -0,0 +1,29 @@
+const ROLES = {10: 'guest', 15: 'planner', 20: 'reporter', 30: 'developer', 40: 'maintainer', 50: 'owner'};
+const DEFAULT_MAPPING = {guest: 'read', planner: 'triage', reporter: 'triage', developer: 'write', maintainer: 'maintain', owner: 'admin'};
+const PERMISSIONS = ['read', 'triage', 'write', 'maintain', 'admin'];
+
+function RoleMapper(mapping = {}) {
+	this.mapping = Object.assign({}, DEFAULT_MAPPING, mapping);
+
+	Object.keys(this.mapping).forEach((role) => {
+		const permission = this.mapping[role];
+		// a role mapped to none gets no access on GitHub
+		if(permission !== 'none' && !PERMISSIONS.includes(permission)) {
+			throw new Error(`Invalid permission ${permission} for role ${role}, expected one of ${PERMISSIONS.join(', ')} or none`);
+		}
+	});
+
+	this.permissionFor = function(accessLevel) {
+		const permission = this.mapping[RoleMapper.roleFor(accessLevel)];
+		return permission === 'none' ? undefined : permission;
+	};
+}
+
+RoleMapper.PERMISSIONS = PERMISSIONS;
+
+RoleMapper.roleFor = function(accessLevel) {
+	// levels between the known ones, like minimal access, have no role
+	return ROLES[accessLevel];
+};
+
+module.exports = RoleMapper;
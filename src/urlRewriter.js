@@ -0,0 +1,35 @@
+const _ = require('lodash');
+
+function UrlRewriter(gitlabHost, githubHost, repoPaths) {
+	this.gitlabHost = gitlabHost;
+	this.githubHost = githubHost;
+	this.repoPaths = _.mapKeys(repoPaths, (githubPath, gitlabPath) => gitlabPath.toLowerCase());
+
+	// longer paths first, so a subgroup project is not rewritten as its parent group
+	const gitlabPaths = Object.keys(repoPaths).sort((a, b) => b.length - a.length).map(_.escapeRegExp).join('|');
+	// the `/-` GitLab puts in front of blob, tree and other project pages does not exist on GitHub
+	const urlPattern = new RegExp(`${_.escapeRegExp(gitlabHost)}([:/])(${gitlabPaths})(\\.git)?(?:/-(?=/))?(?![\\w-]|\\.[\\w-])`, 'gi');
+	const shorthandPattern = new RegExp(`\\bgitlab:(${gitlabPaths})(?![\\w-]|\\.[\\w-])`, 'gi');
+
+	this.rewrite = function(content) {
+		if(gitlabPaths === '') {
+			return content;
+		}
+		return content
+			.replace(urlPattern, (match, separator, gitlabPath, dotGit = '') => `${this.githubHost}${separator}${this.githubPathFor(gitlabPath)}${dotGit}`)
+			.replace(shorthandPattern, (match, gitlabPath) => `github:${this.githubPathFor(gitlabPath)}`);
+	};
+
+	this.githubPathFor = function(gitlabPath) {
+		return this.repoPaths[gitlabPath.toLowerCase()];
+	};
+}
+
+UrlRewriter.REWRITTEN_FILES = ['.gitmodules', 'package.json'];
+
+UrlRewriter.isRewritten = function(filepath) {
+	const name = filepath.split('/').pop();
+	return UrlRewriter.REWRITTEN_FILES.includes(name) || (!filepath.includes('/') && name.toUpperCase().startsWith('README'));
+};
+
+module.exports = UrlRewriter;
@@ -0,0 +1,17 @@
+function UserMapper(mapping = {}) {
+	this.mapping = mapping;
+
+	this.githubLoginFor = function(gitlabUsername) {
+		return this.mapping[gitlabUsername];
+	};
+
+	this.githubLoginsFor = function(gitlabUsernames) {
+		return gitlabUsernames.map(username => this.githubLoginFor(username)).filter(login => login !== undefined);
+	};
+
+	this.unmapped = function(gitlabUsernames) {
+		return gitlabUsernames.filter(username => this.githubLoginFor(username) === undefined);
+	};
+}
+
+module.exports = UserMapper;
@@ -0,0 +1,28 @@
+const ALL_ENVIRONMENTS = '*';
+
+function VariableConverter() {}
+
+// Resolves where a GitLab CI/CD variable lands on GitHub Actions, given the names of the environments of the target;
+// a variable which cannot be carried over resolves to the reason why
+VariableConverter.targetFor = function(variable, environments = []) {
+	if(variable.variable_type === 'file') {
+		return {reason: 'file-type variables have no GitHub equivalent'};
+	}
+	if(variable.key.toUpperCase().startsWith('GITHUB_')) {
+		return {reason: 'GitHub reserves names starting with GITHUB_'};
+	}
+	const scope = variable.environment_scope || ALL_ENVIRONMENTS;
+	if(scope !== ALL_ENVIRONMENTS && scope.includes('*')) {
+		return {reason: `environment scope ${scope} is a wildcard`};
+	}
+	if(scope !== ALL_ENVIRONMENTS && !environments.includes(scope)) {
+		return {reason: `no GitHub environment named ${scope}`};
+	}
+	// GitHub shows plain variables to anyone with read access, so anything GitLab masks or protects becomes a secret
+	return {
+		kind: variable.masked || variable.protected ? 'secret' : 'variable',
+		environment: scope === ALL_ENVIRONMENTS ? undefined : scope
+	};
+};
+
+module.exports = VariableConverter;
@@ -0,0 +1,32 @@
+const _ = require('lodash');
+
+// GitHub sends tag pushes as push events and every kind of comment as its own event
+const EVENTS_BY_TRIGGER = {
+	push_events: ['push'],
+	tag_push_events: ['push'],
+	merge_requests_events: ['pull_request'],
+	note_events: ['issue_comment', 'commit_comment', 'pull_request_review_comment'],
+	pipeline_events: ['workflow_run'],
+	issues_events: ['issues'],
+	job_events: ['workflow_job'],
+	wiki_page_events: ['gollum'],
+	deployment_events: ['deployment_status'],
+	releases_events: ['release']
+};
+const TRIGGER_SUFFIX = '_events';
+
+function WebhookConverter() {}
+
+// Resolves the GitHub events of a GitLab project hook, along with the triggers and settings of the hook GitHub cannot honour
+WebhookConverter.convert = function(hook) {
+	const triggers = Object.keys(hook).filter(key => key.endsWith(TRIGGER_SUFFIX) && hook[key] === true);
+	const events = _.uniq(_.flatMap(triggers, trigger => EVENTS_BY_TRIGGER[trigger] || []));
+	const unmapped = triggers.filter(trigger => !(trigger in EVENTS_BY_TRIGGER))
+		.map(trigger => `${trigger.slice(0, -TRIGGER_SUFFIX.length)} trigger has no GitHub equivalent`);
+	if(hook.push_events && hook.push_events_branch_filter) {
+		unmapped.push(`GitHub cannot filter push events by branch like ${hook.push_events_branch_filter}`);
+	}
+	return {events, insecureSsl: hook.enable_ssl_verification === false, unmapped};
+};
+
+module.exports = WebhookConverter;
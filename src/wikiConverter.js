@@ -0,0 +1,87 @@
+const path = require('path');
+const _ = require('lodash');
+
+const PAGE_EXTENSIONS = ['.md', '.markdown', '.rdoc', '.asciidoc', '.adoc', '.org', '.textile', '.creole', '.mediawiki', '.wiki', '.rst', '.pod'];
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+// GitHub only picks up these pages when they are capitalized
+const SPECIAL_PAGES = {'home': 'Home', '_sidebar': '_Sidebar', '_footer': '_Footer'};
+
+function WikiConverter(gitlabProjectUrl, githubWikiUrl) {
+	this.gitlabProjectUrl = gitlabProjectUrl;
+	this.githubWikiUrl = githubWikiUrl;
+
+	// GitLab serves wiki pages under /-/wikis/ and, on older instances, /wikis/
+	const gitlabUrlPattern = new RegExp(`^${_.escapeRegExp(gitlabProjectUrl)}(?:/-)?/wikis/`);
+
+	this.convert = function(blobs, pages) {
+		const files = {};
+		const pageNames = {};
+		blobs.filter(blob => WikiConverter.isPage(blob.filepath)).forEach(blob => {
+			pageNames[_stripPageExtension(blob.filepath)] = this.pageNameFor(blob.filepath);
+		});
+		blobs.forEach(blob => {
+			if(!WikiConverter.isPage(blob.filepath)) {
+				files[blob.filepath] = {oid: blob.oid};
+				return;
+			}
+			const filepath = this.pageNameFor(blob.filepath) + path.posix.extname(blob.filepath);
+			if(files[filepath] !== undefined) {
+				throw new Error(`Unable to convert wiki page ${blob.filepath} as ${filepath} already exists`);
+			}
+			const content = pages[blob.filepath];
+			const converted = content !== undefined && WikiConverter.isMarkdown(blob.filepath) ? _convertLinks(blob.filepath, content, pageNames) : content;
+			files[filepath] = converted === content ? {oid: blob.oid} : converted;
+		});
+		return files;
+	};
+
+	this.pageNameFor = function(filepath) {
+		// GitHub wikis are flat, so a GitLab page in a directory keeps its directory in its name
+		const slug = _stripPageExtension(filepath).replace(/\//g, '-');
+		return SPECIAL_PAGES[slug.toLowerCase()] || slug;
+	};
+
+	var _convertLinks = (filepath, content, pageNames) => {
+		return content.replace(/(\]\()([^)\s]+)((?:\s+"[^"]*")?\))/g, (match, open, target, close) => {
+			return open + _convertLink(filepath, target, pageNames) + close;
+		});
+	};
+
+	var _convertLink = (filepath, target, pageNames) => {
+		const [link, anchor] = _splitAnchor(target);
+		if(gitlabUrlPattern.test(link)) {
+			const pageName = pageNames[_stripPageExtension(decodeURI(link.replace(gitlabUrlPattern, '')))];
+			return pageName === undefined ? target : `${this.githubWikiUrl}/${pageName}${anchor}`;
+		}
+		if(link === '' || /^[a-z][a-z0-9+.-]*:/i.test(link)) {
+			return target;
+		}
+		// uploads are kept where they are, only GitHub does not resolve them from the root of the wiki
+		if(link.startsWith('/uploads/')) {
+			return link.substring(1) + anchor;
+		}
+		const resolved = link.startsWith('/') ? link.substring(1) : path.posix.join(path.posix.dirname(filepath), link);
+		const pageName = pageNames[_stripPageExtension(decodeURI(resolved))];
+		return pageName === undefined ? target : pageName + anchor;
+	};
+
+	var _splitAnchor = function(target) {
+		const index = target.indexOf('#');
+		return index === -1 ? [target, ''] : [target.substring(0, index), target.substring(index)];
+	};
+
+	var _stripPageExtension = function(filepath) {
+		const extension = path.posix.extname(filepath);
+		return PAGE_EXTENSIONS.includes(extension.toLowerCase()) ? filepath.substring(0, filepath.length - extension.length) : filepath;
+	};
+}
+
+WikiConverter.isPage = function(filepath) {
+	return PAGE_EXTENSIONS.includes(path.posix.extname(filepath).toLowerCase());
+};
+
+WikiConverter.isMarkdown = function(filepath) {
+	return MARKDOWN_EXTENSIONS.includes(path.posix.extname(filepath).toLowerCase());
+};
+
+module.exports = WikiConverter;
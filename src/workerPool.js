@@ -0,0 +1,35 @@
+function WorkerPool(concurrency) {
+	if(!Number.isInteger(concurrency) || concurrency < 1) {
+		throw new Error(`Concurrency must be a positive integer, got: ${concurrency}`);
+	}
+	this.concurrency = concurrency;
+	let activeTasks = 0;
+	const queuedTasks = [];
+
+	this.run = function(task) {
+		return new Promise((resolve, reject) => {
+			queuedTasks.push({task, resolve, reject});
+			_runNext();
+		});
+	};
+
+	this.map = function(items, fn) {
+		return Promise.all(items.map(item => this.run(() => fn(item))));
+	};
+
+	var _runNext = function() {
+		while(activeTasks < concurrency && queuedTasks.length > 0) {
+			const {task, resolve, reject} = queuedTasks.shift();
+			activeTasks++;
+			Promise.resolve()
+				.then(task)
+				.then(resolve, reject)
+				.then(() => {
+					activeTasks--;
+					_runNext();
+				});
+		}
+	};
+}
+
+module.exports = WorkerPool;
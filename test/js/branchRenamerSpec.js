@@ -0,0 +1,34 @@
+const chai = require('chai');
+const expect = chai.expect;
+
+const BranchRenamer = require('../../src/branchRenamer.js');
+
+describe('BranchRenamer', function() {
+	const branchRenamer = new BranchRenamer({master: 'main'});
+	describe('#renameBranch', function() {
+		it('should rename only the mapped branches', function() {
+			expect(branchRenamer.renameBranch('master')).to.equal('main');
+			expect(branchRenamer.renameBranch('develop')).to.equal('develop');
+		});
+	});
+	describe('#renameRef', function() {
+		it('should rename branches but not tags of the same name', function() {
+			expect(branchRenamer.renameRef('refs/heads/master')).to.equal('refs/heads/main');
+			expect(branchRenamer.renameRef('refs/tags/master')).to.equal('refs/tags/master');
+		});
+	});
+	describe('#renameRefs', function() {
+		it('should rename the refs keeping their SHAs', function() {
+			//when
+			const refs = branchRenamer.renameRefs({'refs/heads/master': 'aaa', 'refs/tags/v1.0': 'bbb'});
+			//then
+			expect(refs).to.deep.equal({'refs/heads/main': 'aaa', 'refs/tags/v1.0': 'bbb'});
+		});
+		it('should fail when the renamed branch already exists', function() {
+			//when
+			const renameRefs = () => branchRenamer.renameRefs({'refs/heads/master': 'aaa', 'refs/heads/main': 'bbb'});
+			//then
+			expect(renameRefs).to.throw('Unable to rename refs/heads/master to refs/heads/main as it already exists');
+		});
+	});
+});
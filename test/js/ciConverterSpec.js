@@ -0,0 +1,100 @@
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const CiConverter = require('../../src/ciConverter.js');
+
+describe('CiConverter', function() {
+	const gitlabCi = fs.readFileSync(path.join(__dirname, '../resources/gitlab/gitlab-ci.yml'), 'utf8');
+	describe('#convert', function() {
+		it('should convert stages into needs and jobs into steps', function() {
+			//when
+			const workflow = yaml.safeLoad(CiConverter.convert(gitlabCi));
+			//then
+			expect(workflow.on).to.deep.equal(['push', 'pull_request']);
+			expect(workflow.env).to.deep.equal({NODE_ENV: 'test', GIT_DEPTH: '10'});
+			expect(Object.keys(workflow.jobs)).to.deep.equal(['build', 'unit-tests', 'lint', 'deploy', 'release']);
+			expect(workflow.jobs['unit-tests'].name).to.equal('unit tests');
+			expect(workflow.jobs['unit-tests'].needs).to.deep.equal(['build']);
+			expect(workflow.jobs.deploy.needs).to.deep.equal(['unit-tests', 'lint']);
+			expect(workflow.jobs.build).to.deep.equal({
+				'runs-on': 'ubuntu-latest',
+				'container': 'node:14',
+				'if': 'github.event_name != \'pull_request\'',
+				'steps': [
+					{uses: 'actions/checkout@v4', with: {'fetch-depth': 10}},
+					{uses: 'actions/cache@v4', with: {path: 'node_modules/', key: '${{ hashFiles(\'package-lock.json\') }}'}},
+					{run: 'npm ci\nnpm run build'},
+					{uses: 'actions/upload-artifact@v4', with: {name: 'build', path: 'dist/', 'retention-days': 7}}
+				]
+			});
+		});
+		it('should download the artifacts of earlier stages into the directory they were uploaded from', function() {
+			//when
+			const workflow = yaml.safeLoad(CiConverter.convert(gitlabCi));
+			//then
+			expect(workflow.jobs.lint.steps[1]).to.deep.equal({uses: 'actions/download-artifact@v4', with: {name: 'build', path: 'dist'}});
+			expect(workflow.jobs.lint.steps[3]).to.deep.equal({run: 'npm ci\nnpm run lint'});
+			expect(workflow.jobs.lint['continue-on-error']).to.be.true;
+		});
+		it('should convert only, except and rules into conditions', function() {
+			//when
+			const workflow = yaml.safeLoad(CiConverter.convert(gitlabCi));
+			//then
+			expect(workflow.jobs['unit-tests'].if).to.equal('(github.event_name != \'pull_request\' && github.ref_name == \'main\') || (github.event_name == \'pull_request\')');
+			expect(workflow.jobs.deploy.if).to.equal('(github.event_name != \'pull_request\' && github.ref_type == \'branch\' && github.ref_name || \'\') == github.event.repository.default_branch');
+			expect(workflow.jobs.deploy.environment).to.deep.equal({name: 'production', url: 'https://example.com'});
+			expect(workflow.jobs.deploy.concurrency).to.deep.equal({group: 'production'});
+			expect(workflow.jobs.deploy['timeout-minutes']).to.equal(90);
+		});
+		it('should leave a todo for everything it cannot convert', function() {
+			//when
+			const workflow = CiConverter.convert(gitlabCi);
+			//then
+			expect(workflow).to.include('    # TODO: artifacts reports are not converted: {"junit":"report.xml"}\n');
+			expect(workflow).to.include('    # TODO: the script uses variables predefined by GitLab, which GitHub does not set: CI_COMMIT_SHA\n');
+			expect(workflow).to.include('    # TODO: ran on GitLab runners tagged docker, pick a matching runner\n');
+			expect(workflow).to.include('    # TODO: retry is not converted: 2\n');
+			expect(workflow).to.include('    # TODO: rules are not converted, the job is disabled until converted by hand: [{"if":"$CI_COMMIT_TAG =~ /^v/"}]\n');
+		});
+		it('should disable jobs whose rules cannot be converted rather than run them on every push', function() {
+			//when
+			const workflow = yaml.safeLoad(CiConverter.convert(gitlabCi));
+			//then
+			expect(workflow.jobs.release.if).to.be.false;
+			expect(workflow.jobs.release.steps).to.deep.include({run: './release.sh'});
+		});
+		it('should disable jobs started by hand and jobs depending on variables without a GitHub equivalent', function() {
+			//given
+			const content = 'deploy:\n  script: ./deploy.sh\n  when: manual\n' +
+				'review:\n  script: ./review.sh\n  rules:\n    - if: $CI_COMMIT_REF_SLUG == "main"\n' +
+				'nightly:\n  script: ./nightly.sh\n  only:\n    refs: [main]\n    variables: [$NIGHTLY]\n';
+			//when
+			const workflow = CiConverter.convert(content);
+			//then
+			const jobs = yaml.safeLoad(workflow).jobs;
+			expect([jobs.deploy.if, jobs.review.if, jobs.nightly.if]).to.deep.equal([false, false, false]);
+			expect(workflow).to.include('    # TODO: the job runs when started by hand on GitLab, the job is disabled until converted by hand\n');
+		});
+		it('should run a rule with when never as the negation of its condition', function() {
+			//given
+			const content = 'test:\n  script: npm test\n  rules:\n    - if: $CI_PIPELINE_SOURCE == "schedule"\n      when: never\n    - when: always\n';
+			//when
+			const workflow = yaml.safeLoad(CiConverter.convert(content));
+			//then
+			expect(workflow.jobs.test.if).to.equal('!(github.event_name == \'schedule\')');
+		});
+		it('should not convert jobs triggering downstream pipelines and report included configuration', function() {
+			//given
+			const content = 'include: ci/templates.yml\ntest:\n  script: npm test\ndownstream:\n  trigger: my-group/other-project\n';
+			//when
+			const workflow = CiConverter.convert(content);
+			//then
+			expect(Object.keys(yaml.safeLoad(workflow).jobs)).to.deep.equal(['test']);
+			expect(workflow).to.include('# TODO: included configuration is not converted: "ci/templates.yml"\n');
+			expect(workflow).to.include('# TODO: job downstream triggers a downstream pipeline, which is not converted\n');
+		});
+	});
+});
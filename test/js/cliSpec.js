@@ -3,7 +3,9 @@ const expect = chai.expect;
 const sinon = require('sinon');
 const yaml = require('js-yaml');
 const fs   = require('fs');
+const readline = require('readline');
 const proxyquire =  require('proxyquire');
+const { InvalidOptionArgumentError } = require('commander');
 
 const Migrate = require('../../src/migrate.js');
 const mock = require('mock-require');
@@ -89,7 +91,7 @@ describe('Tests for cli', () => {
 			await proxyquire('../../src/cli.js', { './migrate': copyContentFromGitlabToGithubStub });
 			//then
 			sinon.assert.callCount(migrateStub, 1);
-			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '');
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({sync: false, force: false, prune: false}));
 		});
 		it('should copy contents of all repos to user root when github org is not specified', async function () {
 			//given
@@ -99,7 +101,7 @@ describe('Tests for cli', () => {
 			await proxyquire('../../src/cli.js', { './migrate': copyContentFromGitlabToGithubStub });
 			//then
 			sinon.assert.callCount(migrateStub, 1);
-			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, undefined, '');
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, undefined, '', sinon.match({sync: false, force: false, prune: false}));
 		});
 		it('should copy contents of repos filtered on specified prefix', async function () {
 			//given
@@ -111,7 +113,383 @@ describe('Tests for cli', () => {
 			await proxyquire('../../src/cli.js', { './migrate': copyContentFromGitlabToGithubStub });
 			//then
 			sinon.assert.callCount(migrateStub, 1);
-			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, projectNameFilter);
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, projectNameFilter, sinon.match({sync: false, force: false, prune: false}));
+		});
+		it('should sync contents of repos when sync mode is specified', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-content ${gitlabGroupName} --github-org ${githubOrgName} --sync --force --prune`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyContentFromGitlabToGithubStub });
+			//then
+			sinon.assert.callCount(migrateStub, 1);
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({sync: true, force: true, prune: true}));
+		});
+		it('should copy contents of repos with the specified concurrency', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-content ${gitlabGroupName} --github-org ${githubOrgName} --concurrency 2 --rest-concurrency 5`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyContentFromGitlabToGithubStub });
+			//then
+			sinon.assert.callCount(migrateStub, 1);
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({concurrency: 2, restConcurrency: 5}));
+		});
+		it('should reject a concurrency which is not a positive integer', async function () {
+			//given
+			const exitStub = sinon.stub(process, 'exit');
+			const stderrStub = sinon.stub(process.stderr, 'write');
+			//when
+			process.argv = 'node ../../src/cli.js copy-content FOO --github-org BAR --concurrency 0'.split(' ');
+			const parse = () => proxyquire('../../src/cli.js', { './migrate': copyContentFromGitlabToGithubStub });
+			//then
+			try {
+				expect(parse).to.throw(InvalidOptionArgumentError, 'Expected a positive integer.');
+			} finally {
+				exitStub.restore();
+				stderrStub.restore();
+			}
+			sinon.assert.calledWith(exitStub, 1);
+			sinon.assert.calledWith(stderrStub, sinon.match('argument \'0\' is invalid. Expected a positive integer.'));
+			sinon.assert.notCalled(migrateStub);
+		});
+		it('should copy contents of repos rewriting gitlab urls', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-content ${gitlabGroupName} --github-org ${githubOrgName} --rewrite-urls`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyContentFromGitlabToGithubStub });
+			//then
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({rewriteUrls: true, previewRewriteUrls: false}));
+		});
+		it('should copy contents of repos converting gitlab ci', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-content ${gitlabGroupName} --github-org ${githubOrgName} --convert-ci`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyContentFromGitlabToGithubStub });
+			//then
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({convertCi: true}));
+		});
+		it('should copy contents of repos with the policy for archived projects', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-content ${gitlabGroupName} --github-org ${githubOrgName} --archived skip`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyContentFromGitlabToGithubStub });
+			//then
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({archived: 'skip'}));
+		});
+		it('should copy contents of repos previewing the rewrite of gitlab urls', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-content ${gitlabGroupName} --github-org ${githubOrgName} --preview-rewrite-urls`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyContentFromGitlabToGithubStub });
+			//then
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({rewriteUrls: false, previewRewriteUrls: true}));
+		});
+		it('should copy contents of repos renaming the specified branches', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-content ${gitlabGroupName} --github-org ${githubOrgName} --rename-branch master:main --rename-branch develop:dev`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyContentFromGitlabToGithubStub });
+			//then
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({branchRenames: {master: 'main', develop: 'dev'}}));
+		});
+		it('should copy contents of repos named after the specified naming strategy', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			const nameMappingFile = './test/resources/gitlab/nameMapping.yml';
+			//when
+			process.argv = `node ../../src/cli.js copy-content ${gitlabGroupName} --github-org ${githubOrgName} --naming path --name-template legacy-{path} --name-mapping ${nameMappingFile}`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyContentFromGitlabToGithubStub });
+			//then
+			const nameMapping = yaml.safeLoad(fs.readFileSync(nameMappingFile, 'utf8'));
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({naming: 'path', nameTemplate: 'legacy-{path}', nameMapping}));
+		});
+		it('should copy contents of repos recording the run in the specified journal', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-content ${gitlabGroupName} --github-org ${githubOrgName} --journal my-journal.json`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyContentFromGitlabToGithubStub });
+			//then
+			sinon.assert.callCount(migrateStub, 1);
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({journal: 'my-journal.json', resume: undefined}));
+		});
+		it('should resume copying contents of repos from the specified journal', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-content ${gitlabGroupName} --github-org ${githubOrgName} --resume my-journal.json`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyContentFromGitlabToGithubStub });
+			//then
+			sinon.assert.callCount(migrateStub, 1);
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({resume: 'my-journal.json'}));
+		});
+	});
+	describe('Plan copy content of repos', () => {
+		let planCopyContentStub;
+		let consoleInfoStub;
+		const plan = [{
+			project: 'project-1', gitlabUrl: 'https://gitlab.com/FOO/project-1.git', owner: 'BAR', repo: 'project-1',
+			exists: false, branches: ['feature', 'master'], tags: ['v1.0']
+		}];
+		beforeEach(() => {
+			migrateStub = sinon.stub(migrate, 'planCopyContent');
+			planCopyContentStub = function StubMigrate() {
+				this.planCopyContent = migrateStub;
+			};
+			migrateStub.returns(Promise.resolve(plan));
+			consoleInfoStub = sinon.stub(console, 'info');
+		});
+		afterEach(() => {
+			sinon.restore();
+		});
+		it('should print the plan as text without copying any repo', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-content ${gitlabGroupName} --github-org ${githubOrgName} --dry-run`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': planCopyContentStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({sync: false}));
+			sinon.assert.calledWith(consoleInfoStub, 'https://gitlab.com/FOO/project-1.git -> BAR/project-1 (new)');
+			sinon.assert.calledWith(consoleInfoStub, '  branches: feature, master');
+			sinon.assert.calledWith(consoleInfoStub, '  tags: v1.0');
+			sinon.assert.calledWith(consoleInfoStub, '1 project(s), 1 repo(s) to create');
+		});
+		it('should print the plan as json', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			//when
+			process.argv = `node ../../src/cli.js copy-content ${gitlabGroupName} --dry-run --output json`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': planCopyContentStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledOnce(consoleInfoStub);
+			expect(JSON.parse(consoleInfoStub.firstCall.args[0])).to.deep.equal(plan);
+		});
+		it('should handle error gracefully when planning the copy', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const errorMessage = 'Some error occurred while planning';
+			migrateStub.returns(Promise.reject(new Error(errorMessage)));
+			//when
+			process.argv = `node ../../src/cli.js copy-content ${gitlabGroupName} --dry-run`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': planCopyContentStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			expect(consoleError).to.eql([errorMessage]);
+		});
+	});
+	describe('Convert GitLab CI', () => {
+		let consoleInfoStub;
+		beforeEach(() => {
+			consoleInfoStub = sinon.stub(console, 'info');
+		});
+		afterEach(() => {
+			sinon.restore();
+			process.exitCode = undefined;
+		});
+		it('should print the converted workflow', async function () {
+			//when
+			process.argv = 'node ../../src/cli.js convert-ci test/resources/gitlab/gitlab-ci.yml'.split(' ');
+			await proxyquire('../../src/cli.js', {});
+			//then
+			sinon.assert.calledOnce(consoleInfoStub);
+			const workflow = yaml.safeLoad(consoleInfoStub.firstCall.args[0]);
+			expect(Object.keys(workflow.jobs)).to.deep.equal(['build', 'unit-tests', 'lint', 'deploy', 'release']);
+		});
+		it('should exit with non zero code when the file cannot be read', async function () {
+			//when
+			process.argv = 'node ../../src/cli.js convert-ci test/resources/gitlab/missing-ci.yml'.split(' ');
+			await proxyquire('../../src/cli.js', {});
+			//then
+			expect(consoleError[0]).to.include('no such file or directory');
+			expect(process.exitCode).to.equal(1);
+		});
+	});
+	describe('Copy wikis of repos', () => {
+		let copyWikiFromGitlabToGithubStub;
+		beforeEach(() => {
+			migrateStub = sinon.stub(migrate, 'copyWikiFromGitlabToGithub');
+			copyWikiFromGitlabToGithubStub = function StubMigrate() {
+				this.copyWikiFromGitlabToGithub = migrateStub;
+			};
+			migrateStub.returns(Promise.resolve(0));
+		});
+		afterEach(() => {
+			sinon.restore();
+		});
+		it('should copy wikis of repos filtered on specified prefix with the naming strategy', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-wiki ${gitlabGroupName} --github-org ${githubOrgName} --starts-with project --naming path --concurrency 2`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyWikiFromGitlabToGithubStub });
+			//then
+			sinon.assert.calledOnce(migrateStub);
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, 'project', sinon.match({naming: 'path', concurrency: 2}));
+		});
+	});
+	describe('Copy issues of repos', () => {
+		let copyIssuesFromGitlabToGithubStub;
+		beforeEach(() => {
+			migrateStub = sinon.stub(migrate, 'copyIssuesFromGitlabToGithub');
+			copyIssuesFromGitlabToGithubStub = function StubMigrate() {
+				this.copyIssuesFromGitlabToGithub = migrateStub;
+			};
+			migrateStub.returns(Promise.resolve(0));
+		});
+		afterEach(() => {
+			sinon.restore();
+		});
+		it('should copy issues of repos with the users of the user mapping file', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-issues ${gitlabGroupName} --github-org ${githubOrgName} --user-mapping test/resources/gitlab/userMapping.yml`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyIssuesFromGitlabToGithubStub });
+			//then
+			sinon.assert.calledOnce(migrateStub);
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({userMapping: {alice: 'alice-gh'}, includeConfidential: false}));
+		});
+		it('should copy confidential issues when asked to', async function () {
+			//when
+			process.argv = 'node ../../src/cli.js copy-issues FOO --github-org BAR --include-confidential'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyIssuesFromGitlabToGithubStub });
+			//then
+			sinon.assert.calledWithExactly(migrateStub, 'FOO', 'BAR', '', sinon.match({includeConfidential: true}));
+		});
+	});
+	describe('Copy merge requests of repos', () => {
+		let copyMergeRequestsFromGitlabToGithubStub;
+		beforeEach(() => {
+			migrateStub = sinon.stub(migrate, 'copyMergeRequestsFromGitlabToGithub');
+			copyMergeRequestsFromGitlabToGithubStub = function StubMigrate() {
+				this.copyMergeRequestsFromGitlabToGithub = migrateStub;
+			};
+			migrateStub.returns(Promise.resolve(0));
+		});
+		afterEach(() => {
+			sinon.restore();
+		});
+		it('should copy merge requests of repos with the user mapping and branch renames', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-merge-requests ${gitlabGroupName} --github-org ${githubOrgName} --user-mapping test/resources/gitlab/userMapping.yml --rename-branch master:main`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyMergeRequestsFromGitlabToGithubStub });
+			//then
+			sinon.assert.calledOnce(migrateStub);
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({userMapping: {alice: 'alice-gh'}, branchRenames: {master: 'main'}, includeConfidential: false}));
+		});
+		it('should copy internal comments on merge requests when asked to', async function () {
+			//when
+			process.argv = 'node ../../src/cli.js copy-merge-requests FOO --github-org BAR --include-confidential'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyMergeRequestsFromGitlabToGithubStub });
+			//then
+			sinon.assert.calledWithExactly(migrateStub, 'FOO', 'BAR', '', sinon.match({includeConfidential: true}));
+		});
+	});
+	describe('Copy releases of repos', () => {
+		let copyReleasesFromGitlabToGithubStub;
+		beforeEach(() => {
+			migrateStub = sinon.stub(migrate, 'copyReleasesFromGitlabToGithub');
+			copyReleasesFromGitlabToGithubStub = function StubMigrate() {
+				this.copyReleasesFromGitlabToGithub = migrateStub;
+			};
+			migrateStub.returns(Promise.resolve(0));
+		});
+		afterEach(() => {
+			sinon.restore();
+		});
+		it('should copy releases of repos filtered on specified prefix', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-releases ${gitlabGroupName} --github-org ${githubOrgName} --starts-with project`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyReleasesFromGitlabToGithubStub });
+			//then
+			sinon.assert.calledOnce(migrateStub);
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, 'project', sinon.match({naming: 'name'}));
+		});
+	});
+	describe('Verify refs of repos on GitHub', () => {
+		let verifyGithubRefsStub;
+		let consoleInfoStub;
+		const inSyncEntry = {project: 'project-1', owner: 'BAR', repo: 'project-1', exists: true, inSync: true,
+			missing: [], extra: [], diverged: []};
+		const differingEntry = {project: 'project-2', owner: 'BAR', repo: 'project-2', exists: true, inSync: false,
+			missing: ['refs/tags/v1.0'], extra: [], diverged: ['refs/heads/feature']};
+		beforeEach(() => {
+			migrateStub = sinon.stub(migrate, 'verifyGithubRefs');
+			verifyGithubRefsStub = function StubMigrate() {
+				this.verifyGithubRefs = migrateStub;
+			};
+			consoleInfoStub = sinon.stub(console, 'info');
+		});
+		afterEach(() => {
+			sinon.restore();
+			process.exitCode = undefined;
+		});
+		it('should report repos in sync and leave the exit code unset', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([inSyncEntry]));
+			//when
+			process.argv = 'node ../../src/cli.js verify FOO --github-org BAR --concurrency 2'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': verifyGithubRefsStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWithExactly(migrateStub, 'FOO', 'BAR', '', {concurrency: 2, branchRenames: {}, naming: 'name', nameTemplate: undefined, nameMapping: undefined});
+			sinon.assert.calledWith(consoleInfoStub, 'BAR/project-1: in sync');
+			sinon.assert.calledWith(consoleInfoStub, '1 of 1 repo(s) in sync');
+			expect(process.exitCode).to.be.undefined;
+		});
+		it('should report differing refs and exit with non zero code', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([inSyncEntry, differingEntry]));
+			//when
+			process.argv = 'node ../../src/cli.js verify FOO --github-org BAR'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': verifyGithubRefsStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWith(consoleInfoStub, 'BAR/project-2: differs');
+			sinon.assert.calledWith(consoleInfoStub, '  missing: refs/tags/v1.0');
+			sinon.assert.calledWith(consoleInfoStub, '  diverged: refs/heads/feature');
+			sinon.assert.calledWith(consoleInfoStub, '1 of 2 repo(s) in sync');
+			expect(process.exitCode).to.equal(1);
+		});
+		it('should exit with non zero code when verification fails', async function () {
+			//given
+			const errorMessage = 'Some error occurred while verifying';
+			migrateStub.returns(Promise.reject(new Error(errorMessage)));
+			//when
+			process.argv = 'node ../../src/cli.js verify FOO'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': verifyGithubRefsStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			expect(consoleError).to.eql([errorMessage]);
+			expect(process.exitCode).to.equal(1);
 		});
 	});
 	describe('Configure branch protection rules for a specific branch', function() {
@@ -153,6 +531,33 @@ describe('Tests for cli', () => {
 			const config = yaml.safeLoad(fs.readFileSync(configFile, 'utf8'));
 			sinon.assert.calledWith(migrateStub, owner, [repoName1, repoName2], branchName, config.branchProtectionRule);
 		});
+		it('should configure branch protection rule with the specified concurrency', async function() {
+			//given
+			const owner = 'someOwner';
+			const branchName = 'master';
+			const repoName1 = 'someRepo1';
+			const repoName2 = 'someRepo2';
+			const configFile = './config/templates/branchProtectionRuleTemplate.yml';
+			//when
+			process.argv = `node ../../src/cli.js protect-branch --concurrency 3 -c ${configFile} ${owner} ${branchName} ${repoName1} ${repoName2}`.split(' ');
+			await proxyquire('../../src/cli.js', {'./migrate': configureGithubBranchProtectionRuleStub});
+			//then
+			const config = yaml.safeLoad(fs.readFileSync(configFile, 'utf8'));
+			sinon.assert.calledWith(migrateStub, owner, [repoName1, repoName2], branchName, config.branchProtectionRule, {concurrency: 3, branchRenames: {}});
+		});
+		it('should configure branch protection rule on the renamed branch', async function() {
+			//given
+			const owner = 'someOwner';
+			const branchName = 'master';
+			const repoName = 'someRepo';
+			const configFile = './config/templates/branchProtectionRuleTemplate.yml';
+			//when
+			process.argv = `node ../../src/cli.js protect-branch --rename-branch master:main -c ${configFile} ${owner} ${branchName} ${repoName}`.split(' ');
+			await proxyquire('../../src/cli.js', {'./migrate': configureGithubBranchProtectionRuleStub});
+			//then
+			const config = yaml.safeLoad(fs.readFileSync(configFile, 'utf8'));
+			sinon.assert.calledWith(migrateStub, owner, [repoName], branchName, config.branchProtectionRule, sinon.match({branchRenames: {master: 'main'}}));
+		});
 		it('should handle error gracefully when configuring branch protection rule', async function() {
 			//given
 			const owner = 'someOwner';
@@ -170,6 +575,310 @@ describe('Tests for cli', () => {
 			expect(consoleError).to.eql([errorMessage]);
 		});
 	});
+	describe('Copy protection of branches', () => {
+		let copyProtectionFromGitlabToGithubStub;
+		beforeEach(() => {
+			migrateStub = sinon.stub(migrate, 'copyProtectionFromGitlabToGithub');
+			copyProtectionFromGitlabToGithubStub = function StubMigrate() {
+				this.copyProtectionFromGitlabToGithub = migrateStub;
+			};
+			migrateStub.returns(Promise.resolve(0));
+		});
+		afterEach(() => {
+			sinon.restore();
+		});
+		it('should copy protection of branches with the branch renames', async function () {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			//when
+			process.argv = `node ../../src/cli.js copy-protection ${gitlabGroupName} --github-org ${githubOrgName} --rename-branch master:main`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyProtectionFromGitlabToGithubStub });
+			//then
+			sinon.assert.calledOnce(migrateStub);
+			sinon.assert.calledWithExactly(migrateStub, gitlabGroupName, githubOrgName, '', sinon.match({branchRenames: {master: 'main'}}));
+		});
+	});
+	describe('Copy variables of repos', () => {
+		let copyVariablesFromGitlabToGithubStub;
+		let consoleInfoStub;
+		const copiedEntry = {source: 'FOO/project-1', key: 'DATABASE_URL', target: 'BAR/project-1', kind: 'secret', environment: 'production', status: 'copied'};
+		const unmappedEntry = {source: 'FOO/project-1', key: 'KUBECONFIG', target: 'BAR/project-1', status: 'unmapped', reason: 'file-type variables have no GitHub equivalent'};
+		const failedEntry = {source: 'FOO/project-2', key: 'LOG_LEVEL', target: 'BAR/project-2', kind: 'variable', status: 'failed', reason: 'Unable to create variable LOG_LEVEL'};
+		beforeEach(() => {
+			migrateStub = sinon.stub(migrate, 'copyVariablesFromGitlabToGithub');
+			copyVariablesFromGitlabToGithubStub = function StubMigrate() {
+				this.copyVariablesFromGitlabToGithub = migrateStub;
+			};
+			consoleInfoStub = sinon.stub(console, 'info');
+		});
+		afterEach(() => {
+			sinon.restore();
+			process.exitCode = undefined;
+		});
+		it('should report copied and unmapped variables and leave the exit code unset', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([copiedEntry, unmappedEntry]));
+			//when
+			process.argv = 'node ../../src/cli.js copy-variables FOO --github-org BAR --concurrency 2'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyVariablesFromGitlabToGithubStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWithExactly(migrateStub, 'FOO', 'BAR', '', {concurrency: 2, naming: 'name', nameTemplate: undefined, nameMapping: undefined});
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/project-1 DATABASE_URL: copied as secret of environment production to BAR/project-1');
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/project-1 KUBECONFIG: unmapped, file-type variables have no GitHub equivalent');
+			sinon.assert.calledWith(consoleInfoStub, '1 of 2 variable(s) copied');
+			expect(process.exitCode).to.be.undefined;
+		});
+		it('should exit with non zero code when a variable fails to be copied', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([copiedEntry, failedEntry]));
+			//when
+			process.argv = 'node ../../src/cli.js copy-variables FOO --github-org BAR'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyVariablesFromGitlabToGithubStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/project-2 LOG_LEVEL: failed, Unable to create variable LOG_LEVEL');
+			expect(process.exitCode).to.equal(1);
+		});
+	});
+	describe('Copy members of repos', () => {
+		let copyMembersFromGitlabToGithubStub;
+		let consoleInfoStub;
+		const grantedEntry = {source: 'FOO/project-1', member: 'alice', kind: 'user', target: 'BAR/project-1', grantee: 'alice-gh', permission: 'maintain', status: 'granted'};
+		const teamEntry = {source: 'FOO/project-1', member: 'FOO/backend', kind: 'team', target: 'BAR/project-1', grantee: 'backend', permission: 'write', status: 'granted'};
+		const unmappedEntry = {source: 'FOO/project-1', member: 'dave', kind: 'user', target: 'BAR/project-1', status: 'unmapped', reason: 'no GitHub login mapped for dave'};
+		const failedEntry = {source: 'FOO/project-2', member: 'bob', kind: 'user', target: 'BAR/project-2', grantee: 'bob-gh', permission: 'write', status: 'failed', reason: 'Unable to add collaborator bob-gh to project-2'};
+		beforeEach(() => {
+			migrateStub = sinon.stub(migrate, 'copyMembersFromGitlabToGithub');
+			copyMembersFromGitlabToGithubStub = function StubMigrate() {
+				this.copyMembersFromGitlabToGithub = migrateStub;
+			};
+			consoleInfoStub = sinon.stub(console, 'info');
+		});
+		afterEach(() => {
+			sinon.restore();
+			process.exitCode = undefined;
+		});
+		it('should pass the mappings and report granted and unmapped members', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([grantedEntry, teamEntry, unmappedEntry]));
+			//when
+			process.argv = 'node ../../src/cli.js copy-members FOO --github-org BAR --user-mapping test/resources/gitlab/userMapping.yml --role-mapping test/resources/gitlab/roleMapping.yml'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyMembersFromGitlabToGithubStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWithExactly(migrateStub, 'FOO', 'BAR', '', {concurrency: undefined, userMapping: {alice: 'alice-gh'}, roleMapping: {developer: 'maintain', guest: 'none'},
+				teamMapping: undefined, naming: 'name', nameTemplate: undefined, nameMapping: undefined});
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/project-1 alice: granted maintain on BAR/project-1 as collaborator alice-gh');
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/project-1 FOO/backend: granted write on BAR/project-1 as team backend');
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/project-1 dave: unmapped, no GitHub login mapped for dave');
+			sinon.assert.calledWith(consoleInfoStub, '2 of 3 member(s) granted access');
+			expect(process.exitCode).to.be.undefined;
+		});
+		it('should exit with non zero code when a member fails to be granted access', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([grantedEntry, failedEntry]));
+			//when
+			process.argv = 'node ../../src/cli.js copy-members FOO --github-org BAR'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyMembersFromGitlabToGithubStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/project-2 bob: failed, Unable to add collaborator bob-gh to project-2');
+			expect(process.exitCode).to.equal(1);
+		});
+	});
+	describe('Copy teams of groups', () => {
+		let copyTeamsFromGitlabToGithubStub;
+		let consoleInfoStub;
+		const teamEntry = {source: 'FOO/backend', kind: 'team', target: 'BAR/foo-backend', status: 'created'};
+		const memberEntry = {source: 'FOO/backend', kind: 'member', member: 'alice', target: 'BAR/foo-backend', grantee: 'alice-gh', role: 'maintainer', status: 'added'};
+		const repoEntry = {source: 'FOO/backend', kind: 'repo', repo: 'api', target: 'BAR/foo-backend', permission: 'maintain', status: 'granted'};
+		const failedEntry = {source: 'FOO/backend', kind: 'member', member: 'bob', target: 'BAR/foo-backend', grantee: 'bob-gh', role: 'member', status: 'failed', reason: 'Unable to add bob-gh to team foo-backend'};
+		beforeEach(() => {
+			migrateStub = sinon.stub(migrate, 'copyTeamsFromGitlabToGithub');
+			copyTeamsFromGitlabToGithubStub = function StubMigrate() {
+				this.copyTeamsFromGitlabToGithub = migrateStub;
+			};
+			consoleInfoStub = sinon.stub(console, 'info');
+		});
+		afterEach(() => {
+			sinon.restore();
+			process.exitCode = undefined;
+		});
+		it('should pass the permission and report the teams, members and repos copied', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([teamEntry, memberEntry, repoEntry]));
+			//when
+			process.argv = 'node ../../src/cli.js copy-teams FOO --github-org BAR --permission maintain'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyTeamsFromGitlabToGithubStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWithExactly(migrateStub, 'FOO', 'BAR', '', {concurrency: undefined, permission: 'maintain', userMapping: undefined, roleMapping: undefined,
+				teamMapping: undefined, naming: 'name', nameTemplate: undefined, nameMapping: undefined});
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/backend: team BAR/foo-backend created');
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/backend alice: added to BAR/foo-backend as maintainer alice-gh');
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/backend api: granted maintain to BAR/foo-backend');
+			sinon.assert.calledWith(consoleInfoStub, '1 team(s), 1 member(s) and 1 repo(s) copied');
+			expect(process.exitCode).to.be.undefined;
+		});
+		it('should exit with non zero code when a member fails to be added', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([teamEntry, failedEntry]));
+			//when
+			process.argv = 'node ../../src/cli.js copy-teams FOO --github-org BAR'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyTeamsFromGitlabToGithubStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/backend bob: failed, Unable to add bob-gh to team foo-backend');
+			expect(process.exitCode).to.equal(1);
+		});
+	});
+	describe('Copy deploy keys of repos', () => {
+		let copyDeployKeysFromGitlabToGithubStub;
+		let consoleInfoStub;
+		const addedEntry = {source: 'FOO/project-1', key: 'Jenkins', target: 'BAR/project-1', readOnly: true, status: 'added'};
+		const existingEntry = {source: 'FOO/project-1', key: 'Release bot', target: 'BAR/project-1', readOnly: false, status: 'exists'};
+		const sharedEntry = {source: 'FOO/project-2', key: 'Monitoring', target: 'BAR/project-2', readOnly: true, status: 'shared', reason: 'also a deploy key of FOO/project-3'};
+		const failedEntry = {source: 'FOO/project-2', key: 'Deployer', target: 'BAR/project-2', readOnly: false, status: 'failed', reason: 'Unable to add deploy key Deployer to project-2'};
+		beforeEach(() => {
+			migrateStub = sinon.stub(migrate, 'copyDeployKeysFromGitlabToGithub');
+			copyDeployKeysFromGitlabToGithubStub = function StubMigrate() {
+				this.copyDeployKeysFromGitlabToGithub = migrateStub;
+			};
+			consoleInfoStub = sinon.stub(console, 'info');
+		});
+		afterEach(() => {
+			sinon.restore();
+			process.exitCode = undefined;
+		});
+		it('should report added, existing and shared deploy keys and leave the exit code unset', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([addedEntry, existingEntry, sharedEntry]));
+			//when
+			process.argv = 'node ../../src/cli.js copy-deploy-keys FOO --github-org BAR --concurrency 2'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyDeployKeysFromGitlabToGithubStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWithExactly(migrateStub, 'FOO', 'BAR', '', {concurrency: 2, naming: 'name', nameTemplate: undefined, nameMapping: undefined});
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/project-1 Jenkins: added as read-only deploy key to BAR/project-1');
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/project-1 Release bot: exists on BAR/project-1');
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/project-2 Monitoring: shared, also a deploy key of FOO/project-3');
+			sinon.assert.calledWith(consoleInfoStub, '1 of 3 deploy key(s) added');
+			expect(process.exitCode).to.be.undefined;
+		});
+		it('should exit with non zero code when a deploy key fails to be added', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([addedEntry, failedEntry]));
+			//when
+			process.argv = 'node ../../src/cli.js copy-deploy-keys FOO --github-org BAR'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyDeployKeysFromGitlabToGithubStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/project-2 Deployer: failed, Unable to add deploy key Deployer to project-2');
+			expect(process.exitCode).to.equal(1);
+		});
+	});
+	describe('Copy webhooks of repos', () => {
+		let copyWebhooksFromGitlabToGithubStub;
+		let consoleInfoStub;
+		const createdEntry = {source: 'FOO/project-1', url: 'https://jenkins.example.com/hook', target: 'BAR/project-1', events: ['push', 'pull_request'],
+			unmapped: ['GitHub cannot filter push events by branch like main'], status: 'created'};
+		const unmappedEntry = {source: 'FOO/project-1', url: 'https://audit.example.com/gitlab', target: 'BAR/project-1', events: [],
+			unmapped: ['confidential_note trigger has no GitHub equivalent'], status: 'unmapped', reason: 'none of its triggers has a GitHub equivalent'};
+		const failedEntry = {source: 'FOO/project-2', url: 'https://jenkins.example.com/hook', target: 'BAR/project-2', events: ['push'], status: 'failed', reason: 'Error creating webhook for repo project-2'};
+		beforeEach(() => {
+			migrateStub = sinon.stub(migrate, 'copyWebhooksFromGitlabToGithub');
+			copyWebhooksFromGitlabToGithubStub = function StubMigrate() {
+				this.copyWebhooksFromGitlabToGithub = migrateStub;
+			};
+			consoleInfoStub = sinon.stub(console, 'info');
+		});
+		afterEach(() => {
+			sinon.restore();
+			process.exitCode = undefined;
+		});
+		it('should pass the secret and report created webhooks with their unmapped triggers', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([createdEntry, unmappedEntry]));
+			//when
+			process.argv = 'node ../../src/cli.js copy-webhooks FOO --github-org BAR --secret s3cr3t'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyWebhooksFromGitlabToGithubStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWithExactly(migrateStub, 'FOO', 'BAR', '', {concurrency: undefined, secret: 's3cr3t', naming: 'name', nameTemplate: undefined, nameMapping: undefined});
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/project-1 https://jenkins.example.com/hook: created on BAR/project-1 for push, pull_request, ignoring: GitHub cannot filter push events by branch like main');
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/project-1 https://audit.example.com/gitlab: unmapped, none of its triggers has a GitHub equivalent, ignoring: confidential_note trigger has no GitHub equivalent');
+			sinon.assert.calledWith(consoleInfoStub, '1 of 2 webhook(s) created');
+			expect(process.exitCode).to.be.undefined;
+		});
+		it('should exit with non zero code when a webhook fails to be created', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([createdEntry, failedEntry]));
+			//when
+			process.argv = 'node ../../src/cli.js copy-webhooks FOO --github-org BAR'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': copyWebhooksFromGitlabToGithubStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWith(consoleInfoStub, 'FOO/project-2 https://jenkins.example.com/hook: failed, Error creating webhook for repo project-2');
+			expect(process.exitCode).to.equal(1);
+		});
+	});
+	describe('Cut over from GitLab to GitHub', () => {
+		let cutoverStub;
+		let consoleInfoStub;
+		const doneEntry = {step: 'freeze', description: 'Freeze the branches of 2 project(s) on GitLab', status: 'done'};
+		const failedEntry = {step: 'verify', description: 'Verify the refs of 2 repo(s) on GitHub', status: 'failed', reason: 'Refs differ between GitLab and GitHub for BAR/project-2'};
+		beforeEach(() => {
+			migrateStub = sinon.stub(migrate, 'cutover');
+			cutoverStub = function StubMigrate() {
+				this.cutover = migrateStub;
+			};
+			consoleInfoStub = sinon.stub(console, 'info');
+		});
+		afterEach(() => {
+			sinon.restore();
+			process.exitCode = undefined;
+		});
+		it('should run every step without confirmation and report them', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([doneEntry]));
+			//when
+			process.argv = 'node ../../src/cli.js cutover FOO --github-org BAR --moved-notice --yes'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': cutoverStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWithExactly(migrateStub, 'FOO', 'BAR', '', {concurrency: undefined, restConcurrency: undefined, journal: undefined, branchRenames: {},
+				movedNotice: true, naming: 'name', nameTemplate: undefined, nameMapping: undefined});
+			sinon.assert.calledWith(consoleInfoStub, 'Freeze the branches of 2 project(s) on GitLab: done');
+			expect(process.exitCode).to.be.undefined;
+		});
+		it('should ask for confirmation of every step on the console', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([doneEntry]));
+			const questionStub = sinon.stub().callsFake((question, answer) => answer('y'));
+			sinon.stub(readline, 'createInterface').returns({question: questionStub, close: sinon.stub()});
+			//when
+			process.argv = 'node ../../src/cli.js cutover FOO --github-org BAR'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': cutoverStub });
+			await new Promise(resolve => setImmediate(resolve));
+			const confirmed = await migrateStub.firstCall.args[3].confirm(doneEntry.description);
+			//then
+			expect(confirmed).to.be.true;
+			sinon.assert.calledWith(questionStub, 'Freeze the branches of 2 project(s) on GitLab? [y/N] ');
+		});
+		it('should exit with non zero code when a step fails', async function () {
+			//given
+			migrateStub.returns(Promise.resolve([doneEntry, failedEntry]));
+			//when
+			process.argv = 'node ../../src/cli.js cutover FOO --github-org BAR --yes'.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': cutoverStub });
+			await new Promise(resolve => setImmediate(resolve));
+			//then
+			sinon.assert.calledWith(consoleInfoStub, 'Verify the refs of 2 repo(s) on GitHub: failed, Refs differ between GitLab and GitHub for BAR/project-2');
+			expect(process.exitCode).to.equal(1);
+		});
+	});
 	describe('Update auto delete head branches on GitHub after pull requests are being merged', function() {
 		let updateAutoDeleteHeadBranchesOnGithubStub;
 		before(() => {
@@ -252,6 +961,18 @@ describe('Tests for cli', () => {
 			//then
 			sinon.assert.calledWith(migrateStub, owner, [repoName1, repoName2], defaultBranchName);
 		});
+		it('should update default branch with the specified concurrency', async function() {
+			//given
+			const owner = 'some-org';
+			const repoName1 = 'some-repo-1';
+			const repoName2 = 'some-repo-2';
+			const defaultBranchName = 'master';
+			//when
+			process.argv = `node ../../src/cli.js set-default-branch --concurrency 3 ${owner} ${defaultBranchName} ${repoName1} ${repoName2}`.split(' ');
+			await proxyquire('../../src/cli.js', {'./migrate': updateDefaultBranchOnGithubStub});
+			//then
+			sinon.assert.calledWith(migrateStub, owner, [repoName1, repoName2], defaultBranchName, {concurrency: 3});
+		});
 		it('should handle error gracefully when updating default branch', async function() {
 			//given
 			const owner = 'some-org';
@@ -298,6 +1019,16 @@ describe('Tests for cli', () => {
 			//then
 			sinon.assert.calledWith(migrateStub, [projectPath1, projectPath2]);
 		});
+		it('should leave a moved notice on gitlab projects before archiving them', async function() {
+			//given
+			const projectPath = 'FOO/project1';
+			//when
+			process.argv = `node ../../src/cli.js archive-project ${projectPath} --moved-notice --gitlab-group FOO --github-org BAR --naming path`.split(' ');
+			await proxyquire('../../src/cli.js', {'./migrate': archiveGitlabProjectStub});
+			//then
+			sinon.assert.calledWithExactly(migrateStub, [projectPath], {movedNotice: true, gitlabGroup: 'FOO', githubOrg: 'BAR',
+				naming: 'path', nameTemplate: undefined, nameMapping: undefined});
+		});
 		it('should handle error gracefully when archiving project', async function() {
 			//given
 			const projectPath = 'project1';
@@ -354,6 +1085,19 @@ describe('Tests for cli', () => {
 			sinon.assert.callCount(migrateStub, 1);
 			sinon.assert.calledWith(migrateStub, config, orgName, [repoName1, repoName2]);
 		});
+		it('should create webhooks with the specified concurrency', async () => {
+			//given
+			const configFile = 'test/resources/github/webhookTemplate.yml';
+			const config = yaml.safeLoad(fs.readFileSync(configFile, 'utf8'));
+			const orgName = 'some-org';
+			const repoName1 = 'some-repo-1';
+			const repoName2 = 'some-repo-2';
+			//when
+			process.argv = `node ../../src/cli.js create-webhook --concurrency 3 -c ${configFile} ${orgName} ${repoName1} ${repoName2}`.split(' ');
+			await proxyquire('../../src/cli.js', { './migrate': createWebhookStub });
+			//then
+			sinon.assert.calledWith(migrateStub, config, orgName, [repoName1, repoName2], {concurrency: 3});
+		});
 		it('should throw error when creating webhook rejects requests', async () => {
 			//given
 			const configFile = 'test/resources/github/webhookTemplate.yml';
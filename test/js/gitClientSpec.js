@@ -8,6 +8,7 @@ const should = require('chai').should();
 const sinon = require('sinon');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const git = require('isomorphic-git');
 const http = require('isomorphic-git/http/node');
 const config = require('config');
@@ -16,45 +17,78 @@ const GitClient = require('../../src/gitClient.js');
 
 describe('Git', function() {
 	const gitClient = new GitClient(config.get('gl2gh.gitlab.username'), config.get('gl2gh.gitlab.token'), config.get('gl2gh.github.token'));
-	describe('Clone', function() {
-		let cloneStub;
-		before(() => {
-			cloneStub = sinon.stub(git, 'clone');
+	describe('#mirror()', function() {
+		let initStub;
+		let addRemoteStub;
+		let setConfigStub;
+		let fetchStub;
+		let getRemoteInfoStub;
+		let rmStub;
+		beforeEach(() => {
+			rmStub = sinon.stub(fs.promises, 'rm').returns(Promise.resolve());
+			initStub = sinon.stub(git, 'init').returns(Promise.resolve());
+			addRemoteStub = sinon.stub(git, 'addRemote').returns(Promise.resolve());
+			setConfigStub = sinon.stub(git, 'setConfig').returns(Promise.resolve());
+			fetchStub = sinon.stub(git, 'fetch').returns(Promise.resolve());
+			getRemoteInfoStub = sinon.stub(git, 'getRemoteInfo');
 		});
-		after(() => {
-			cloneStub.restore();
+		afterEach(() => {
+			sinon.restore();
 		});
-		it('should clone the repo', async function() {
+		it('should fetch all branches and tags into a bare repo', async function() {
 			//given
-			const httpsRemoteUrl = 'https://github.com/some-repo.git';
-			const repoName = 'some-repo';
-			const pathToCloneRepo = path.join(process.cwd(), '/tmp','migrate', repoName);
+			const httpsRemoteUrl = 'https://gitlab.com/some-repo.git';
+			const pathToRepo = path.join(process.cwd(), '/tmp','migrate', 'some-repo');
 			const remoteName = 'gitlab';
-			cloneStub.withArgs({fs, http, pathToCloneRepo, url: httpsRemoteUrl, remote: remoteName}).returns(Promise.resolve());
+			getRemoteInfoStub.returns(Promise.resolve({capabilities: [], refs: {heads: {master: 'aaa'}}}));
 			//when
-			await gitClient.clone(httpsRemoteUrl, pathToCloneRepo, remoteName);
+			await gitClient.mirror(httpsRemoteUrl, pathToRepo, remoteName);
 			//then
-			sinon.assert.calledWith(cloneStub, {fs, http, dir: pathToCloneRepo, url: httpsRemoteUrl, remote: remoteName,
+			sinon.assert.calledWith(initStub, {fs, gitdir: pathToRepo, bare: true});
+			sinon.assert.calledWith(addRemoteStub, {fs, gitdir: pathToRepo, remote: remoteName, url: httpsRemoteUrl});
+			sinon.assert.calledWith(setConfigStub, {fs, gitdir: pathToRepo, path: 'remote.gitlab.fetch', value: '+refs/heads/*:refs/heads/*'});
+			sinon.assert.calledWith(setConfigStub, {fs, gitdir: pathToRepo, path: 'remote.gitlab.fetch', value: '+refs/tags/*:refs/tags/*', append: true});
+			sinon.assert.calledWith(setConfigStub, {fs, gitdir: pathToRepo, path: 'remote.gitlab.fetch', value: '+refs/notes/*:refs/notes/*', append: true});
+			sinon.assert.calledOnce(fetchStub);
+			sinon.assert.calledWith(fetchStub, {fs, http, gitdir: pathToRepo, remote: remoteName, tags: true,
 				onAuth: sinon.match.func, onAuthFailure: sinon.match.func});
-			expect(cloneStub.called).to.equal(true);
 		});
-		it('should handle error when cloning the repo', async function() {
+		it('should start over from an empty bare repo when an earlier run left its clone behind', async function() {
+			//given
+			const pathToRepo = path.join(process.cwd(), '/tmp','migrate', 'some-repo');
+			getRemoteInfoStub.returns(Promise.resolve({capabilities: [], refs: {heads: {master: 'aaa'}}}));
+			//when
+			await gitClient.mirror('https://gitlab.com/some-repo.git', pathToRepo, 'gitlab');
+			//then
+			sinon.assert.calledWith(rmStub, pathToRepo, {recursive: true, force: true});
+			sinon.assert.callOrder(rmStub, initStub);
+		});
+		it('should fetch each notes ref of the remote', async function() {
 			//given
-			const httpsRemoteUrl = 'https://github.com/some-repo.git';
-			const repoName = 'some-repo';
-			const pathToCloneRepo = path.join(process.cwd(), '/tmp','migrate', repoName);
+			const httpsRemoteUrl = 'https://gitlab.com/some-repo.git';
+			const pathToRepo = path.join(process.cwd(), '/tmp','migrate', 'some-repo');
 			const remoteName = 'gitlab';
-			const errorMessage = 'Error occurred while cloning the repo';
-			cloneStub.withArgs({fs, http, dir: pathToCloneRepo, url: httpsRemoteUrl, remote: remoteName,
-				onAuth: sinon.match.func, onAuthFailure: sinon.match.func}).returns(Promise.reject(new Error(errorMessage)));
+			getRemoteInfoStub.returns(Promise.resolve({capabilities: [], refs: {heads: {master: 'aaa'}, notes: {commits: 'bbb'}}}));
+			//when
+			await gitClient.mirror(httpsRemoteUrl, pathToRepo, remoteName);
+			//then
+			sinon.assert.calledTwice(fetchStub);
+			sinon.assert.calledWith(fetchStub, {fs, http, gitdir: pathToRepo, remote: remoteName, ref: 'refs/notes/commits', singleBranch: true,
+				onAuth: sinon.match.func, onAuthFailure: sinon.match.func});
+		});
+		it('should handle error when fetching the repo', async function() {
+			//given
+			const httpsRemoteUrl = 'https://gitlab.com/some-repo.git';
+			const pathToRepo = path.join(process.cwd(), '/tmp','migrate', 'some-repo');
+			const remoteName = 'gitlab';
+			const errorMessage = 'Error occurred while fetching the repo';
+			fetchStub.returns(Promise.reject(new Error(errorMessage)));
 			//when & then
-			assert.isRejected(
-				gitClient.clone(httpsRemoteUrl, pathToCloneRepo, remoteName),
+			return assert.isRejected(
+				gitClient.mirror(httpsRemoteUrl, pathToRepo, remoteName),
 				Error,
 				errorMessage
 			);
-			sinon.assert.calledWith(cloneStub, { fs, http, dir: pathToCloneRepo, url: httpsRemoteUrl, remote: remoteName,
-				onAuth: sinon.match.func, onAuthFailure: sinon.match.func });
 		});
 	});
 	describe('Remote', function() {
@@ -71,11 +105,11 @@ describe('Git', function() {
 			const httpsRemoteUrl = 'https://github.com/new-repo.git';
 			const remoteName = 'new_origin';
 			const repoPathOnLocal = path.join(process.cwd(), 'tmp','migrate', 'some_repo');
-			addRemoteStub.withArgs({fs, dir: repoPathOnLocal, remote: remoteName, url: httpsRemoteUrl}).returns(Promise.resolve());
+			addRemoteStub.withArgs({fs, gitdir: repoPathOnLocal, remote: remoteName, url: httpsRemoteUrl}).returns(Promise.resolve());
 			//when
 			await gitClient.addRemote(repoPathOnLocal, remoteName, httpsRemoteUrl);
 			//then
-			assert(git.addRemote.calledWithMatch({fs, dir: repoPathOnLocal, remote: remoteName, url: httpsRemoteUrl}));
+			assert(git.addRemote.calledWithMatch({fs, gitdir: repoPathOnLocal, remote: remoteName, url: httpsRemoteUrl}));
 		});
 		it('should handle error when adding the remote', async function() {
 			//given
@@ -83,14 +117,14 @@ describe('Git', function() {
 			const remoteName = 'new_origin';
 			const repoPathOnLocal = path.join(process.cwd(), 'tmp','migrate', 'some_repo');
 			const errorMessage = 'Error occurred while adding remote the repo';
-			addRemoteStub.withArgs({fs, dir: repoPathOnLocal, remote: remoteName, url: httpsRemoteUrl}).returns(Promise.reject(new Error(errorMessage)));
+			addRemoteStub.withArgs({fs, gitdir: repoPathOnLocal, remote: remoteName, url: httpsRemoteUrl}).returns(Promise.reject(new Error(errorMessage)));
 			//when & then
 			assert.isRejected(
 				gitClient.addRemote(repoPathOnLocal, remoteName, httpsRemoteUrl),
 				Error,
 				errorMessage
 			);
-			assert(git.addRemote.calledWithMatch({fs, dir: repoPathOnLocal, remote: remoteName, url: httpsRemoteUrl}));
+			assert(git.addRemote.calledWithMatch({fs, gitdir: repoPathOnLocal, remote: remoteName, url: httpsRemoteUrl}));
 		});
 	});
 	describe('#push()', function() {
@@ -101,114 +135,337 @@ describe('Git', function() {
 		after(() => {
 			pushStub.restore();
 		});
-		it('should push to the remote for repo', async function() {
+		it('should push the ref to the same ref on the remote', async function() {
 			//given
 			const remoteName = 'new_origin';
-			const branchName = 'master';
+			const ref = 'refs/heads/master';
 			const repoPathOnLocal = path.join(process.cwd(), 'tmp','migrate', 'some_repo');
-			pushStub.withArgs({ fs, http, dir: repoPathOnLocal, remote: remoteName, ref: branchName,
+			pushStub.withArgs({ fs, http, gitdir: repoPathOnLocal, remote: remoteName, ref: ref, remoteRef: ref,
 				onAuth: sinon.match.func, onAuthFailure: sinon.match.func
 			})
 				.returns(Promise.resolve());
 			//when
-			await gitClient.push(repoPathOnLocal, remoteName, branchName);
+			await gitClient.push(repoPathOnLocal, remoteName, ref);
 			//then
-			sinon.assert.calledWith(pushStub, {fs, http, dir: repoPathOnLocal, remote: remoteName, ref: branchName,
+			sinon.assert.calledWith(pushStub, {fs, http, gitdir: repoPathOnLocal, remote: remoteName, ref: ref, remoteRef: ref,
 				onAuth: sinon.match.func, onAuthFailure: sinon.match.func });
 		});
 		it('should handle error when pushing to remote', async function() {
 			//given
 			const remote_name = 'new_origin';
-			const branch_name = 'master';
+			const ref = 'refs/heads/master';
 			const repo_path_on_local = path.join(process.cwd(), 'tmp','migrate', 'some_repo');
 			const errorMessage = 'Error occurred while pushing to remote';
-			pushStub.withArgs({fs, http, dir: repo_path_on_local, remote: remote_name, ref: branch_name,
+			pushStub.withArgs({fs, http, gitdir: repo_path_on_local, remote: remote_name, ref: ref, remoteRef: ref,
 				onAuth: sinon.match.func, onAuthFailure: sinon.match.func}).returns(Promise.reject(new Error(errorMessage)));
 			//when & then
 			assert.isRejected(
-				gitClient.push(repo_path_on_local, remote_name, branch_name),
+				gitClient.push(repo_path_on_local, remote_name, ref),
 				Error,
 				errorMessage
 			);
-			sinon.assert.calledWith(pushStub, {fs, http, dir: repo_path_on_local, remote: remote_name, ref: branch_name,
+			sinon.assert.calledWith(pushStub, {fs, http, gitdir: repo_path_on_local, remote: remote_name, ref: ref, remoteRef: ref,
 				onAuth: sinon.match.func, onAuthFailure: sinon.match.func});
 		});
+		it('should force push to the remote when asked to', async function() {
+			//given
+			const remoteName = 'new_origin';
+			const ref = 'refs/heads/master';
+			const repoPathOnLocal = path.join(process.cwd(), 'tmp','migrate', 'some_repo');
+			pushStub.returns(Promise.resolve());
+			//when
+			await gitClient.push(repoPathOnLocal, remoteName, ref, {force: true});
+			//then
+			sinon.assert.calledWith(pushStub, {fs, http, gitdir: repoPathOnLocal, remote: remoteName, ref: ref, remoteRef: ref, force: true,
+				onAuth: sinon.match.func, onAuthFailure: sinon.match.func });
+		});
+		it('should delete the ref on the remote', async function() {
+			//given
+			const remoteName = 'new_origin';
+			const ref = 'refs/heads/removed-branch';
+			const repoPathOnLocal = path.join(process.cwd(), 'tmp','migrate', 'some_repo');
+			pushStub.returns(Promise.resolve());
+			//when
+			await gitClient.deleteRemoteRef(repoPathOnLocal, remoteName, ref);
+			//then
+			sinon.assert.calledWith(pushStub, {fs, http, gitdir: repoPathOnLocal, remote: remoteName, ref: 'HEAD', remoteRef: ref, delete: true,
+				onAuth: sinon.match.func, onAuthFailure: sinon.match.func });
+		});
 	});
-	describe('#list', function() {
+	describe('#listRefs', function() {
 		let listBranchesStub;
-		let checkoutStub;
+		let listTagsStub;
+		let resolveRefStub;
+		let readdirStub;
 		before(() => {
 			listBranchesStub = sinon.stub(git, 'listBranches');
-			checkoutStub = sinon.stub(git, 'checkout');
+			listTagsStub = sinon.stub(git, 'listTags');
+			resolveRefStub = sinon.stub(git, 'resolveRef');
+			readdirStub = sinon.stub(fs.promises, 'readdir');
 		});
 		after(() => {
 			listBranchesStub.restore();
-			checkoutStub.restore();
+			listTagsStub.restore();
+			resolveRefStub.restore();
+			readdirStub.restore();
 		});
-		it('should list the branches for an already cloned repo', async function() {
+		it('should list the branches, tags and notes of the bare repo with their SHAs', async function() {
 			//given
 			const repoPathOnLocal = path.join(process.cwd(), 'tmp','migrate', 'some_repo');
-			const remoteName = 'origin';
-			listBranchesStub.withArgs({fs, dir: repoPathOnLocal, remote: remoteName}).returns(Promise.resolve(['master', 'extra-branch']));
-
+			listBranchesStub.withArgs({fs, gitdir: repoPathOnLocal}).returns(Promise.resolve(['master', 'feature/foo']));
+			listTagsStub.withArgs({fs, gitdir: repoPathOnLocal}).returns(Promise.resolve(['v1.0']));
+			readdirStub.withArgs(path.join(repoPathOnLocal, 'refs', 'notes')).returns(Promise.resolve([{name: 'commits', isDirectory: () => false}]));
+			resolveRefStub.withArgs({fs, gitdir: repoPathOnLocal, ref: 'refs/heads/master'}).returns(Promise.resolve('aaa'));
+			resolveRefStub.withArgs({fs, gitdir: repoPathOnLocal, ref: 'refs/heads/feature/foo'}).returns(Promise.resolve('bbb'));
+			resolveRefStub.withArgs({fs, gitdir: repoPathOnLocal, ref: 'refs/tags/v1.0'}).returns(Promise.resolve('ccc'));
+			resolveRefStub.withArgs({fs, gitdir: repoPathOnLocal, ref: 'refs/notes/commits'}).returns(Promise.resolve('ddd'));
 			//when
-			const returnedBranchesList = await gitClient.listBranches(repoPathOnLocal, remoteName);
-
+			const refs = await gitClient.listRefs(repoPathOnLocal);
 			//then
-			sinon.assert.calledWith(listBranchesStub, {fs, dir: repoPathOnLocal, remote: remoteName});
-			assert.deepEqual(returnedBranchesList, ['master', 'extra-branch']);
+			assert.deepEqual(refs, {
+				'refs/heads/master': 'aaa',
+				'refs/heads/feature/foo': 'bbb',
+				'refs/tags/v1.0': 'ccc',
+				'refs/notes/commits': 'ddd'
+			});
 		});
-		it('should checkout the branches and list', async function() {
+		it('should list the notes refs nested under refs/notes', async function() {
 			//given
-			const repoPathOnLocal = path.join(process.cwd(), 'tmp','migrate', 'some_repo');
-			const remoteName = 'origin';
-			listBranchesStub.withArgs({fs, dir: repoPathOnLocal, remote: remoteName}).returns(Promise.resolve(['master', 'extra-branch']));
-
+			const repoPathOnLocal = path.join(process.cwd(), 'tmp','migrate', 'nested_notes_repo');
+			listBranchesStub.withArgs({fs, gitdir: repoPathOnLocal}).returns(Promise.resolve([]));
+			listTagsStub.withArgs({fs, gitdir: repoPathOnLocal}).returns(Promise.resolve([]));
+			readdirStub.withArgs(path.join(repoPathOnLocal, 'refs', 'notes')).returns(Promise.resolve([
+				{name: 'commits', isDirectory: () => false},
+				{name: 'review', isDirectory: () => true}
+			]));
+			readdirStub.withArgs(path.join(repoPathOnLocal, 'refs', 'notes', 'review')).returns(Promise.resolve([{name: 'approvals', isDirectory: () => false}]));
+			resolveRefStub.withArgs({fs, gitdir: repoPathOnLocal, ref: 'refs/notes/commits'}).returns(Promise.resolve('ddd'));
+			resolveRefStub.withArgs({fs, gitdir: repoPathOnLocal, ref: 'refs/notes/review/approvals'}).returns(Promise.resolve('eee'));
 			//when
-			const returnedBranchesList = await gitClient.listBranches(repoPathOnLocal, remoteName);
-
+			const refs = await gitClient.listRefs(repoPathOnLocal);
 			//then
-			sinon.assert.calledWith(listBranchesStub, {fs, dir: repoPathOnLocal, remote: remoteName});
-			sinon.assert.calledWith(checkoutStub, {fs, dir: repoPathOnLocal, ref: 'master', remote: remoteName});
-			sinon.assert.calledWith(checkoutStub, {fs, dir: repoPathOnLocal, ref: 'extra-branch', remote: remoteName});
-			assert.deepEqual(returnedBranchesList, ['master', 'extra-branch']);
+			assert.deepEqual(refs, {
+				'refs/notes/commits': 'ddd',
+				'refs/notes/review/approvals': 'eee'
+			});
 		});
-		it('should not attempt to checkout or list HEAD branch', async function() {
+		it('should list no notes when the repo has none', async function() {
 			//given
-			const repoPathOnLocal = path.join(process.cwd(), 'tmp','migrate', 'some_repo');
-			const remoteName = 'origin';
-			listBranchesStub.withArgs({fs, dir: repoPathOnLocal, remote: remoteName}).returns(Promise.resolve(['HEAD', 'master', 'extra-branch']));
-
+			const repoPathOnLocal = path.join(process.cwd(), 'tmp','migrate', 'other_repo');
+			listBranchesStub.withArgs({fs, gitdir: repoPathOnLocal}).returns(Promise.resolve(['master']));
+			listTagsStub.withArgs({fs, gitdir: repoPathOnLocal}).returns(Promise.resolve([]));
+			readdirStub.withArgs(path.join(repoPathOnLocal, 'refs', 'notes')).returns(Promise.reject(new Error('ENOENT')));
+			resolveRefStub.withArgs({fs, gitdir: repoPathOnLocal, ref: 'refs/heads/master'}).returns(Promise.resolve('aaa'));
 			//when
-			const returnedBranchesList = await gitClient.listBranches(repoPathOnLocal, remoteName);
-
+			const refs = await gitClient.listRefs(repoPathOnLocal);
 			//then
-			sinon.assert.calledWith(listBranchesStub, {fs, dir: repoPathOnLocal, remote: remoteName});
-			sinon.assert.calledWith(checkoutStub, {fs, dir: repoPathOnLocal, ref: 'master', remote: remoteName});
-			sinon.assert.calledWith(checkoutStub, {fs, dir: repoPathOnLocal, ref: 'extra-branch', remote: remoteName});
-			sinon.assert.neverCalledWith(checkoutStub, {fs, dir: repoPathOnLocal, ref: 'HEAD', remote: remoteName});
-			assert.deepEqual(returnedBranchesList, ['master', 'extra-branch']);
+			assert.deepEqual(refs, {'refs/heads/master': 'aaa'});
 		});
 	});
-	describe('#listTags', function() {
-		let listTagsStub;
+	describe('#listGitlabRefs', function() {
+		let getRemoteInfoStub;
 		before(() => {
-			listTagsStub = sinon.stub(git, 'listTags');
+			getRemoteInfoStub = sinon.stub(git, 'getRemoteInfo');
 		});
 		after(() => {
-			listTagsStub.restore();
+			getRemoteInfoStub.restore();
 		});
-		it('should list the tags for an already cloned repo', async function() {
+		it('should list the branches, tags and notes on the gitlab remote', async function() {
 			//given
-			const repo_path_on_local = path.join(process.cwd(), 'tmp','migrate', 'some_repo');
-			listTagsStub.withArgs({fs, dir: repo_path_on_local}).returns(Promise.resolve(['foo-tag', 'bar-tag']));
-
+			const httpsRemoteUrl = 'https://gitlab.com/FOO/some-repo.git';
+			getRemoteInfoStub.returns(Promise.resolve({
+				capabilities: [],
+				refs: {
+					heads: {master: 'aaa'},
+					tags: {'v1.0': 'ccc'},
+					notes: {commits: 'ddd'},
+					'merge-requests': {'1': {head: 'eee'}}
+				}
+			}));
 			//when
-			const returnedTagsList = await gitClient.listTags(repo_path_on_local);
-
+			const refs = await gitClient.listGitlabRefs(httpsRemoteUrl);
+			//then
+			sinon.assert.calledWith(getRemoteInfoStub, {http, url: httpsRemoteUrl,
+				onAuth: sinon.match.func, onAuthFailure: sinon.match.func});
+			assert.deepEqual(refs, {
+				'refs/heads/master': 'aaa',
+				'refs/tags/v1.0': 'ccc',
+				'refs/notes/commits': 'ddd'
+			});
+		});
+	});
+	describe('#listGithubRefs', function() {
+		let getRemoteInfoStub;
+		before(() => {
+			getRemoteInfoStub = sinon.stub(git, 'getRemoteInfo');
+		});
+		after(() => {
+			getRemoteInfoStub.restore();
+		});
+		it('should list the branches and tags on the github remote', async function() {
+			//given
+			const httpsRemoteUrl = 'https://github.com/some-org/some-repo.git';
+			getRemoteInfoStub.returns(Promise.resolve({
+				capabilities: [],
+				refs: {
+					heads: {master: 'aaa', feature: {foo: 'bbb'}},
+					tags: {'v1.0': 'ccc', 'v1.0^{}': 'ddd'},
+					pull: {'1': {head: 'eee'}}
+				}
+			}));
+			//when
+			const refs = await gitClient.listGithubRefs(httpsRemoteUrl);
+			//then
+			sinon.assert.calledWith(getRemoteInfoStub, {http, url: httpsRemoteUrl, forPush: true,
+				onAuth: sinon.match.func, onAuthFailure: sinon.match.func});
+			assert.deepEqual(refs, {
+				'refs/heads/master': 'aaa',
+				'refs/heads/feature/foo': 'bbb',
+				'refs/tags/v1.0': 'ccc'
+			});
+		});
+		it('should return no refs for an empty github repo', async function() {
+			//given
+			const httpsRemoteUrl = 'https://github.com/some-org/empty-repo.git';
+			getRemoteInfoStub.returns(Promise.resolve({capabilities: []}));
+			//when
+			const refs = await gitClient.listGithubRefs(httpsRemoteUrl);
+			//then
+			assert.deepEqual(refs, {});
+		});
+	});
+	describe('#isDescendent', function() {
+		let isDescendentStub;
+		before(() => {
+			isDescendentStub = sinon.stub(git, 'isDescendent');
+		});
+		after(() => {
+			isDescendentStub.restore();
+		});
+		it('should tell if a commit descends from another', async function() {
+			//given
+			const repoPathOnLocal = path.join(process.cwd(), 'tmp','migrate', 'some_repo');
+			isDescendentStub.withArgs({fs, gitdir: repoPathOnLocal, oid: 'bbb', ancestor: 'aaa'}).returns(Promise.resolve(true));
+			//when
+			const isDescendent = await gitClient.isDescendent(repoPathOnLocal, 'bbb', 'aaa');
+			//then
+			expect(isDescendent).to.be.true;
+		});
+		it('should treat an unknown ancestor as not descending', async function() {
+			//given
+			const repoPathOnLocal = path.join(process.cwd(), 'tmp','migrate', 'some_repo');
+			isDescendentStub.withArgs({fs, gitdir: repoPathOnLocal, oid: 'bbb', ancestor: 'zzz'}).returns(Promise.reject(new Error('Could not find zzz')));
+			//when
+			const isDescendent = await gitClient.isDescendent(repoPathOnLocal, 'bbb', 'zzz');
+			//then
+			expect(isDescendent).to.be.false;
+		});
+	});
+	describe('#listLfsPointers', function() {
+		const lfsOid = 'a'.repeat(64);
+		const nestedLfsOid = 'b'.repeat(64);
+		let pathToRepo;
+		const writeFile = (content) => git.writeBlob({fs, gitdir: pathToRepo, blob: Buffer.from(content)});
+		const pointer = (oid, size) => `version https://git-lfs.github.com/spec/v1\noid sha256:${oid}\nsize ${size}\n`;
+		beforeEach(async () => {
+			pathToRepo = fs.mkdtempSync(path.join(os.tmpdir(), 'lfs-'));
+			await git.init({fs, gitdir: pathToRepo, bare: true});
+			const assetsTree = await git.writeTree({fs, gitdir: pathToRepo, tree: [
+				{mode: '100644', path: '.gitattributes', type: 'blob', oid: await writeFile('*.png filter=lfs diff=lfs merge=lfs -text\n')},
+				{mode: '100644', path: 'logo.png', type: 'blob', oid: await writeFile(pointer(nestedLfsOid, 20))}
+			]});
+			const tree = await git.writeTree({fs, gitdir: pathToRepo, tree: [
+				{mode: '100644', path: '.gitattributes', type: 'blob', oid: await writeFile('# binaries\n*.bin filter=lfs diff=lfs merge=lfs -text\n')},
+				{mode: '100644', path: 'data.bin', type: 'blob', oid: await writeFile(pointer(lfsOid, 10))},
+				{mode: '100644', path: 'plain.bin', type: 'blob', oid: await writeFile('not a pointer')},
+				{mode: '100644', path: 'root.png', type: 'blob', oid: await writeFile(pointer('c'.repeat(64), 30))},
+				{mode: '040000', path: 'assets', type: 'tree', oid: assetsTree}
+			]});
+			const author = {name: 'some-user', email: 'some-user@example.com', timestamp: 0, timezoneOffset: 0};
+			const commit = await git.writeCommit({fs, gitdir: pathToRepo, commit: {message: 'add lfs files', tree, parent: [], author, committer: author}});
+			await git.writeRef({fs, gitdir: pathToRepo, ref: 'refs/heads/master', value: commit});
+			await git.writeRef({fs, gitdir: pathToRepo, ref: 'refs/heads/feature', value: commit});
+		});
+		afterEach(() => {
+			fs.rmdirSync(pathToRepo, {recursive: true});
+		});
+		it('should list the LFS pointers tracked by the .gitattributes of each ref once', async function() {
+			//when
+			const pointers = await gitClient.listLfsPointers(pathToRepo, ['refs/heads/master', 'refs/heads/feature']);
+			//then
+			expect(pointers).to.have.deep.members([{oid: lfsOid, size: 10}, {oid: nestedLfsOid, size: 20}]);
+		});
+		it('should list no LFS pointers when no ref is given', async function() {
+			//when
+			const pointers = await gitClient.listLfsPointers(pathToRepo, []);
+			//then
+			expect(pointers).to.be.empty;
+		});
+	});
+	describe('#readFiles, #commitFiles and #commitTree', function() {
+		const ref = 'refs/heads/master';
+		const author = {name: 'gl2gh', email: 'gl2gh@users.noreply.github.com'};
+		let pathToRepo;
+		let parentCommit;
+		beforeEach(async () => {
+			pathToRepo = fs.mkdtempSync(path.join(os.tmpdir(), 'files-'));
+			await git.init({fs, gitdir: pathToRepo, bare: true});
+			const writeFile = (content) => git.writeBlob({fs, gitdir: pathToRepo, blob: Buffer.from(content)});
+			const libTree = await git.writeTree({fs, gitdir: pathToRepo, tree: [
+				{mode: '100644', path: 'package.json', type: 'blob', oid: await writeFile('{"name": "lib"}')}
+			]});
+			const tree = await git.writeTree({fs, gitdir: pathToRepo, tree: [
+				{mode: '100644', path: 'README.md', type: 'blob', oid: await writeFile('# readme')},
+				{mode: '100755', path: 'build.sh', type: 'blob', oid: await writeFile('make')},
+				{mode: '040000', path: 'lib', type: 'tree', oid: libTree}
+			]});
+			parentCommit = await git.commit({fs, gitdir: pathToRepo, ref, tree, parent: [], message: 'initial', author});
+		});
+		afterEach(() => {
+			fs.rmdirSync(pathToRepo, {recursive: true});
+		});
+		it('should read the files of the ref matching the filter', async function() {
+			//when
+			const files = await gitClient.readFiles(pathToRepo, ref, filepath => filepath.endsWith('.json') || filepath === 'README.md');
+			//then
+			expect(files).to.deep.equal({'README.md': '# readme', 'lib/package.json': '{"name": "lib"}'});
+		});
+		it('should commit changed and new files, including nested ones, on top of the ref', async function() {
+			//when
+			const commitOid = await gitClient.commitFiles(pathToRepo, ref, {
+				'lib/package.json': '{"name": "new-lib"}',
+				'.github/workflows/ci.yml': 'name: CI'
+			}, 'Some message', author);
+			//then
+			expect(await git.resolveRef({fs, gitdir: pathToRepo, ref})).to.equal(commitOid);
+			const { commit } = await git.readCommit({fs, gitdir: pathToRepo, oid: commitOid});
+			expect(commit.parent).to.deep.equal([parentCommit]);
+			expect(commit.message).to.equal('Some message\n');
+			expect(commit.author.name).to.equal('gl2gh');
+			const files = await gitClient.readFiles(pathToRepo, ref, () => true);
+			expect(files).to.deep.equal({
+				'.github/workflows/ci.yml': 'name: CI',
+				'README.md': '# readme',
+				'build.sh': 'make',
+				'lib/package.json': '{"name": "new-lib"}'
+			});
+			const { tree } = await git.readTree({fs, gitdir: pathToRepo, oid: commitOid});
+			expect(tree.find(entry => entry.path === 'build.sh').mode).to.equal('100755');
+		});
+		it('should commit a tree of only the given files, keeping existing blobs by oid', async function() {
+			//given
+			const blobs = await gitClient.listFiles(pathToRepo, ref);
+			const readme = blobs.find(blob => blob.filepath === 'README.md');
+			//when
+			const commitOid = await gitClient.commitTree(pathToRepo, ref, {
+				'Home.md': {oid: readme.oid},
+				'lib-package.json': '{"name": "lib"}'
+			}, 'Some message', author);
 			//then
-			sinon.assert.calledWith(listTagsStub, {fs, dir: repo_path_on_local});
-			assert.deepEqual(returnedTagsList, ['foo-tag', 'bar-tag']);
+			const { commit } = await git.readCommit({fs, gitdir: pathToRepo, oid: commitOid});
+			expect(commit.parent).to.deep.equal([parentCommit]);
+			const files = await gitClient.readFiles(pathToRepo, ref, () => true);
+			expect(files).to.deep.equal({'Home.md': '# readme', 'lib-package.json': '{"name": "lib"}'});
 		});
 	});
-});
\ No newline at end of file
+});
@@ -5,6 +5,7 @@ const assert = chai.assert;
 const expect = chai.expect;
 const should = require('chai').should();
 const nock = require('nock');
+const sodium = require('libsodium-wrappers');
 const config = require('config');
 
 const GithubClient = require('../../../src/github/client.js');
@@ -14,6 +15,7 @@ const WebhookConfig = require('../../../src/github/model/webhookConfig.js');
 const repoDetails = require('../../resources/github/repoDetails.json');
 const updateBranchProtectionResponse = require('../../resources/github/updateBranchProtectionResponse.json');
 const createWebhookResponse = require('../../resources/github/createWebhookResponse.json');
+const repoAlreadyExistsResponse = require('../../resources/github/repoAlreadyExistsResponse.json');
 
 describe('Github client', function() {
 	const GITHUB_API_URL = config.get('gl2gh.github.url');
@@ -52,6 +54,17 @@ describe('Github client', function() {
 			repository.should.have.property('delete_branch_on_merge');
 			repository['name'].should.equal(repoName);
 		});
+		it('should create new repo with the specified settings', async() => {
+			//given
+			const repoName = 'some-repo';
+			const orgName = 'some-org';
+			const settings = {description: 'some description', visibility: 'private', has_issues: true, has_wiki: false};
+			api.post(`/orgs/${orgName}/repos`, Object.assign({name: repoName, private: true}, settings)).reply(201, repoDetails);
+			//when
+			const repository = await githubClient.createRepo(repoName, true, orgName, settings);
+			//then
+			repository['name'].should.equal(repoName);
+		});
 		it('should create new repo under user root when github org is not specified', async() => {
 			//given
 			const repoName = 'some-repo';
@@ -73,7 +86,7 @@ describe('Github client', function() {
 			const isPrivate = true;
 			const orgName = 'some-org';
 			const owner = orgName;
-			api.post(`/orgs/${orgName}/repos`).reply(422);
+			api.post(`/orgs/${orgName}/repos`).reply(422, repoAlreadyExistsResponse);
 			api.get(`/repos/${owner}/${alreadyExistingRepoName}`).reply(201, repoDetails);
 			//when
 			const repository = await githubClient.createRepo(alreadyExistingRepoName, isPrivate, orgName);
@@ -90,7 +103,7 @@ describe('Github client', function() {
 			const alreadyExistingRepoName = 'some-repo';
 			const isPrivate = true;
 			const owner = GITHUB_USERNAME;
-			api.post('/user/repos').reply(422);
+			api.post('/user/repos').reply(422, repoAlreadyExistsResponse);
 			api.get(`/repos/${owner}/${alreadyExistingRepoName}`).reply(201, repoDetails);
 			//when
 			const repository = await githubClient.createRepo(alreadyExistingRepoName, isPrivate);
@@ -107,13 +120,24 @@ describe('Github client', function() {
 			const alreadyExistingRepoName = 'some-already-existing-repo';
 			const isPrivate = true;
 			const owner = GITHUB_USERNAME;
-			api.post('/user/repos').reply(422);
+			api.post('/user/repos').reply(422, repoAlreadyExistsResponse);
 			api.get(`/repos/${owner}/${alreadyExistingRepoName}`).reply(201, repoDetails);
 			//when
 			const promise = githubClient.createRepo(alreadyExistingRepoName, isPrivate);
 			//then
 			return promise.should.be.fulfilled;
 		});
+		it('should throw error when 422 status received for settings github does not accept', async() => {
+			//given
+			const repoName = 'some-repo';
+			api.post('/orgs/some-org/repos').reply(422, {message: 'Validation Failed', errors: [{resource: 'Repository', code: 'custom', field: 'visibility', message: 'visibility can only be internal for enterprise organizations'}]});
+			//when & then
+			return assert.isRejected(
+				githubClient.createRepo(repoName, true, 'some-org', {visibility: 'internal'}),
+				Error,
+				'Unable to create repo: some-repo'
+			);
+		});
 		it('should throw error when non 201 status received while creating repo', async() => {
 			//given
 			const repoName = 'errored-repo';
@@ -163,6 +187,61 @@ describe('Github client', function() {
 				`Unable to get repo with name ${repoName}`);
 		});
 	});
+	describe('#findRepo', function() {
+		it('should find the repo based on name provided', async () => {
+			//given
+			const owner = 'foo-user';
+			const repoName = 'some-repo';
+			api.get(`/repos/${owner}/${repoName}`).reply(200, repoDetails);
+			//when
+			const repository = await githubClient.findRepo(owner, repoName);
+			//then
+			repository.name.should.equal(repoName);
+			repository.clone_url.should.equal('https://github.com/foo-user/some-repo.git');
+		});
+		it('should resolve to undefined when github returns 404 on get repo', async () => {
+			//given
+			const owner = 'foo-user';
+			const repoName = 'some-repo';
+			api.get(`/repos/${owner}/${repoName}`).reply(404);
+			//when
+			const repository = await githubClient.findRepo(owner, repoName);
+			//then
+			expect(repository).to.be.undefined;
+		});
+		it('should throw error when github fails on get repo', async () => {
+			//given
+			const owner = 'foo-user';
+			const repoName = 'some-repo';
+			api.get(`/repos/${owner}/${repoName}`).reply(500);
+			//when
+			return assert.isRejected(
+				githubClient.findRepo(owner, repoName),
+				Error,
+				`Unable to find repo with name ${repoName}`);
+		});
+	});
+	describe('#getCommit', function() {
+		it('should fetch the commit with its message and parents', async () => {
+			//given
+			api.get('/repos/some-org/some-repo/commits/some-sha').reply(200, {sha: 'some-sha', commit: {message: 'Some change'}, parents: [{sha: 'parent-sha'}]});
+			//when
+			const commit = await githubClient.getCommit('some-org', 'some-repo', 'some-sha');
+			//then
+			expect(commit.commit.message).to.equal('Some change');
+			expect(commit.parents).to.deep.equal([{sha: 'parent-sha'}]);
+		});
+		it('should throw error when the commit cannot be fetched', async () => {
+			//given
+			api.get('/repos/some-org/some-repo/commits/some-sha').reply(422);
+			//when
+			//then
+			return assert.isRejected(
+				githubClient.getCommit('some-org', 'some-repo', 'some-sha'),
+				Error, 'Unable to fetch commit some-sha of some-repo'
+			);
+		});
+	});
 	describe('#configureBranchProtectionRule', function () {
 		it('should configure branch protection rule for the repo', async () => {
 			//given
@@ -217,6 +296,15 @@ describe('Github client', function() {
 				Error,
 				'Error configuring branch protection rule on ' +branchName+ ' of ' +repoName);
 		});
+		it('should protect the branch without requiring pull requests when the rule does not', async () => {
+			//given
+			api.put('/repos/some-org/some-repo/branches/release/1.0/protection', body => body.required_pull_request_reviews === null && body.allow_force_pushes === true)
+				.reply(200, updateBranchProtectionResponse);
+			//when
+			const res = await githubClient.configureBranchProtectionRule('some-org', 'some-repo', 'release/1.0', new BranchProtectionRule({require_pull_request: false, allow_force_pushes: true}));
+			//then
+			expect(res.status).to.equal(200);
+		});
 	});
 	describe('#updateAutoDeleteHeadBranches', function () {
 		it('should update auto delete head branches for the repo', async () => {
@@ -247,6 +335,30 @@ describe('Github client', function() {
 				'Unable to update auto delete head branches on ' + repoName);
 		});
 	});
+	describe('#replaceTopics', function () {
+		it('should replace the topics of the repo', async () => {
+			//given
+			const owner = 'foo-user';
+			const repoName = 'some-repo';
+			const topics = ['nodejs', 'migration'];
+			api.put(`/repos/${owner}/${repoName}/topics`, {names: topics}).reply(200, {names: topics});
+			//when
+			const names = await githubClient.replaceTopics(owner, repoName, topics);
+			//then
+			expect(names).to.deep.equal(topics);
+		});
+		it('should throw error when github fails to replace the topics', async () => {
+			//given
+			const owner = 'foo-user';
+			const repoName = 'some-repo';
+			api.put(`/repos/${owner}/${repoName}/topics`).reply(422);
+			//when
+			return assert.isRejected(
+				githubClient.replaceTopics(owner, repoName, ['Not Valid']),
+				Error,
+				`Unable to set topics of ${repoName}`);
+		});
+	});
 	describe('#updateDefaultBranch', function () {
 		it('should update default branch for the repo', async () => {
 			//given
@@ -314,6 +426,17 @@ describe('Github client', function() {
 			expect(res.data.events).to.eql(['pull_request','push']);
 		});
 
+		it('should create webhook without ssl verification when the config asks for it', async() => {
+			//given
+			const webhookConfig = new WebhookConfig('test-webhooks', undefined, ['push'], 'http://jenkins.example.com/hook', true);
+			api.post('/repos/some-org/test-webhooks/hooks', {events: ['push'], config: {url: 'http://jenkins.example.com/hook', content_type: 'json', insecure_ssl: '1'}})
+				.reply(201, createWebhookResponse);
+			//when
+			const res = await githubClient.createWebhook(webhookConfig, 'some-org');
+			//then
+			expect(res.status).to.equal(201);
+		});
+
 		it('should throw error when Github webhook API returns non-200 http status', async() => {
 			//given
 			const repoName = 'test-webhooks';
@@ -335,4 +458,358 @@ describe('Github client', function() {
 			);
 		});
 	});
-});
\ No newline at end of file
+	describe('#createLabel', function() {
+		it('should create the label on the repo', async() => {
+			//given
+			const label = {name: 'bug', color: 'd9534f'};
+			api.post('/repos/some-org/some-repo/labels', label).reply(201, label);
+			//when
+			const createdLabel = await githubClient.createLabel('some-org', 'some-repo', label);
+			//then
+			expect(createdLabel).to.deep.equal(label);
+		});
+		it('should skip a label which already exists', async() => {
+			//given
+			api.post('/repos/some-org/some-repo/labels').reply(422);
+			//when
+			const createdLabel = await githubClient.createLabel('some-org', 'some-repo', {name: 'bug', color: 'd9534f'});
+			//then
+			should.not.exist(createdLabel);
+		});
+	});
+	describe('#getIssues', function() {
+		it('should fetch the issues of every page', async() => {
+			//given
+			const firstPage = Array.from({length: 100}, (value, index) => ({number: index + 1}));
+			api.get('/repos/some-org/some-repo/issues?state=all&per_page=100&page=1').reply(200, firstPage);
+			api.get('/repos/some-org/some-repo/issues?state=all&per_page=100&page=2').reply(200, [{number: 101}]);
+			//when
+			const issues = await githubClient.getIssues('some-org', 'some-repo');
+			//then
+			expect(issues.map(issue => issue.number)).to.have.lengthOf(101);
+		});
+		it('should throw error when the issues cannot be fetched', async() => {
+			//given
+			api.get('/repos/some-org/some-repo/issues?state=all&per_page=100&page=1').reply(404);
+			//when
+			//then
+			return assert.isRejected(
+				githubClient.getIssues('some-org', 'some-repo'),
+				Error, 'Unable to fetch issues of some-repo'
+			);
+		});
+	});
+	describe('#getMilestones', function() {
+		it('should fetch the milestones of every page', async() => {
+			//given
+			const firstPage = Array.from({length: 100}, (value, index) => ({number: index + 1, title: `v${index + 1}`}));
+			api.get('/repos/some-org/some-repo/milestones?state=all&per_page=100&page=1').reply(200, firstPage);
+			api.get('/repos/some-org/some-repo/milestones?state=all&per_page=100&page=2').reply(200, [{number: 101, title: 'v101'}]);
+			//when
+			const milestones = await githubClient.getMilestones('some-org', 'some-repo');
+			//then
+			expect(milestones.map(milestone => milestone.title)).to.have.lengthOf(101).and.to.include('v101');
+		});
+		it('should throw error when the milestones cannot be fetched', async() => {
+			//given
+			api.get('/repos/some-org/some-repo/milestones?state=all&per_page=100&page=1').reply(404);
+			//when
+			//then
+			return assert.isRejected(
+				githubClient.getMilestones('some-org', 'some-repo'),
+				Error, 'Unable to fetch milestones of some-repo'
+			);
+		});
+	});
+	describe('#createIssue', function() {
+		it('should create the issue and return it with its number', async() => {
+			//given
+			const issue = {title: 'Crash on start', body: 'It crashes', labels: ['bug'], assignees: ['alice-gh']};
+			api.post('/repos/some-org/some-repo/issues', issue).reply(201, Object.assign({number: 7}, issue));
+			//when
+			const createdIssue = await githubClient.createIssue('some-org', 'some-repo', issue);
+			//then
+			expect(createdIssue.number).to.equal(7);
+		});
+		it('should throw error when the issue cannot be created', async() => {
+			//given
+			api.post('/repos/some-org/some-repo/issues').reply(410);
+			//when
+			//then
+			return assert.isRejected(
+				githubClient.createIssue('some-org', 'some-repo', {title: 'Crash on start'}),
+				Error, 'Unable to create issue Crash on start on some-repo'
+			);
+		});
+	});
+	describe('#createPullRequest', function() {
+		it('should create the pull request and return it with its number', async() => {
+			//given
+			const pullRequest = {title: 'Add login page', head: 'feature', base: 'main', body: 'Adds the login page', draft: true};
+			api.post('/repos/some-org/some-repo/pulls', pullRequest).reply(201, Object.assign({number: 5}, pullRequest));
+			//when
+			const createdPullRequest = await githubClient.createPullRequest('some-org', 'some-repo', pullRequest);
+			//then
+			expect(createdPullRequest.number).to.equal(5);
+		});
+		it('should throw error when the pull request already exists', async() => {
+			//given
+			api.post('/repos/some-org/some-repo/pulls').reply(422);
+			//when
+			//then
+			return assert.isRejected(
+				githubClient.createPullRequest('some-org', 'some-repo', {title: 'Add login page', head: 'feature', base: 'main'}),
+				Error, 'Unable to create pull request Add login page on some-repo, it may already exist'
+			);
+		});
+	});
+	describe('#putActionsSecret', function() {
+		it('should create the secret sealed with the public key of the scope', async() => {
+			//given
+			await sodium.ready;
+			const keyPair = sodium.crypto_box_keypair();
+			const publicKey = {key_id: '568250167242549743', key: sodium.to_base64(keyPair.publicKey, sodium.base64_variants.ORIGINAL)};
+			let sentSecret;
+			api.put('/repos/some-org/some-repo/actions/secrets/DEPLOY_TOKEN', (body) => {
+				sentSecret = body;
+				return true;
+			}).reply(201);
+			//when
+			await githubClient.putActionsSecret('repos/some-org/some-repo/actions', 'DEPLOY_TOKEN', 's3cr3t-token', publicKey);
+			//then
+			expect(sentSecret.key_id).to.equal('568250167242549743');
+			const opened = sodium.crypto_box_seal_open(sodium.from_base64(sentSecret.encrypted_value, sodium.base64_variants.ORIGINAL), keyPair.publicKey, keyPair.privateKey);
+			expect(sodium.to_string(opened)).to.equal('s3cr3t-token');
+		});
+	});
+	describe('#putActionsVariable', function() {
+		it('should create the variable', async() => {
+			//given
+			api.post('/orgs/some-org/actions/variables', {name: 'REGISTRY_HOST', value: 'registry.example.com', visibility: 'selected', selected_repository_ids: [1]}).reply(201);
+			//when
+			const name = await githubClient.putActionsVariable('orgs/some-org/actions', 'REGISTRY_HOST', 'registry.example.com', {visibility: 'selected', selected_repository_ids: [1]});
+			//then
+			expect(name).to.equal('REGISTRY_HOST');
+		});
+		it('should update the variable when it already exists', async() => {
+			//given
+			api.post('/repos/some-org/some-repo/actions/variables').reply(409);
+			api.patch('/repos/some-org/some-repo/actions/variables/LOG_LEVEL', {name: 'LOG_LEVEL', value: 'debug'}).reply(204);
+			//when
+			await githubClient.putActionsVariable('repos/some-org/some-repo/actions', 'LOG_LEVEL', 'debug');
+			//then
+			expect(api.isDone()).to.be.true;
+		});
+		it('should throw error when the variable cannot be created', async() => {
+			//given
+			api.post('/repos/some-org/some-repo/actions/variables').reply(403);
+			//when
+			//then
+			return assert.isRejected(
+				githubClient.putActionsVariable('repos/some-org/some-repo/actions', 'LOG_LEVEL', 'debug'),
+				Error, 'Unable to create variable LOG_LEVEL in repos/some-org/some-repo/actions'
+			);
+		});
+	});
+	describe('#getEnvironments', function() {
+		it('should return the names of the environments of the repo', async() => {
+			//given
+			api.get('/repos/some-org/some-repo/environments?per_page=100&page=1').reply(200, {total_count: 2, environments: [{id: 1, name: 'staging'}, {id: 2, name: 'production'}]});
+			//when
+			const environments = await githubClient.getEnvironments('some-org', 'some-repo');
+			//then
+			expect(environments).to.deep.equal(['staging', 'production']);
+		});
+		it('should fetch the environments of every page', async() => {
+			//given
+			const firstPage = Array.from({length: 100}, (value, index) => ({id: index + 1, name: `review-${index + 1}`}));
+			api.get('/repos/some-org/some-repo/environments?per_page=100&page=1').reply(200, {total_count: 101, environments: firstPage});
+			api.get('/repos/some-org/some-repo/environments?per_page=100&page=2').reply(200, {total_count: 101, environments: [{id: 101, name: 'production'}]});
+			//when
+			const environments = await githubClient.getEnvironments('some-org', 'some-repo');
+			//then
+			expect(environments).to.have.lengthOf(101);
+			expect(environments).to.include('production');
+		});
+		it('should throw error when the environments cannot be fetched', async() => {
+			//given
+			api.get('/repos/some-org/some-repo/environments?per_page=100&page=1').reply(404);
+			//when
+			//then
+			return assert.isRejected(
+				githubClient.getEnvironments('some-org', 'some-repo'),
+				Error, 'Unable to fetch environments of some-repo'
+			);
+		});
+	});
+	describe('#addCollaborator', function() {
+		it('should add the collaborator with the pull permission for read', async() => {
+			//given
+			api.put('/repos/some-org/some-repo/collaborators/alice-gh', {permission: 'pull'}).reply(204);
+			//when
+			const result = await githubClient.addCollaborator('some-org', 'some-repo', 'alice-gh', 'read');
+			//then
+			expect(result).to.equal('added');
+		});
+		it('should report the collaborator invited when GitHub sends an invitation', async() => {
+			//given
+			api.put('/repos/some-org/some-repo/collaborators/alice-gh', {permission: 'maintain'}).reply(201, {id: 1});
+			//when
+			const result = await githubClient.addCollaborator('some-org', 'some-repo', 'alice-gh', 'maintain');
+			//then
+			expect(result).to.equal('invited');
+		});
+		it('should throw error when the collaborator cannot be added', async() => {
+			//given
+			api.put('/repos/some-org/some-repo/collaborators/alice-gh').reply(422);
+			//when
+			//then
+			return assert.isRejected(
+				githubClient.addCollaborator('some-org', 'some-repo', 'alice-gh', 'write'),
+				Error, 'Unable to add collaborator alice-gh to some-repo'
+			);
+		});
+	});
+	describe('#addTeamRepo', function() {
+		it('should grant the team the push permission for write', async() => {
+			//given
+			api.put('/orgs/some-org/teams/backend/repos/some-org/some-repo', {permission: 'push'}).reply(204);
+			//when
+			const team = await githubClient.addTeamRepo('some-org', 'backend', 'some-repo', 'write');
+			//then
+			expect(team).to.equal('backend');
+		});
+		it('should throw error when the team does not exist', async() => {
+			//given
+			api.put('/orgs/some-org/teams/backend/repos/some-org/some-repo').reply(404);
+			//when
+			//then
+			return assert.isRejected(
+				githubClient.addTeamRepo('some-org', 'backend', 'some-repo', 'write'),
+				Error, 'Unable to grant team backend access to some-repo, the team may not exist'
+			);
+		});
+	});
+	describe('#archiveRepo', function() {
+		it('should archive the repo', async() => {
+			//given
+			api.patch('/repos/some-org/some-repo', {archived: true}).reply(200, repoDetails);
+			//when
+			const repository = await githubClient.archiveRepo('some-org', 'some-repo');
+			//then
+			repository.name.should.equal('some-repo');
+		});
+		it('should throw error when the repo cannot be archived', async() => {
+			//given
+			api.patch('/repos/some-org/some-repo').reply(403);
+			//when
+			//then
+			return assert.isRejected(githubClient.archiveRepo('some-org', 'some-repo'), Error, 'Unable to archive repo some-repo');
+		});
+	});
+	describe('#getWebhooks', function() {
+		it('should return the webhooks of the repo', async() => {
+			//given
+			api.get('/repos/some-org/some-repo/hooks?per_page=100&page=1').reply(200, [{id: 1, events: ['push'], config: {url: 'https://jenkins.example.com/hook'}}]);
+			//when
+			const webhooks = await githubClient.getWebhooks('some-org', 'some-repo');
+			//then
+			expect(webhooks.map(webhook => webhook.config.url)).to.deep.equal(['https://jenkins.example.com/hook']);
+		});
+		it('should fetch the webhooks of every page', async() => {
+			//given
+			const firstPage = Array.from({length: 100}, (value, index) => ({id: index + 1, config: {url: `https://ci.example.com/hook/${index + 1}`}}));
+			api.get('/repos/some-org/some-repo/hooks?per_page=100&page=1').reply(200, firstPage);
+			api.get('/repos/some-org/some-repo/hooks?per_page=100&page=2').reply(200, [{id: 101, config: {url: 'https://jenkins.example.com/hook'}}]);
+			//when
+			const webhooks = await githubClient.getWebhooks('some-org', 'some-repo');
+			//then
+			expect(webhooks).to.have.lengthOf(101);
+			expect(webhooks.map(webhook => webhook.config.url)).to.include('https://jenkins.example.com/hook');
+		});
+	});
+	describe('#getDeployKeys and #createDeployKey', function() {
+		it('should list the deploy keys of the repo and add one', async() => {
+			//given
+			api.get('/repos/some-org/some-repo/keys?per_page=100&page=1').reply(200, [{id: 1, key: 'ssh-ed25519 AAAA', title: 'Jenkins', read_only: true}]);
+			api.post('/repos/some-org/some-repo/keys', {title: 'Release bot', key: 'ssh-ed25519 BBBB', read_only: false}).reply(201, {id: 2, key: 'ssh-ed25519 BBBB'});
+			//when
+			const keys = await githubClient.getDeployKeys('some-org', 'some-repo');
+			const deployKey = await githubClient.createDeployKey('some-org', 'some-repo', {title: 'Release bot', key: 'ssh-ed25519 BBBB', read_only: false});
+			//then
+			expect(keys.map(key => key.title)).to.deep.equal(['Jenkins']);
+			expect(deployKey.id).to.equal(2);
+		});
+		it('should fetch the deploy keys of every page', async() => {
+			//given
+			const firstPage = Array.from({length: 100}, (value, index) => ({id: index + 1, key: `ssh-ed25519 KEY${index + 1}`, title: `key-${index + 1}`}));
+			api.get('/repos/some-org/some-repo/keys?per_page=100&page=1').reply(200, firstPage);
+			api.get('/repos/some-org/some-repo/keys?per_page=100&page=2').reply(200, [{id: 101, key: 'ssh-ed25519 AAAA', title: 'Jenkins'}]);
+			//when
+			const keys = await githubClient.getDeployKeys('some-org', 'some-repo');
+			//then
+			expect(keys).to.have.lengthOf(101);
+			expect(keys.map(key => key.title)).to.include('Jenkins');
+		});
+		it('should throw error when the key is already in use on github', async() => {
+			//given
+			api.post('/repos/some-org/some-repo/keys').reply(422, {message: 'Validation Failed', errors: [{message: 'key is already in use'}]});
+			//when
+			//then
+			return assert.isRejected(
+				githubClient.createDeployKey('some-org', 'some-repo', {title: 'Jenkins', key: 'ssh-ed25519 AAAA', read_only: true}),
+				Error, 'Unable to add deploy key Jenkins to some-repo, the key is already in use on GitHub'
+			);
+		});
+	});
+	describe('#findTeam', function() {
+		it('should return the team', async() => {
+			//given
+			api.get('/orgs/some-org/teams/backend').reply(200, {id: 7, slug: 'backend', name: 'backend'});
+			//when
+			const team = await githubClient.findTeam('some-org', 'backend');
+			//then
+			expect(team.id).to.equal(7);
+		});
+		it('should return undefined when the team does not exist', async() => {
+			//given
+			api.get('/orgs/some-org/teams/backend').reply(404);
+			//when
+			const team = await githubClient.findTeam('some-org', 'backend');
+			//then
+			expect(team).to.be.undefined;
+		});
+	});
+	describe('#createTeam', function() {
+		it('should create the team nested in its parent', async() => {
+			//given
+			api.post('/orgs/some-org/teams', {name: 'FOO-backend', privacy: 'closed', parent_team_id: 7}).reply(201, {id: 8, slug: 'foo-backend'});
+			//when
+			const team = await githubClient.createTeam('some-org', {name: 'FOO-backend', privacy: 'closed', parent_team_id: 7});
+			//then
+			expect(team.slug).to.equal('foo-backend');
+		});
+		it('should throw error when the team cannot be created', async() => {
+			//given
+			api.post('/orgs/some-org/teams').reply(422);
+			//when
+			//then
+			return assert.isRejected(
+				githubClient.createTeam('some-org', {name: 'FOO-backend'}),
+				Error, 'Unable to create team FOO-backend'
+			);
+		});
+	});
+	describe('#addTeamMember', function() {
+		it('should add the member with the role and report pending memberships as invited', async() => {
+			//given
+			api.put('/orgs/some-org/teams/backend/memberships/alice-gh', {role: 'maintainer'}).reply(200, {state: 'active', role: 'maintainer'});
+			api.put('/orgs/some-org/teams/backend/memberships/bob-gh', {role: 'member'}).reply(200, {state: 'pending', role: 'member'});
+			//when
+			const alice = await githubClient.addTeamMember('some-org', 'backend', 'alice-gh', 'maintainer');
+			const bob = await githubClient.addTeamMember('some-org', 'backend', 'bob-gh', 'member');
+			//then
+			expect([alice, bob]).to.deep.equal(['added', 'invited']);
+		});
+	});
+});
@@ -33,4 +33,14 @@ describe('Branch Protection Rule', function() {
 		branchProtectionRule.dismiss_stale_reviews.should.equal(true);
 		branchProtectionRule.enforce_admins.should.equal(true);
 	});
+	it('must keep rules which are explicitly turned off', function() {
+		//when
+		const branchProtectionRule = new BranchProtectionRule({required_approving_review_count: 0, dismiss_stale_reviews: false, enforce_admins: false, require_pull_request: false});
+		//then
+		branchProtectionRule.required_approving_review_count.should.equal(0);
+		branchProtectionRule.dismiss_stale_reviews.should.equal(false);
+		branchProtectionRule.enforce_admins.should.equal(false);
+		branchProtectionRule.require_pull_request.should.equal(false);
+		branchProtectionRule.allow_force_pushes.should.equal(false);
+	});
 });
\ No newline at end of file
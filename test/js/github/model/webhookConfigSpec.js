@@ -19,6 +19,7 @@ describe('Webhook Config', function() {
 		webhookConfig.secret.should.equal(secret);
 		webhookConfig.events.should.deep.equal(events);
 		webhookConfig.payloadUrl.should.equal(payloadUrl);
+		webhookConfig.insecureSsl.should.equal(false);
 	});
 	it('must throw error when payloadUrl is missing', function() {
 		//given
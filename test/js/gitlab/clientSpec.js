@@ -11,6 +11,15 @@ const groupDetails = require('../../resources/gitlab/groupDetails.json');
 const subgroupsList = require('../../resources/gitlab/subgroupsList.json');
 const subgroupDetails = require('../../resources/gitlab/subgroup1Details.json');
 const archiveResponse = require('../../resources/gitlab/archiveResponse.json');
+const labels = require('../../resources/gitlab/labels.json');
+const issues = require('../../resources/gitlab/issues.json');
+const issueNotes = require('../../resources/gitlab/issueNotes.json');
+const projectVariables = require('../../resources/gitlab/projectVariables.json');
+const groupVariables = require('../../resources/gitlab/groupVariables.json');
+const members = require('../../resources/gitlab/members.json');
+const descendantGroups = require('../../resources/gitlab/descendantGroups.json');
+const deployKeys = require('../../resources/gitlab/deployKeys.json');
+const projectHooks = require('../../resources/gitlab/projectHooks.json');
 
 describe('Gitlab client', function() {
 	const GITLAB_URL = config.get('gl2gh.gitlab.url');
@@ -203,4 +212,269 @@ describe('Gitlab client', function() {
 				'Error while archiving project foo/invalid-project');
 		});
 	});
+	describe('#updateProject', function () {
+		it('should update the settings of the project', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.put('/api/v4/projects/' + encodeURIComponent(projectPath), {description: 'Moved to https://github.com/BAR/repository-1'})
+				.reply(200, {path_with_namespace: projectPath, description: 'Moved to https://github.com/BAR/repository-1'});
+			//when
+			const project = await gitlabClient.updateProject(projectPath, {description: 'Moved to https://github.com/BAR/repository-1'});
+			//then
+			expect(project.description).to.equal('Moved to https://github.com/BAR/repository-1');
+		});
+		it('should throw error when the project cannot be updated', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.put('/api/v4/projects/' + encodeURIComponent(projectPath)).reply(403);
+			//when
+			return assert.isRejected(
+				gitlabClient.updateProject(projectPath, {description: 'some description'}),
+				Error,
+				'Error while updating project FOO/repository-1');
+		});
+	});
+	describe('#writeFile', function () {
+		const projectPath = 'FOO/repository-1';
+		const filePath = '/api/v4/projects/' + encodeURIComponent(projectPath) + '/repository/files/MOVED.md';
+		const data = {branch: 'master', content: 'some content', commit_message: 'some message'};
+		it('should create the file on the branch', async () => {
+			//given
+			api.post(filePath, data).reply(201, {file_path: 'MOVED.md', branch: 'master'});
+			//when
+			const file = await gitlabClient.writeFile(projectPath, 'master', 'MOVED.md', 'some content', 'some message');
+			//then
+			expect(file.file_path).to.equal('MOVED.md');
+			expect(api.isDone()).to.be.true;
+		});
+		it('should update the file when it exists already', async () => {
+			//given
+			api.post(filePath, data).reply(400, {message: 'A file with this name already exists'});
+			api.put(filePath, data).reply(200, {file_path: 'MOVED.md', branch: 'master'});
+			//when
+			const file = await gitlabClient.writeFile(projectPath, 'master', 'MOVED.md', 'some content', 'some message');
+			//then
+			expect(file.file_path).to.equal('MOVED.md');
+			expect(api.isDone()).to.be.true;
+		});
+		it('should throw error when the file cannot be written', async () => {
+			//given
+			api.post(filePath).reply(403);
+			//when
+			return assert.isRejected(
+				gitlabClient.writeFile(projectPath, 'master', 'MOVED.md', 'some content', 'some message'),
+				Error,
+				'Error while writing MOVED.md to branch master of project FOO/repository-1');
+		});
+	});
+	describe('#getLabels', function() {
+		it('should fetch the labels of every page', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.get(`/api/v4/projects/${encodeURIComponent(projectPath)}/labels?per_page=100&page=1`).reply(200, [labels[0]], {'x-next-page': '2'});
+			api.get(`/api/v4/projects/${encodeURIComponent(projectPath)}/labels?per_page=100&page=2`).reply(200, [labels[1]], {'x-next-page': ''});
+			//when
+			const projectLabels = await gitlabClient.getLabels(projectPath);
+			//then
+			expect(projectLabels.map(label => label.name)).to.deep.equal(['bug', 'feature']);
+		});
+		it('should throw error when the labels cannot be fetched', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.get(`/api/v4/projects/${encodeURIComponent(projectPath)}/labels?per_page=100&page=1`).reply(500);
+			//when
+			return assert.isRejected(
+				gitlabClient.getLabels(projectPath),
+				Error,
+				'Error while fetching labels of project FOO/repository-1');
+		});
+	});
+	describe('#getIssues and #getIssueNotes', function() {
+		it('should fetch the issues and their notes oldest first', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.get(`/api/v4/projects/${encodeURIComponent(projectPath)}/issues?scope=all&order_by=created_at&sort=asc&per_page=100&page=1`).reply(200, issues);
+			api.get(`/api/v4/projects/${encodeURIComponent(projectPath)}/issues/1/notes?order_by=created_at&sort=asc&per_page=100&page=1`).reply(200, issueNotes);
+			//when
+			const projectIssues = await gitlabClient.getIssues(projectPath);
+			const notes = await gitlabClient.getIssueNotes(projectPath, projectIssues[0].iid);
+			//then
+			expect(projectIssues.map(issue => issue.iid)).to.deep.equal([1, 2, 3]);
+			expect(notes).to.have.lengthOf(3);
+			expect(api.isDone()).to.be.true;
+		});
+	});
+	describe('#getApprovalRules', function() {
+		it('should return no approval rules when approvals are not available on the gitlab tier', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.get(`/api/v4/projects/${encodeURIComponent(projectPath)}/approval_rules?per_page=100&page=1`).reply(403);
+			//when
+			const rules = await gitlabClient.getApprovalRules(projectPath);
+			//then
+			expect(rules).to.deep.equal([]);
+		});
+	});
+	describe('#getProjectVariables and #getGroupVariables', function() {
+		it('should fetch the variables of the project and of the group', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.get(`/api/v4/projects/${encodeURIComponent(projectPath)}/variables?per_page=100&page=1`).reply(200, projectVariables);
+			api.get('/api/v4/groups/FOO/variables?per_page=100&page=1').reply(200, groupVariables);
+			//when
+			const variablesOfProject = await gitlabClient.getProjectVariables(projectPath);
+			const variablesOfGroup = await gitlabClient.getGroupVariables('FOO');
+			//then
+			expect(variablesOfProject.map(variable => variable.key)).to.deep.equal(['LOG_LEVEL', 'DEPLOY_TOKEN', 'DATABASE_URL', 'REVIEW_HOST', 'KUBECONFIG']);
+			expect(variablesOfGroup.map(variable => variable.key)).to.deep.equal(['REGISTRY_PASSWORD', 'REGISTRY_HOST']);
+		});
+		it('should throw error when the variables cannot be fetched', async () => {
+			//given
+			api.get('/api/v4/groups/FOO/variables?per_page=100&page=1').reply(403);
+			//when
+			return assert.isRejected(
+				gitlabClient.getGroupVariables('FOO'),
+				Error,
+				'Error while fetching variables of group FOO');
+		});
+	});
+	describe('#getProjectMembers', function() {
+		it('should fetch the members of the project including those inherited from its groups', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.get(`/api/v4/projects/${encodeURIComponent(projectPath)}/members/all?per_page=100&page=1`).reply(200, members);
+			//when
+			const membersOfProject = await gitlabClient.getProjectMembers(projectPath);
+			//then
+			expect(membersOfProject.map(member => [member.username, member.access_level])).to.deep.equal([['alice', 40], ['bob', 30], ['carol', 20], ['dave', 10]]);
+		});
+		it('should throw error when the members cannot be fetched', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.get(`/api/v4/projects/${encodeURIComponent(projectPath)}/members/all?per_page=100&page=1`).reply(404);
+			//when
+			return assert.isRejected(
+				gitlabClient.getProjectMembers(projectPath),
+				Error,
+				'Error while fetching members of project FOO/repository-1');
+		});
+	});
+	describe('#getDescendantGroups and #getGroupMembers', function() {
+		it('should fetch the subgroups at every level below the group and the members of a group', async () => {
+			//given
+			api.get('/api/v4/groups/FOO/descendant_groups?per_page=100&page=1').reply(200, descendantGroups);
+			api.get(`/api/v4/groups/${encodeURIComponent('FOO/subgroup1')}/members/all?per_page=100&page=1`).reply(200, members);
+			//when
+			const groups = await gitlabClient.getDescendantGroups('FOO');
+			const membersOfGroup = await gitlabClient.getGroupMembers('FOO/subgroup1');
+			//then
+			expect(groups.map(group => group.full_path)).to.deep.equal(['FOO/subgroup1/backend', 'FOO/subgroup1']);
+			expect(membersOfGroup.map(member => member.username)).to.deep.equal(['alice', 'bob', 'carol', 'dave']);
+		});
+		it('should throw error when the descendant groups cannot be fetched', async () => {
+			//given
+			api.get('/api/v4/groups/FOO/descendant_groups?per_page=100&page=1').reply(403);
+			//when
+			return assert.isRejected(
+				gitlabClient.getDescendantGroups('FOO'),
+				Error,
+				'Error while fetching descendant groups of group FOO');
+		});
+	});
+	describe('#getDeployKeys', function() {
+		it('should fetch the deploy keys of the project', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.get(`/api/v4/projects/${encodeURIComponent(projectPath)}/deploy_keys?per_page=100&page=1`).reply(200, deployKeys);
+			//when
+			const keys = await gitlabClient.getDeployKeys(projectPath);
+			//then
+			expect(keys.map(deployKey => [deployKey.title, deployKey.can_push])).to.deep.equal([['Jenkins', false], ['Release bot', true], ['Monitoring', false]]);
+		});
+		it('should throw error when the deploy keys cannot be fetched', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.get(`/api/v4/projects/${encodeURIComponent(projectPath)}/deploy_keys?per_page=100&page=1`).reply(403);
+			//when
+			return assert.isRejected(
+				gitlabClient.getDeployKeys(projectPath),
+				Error,
+				'Error while fetching deploy keys of project FOO/repository-1');
+		});
+	});
+	describe('#getProjectHooks', function() {
+		it('should fetch the hooks of the project', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.get(`/api/v4/projects/${encodeURIComponent(projectPath)}/hooks?per_page=100&page=1`).reply(200, projectHooks);
+			//when
+			const hooks = await gitlabClient.getProjectHooks(projectPath);
+			//then
+			expect(hooks.map(hook => hook.url)).to.deep.equal(['https://jenkins.example.com/project/repository-1', 'https://chat.example.com/hooks/gitlab', 'https://audit.example.com/gitlab']);
+		});
+		it('should throw error when the hooks cannot be fetched', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.get(`/api/v4/projects/${encodeURIComponent(projectPath)}/hooks?per_page=100&page=1`).reply(403);
+			//when
+			return assert.isRejected(
+				gitlabClient.getProjectHooks(projectPath),
+				Error,
+				'Error while fetching hooks of project FOO/repository-1');
+		});
+	});
+	describe('#protectBranch and #unprotectBranch', function() {
+		it('should protect the branch with the given settings', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			const protection = {name: '*', push_access_level: 0, merge_access_level: 0};
+			api.post(`/api/v4/projects/${encodeURIComponent(projectPath)}/protected_branches`, protection).reply(201, Object.assign({id: 3}, protection));
+			//when
+			const protectedBranch = await gitlabClient.protectBranch(projectPath, protection);
+			//then
+			expect(protectedBranch.id).to.equal(3);
+		});
+		it('should unprotect the branch', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.delete(`/api/v4/projects/${encodeURIComponent(projectPath)}/protected_branches/${encodeURIComponent('release/*')}`).reply(204);
+			//when
+			await gitlabClient.unprotectBranch(projectPath, 'release/*');
+			//then
+			expect(api.isDone()).to.be.true;
+		});
+		it('should throw error when the branch cannot be protected or unprotected', async () => {
+			//given
+			const projectPath = 'FOO/repository-1';
+			api.post(`/api/v4/projects/${encodeURIComponent(projectPath)}/protected_branches`).reply(409);
+			api.delete(`/api/v4/projects/${encodeURIComponent(projectPath)}/protected_branches/master`).reply(404);
+			//when
+			await assert.isRejected(
+				gitlabClient.protectBranch(projectPath, {name: 'master'}),
+				Error,
+				'Error while protecting branch master of project FOO/repository-1');
+			return assert.isRejected(
+				gitlabClient.unprotectBranch(projectPath, 'master'),
+				Error,
+				'Error while unprotecting branch master of project FOO/repository-1');
+		});
+	});
+	describe('#downloadFile', function() {
+		it('should download files from gitlab with the private token', async () => {
+			//given
+			nock('https://' + GITLAB_URL, {reqheaders: {'Private-Token': GITLAB_PRIVATE_TOKEN}}).get('/FOO/repository-1/uploads/abc/log.png').reply(200, 'png');
+			//when
+			const content = await gitlabClient.downloadFile(`https://${GITLAB_URL}/FOO/repository-1/uploads/abc/log.png`);
+			//then
+			expect(Buffer.from(content).toString()).to.equal('png');
+		});
+		it('should not send the private token to other hosts', async () => {
+			//given
+			nock('https://downloads.example.com', {badheaders: ['Private-Token']}).get('/app.tar.gz').reply(200, 'tarball');
+			//when
+			const content = await gitlabClient.downloadFile('https://downloads.example.com/app.tar.gz');
+			//then
+			expect(Buffer.from(content).toString()).to.equal('tarball');
+		});
+	});
 });
\ No newline at end of file
@@ -17,6 +17,8 @@ describe('Group', function() {
 			projectList[0].should.have.property('name');
 			projectList[0].should.have.property('http_url_to_repo');
 			projectList[0].should.have.property('description');
+			projectList[0].should.have.property('default_branch', 'master');
+			projectList[0].should.have.property('path_with_namespace', 'FOO/repository-1');
 		});
 		it('should return list of all shared projects', function() {
 			//given
@@ -15,7 +15,30 @@ describe('Project', function() {
 		project.should.have.property('name');
 		project.should.have.property('http_url_to_repo');
 		project.should.have.property('description');
-		project.should.have.all.keys('name', 'description', 'http_url_to_repo');
+		project.should.have.property('default_branch');
+		project.should.have.property('path_with_namespace');
+		project.should.have.all.keys('name', 'description', 'http_url_to_repo', 'default_branch', 'path_with_namespace',
+			'web_url', 'visibility', 'topics', 'issues_enabled', 'wiki_enabled', 'shared_with_groups', 'archived');
+	});
+	it('should carry the settings of the GitLab project', function() {
+		//when
+		const project = new Project('repository-1', 'some-description', 'https://gitlab.com/FOO/repository-1.git', 'master', 'FOO/repository-1', {
+			web_url: 'https://gitlab.com/FOO/repository-1',
+			visibility: 'internal',
+			tag_list: ['nodejs'],
+			issues_enabled: true,
+			wiki_enabled: false,
+			shared_with_groups: [{group_id: 4, group_name: 'devs', group_full_path: 'FOO/devs', group_access_level: 30}],
+			archived: true
+		});
+		//then
+		project.web_url.should.equal('https://gitlab.com/FOO/repository-1');
+		project.visibility.should.equal('internal');
+		project.topics.should.deep.equal(['nodejs']);
+		project.issues_enabled.should.be.true;
+		project.wiki_enabled.should.be.false;
+		project.shared_with_groups.should.deep.equal([{group_id: 4, group_name: 'devs', group_full_path: 'FOO/devs', group_access_level: 30}]);
+		project.archived.should.be.true;
 	});
 	it('should check if project starts with specific prefix', function() {
 		//given
@@ -45,4 +68,12 @@ describe('Project', function() {
 		//then
 		projectString.should.equal(`${name}, ${description}, ${http_url_to_repo}`);
 	});
+	it('must mark archived projects in their string representation', function() {
+		//given
+		const project = new Project('repository-1', 'some-description', 'https://gitlab.com/FOO/repository-1.git', 'master', 'FOO/repository-1', {archived: true});
+		//when
+		const projectString = project.toString();
+		//then
+		projectString.should.equal('repository-1, some-description, https://gitlab.com/FOO/repository-1.git, archived');
+	});
 });
\ No newline at end of file
@@ -0,0 +1,85 @@
+const chai = require('chai');
+const expect = chai.expect;
+
+const IssueFormatter = require('../../src/issueFormatter.js');
+const UserMapper = require('../../src/userMapper.js');
+const issues = require('../resources/gitlab/issues.json');
+const issueNotes = require('../resources/gitlab/issueNotes.json');
+const mergeRequests = require('../resources/gitlab/mergeRequests.json');
+const mergeRequestDiscussions = require('../resources/gitlab/mergeRequestDiscussions.json');
+
+describe('IssueFormatter', function() {
+	const issueFormatter = new IssueFormatter('https://gitlab.com/FOO/repository-1', new UserMapper({alice: 'alice-gh'}));
+	describe('#issueBody', function() {
+		it('should put the original link, author, timestamps and unmapped assignees in a header', function() {
+			//when
+			const body = issueFormatter.issueBody(issues[0]);
+			//then
+			expect(body).to.equal([
+				'> Migrated from [#1](https://gitlab.com/FOO/repository-1/-/issues/1) on GitLab, opened by [bob](https://gitlab.com/bob) on 2020-01-01T10:00:00.000Z',
+				'> Closed by @alice-gh on 2020-01-03T10:00:00.000Z',
+				'> Assigned on GitLab to [carol](https://gitlab.com/carol)',
+				'',
+				'It crashes, see ![log](https://gitlab.com/FOO/repository-1/uploads/abc/log.png)'
+			].join('\n'));
+		});
+		it('should only have the header when the issue has no description', function() {
+			//when
+			const body = issueFormatter.issueBody(issues[1]);
+			//then
+			expect(body).to.equal('> Migrated from [#2](https://gitlab.com/FOO/repository-1/-/issues/2) on GitLab, opened by @alice-gh on 2020-01-02T10:00:00.000Z');
+		});
+	});
+	describe('#isCopyOf', function() {
+		it('should recognize the github issue copied from the gitlab issue', function() {
+			//given
+			const githubIssue = {number: 4, body: issueFormatter.issueBody(issues[1])};
+			//then
+			expect(issueFormatter.isCopyOf(githubIssue, issues[1])).to.be.true;
+			expect(issueFormatter.isCopyOf(githubIssue, issues[0])).to.be.false;
+			expect(issueFormatter.isCopyOf({number: 5, body: null}, issues[1])).to.be.false;
+		});
+	});
+	describe('#noteBody', function() {
+		it('should put the author and timestamp of the note in a header', function() {
+			//when
+			const body = issueFormatter.noteBody(issueNotes[0]);
+			//then
+			expect(body).to.equal('> Comment by @alice-gh on 2020-01-02T11:00:00.000Z\n\nReproduced on master');
+		});
+	});
+	describe('#mergeRequestBody', function() {
+		it('should put the original link, author and timestamp in a header', function() {
+			//when
+			const body = issueFormatter.mergeRequestBody(mergeRequests[0]);
+			//then
+			expect(body).to.equal('> Migrated from [!3](https://gitlab.com/FOO/repository-1/-/merge_requests/3) on GitLab, opened by [bob](https://gitlab.com/bob) on 2020-02-01T10:00:00.000Z\n\nAdds the login page');
+		});
+	});
+	describe('#discussionBody', function() {
+		it('should link the line of a thread on the diff and keep every note with its author', function() {
+			//when
+			const body = issueFormatter.discussionBody(mergeRequestDiscussions[1].notes, 'https://github.com/BAR/repository-1');
+			//then
+			expect(body).to.equal([
+				'> Thread on [src/login.js line 12](https://github.com/BAR/repository-1/blob/head-sha/src/login.js#L12)',
+				'',
+				'> Comment by @alice-gh on 2020-02-01T12:00:00.000Z',
+				'',
+				'Should this be escaped?',
+				'',
+				'> Comment by [bob](https://gitlab.com/bob) on 2020-02-01T13:00:00.000Z',
+				'',
+				'Yes, done'
+			].join('\n'));
+		});
+		it('should link removed lines in the old version of the file', function() {
+			//given
+			const note = Object.assign({}, issueNotes[0], {position: {base_sha: 'base-sha', head_sha: 'head-sha', old_path: 'src/old.js', new_path: 'src/old.js', old_line: 4, new_line: null}});
+			//when
+			const body = issueFormatter.discussionBody([note], 'https://github.com/BAR/repository-1');
+			//then
+			expect(body).to.match(/^> Thread on \[src\/old.js line 4\]\(https:\/\/github.com\/BAR\/repository-1\/blob\/base-sha\/src\/old.js#L4\)/);
+		});
+	});
+});
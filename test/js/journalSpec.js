@@ -0,0 +1,72 @@
+const chai = require('chai');
+const expect = chai.expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Journal = require('../../src/journal.js');
+const Project = require('../../src/gitlab/model/project.js');
+
+describe('Journal', function() {
+	const project = new Project('repository-1', 'Repository 1', 'https://gitlab.com/FOO/repository-1.git');
+	let journalDir;
+	beforeEach(() => {
+		journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+	});
+	afterEach(() => {
+		fs.rmdirSync(journalDir, {recursive: true});
+	});
+	it('should persist every recorded stage and load it back', function() {
+		//given
+		const journalPath = path.join(journalDir, 'nested', 'journal.json');
+		const journal = new Journal(journalPath);
+		//when
+		journal.recordRepoCreated(project, {name: 'repository-1', clone_url: 'https://github.com/BAR/repository-1.git'});
+		journal.recordCloned(project);
+		journal.recordRefPushed(project, 'refs/heads/master', 'aaa');
+		const loaded = Journal.load(journalPath);
+		//then
+		expect(loaded.getCreatedRepo(project).clone_url).to.equal('https://github.com/BAR/repository-1.git');
+		expect(loaded.isRefPushed(project, 'refs/heads/master', 'aaa')).to.be.true;
+		expect(loaded.isRefPushed(project, 'refs/heads/master', 'bbb')).to.be.false;
+		expect(loaded.isDefaultBranchSet(project)).to.be.false;
+	});
+	it('should clear the recorded failure once the project is finished', function() {
+		//given
+		const journal = new Journal(path.join(journalDir, 'journal.json'));
+		journal.recordFailure(project, new Error('push failed'));
+		//when
+		journal.recordDefaultBranchSet(project);
+		//then
+		const entry = Journal.load(journal.filePath).projects[project.http_url_to_repo];
+		expect(entry.defaultBranchSet).to.be.true;
+		expect(entry).to.not.have.property('error');
+	});
+	it('should keep the refs which failed to push until they are pushed', function() {
+		//given
+		const journal = new Journal(path.join(journalDir, 'journal.json'));
+		journal.recordRefFailed(project, 'refs/heads/master', new Error('push rejected'));
+		journal.recordRefFailed(project, 'refs/heads/feature', new Error('push rejected'));
+		//when
+		journal.recordRefPushed(project, 'refs/heads/master', 'aaa');
+		//then
+		expect(Journal.load(journal.filePath).getFailedRefs(project)).to.deep.equal(['refs/heads/feature']);
+	});
+	it('should keep the LFS objects pending until they are copied', function() {
+		//given
+		const journal = new Journal(path.join(journalDir, 'journal.json'));
+		journal.recordLfsPending(project);
+		//when
+		const pending = Journal.load(journal.filePath).isLfsPending(project);
+		journal.recordLfsCopied(project);
+		//then
+		expect(pending).to.be.true;
+		expect(Journal.load(journal.filePath).isLfsPending(project)).to.be.false;
+	});
+	it('should fail to load a journal which does not exist', function() {
+		//when
+		const load = () => Journal.load(path.join(journalDir, 'missing.json'));
+		//then
+		expect(load).to.throw(/^Unable to read journal .*missing.json/);
+	});
+});
@@ -0,0 +1,86 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const assert = chai.assert;
+const expect = chai.expect;
+const nock = require('nock');
+const config = require('config');
+
+const LfsClient = require('../../src/lfsClient.js');
+
+describe('LFS client', function() {
+	const lfsClient = new LfsClient(config.get('gl2gh.gitlab.username'), config.get('gl2gh.gitlab.token'), config.get('gl2gh.github.token'));
+	const gitlabRepoUrl = 'https://gitlab.com/FOO/some-repo.git';
+	const githubRepoUrl = 'https://github.com/BAR/some-repo.git';
+	const presentOid = 'a'.repeat(64);
+	const missingOid = 'b'.repeat(64);
+	const content = 'some-large-content';
+	const pointers = [{oid: presentOid, size: 5}, {oid: missingOid, size: content.length}];
+	afterEach(() => {
+		nock.cleanAll();
+	});
+	describe('#copyObjects', function() {
+		it('should copy only the objects github asks for and verify them', async () => {
+			//given
+			nock('https://github.com', {reqHeaders: {'Accept': 'application/vnd.git-lfs+json'}})
+				.post('/BAR/some-repo.git/info/lfs/objects/batch', {operation: 'upload', transfers: ['basic'], objects: pointers})
+				.reply(200, {objects: [
+					{oid: presentOid, size: 5},
+					{oid: missingOid, size: content.length, actions: {
+						upload: {href: 'https://lfs.github.com/upload', header: {Authorization: 'RemoteAuth upload-token'}},
+						verify: {href: 'https://lfs.github.com/verify'}
+					}}
+				]});
+			nock('https://gitlab.com')
+				.post('/FOO/some-repo.git/info/lfs/objects/batch', {operation: 'download', transfers: ['basic'], objects: [{oid: missingOid, size: content.length}]})
+				.reply(200, {objects: [{oid: missingOid, size: content.length, actions: {download: {href: 'https://lfs.gitlab.com/download'}}}]});
+			nock('https://lfs.gitlab.com').get('/download').reply(200, content);
+			nock('https://lfs.github.com', {reqHeaders: {'Authorization': 'RemoteAuth upload-token', 'Content-Length': `${content.length}`}}).put('/upload', content).reply(200);
+			nock('https://lfs.github.com').post('/verify', {oid: missingOid, size: content.length}).reply(200);
+			//when
+			const summary = await lfsClient.copyObjects(gitlabRepoUrl, githubRepoUrl, pointers);
+			//then
+			expect(summary).to.deep.equal({objects: 2, uploaded: 1, bytes: content.length});
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should ask for at most 100 objects per batch', async () => {
+			//given
+			const manyPointers = Array.from({length: 150}, (value, index) => ({oid: index.toString(16).padStart(64, '0'), size: 1}));
+			const githubBatch = nock('https://github.com')
+				.post('/BAR/some-repo.git/info/lfs/objects/batch', body => body.objects.length === 100).reply(200, {objects: []})
+				.post('/BAR/some-repo.git/info/lfs/objects/batch', body => body.objects.length === 50).reply(200, {objects: []});
+			//when
+			const summary = await lfsClient.copyObjects(gitlabRepoUrl, githubRepoUrl, manyPointers);
+			//then
+			expect(summary).to.deep.equal({objects: 150, uploaded: 0, bytes: 0});
+			expect(githubBatch.isDone()).to.be.true;
+		});
+		it('should not call any endpoint when there are no objects', async () => {
+			//when
+			const summary = await lfsClient.copyObjects(gitlabRepoUrl, githubRepoUrl, []);
+			//then
+			expect(summary).to.deep.equal({objects: 0, uploaded: 0, bytes: 0});
+		});
+		it('should throw error when gitlab reports an object as missing', async () => {
+			//given
+			nock('https://github.com').post('/BAR/some-repo.git/info/lfs/objects/batch')
+				.reply(200, {objects: [{oid: missingOid, size: content.length, actions: {upload: {href: 'https://lfs.github.com/upload'}}}]});
+			nock('https://gitlab.com').post('/FOO/some-repo.git/info/lfs/objects/batch')
+				.reply(200, {objects: [{oid: missingOid, size: content.length, error: {code: 404, message: 'Object does not exist'}}]});
+			//when
+			return assert.isRejected(
+				lfsClient.copyObjects(gitlabRepoUrl, githubRepoUrl, [{oid: missingOid, size: content.length}]),
+				Error,
+				`Unable to download LFS objects of ${gitlabRepoUrl}: ${missingOid}: Object does not exist`);
+		});
+		it('should throw error when github rejects the batch request', async () => {
+			//given
+			nock('https://github.com').post('/BAR/some-repo.git/info/lfs/objects/batch').reply(403);
+			//when
+			return assert.isRejected(
+				lfsClient.copyObjects(gitlabRepoUrl, githubRepoUrl, pointers),
+				Error,
+				`Unable to upload LFS objects of ${githubRepoUrl}: Request failed with status code 403`);
+		});
+	});
+});
@@ -4,6 +4,7 @@ chai.use(chaiAsPromised);
 const assert = chai.assert;
 const expect = chai.expect;
 const nock = require('nock');
+const sodium = require('libsodium-wrappers');
 const sinon = require('sinon');
 const git = require('isomorphic-git');
 const fs = require('fs');
@@ -17,9 +18,25 @@ const gitlabSubgroupsList = require('../resources/gitlab/subgroupsList.json');
 const gitlabSubgroup1Details = require('../resources/gitlab/subgroup1Details.json');
 const gitlabSubgroup2Details = require('../resources/gitlab/subgroup2Details.json');
 const gitlabArchiveResponse = require('../resources/gitlab/archiveResponse.json');
+const gitlabLabels = require('../resources/gitlab/labels.json');
+const gitlabMilestones = require('../resources/gitlab/milestones.json');
+const gitlabIssues = require('../resources/gitlab/issues.json');
+const gitlabIssueNotes = require('../resources/gitlab/issueNotes.json');
+const gitlabMergeRequests = require('../resources/gitlab/mergeRequests.json');
+const gitlabMergeRequestDiscussions = require('../resources/gitlab/mergeRequestDiscussions.json');
+const gitlabReleases = require('../resources/gitlab/releases.json');
+const gitlabProtectedBranches = require('../resources/gitlab/protectedBranches.json');
+const gitlabApprovalRules = require('../resources/gitlab/approvalRules.json');
+const gitlabProjectVariables = require('../resources/gitlab/projectVariables.json');
+const gitlabGroupVariables = require('../resources/gitlab/groupVariables.json');
+const gitlabMembers = require('../resources/gitlab/members.json');
+const gitlabDescendantGroups = require('../resources/gitlab/descendantGroups.json');
+const gitlabDeployKeys = require('../resources/gitlab/deployKeys.json');
+const gitlabProjectHooks = require('../resources/gitlab/projectHooks.json');
 const githubRepoDetails = require('../resources/github/repoDetails.json');
 const githubUpdateBranchProtectionResponse = require('../resources/github/updateBranchProtectionResponse.json');
 const createWebhookResponse = require('../resources/github/createWebhookResponse.json');
+const repoAlreadyExistsResponse = require('../resources/github/repoAlreadyExistsResponse.json');
 
 describe('migrate', function() {
 	const migrate = new Migrate();
@@ -31,21 +48,37 @@ describe('migrate', function() {
 
 	let gitlabApi;
 	let githubApi;
-	let gitCloneStub;
+	let gitInitStub;
+	let gitSetConfigStub;
+	let gitFetchStub;
 	let gitCreateRemoteStub;
 	let gitPushToRemoteStub;
 	let gitListBranchesStub;
 	let gitListTagsStub;
-	let gitCheckoutStub;
+	let gitResolveRefStub;
+	let gitGetRemoteInfoStub;
+	let gitIsDescendentStub;
+	let gitWalkStub;
+	let gitReadBlobStub;
 	let rmdirStub;
+	let writeFileStub;
 	beforeEach(() => {
-		gitCloneStub = sinon.stub(git, 'clone');
+		gitInitStub = sinon.stub(git, 'init').returns(Promise.resolve());
+		gitSetConfigStub = sinon.stub(git, 'setConfig').returns(Promise.resolve());
+		gitFetchStub = sinon.stub(git, 'fetch');
 		gitCreateRemoteStub = sinon.stub(git, 'addRemote');
 		gitListBranchesStub = sinon.stub(git, 'listBranches');
 		gitListTagsStub = sinon.stub(git, 'listTags');
-		gitCheckoutStub = sinon.stub(git, 'checkout');
 		gitPushToRemoteStub = sinon.stub(git, 'push');
+		gitResolveRefStub = sinon.stub(git, 'resolveRef').returns(Promise.resolve('some-sha'));
+		gitGetRemoteInfoStub = sinon.stub(git, 'getRemoteInfo').returns(Promise.resolve({capabilities: []}));
+		gitIsDescendentStub = sinon.stub(git, 'isDescendent');
+		gitWalkStub = sinon.stub(git, 'walk').returns(Promise.resolve([]));
+		gitReadBlobStub = sinon.stub(git, 'readBlob');
 		rmdirStub = sinon.stub(fs, 'rmdirSync');
+		sinon.stub(fs, 'mkdirSync');
+		sinon.stub(fs.promises, 'rm').returns(Promise.resolve());
+		writeFileStub = sinon.stub(fs, 'writeFileSync');
 		gitlabApi = nock(
 			'https://' + GITLAB_URL, {
 				reqHeaders: {
@@ -67,31 +100,33 @@ describe('migrate', function() {
 		sinon.restore();
 		nock.cleanAll();
 	});
+	// the group is fetched once for its own projects and once more for the projects shared with it
+	const givenGitlabGroup = (gitlabGroupName, groupDetails = gitlabGroupDetails, times = 2) => {
+		gitlabApi.get('/api/v4/groups/' + gitlabGroupName).times(times).reply(200, groupDetails);
+		gitlabApi.get('/api/v4/groups/' + gitlabGroupName + '/subgroups').reply(200, gitlabSubgroupsList);
+		gitlabApi.get('/api/v4/groups/' + gitlabGroupName + encodeURIComponent('/') + 'subgroup1').reply(200, gitlabSubgroup1Details);
+		gitlabApi.get('/api/v4/groups/' + gitlabGroupName + encodeURIComponent('/') + 'subgroup2').reply(200, gitlabSubgroup2Details);
+	};
 	describe('migrate gitlab repo(s) to github', function() {
 		it('should migrate all repos under the gitlab group to specified github org', async () =>  {
 			//given
 			const gitlabGroupName = 'FOO';
 			const githubOrgName = 'BAR';
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName).times(2).reply(200, gitlabGroupDetails);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+'/subgroups').reply(200, gitlabSubgroupsList);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+encodeURIComponent('/')+'subgroup1').reply(200, gitlabSubgroup1Details);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+encodeURIComponent('/')+'subgroup2').reply(200, gitlabSubgroup2Details);
+			givenGitlabGroup(gitlabGroupName);
 			githubApi.post(`/orgs/${githubOrgName}/repos`).times(8).reply(201, githubRepoDetails);
 			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).times(8).reply(200, githubRepoDetails);
-			gitCloneStub.returns(Promise.resolve());
+			gitFetchStub.returns(Promise.resolve());
 			gitCreateRemoteStub.returns(Promise.resolve());
 			gitListBranchesStub.returns(Promise.resolve(['master', 'extra-branch']));
-			gitCheckoutStub.returns(Promise.resolve());
 			gitListTagsStub.returns(Promise.resolve([]));
 			gitPushToRemoteStub.returns(Promise.resolve());
 			//when
-			const result = await migrate.migrateToGithub(gitlabGroupName, githubOrgName);
+			const result = await migrate.migrateToGithub(gitlabGroupName, githubOrgName, {naming: 'path'});
 			//then
 			expect(result).to.equal(0);
-			sinon.assert.callCount(gitCloneStub, 8);
-			sinon.assert.callCount(gitCreateRemoteStub, 8);
+			sinon.assert.callCount(gitFetchStub, 8);
+			sinon.assert.callCount(gitCreateRemoteStub, 16);
 			sinon.assert.callCount(gitListBranchesStub, 8);
-			sinon.assert.callCount(gitCheckoutStub, 16);
 			sinon.assert.callCount(gitPushToRemoteStub, 16);
 			sinon.assert.callCount(rmdirStub, 8);
 			sinon.assert.calledWith(rmdirStub, sinon.match.string, sinon.match({recursive: true}));
@@ -100,26 +135,21 @@ describe('migrate', function() {
 			//given
 			const gitlabGroupName = 'FOO';
 			const githubUserName = config.get('gl2gh.github.username');
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName).times(2).reply(200, gitlabGroupDetails);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+'/subgroups').reply(200, gitlabSubgroupsList);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+encodeURIComponent('/')+'subgroup1').reply(200, gitlabSubgroup1Details);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+encodeURIComponent('/')+'subgroup2').reply(200, gitlabSubgroup2Details);
+			givenGitlabGroup(gitlabGroupName);
 			githubApi.post('/user/repos').times(8).reply(201, githubRepoDetails);
 			githubApi.patch(RegExp('/repos\\/' + githubUserName + '\\/[^\\/]+$')).times(8).reply(200, githubRepoDetails);
-			gitCloneStub.returns(Promise.resolve());
+			gitFetchStub.returns(Promise.resolve());
 			gitCreateRemoteStub.returns(Promise.resolve());
 			gitListBranchesStub.returns(Promise.resolve(['master', 'extra-branch']));
-			gitCheckoutStub.returns(Promise.resolve());
 			gitListTagsStub.returns(Promise.resolve([]));
 			gitPushToRemoteStub.returns(Promise.resolve());
 			//when
-			const result = await migrate.migrateToGithub(gitlabGroupName);
+			const result = await migrate.migrateToGithub(gitlabGroupName, undefined, {naming: 'path'});
 			//then
 			expect(result).to.equal(0);
-			sinon.assert.callCount(gitCloneStub, 8);
-			sinon.assert.callCount(gitCreateRemoteStub, 8);
+			sinon.assert.callCount(gitFetchStub, 8);
+			sinon.assert.callCount(gitCreateRemoteStub, 16);
 			sinon.assert.callCount(gitListBranchesStub, 8);
-			sinon.assert.callCount(gitCheckoutStub, 16);
 			sinon.assert.callCount(gitPushToRemoteStub, 16);
 			sinon.assert.callCount(rmdirStub, 8);
 			sinon.assert.calledWith(rmdirStub, sinon.match.string, sinon.match({recursive: true}));
@@ -140,10 +170,7 @@ describe('migrate', function() {
 			//given
 			const gitlabGroupName = 'FOO';
 			const projectNameFilter = '';
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName).times(2).reply(200, gitlabGroupDetails);
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName + '/subgroups').reply(200, gitlabSubgroupsList);
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName + encodeURIComponent('/') + 'subgroup1').reply(200, gitlabSubgroup1Details);
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName + encodeURIComponent('/') + 'subgroup2').reply(200, gitlabSubgroup2Details);
+			givenGitlabGroup(gitlabGroupName);
 
 			//when
 			const projectList = await migrate.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter);
@@ -161,10 +188,7 @@ describe('migrate', function() {
 			//given
 			const gitlabGroupName = 'FOO';
 			let projectNameFilter = 'repository-';
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName).times(2).reply(200, gitlabGroupDetails);
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName + '/subgroups').reply(200, gitlabSubgroupsList);
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName + encodeURIComponent('/') + 'subgroup1').reply(200, gitlabSubgroup1Details);
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName + encodeURIComponent('/') + 'subgroup2').reply(200, gitlabSubgroup2Details);
+			givenGitlabGroup(gitlabGroupName);
 
 			//when
 			const projectList = await migrate.getListOfAllProjectsToMigrate(gitlabGroupName, projectNameFilter);
@@ -191,28 +215,26 @@ describe('migrate', function() {
 			//given
 			const gitlabGroupName = 'FOO';
 			const githubOrgName = 'BAR';
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName).times(2).reply(200, gitlabGroupDetails);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+'/subgroups').reply(200, gitlabSubgroupsList);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+encodeURIComponent('/')+'subgroup1').reply(200, gitlabSubgroup1Details);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+encodeURIComponent('/')+'subgroup2').reply(200, gitlabSubgroup2Details);
+			givenGitlabGroup(gitlabGroupName);
 			githubApi.post(`/orgs/${githubOrgName}/repos`).times(8).reply(201, githubRepoDetails);
 			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).times(8).reply(200, githubRepoDetails);
-			gitCloneStub.returns(Promise.resolve());
+			gitFetchStub.returns(Promise.resolve());
 			gitCreateRemoteStub.returns(Promise.resolve());
 			gitListBranchesStub.returns(Promise.resolve(['master']));
-			gitCheckoutStub.returns(Promise.resolve());
 			gitListTagsStub.returns(Promise.resolve([]));
 			gitPushToRemoteStub.returns(Promise.resolve());
 
 			//when
-			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName);
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, '', {naming: 'path'});
 
 			//then
 			expect(result).to.equal(0);
-			sinon.assert.callCount(gitCloneStub, 8);
-			sinon.assert.callCount(gitCreateRemoteStub, 8);
+			sinon.assert.callCount(gitInitStub, 8);
+			sinon.assert.calledWith(gitInitStub, sinon.match({bare: true}));
+			sinon.assert.callCount(gitSetConfigStub, 24);
+			sinon.assert.callCount(gitFetchStub, 8);
+			sinon.assert.callCount(gitCreateRemoteStub, 16);
 			sinon.assert.callCount(gitListBranchesStub, 8);
-			sinon.assert.callCount(gitCheckoutStub, 8);
 			sinon.assert.callCount(gitPushToRemoteStub, 8);
 			sinon.assert.callCount(rmdirStub, 8);
 			sinon.assert.calledWith(rmdirStub, sinon.match.string, sinon.match({recursive: true}));
@@ -221,28 +243,23 @@ describe('migrate', function() {
 			//given
 			const gitlabGroupName = 'FOO';
 			const githubOrgName = 'BAR';
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName).times(2).reply(200, gitlabGroupDetails);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+'/subgroups').reply(200, gitlabSubgroupsList);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+encodeURIComponent('/')+'subgroup1').reply(200, gitlabSubgroup1Details);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+encodeURIComponent('/')+'subgroup2').reply(200, gitlabSubgroup2Details);
+			givenGitlabGroup(gitlabGroupName);
 			githubApi.post(`/orgs/${githubOrgName}/repos`).times(8).reply(201, githubRepoDetails);
 			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).times(8).reply(200, githubRepoDetails);
-			gitCloneStub.returns(Promise.resolve());
+			gitFetchStub.returns(Promise.resolve());
 			gitCreateRemoteStub.returns(Promise.resolve());
 			gitListBranchesStub.returns(Promise.resolve(['master', 'extra-branch']));
-			gitCheckoutStub.returns(Promise.resolve());
 			gitListTagsStub.returns(Promise.resolve([]));
 			gitPushToRemoteStub.returns(Promise.resolve());
 
 			//when
-			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName);
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, '', {naming: 'path'});
 
 			//then
 			expect(result).to.equal(0);
-			sinon.assert.callCount(gitCloneStub, 8);
-			sinon.assert.callCount(gitCreateRemoteStub, 8);
+			sinon.assert.callCount(gitFetchStub, 8);
+			sinon.assert.callCount(gitCreateRemoteStub, 16);
 			sinon.assert.callCount(gitListBranchesStub, 8);
-			sinon.assert.callCount(gitCheckoutStub, 16);
 			sinon.assert.callCount(gitPushToRemoteStub, 16);
 			sinon.assert.callCount(rmdirStub, 8);
 			sinon.assert.calledWith(rmdirStub, sinon.match.string, sinon.match({recursive: true}));
@@ -251,59 +268,86 @@ describe('migrate', function() {
 			//given
 			const gitlabGroupName = 'FOO';
 			const githubOrgName = 'BAR';
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName).times(2).reply(200, gitlabGroupDetails);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+'/subgroups').reply(200, gitlabSubgroupsList);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+encodeURIComponent('/')+'subgroup1').reply(200, gitlabSubgroup1Details);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+encodeURIComponent('/')+'subgroup2').reply(200, gitlabSubgroup2Details);
+			givenGitlabGroup(gitlabGroupName);
 			githubApi.post(`/orgs/${githubOrgName}/repos`).times(8).reply(201, githubRepoDetails);
 			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).times(8).reply(200, githubRepoDetails);
-			gitCloneStub.returns(Promise.resolve());
+			gitFetchStub.returns(Promise.resolve());
 			gitCreateRemoteStub.returns(Promise.resolve());
 			gitListBranchesStub.returns(Promise.resolve(['master', 'extra-branch']));
 			gitListTagsStub.returns(Promise.resolve(['foo-tag', 'bar-tag']));
-			gitCheckoutStub.returns(Promise.resolve());
 			gitPushToRemoteStub.returns(Promise.resolve());
 
 			//when
-			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName);
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, '', {naming: 'path'});
 
 			//then
 			expect(result).to.equal(0);
-			sinon.assert.callCount(gitCloneStub, 8);
-			sinon.assert.callCount(gitCreateRemoteStub, 8);
+			sinon.assert.callCount(gitFetchStub, 8);
+			sinon.assert.callCount(gitCreateRemoteStub, 16);
 			sinon.assert.callCount(gitListBranchesStub, 8);
-			sinon.assert.callCount(gitCheckoutStub, 16);
 			sinon.assert.callCount(gitListTagsStub, 8);
 			sinon.assert.callCount(gitPushToRemoteStub, 32);
 			sinon.assert.callCount(rmdirStub, 8);
 			sinon.assert.calledWith(rmdirStub, sinon.match.string, sinon.match({recursive: true}));
 		});
+		it('should fail before creating any repo when projects would be copied to the same github repo', async () => {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			givenGitlabGroup(gitlabGroupName);
+			const createRepo = githubApi.post(`/orgs/${githubOrgName}/repos`).reply(201, githubRepoDetails);
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName);
+			//then
+			expect(result).to.equal(1);
+			expect(createRepo.isDone()).to.be.false;
+			sinon.assert.notCalled(gitFetchStub);
+			sinon.assert.notCalled(writeFileStub);
+		});
+		it('should create repos named after the flattened path of the projects', async () => {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			givenGitlabGroup(gitlabGroupName);
+			const repoNames = [];
+			githubApi.post(`/orgs/${githubOrgName}/repos`).times(8).reply(201, (uri, body) => {
+				repoNames.push(body.name);
+				return githubRepoDetails;
+			});
+			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).times(8).reply(200, githubRepoDetails);
+			gitFetchStub.returns(Promise.resolve());
+			gitCreateRemoteStub.returns(Promise.resolve());
+			gitListBranchesStub.returns(Promise.resolve(['master']));
+			gitListTagsStub.returns(Promise.resolve([]));
+			gitPushToRemoteStub.returns(Promise.resolve());
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, '', {naming: 'path'});
+			//then
+			expect(result).to.equal(0);
+			expect(repoNames).to.have.members(['repository-1', 'repository-2', 'repository-3', 'bar-shared-project1',
+				'subgroup1-project1', 'subgroup1-project2', 'subgroup2-project1', 'subgroup2-project2']);
+		});
 		it('should copy content of all repos from gitlab to github under user root when github org is not specified', async () => {
 			//given
 			const gitlabGroupName = 'FOO';
 			const githubUserName = config.get('gl2gh.github.username');
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName).times(2).reply(200, gitlabGroupDetails);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+'/subgroups').reply(200, gitlabSubgroupsList);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+encodeURIComponent('/')+'subgroup1').reply(200, gitlabSubgroup1Details);
-			gitlabApi.get('/api/v4/groups/'+gitlabGroupName+encodeURIComponent('/')+'subgroup2').reply(200, gitlabSubgroup2Details);
+			givenGitlabGroup(gitlabGroupName);
 			githubApi.post('/user/repos').times(8).reply(201, githubRepoDetails);
 			githubApi.patch(RegExp('/repos\\/' + githubUserName + '\\/[^\\/]+$')).times(8).reply(200, githubRepoDetails);
-			gitCloneStub.returns(Promise.resolve());
+			gitFetchStub.returns(Promise.resolve());
 			gitCreateRemoteStub.returns(Promise.resolve());
 			gitListBranchesStub.returns(Promise.resolve(['master']));
-			gitCheckoutStub.returns(Promise.resolve());
 			gitListTagsStub.returns(Promise.resolve([]));
 			gitPushToRemoteStub.returns(Promise.resolve());
 
 			//when
-			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName);
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, undefined, '', {naming: 'path'});
 
 			//then
 			expect(result).to.equal(0);
-			sinon.assert.callCount(gitCloneStub, 8);
-			sinon.assert.callCount(gitCreateRemoteStub, 8);
+			sinon.assert.callCount(gitFetchStub, 8);
+			sinon.assert.callCount(gitCreateRemoteStub, 16);
 			sinon.assert.callCount(gitListBranchesStub, 8);
-			sinon.assert.callCount(gitCheckoutStub, 8);
 			sinon.assert.callCount(gitPushToRemoteStub, 8);
 			sinon.assert.callCount(rmdirStub, 8);
 			sinon.assert.calledWith(rmdirStub, sinon.match.string, sinon.match({recursive: true}));
@@ -313,16 +357,12 @@ describe('migrate', function() {
 			const gitlabGroupName = 'FOO';
 			const githubOrgName = 'BAR';
 			const projectNameFilter = 'repository-';
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName).times(2).reply(200, gitlabGroupDetails);
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName + '/subgroups').reply(200, gitlabSubgroupsList);
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName + encodeURIComponent('/') + 'subgroup1').reply(200, gitlabSubgroup1Details);
-			gitlabApi.get('/api/v4/groups/' + gitlabGroupName + encodeURIComponent('/') + 'subgroup2').reply(200, gitlabSubgroup2Details);
+			givenGitlabGroup(gitlabGroupName);
 			githubApi.post(`/orgs/${githubOrgName}/repos`).times(3).reply(201, githubRepoDetails);
 			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).times(3).reply(200, githubRepoDetails);
-			gitCloneStub.returns(Promise.resolve());
+			gitFetchStub.returns(Promise.resolve());
 			gitCreateRemoteStub.returns(Promise.resolve());
 			gitListBranchesStub.returns(Promise.resolve(['master']));
-			gitCheckoutStub.returns(Promise.resolve());
 			gitListTagsStub.returns(Promise.resolve([]));
 			gitPushToRemoteStub.returns(Promise.resolve());
 
@@ -331,15 +371,1205 @@ describe('migrate', function() {
 
 			//then
 			expect(result).to.equal(0);
-			sinon.assert.callCount(gitCloneStub, 3);
-			sinon.assert.callCount(gitCreateRemoteStub, 3);
+			sinon.assert.callCount(gitFetchStub, 3);
+			sinon.assert.callCount(gitCreateRemoteStub, 6);
 			sinon.assert.callCount(gitListBranchesStub, 3);
-			sinon.assert.callCount(gitCheckoutStub, 3);
 			sinon.assert.callCount(gitPushToRemoteStub, 3);
 			sinon.assert.callCount(rmdirStub, 3);
 			sinon.assert.calledWith(rmdirStub, sinon.match.string, sinon.match({recursive: true}));
 		});
 	});
+	describe('copy content of archived projects', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectNameFilter = 'repository-';
+		beforeEach(() => {
+			const groupDetails = Object.assign({}, gitlabGroupDetails, {
+				projects: gitlabGroupDetails.projects.map(project => project.name === 'repository-3' ? Object.assign({}, project, {archived: true}) : project)
+			});
+			givenGitlabGroup(gitlabGroupName, groupDetails);
+			gitFetchStub.returns(Promise.resolve());
+			gitCreateRemoteStub.returns(Promise.resolve());
+			gitListBranchesStub.returns(Promise.resolve(['master']));
+			gitListTagsStub.returns(Promise.resolve([]));
+			gitPushToRemoteStub.returns(Promise.resolve());
+		});
+		it('should skip archived projects', async () => {
+			//given
+			githubApi.post(`/orgs/${githubOrgName}/repos`).times(2).reply(201, githubRepoDetails);
+			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).times(2).reply(200, githubRepoDetails);
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {archived: 'skip'});
+			//then
+			expect(result).to.equal(0);
+			expect(nock.isDone()).to.be.true;
+			sinon.assert.callCount(gitFetchStub, 2);
+		});
+		it('should archive the github repo of archived projects once their content is copied', async () => {
+			//given
+			githubApi.post(`/orgs/${githubOrgName}/repos`).times(3).reply(201, githubRepoDetails);
+			githubApi.patch(`/repos/${githubOrgName}/repository-3`, {archived: true}).reply(200, githubRepoDetails);
+			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$'), body => body.default_branch !== undefined).times(3).reply(200, githubRepoDetails);
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {archived: 'archive'});
+			//then
+			expect(result).to.equal(0);
+			expect(nock.isDone()).to.be.true;
+			sinon.assert.callCount(gitFetchStub, 3);
+		});
+		it('should fail for an unknown archived policy', async () => {
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {archived: 'delete'});
+			//then
+			expect(result).to.equal(1);
+			sinon.assert.notCalled(gitFetchStub);
+		});
+	});
+	describe('copy content with bounded concurrency', function () {
+		it('should not transfer more repos at once than the specified concurrency', async () => {
+			//given
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			givenGitlabGroup(gitlabGroupName);
+			githubApi.post(`/orgs/${githubOrgName}/repos`).times(8).reply(201, githubRepoDetails);
+			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).times(8).reply(200, githubRepoDetails);
+			let transfersInFlight = 0;
+			let maxTransfersInFlight = 0;
+			gitFetchStub.callsFake(() => {
+				transfersInFlight++;
+				maxTransfersInFlight = Math.max(maxTransfersInFlight, transfersInFlight);
+				return new Promise(resolve => setTimeout(resolve, 2));
+			});
+			gitPushToRemoteStub.callsFake(() => {
+				transfersInFlight--;
+				return Promise.resolve();
+			});
+			gitCreateRemoteStub.returns(Promise.resolve());
+			gitListBranchesStub.returns(Promise.resolve(['master']));
+			gitListTagsStub.returns(Promise.resolve([]));
+
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, '', {concurrency: 2, restConcurrency: 3, naming: 'path'});
+
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.callCount(gitFetchStub, 8);
+			expect(maxTransfersInFlight).to.equal(2);
+		});
+	});
+	describe('copy content with a journal', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectNameFilter = 'repository-';
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			gitFetchStub.returns(Promise.resolve());
+			gitCreateRemoteStub.returns(Promise.resolve());
+			gitListBranchesStub.returns(Promise.resolve(['master', 'feature']));
+			gitListTagsStub.returns(Promise.resolve([]));
+			gitPushToRemoteStub.returns(Promise.resolve());
+		});
+		it('should record each stage of every project in the journal', async () => {
+			//given
+			const journalPath = 'tmp/journal/some-journal.json';
+			githubApi.post(`/orgs/${githubOrgName}/repos`).times(3).reply(201, githubRepoDetails);
+			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).times(3).reply(200, githubRepoDetails);
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {journal: journalPath});
+			//then
+			expect(result).to.equal(0);
+			const journal = JSON.parse(writeFileStub.lastCall.args[1]);
+			sinon.assert.alwaysCalledWith(writeFileStub, journalPath);
+			expect(Object.keys(journal.projects)).to.have.lengthOf(3);
+			const entry = journal.projects['https://gitlab.com/FOO/repository-1.git'];
+			expect(entry.repository.clone_url).to.equal(githubRepoDetails.clone_url);
+			expect(entry.cloned).to.be.true;
+			expect(entry.refs).to.deep.equal({'refs/heads/master': 'some-sha', 'refs/heads/feature': 'some-sha'});
+			expect(entry.defaultBranchSet).to.be.true;
+		});
+		it('should skip the work already finished when resuming from a journal', async () => {
+			//given
+			const journalPath = 'test/resources/journal/partialRun.json';
+			githubApi.post(`/orgs/${githubOrgName}/repos`).reply(201, githubRepoDetails);
+			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).times(2).reply(200, githubRepoDetails);
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {resume: journalPath});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.callCount(gitFetchStub, 2);
+			sinon.assert.callCount(gitPushToRemoteStub, 3);
+			sinon.assert.calledWith(gitPushToRemoteStub, sinon.match({ref: 'refs/heads/feature', remoteRef: 'refs/heads/feature'}));
+			sinon.assert.alwaysCalledWith(writeFileStub, journalPath);
+			const journal = JSON.parse(writeFileStub.lastCall.args[1]);
+			expect(journal.projects['https://gitlab.com/FOO/repository-2.git'].defaultBranchSet).to.be.true;
+			expect(journal.projects['https://gitlab.com/FOO/repository-2.git']).to.not.have.property('error');
+			expect(journal.projects['https://gitlab.com/FOO/repository-3.git'].defaultBranchSet).to.be.true;
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should leave a project unfinished in the journal when one of its refs cannot be pushed', async () => {
+			//given
+			const journalPath = 'tmp/journal/some-journal.json';
+			githubApi.post(`/orgs/${githubOrgName}/repos`).times(3).reply(201, githubRepoDetails);
+			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).times(3).reply(200, githubRepoDetails);
+			const featurePushStub = gitPushToRemoteStub.withArgs(sinon.match({ref: 'refs/heads/feature'})).resolves();
+			featurePushStub.onFirstCall().rejects(new Error('push rejected'));
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {journal: journalPath});
+			//then
+			expect(result).to.equal(0);
+			const journal = JSON.parse(writeFileStub.lastCall.args[1]);
+			const unfinished = Object.values(journal.projects).filter(entry => !entry.defaultBranchSet);
+			expect(unfinished).to.have.lengthOf(1);
+			expect(unfinished[0].failedRefs).to.deep.equal({'refs/heads/feature': 'push rejected'});
+			expect(unfinished[0].refs).to.deep.equal({'refs/heads/master': 'some-sha'});
+		});
+		it('should push the refs which failed again when resuming from a journal', async () => {
+			//given
+			const journalPath = 'test/resources/journal/failedPushRun.json';
+			githubApi.patch(`/repos/${githubOrgName}/repository-1`).reply(200, githubRepoDetails);
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {resume: journalPath});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.calledOnce(gitPushToRemoteStub);
+			sinon.assert.calledWith(gitPushToRemoteStub, sinon.match({ref: 'refs/heads/feature', remoteRef: 'refs/heads/feature'}));
+			const entry = JSON.parse(writeFileStub.lastCall.args[1]).projects['https://gitlab.com/FOO/repository-1.git'];
+			expect(entry.defaultBranchSet).to.be.true;
+			expect(entry.failedRefs).to.deep.equal({});
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should fail when the journal to resume from cannot be read', async () => {
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {resume: 'non-existing-journal.json'});
+			//then
+			expect(result).to.equal(1);
+			sinon.assert.notCalled(gitFetchStub);
+		});
+	});
+	describe('plan copy content', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectNameFilter = 'repository-';
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			githubApi.get(`/repos/${githubOrgName}/repository-1`).reply(200, githubRepoDetails);
+			githubApi.get(RegExp('/repos\\/' + githubOrgName + '\\/repository-[23]$')).times(2).reply(404);
+			gitGetRemoteInfoStub.returns(Promise.resolve({
+				capabilities: [],
+				refs: {
+					heads: {master: 'master-sha', feature: 'feature-sha'},
+					tags: {'v1.0': 'tag-sha', 'v1.0^{}': 'commit-sha'}
+				}
+			}));
+		});
+		it('should list the repo, refs and existence on github of every project without modifying anything', async () => {
+			//when
+			const plan = await migrate.planCopyContent(gitlabGroupName, githubOrgName, projectNameFilter);
+			//then
+			expect(plan.map(entry => entry.repo)).to.deep.equal(['repository-1', 'repository-2', 'repository-3']);
+			expect(plan.map(entry => entry.exists)).to.deep.equal([true, false, false]);
+			expect(plan[1]).to.deep.equal({
+				project: 'repository-2',
+				gitlabUrl: 'https://gitlab.com/FOO/repository-2.git',
+				owner: githubOrgName,
+				repo: 'repository-2',
+				exists: false,
+				branches: ['feature', 'master'],
+				tags: ['v1.0']
+			});
+			sinon.assert.notCalled(gitInitStub);
+			sinon.assert.notCalled(gitFetchStub);
+			sinon.assert.notCalled(gitPushToRemoteStub);
+			sinon.assert.notCalled(writeFileStub);
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should list only the refs which differ from existing github repos when syncing', async () => {
+			//when
+			const plan = await migrate.planCopyContent(gitlabGroupName, githubOrgName, projectNameFilter, {sync: true});
+			//then
+			expect(plan[0].branches).to.be.empty;
+			expect(plan[0].tags).to.be.empty;
+			expect(plan[1].branches).to.deep.equal(['feature', 'master']);
+			sinon.assert.calledWith(gitGetRemoteInfoStub, sinon.match({url: githubRepoDetails.clone_url, forPush: true}));
+		});
+	});
+	describe('copy wikis', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		let gitWriteBlobStub;
+		let gitCommitStub;
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			githubApi.get(`/repos/${githubOrgName}/repository-1`).reply(200, Object.assign({}, githubRepoDetails, {name: 'repository-1', clone_url: 'https://github.com/BAR/repository-1.git'}));
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: 'https://gitlab.com/FOO/repository-1.wiki.git'})).returns(Promise.resolve({capabilities: [], refs: {heads: {master: 'wiki-sha'}}}));
+			gitFetchStub.returns(Promise.resolve());
+			gitCreateRemoteStub.returns(Promise.resolve());
+			gitListBranchesStub.returns(Promise.resolve(['master']));
+			gitListTagsStub.returns(Promise.resolve([]));
+			gitPushToRemoteStub.returns(Promise.resolve());
+			gitWalkStub.returns(Promise.resolve([
+				{filepath: 'home.md', oid: 'home-oid'},
+				{filepath: 'guides/setup.md', oid: 'setup-oid'},
+				{filepath: 'uploads/abc/image.png', oid: 'image-oid'}
+			]));
+			gitReadBlobStub.withArgs(sinon.match({oid: 'home-oid'})).returns(Promise.resolve({blob: Buffer.from('See [setup](guides/setup) and ![image](/uploads/abc/image.png)')}));
+			gitReadBlobStub.withArgs(sinon.match({oid: 'setup-oid'})).returns(Promise.resolve({blob: Buffer.from('# Setup')}));
+			gitWriteBlobStub = sinon.stub(git, 'writeBlob').returns(Promise.resolve('new-home-oid'));
+			sinon.stub(git, 'writeTree').returns(Promise.resolve('new-tree-oid'));
+			gitCommitStub = sinon.stub(git, 'commit').returns(Promise.resolve('new-commit-oid'));
+		});
+		it('should push the wiki with github page names and links to the github wiki', async () => {
+			//when
+			const result = await migrate.copyWikiFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1');
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.calledWith(gitInitStub, sinon.match({gitdir: sinon.match(/tmp\/wiki\/repository-1$/)}));
+			sinon.assert.calledWith(gitCreateRemoteStub, sinon.match({remote: 'github', url: 'https://github.com/BAR/repository-1.wiki.git'}));
+			sinon.assert.calledOnce(gitWriteBlobStub);
+			expect(gitWriteBlobStub.firstCall.args[0].blob.toString()).to.equal('See [setup](guides-setup) and ![image](uploads/abc/image.png)');
+			sinon.assert.calledWith(gitCommitStub, sinon.match({ref: 'refs/heads/master', parent: ['some-sha'], message: sinon.match(/^Convert GitLab wiki conventions to GitHub/)}));
+			sinon.assert.calledWith(gitPushToRemoteStub, sinon.match({remote: 'github', ref: 'refs/heads/master', remoteRef: 'refs/heads/master', force: true}));
+			sinon.assert.callOrder(gitCommitStub, gitPushToRemoteStub);
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should skip projects without wiki pages and fail for repos missing on github', async () => {
+			//given
+			githubApi.get(`/repos/${githubOrgName}/repository-2`).reply(200, Object.assign({}, githubRepoDetails, {clone_url: 'https://github.com/BAR/repository-2.git'}));
+			githubApi.get(`/repos/${githubOrgName}/repository-3`).reply(404);
+			//when
+			const result = await migrate.copyWikiFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-');
+			//then
+			expect(result).to.equal(1);
+			sinon.assert.calledOnce(gitPushToRemoteStub);
+			expect(nock.isDone()).to.be.true;
+		});
+	});
+	describe('copy issues', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectApiPath = '/api/v4/projects/' + encodeURIComponent('FOO/repository-1');
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			gitlabApi.get(`${projectApiPath}/labels?per_page=100&page=1`).reply(200, gitlabLabels);
+			gitlabApi.get(`${projectApiPath}/milestones?per_page=100&page=1`).reply(200, gitlabMilestones);
+			gitlabApi.get(`${projectApiPath}/issues?scope=all&order_by=created_at&sort=asc&per_page=100&page=1`).reply(200, gitlabIssues);
+			gitlabApi.get(`${projectApiPath}/issues/1/notes?order_by=created_at&sort=asc&per_page=100&page=1`).reply(200, gitlabIssueNotes);
+			gitlabApi.get(`${projectApiPath}/issues/2/notes?order_by=created_at&sort=asc&per_page=100&page=1`).reply(200, []);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/labels`, {name: 'bug', color: 'd9534f', description: 'Something is not working'}).reply(201);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/labels`, {name: 'feature', color: '428bca'}).reply(422);
+			githubApi.get(`/repos/${githubOrgName}/repository-1/milestones?state=all&per_page=100&page=1`).reply(200, [{title: 'v1.0', number: 1}]);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/milestones`, {title: 'v2.0', state: 'open'}).reply(201, {title: 'v2.0', number: 2});
+		});
+		it('should recreate labels, milestones, issues and comments in order with mapped users', async () => {
+			//given
+			githubApi.get(`/repos/${githubOrgName}/repository-1/issues?state=all&per_page=100&page=1`).reply(200, []);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/issues`, body => body.title === 'Crash on start' && body.milestone === 1 &&
+				body.labels[0] === 'bug' && body.assignees.join() === 'alice-gh' && body.body.startsWith('> Migrated from [#1](https://gitlab.com/FOO/repository-1/-/issues/1)'))
+				.reply(201, {number: 1});
+			githubApi.post(`/repos/${githubOrgName}/repository-1/issues/1/comments`, {body: '> Comment by @alice-gh on 2020-01-02T11:00:00.000Z\n\nReproduced on master'}).reply(201);
+			githubApi.patch(`/repos/${githubOrgName}/repository-1/issues/1`, {state: 'closed'}).reply(200);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/issues`, body => body.title === 'Add dark mode' && body.milestone === undefined).reply(201, {number: 2});
+			//when
+			const result = await migrate.copyIssuesFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1', {userMapping: {alice: 'alice-gh'}});
+			//then
+			expect(result).to.equal(0);
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should report a failure when an issue cannot be created', async () => {
+			//given
+			githubApi.get(`/repos/${githubOrgName}/repository-1/issues?state=all&per_page=100&page=1`).reply(200, []);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/issues`).reply(500);
+			//when
+			const result = await migrate.copyIssuesFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1');
+			//then
+			expect(result).to.equal(1);
+		});
+		it('should copy confidential issues and internal comments only when asked to', async () => {
+			//given
+			githubApi.get(`/repos/${githubOrgName}/repository-1/issues?state=all&per_page=100&page=1`).reply(200, []);
+			gitlabApi.get(`${projectApiPath}/issues/3/notes?order_by=created_at&sort=asc&per_page=100&page=1`).reply(200, []);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/issues`).times(3).reply(201, (uri, body) => ({number: body.title === 'Crash on start' ? 1 : 2}));
+			githubApi.post(`/repos/${githubOrgName}/repository-1/issues/1/comments`).times(2).reply(201);
+			githubApi.patch(`/repos/${githubOrgName}/repository-1/issues/1`, {state: 'closed'}).reply(200);
+			//when
+			const result = await migrate.copyIssuesFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1', {includeConfidential: true});
+			//then
+			expect(result).to.equal(0);
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should skip the issues copied by an earlier run', async () => {
+			//given
+			githubApi.get(`/repos/${githubOrgName}/repository-1/issues?state=all&per_page=100&page=1`).reply(200, [
+				{number: 1, body: '> Migrated from [#1](https://gitlab.com/FOO/repository-1/-/issues/1) on GitLab, opened by [bob](https://gitlab.com/bob) on 2020-01-01T10:00:00.000Z'}
+			]);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/issues`, body => body.title === 'Add dark mode').reply(201, {number: 2});
+			//when
+			const result = await migrate.copyIssuesFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1');
+			//then
+			expect(result).to.equal(0);
+			expect(nock.pendingMocks()).to.deep.equal([
+				`GET https://mock.gitlab.com:443${projectApiPath}/issues/1/notes`
+			]);
+		});
+	});
+	describe('copy merge requests', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectApiPath = '/api/v4/projects/' + encodeURIComponent('FOO/repository-1');
+		const mergeRequestsPath = `${projectApiPath}/merge_requests?state=opened&order_by=created_at&sort=asc&per_page=100&page=1`;
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			githubApi.get(`/repos/${githubOrgName}/repository-1`).reply(200, Object.assign({}, githubRepoDetails, {clone_url: 'https://github.com/BAR/repository-1.git'}));
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: 'https://github.com/BAR/repository-1.git'})).returns(Promise.resolve({capabilities: [], refs: {
+				heads: {master: 'master-sha', feature: 'feature-sha'}
+			}}));
+		});
+		it('should open draft pull requests with labels, assignees and the discussion threads', async () => {
+			//given
+			gitlabApi.get(mergeRequestsPath).reply(200, [gitlabMergeRequests[0]]);
+			gitlabApi.get(`${projectApiPath}/merge_requests/3/discussions?per_page=100&page=1`).reply(200, gitlabMergeRequestDiscussions);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/pulls`, body => body.title === 'Add login page' && body.head === 'feature' && body.base === 'main' &&
+				body.draft === true && body.body.startsWith('> Migrated from [!3](https://gitlab.com/FOO/repository-1/-/merge_requests/3)'))
+				.reply(201, {number: 5});
+			githubApi.patch(`/repos/${githubOrgName}/repository-1/issues/5`, {labels: ['feature'], assignees: ['alice-gh']}).reply(200);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/issues/5/comments`, body => body.body.startsWith('> Thread on [src/login.js line 12]')).reply(201);
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: 'https://github.com/BAR/repository-1.git'})).returns(Promise.resolve({capabilities: [], refs: {
+				heads: {main: 'master-sha', feature: 'feature-sha'}
+			}}));
+			//when
+			const result = await migrate.copyMergeRequestsFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1', {userMapping: {alice: 'alice-gh'}, branchRenames: {master: 'main'}});
+			//then
+			expect(result).to.equal(0);
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should copy the internal discussion threads only when asked to', async () => {
+			//given
+			gitlabApi.get(mergeRequestsPath).reply(200, [gitlabMergeRequests[0]]);
+			gitlabApi.get(`${projectApiPath}/merge_requests/3/discussions?per_page=100&page=1`).reply(200, gitlabMergeRequestDiscussions);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/pulls`).reply(201, {number: 5});
+			githubApi.patch(`/repos/${githubOrgName}/repository-1/issues/5`).reply(200);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/issues/5/comments`, body => body.body.startsWith('> Thread on [src/login.js line 12]')).reply(201);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/issues/5/comments`, body => body.body.includes('Holding this back until the security review')).reply(201);
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: 'https://github.com/BAR/repository-1.git'})).returns(Promise.resolve({capabilities: [], refs: {
+				heads: {main: 'master-sha', feature: 'feature-sha'}
+			}}));
+			//when
+			const result = await migrate.copyMergeRequestsFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1', {branchRenames: {master: 'main'}, includeConfidential: true});
+			//then
+			expect(result).to.equal(0);
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should skip merge requests from forks or with source branches missing on github', async () => {
+			//given
+			const behindMergeRequest = Object.assign({}, gitlabMergeRequests[0], {iid: 5, sha: 'newer-feature-sha'});
+			gitlabApi.get(mergeRequestsPath).reply(200, [gitlabMergeRequests[1], behindMergeRequest]);
+			//when
+			const result = await migrate.copyMergeRequestsFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1');
+			//then
+			expect(result).to.equal(1);
+			expect(nock.isDone()).to.be.true;
+		});
+	});
+	describe('copy releases', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const releasesPath = '/api/v4/projects/' + encodeURIComponent('FOO/repository-1') + '/releases?order_by=released_at&sort=asc&per_page=100&page=1';
+		const uploadUrl = 'https://uploads.github.com/repos/BAR/repository-1/releases/1/assets{?name,label}';
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			gitlabApi.get(releasesPath).reply(200, gitlabReleases);
+			githubApi.get(`/repos/${githubOrgName}/repository-1`).reply(200, Object.assign({}, githubRepoDetails, {clone_url: 'https://github.com/BAR/repository-1.git'}));
+		});
+		it('should create releases on the same tags and re-upload their assets', async () => {
+			//given
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: 'https://github.com/BAR/repository-1.git'})).returns(Promise.resolve({capabilities: [], refs: {
+				tags: {'v1.0': 'v1-sha', 'v2.0-rc1': 'v2-sha'}
+			}}));
+			githubApi.post(`/repos/${githubOrgName}/repository-1/releases`, {
+				tag_name: 'v1.0', name: 'First release', prerelease: false,
+				body: 'Fixes the crash, see ![screenshot](https://gitlab.com/FOO/repository-1/uploads/abc123/screenshot.png)'
+			}).reply(201, {id: 1, tag_name: 'v1.0', upload_url: uploadUrl});
+			githubApi.post(`/repos/${githubOrgName}/repository-1/releases`, {tag_name: 'v2.0-rc1', name: 'v2.0-rc1', body: '', prerelease: true}).reply(201, {id: 2, tag_name: 'v2.0-rc1', upload_url: uploadUrl});
+			nock('https://gitlab.com').get('/FOO/repository-1/uploads/abc123/screenshot.png').reply(200, 'png');
+			nock('https://gitlab.com').get('/FOO/repository-1/-/releases/v1.0/downloads/app-linux.tar.gz').reply(200, 'tarball');
+			nock('https://uploads.github.com').post('/repos/BAR/repository-1/releases/1/assets?name=screenshot.png', 'png')
+				.reply(201, {browser_download_url: 'https://github.com/BAR/repository-1/releases/download/v1.0/screenshot.png'});
+			nock('https://uploads.github.com').post('/repos/BAR/repository-1/releases/1/assets?name=app-linux.tar.gz', 'tarball')
+				.reply(201, {browser_download_url: 'https://github.com/BAR/repository-1/releases/download/v1.0/app-linux.tar.gz'});
+			githubApi.patch(`/repos/${githubOrgName}/repository-1/releases/1`, {
+				body: 'Fixes the crash, see ![screenshot](https://github.com/BAR/repository-1/releases/download/v1.0/screenshot.png)'
+			}).reply(200);
+			//when
+			const result = await migrate.copyReleasesFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1');
+			//then
+			expect(result).to.equal(0);
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should not create releases whose tags are missing on github', async () => {
+			//given
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: 'https://github.com/BAR/repository-1.git'})).returns(Promise.resolve({capabilities: [], refs: {}}));
+			//when
+			const result = await migrate.copyReleasesFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1');
+			//then
+			expect(result).to.equal(1);
+			expect(nock.isDone()).to.be.true;
+		});
+	});
+	describe('copy protection', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectApiPath = '/api/v4/projects/' + encodeURIComponent('FOO/repository-1');
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			gitlabApi.get(`${projectApiPath}/protected_branches?per_page=100&page=1`).reply(200, gitlabProtectedBranches);
+			gitlabApi.get(`${projectApiPath}/approval_rules?per_page=100&page=1`).reply(200, gitlabApprovalRules);
+			gitlabApi.get(`${projectApiPath}/approvals`).reply(200, {reset_approvals_on_push: true});
+			githubApi.get(`/repos/${githubOrgName}/repository-1`).reply(200, Object.assign({}, githubRepoDetails, {clone_url: 'https://github.com/BAR/repository-1.git'}));
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: 'https://github.com/BAR/repository-1.git'})).returns(Promise.resolve({capabilities: [], refs: {
+				heads: {main: 'main-sha', feature: 'feature-sha', release: {'1.0': 'release-1-sha', '2.0': 'release-2-sha'}}
+			}}));
+		});
+		it('should protect each renamed branch and the branches matching wildcards the way gitlab does', async () => {
+			//given
+			githubApi.put(`/repos/${githubOrgName}/repository-1/branches/main/protection`, body => body.required_pull_request_reviews.required_approving_review_count === 2 &&
+				body.required_pull_request_reviews.require_code_owner_reviews === true && body.enforce_admins === true).reply(200, githubUpdateBranchProtectionResponse);
+			githubApi.put(`/repos/${githubOrgName}/repository-1/branches/release/1.0/protection`, body => body.required_pull_request_reviews.required_approving_review_count === 1 &&
+				body.allow_force_pushes === true).reply(200, githubUpdateBranchProtectionResponse);
+			githubApi.put(`/repos/${githubOrgName}/repository-1/branches/release/2.0/protection`).reply(200, githubUpdateBranchProtectionResponse);
+			//when
+			const result = await migrate.copyProtectionFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1', {branchRenames: {master: 'main'}});
+			//then
+			expect(result).to.equal(0);
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should report a failure when github rejects the protection', async () => {
+			//given
+			githubApi.put(RegExp(`/repos/${githubOrgName}/repository-1/branches/.+/protection`)).times(2).reply(200, githubUpdateBranchProtectionResponse);
+			githubApi.put(`/repos/${githubOrgName}/repository-1/branches/main/protection`).reply(403);
+			//when
+			const result = await migrate.copyProtectionFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1', {branchRenames: {master: 'main'}});
+			//then
+			expect(result).to.equal(1);
+		});
+	});
+	describe('copy variables', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectApiPath = '/api/v4/projects/' + encodeURIComponent('FOO/repository-1');
+		let publicKey;
+		beforeEach(async () => {
+			await sodium.ready;
+			publicKey = {key_id: '568250167242549743', key: sodium.to_base64(sodium.crypto_box_keypair().publicKey, sodium.base64_variants.ORIGINAL)};
+			givenGitlabGroup(gitlabGroupName);
+			gitlabApi.get(`${projectApiPath}/variables?per_page=100&page=1`).reply(200, gitlabProjectVariables);
+		});
+		it('should create org secrets and variables for the group and repo and environment ones for the projects', async () => {
+			//given
+			gitlabApi.get('/api/v4/groups/FOO/variables?per_page=100&page=1').reply(200, gitlabGroupVariables);
+			githubApi.get(`/repos/${githubOrgName}/repository-1`).times(2).reply(200, githubRepoDetails);
+			githubApi.get(`/orgs/${githubOrgName}/actions/secrets/public-key`).reply(200, publicKey);
+			githubApi.put(`/orgs/${githubOrgName}/actions/secrets/REGISTRY_PASSWORD`, body => body.key_id === publicKey.key_id &&
+				body.visibility === 'selected' && body.selected_repository_ids[0] === githubRepoDetails.id).reply(201);
+			githubApi.post(`/orgs/${githubOrgName}/actions/variables`, {name: 'REGISTRY_HOST', value: 'registry.example.com', visibility: 'selected', selected_repository_ids: [githubRepoDetails.id]}).reply(201);
+			githubApi.get(`/repos/${githubOrgName}/repository-1/environments?per_page=100&page=1`).reply(200, {total_count: 1, environments: [{name: 'production'}]});
+			githubApi.post(`/repos/${githubOrgName}/repository-1/actions/variables`, {name: 'LOG_LEVEL', value: 'debug'}).reply(201);
+			githubApi.get(`/repos/${githubOrgName}/repository-1/actions/secrets/public-key`).reply(200, publicKey);
+			githubApi.put(`/repos/${githubOrgName}/repository-1/actions/secrets/DEPLOY_TOKEN`).reply(201);
+			githubApi.get(`/repos/${githubOrgName}/repository-1/environments/production/secrets/public-key`).reply(200, publicKey);
+			githubApi.put(`/repos/${githubOrgName}/repository-1/environments/production/secrets/DATABASE_URL`).reply(201);
+			//when
+			const report = await migrate.copyVariablesFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1');
+			//then
+			expect(nock.isDone()).to.be.true;
+			expect(report).to.deep.equal([
+				{source: 'FOO', key: 'REGISTRY_PASSWORD', target: 'BAR', kind: 'secret', status: 'copied'},
+				{source: 'FOO', key: 'REGISTRY_HOST', target: 'BAR', kind: 'variable', status: 'copied'},
+				{source: 'FOO/repository-1', key: 'LOG_LEVEL', target: 'BAR/repository-1', kind: 'variable', status: 'copied'},
+				{source: 'FOO/repository-1', key: 'DEPLOY_TOKEN', target: 'BAR/repository-1', kind: 'secret', status: 'copied'},
+				{source: 'FOO/repository-1', key: 'DATABASE_URL', target: 'BAR/repository-1', kind: 'secret', environment: 'production', status: 'copied'},
+				{source: 'FOO/repository-1', key: 'REVIEW_HOST', target: 'BAR/repository-1', status: 'unmapped', reason: 'environment scope review/* is a wildcard'},
+				{source: 'FOO/repository-1', key: 'KUBECONFIG', target: 'BAR/repository-1', status: 'unmapped', reason: 'file-type variables have no GitHub equivalent'}
+			]);
+		});
+		it('should report group variables as unmapped without a github org and variables github rejects as failed', async () => {
+			//given
+			const username = config.get('gl2gh.github.username');
+			gitlabApi.get('/api/v4/groups/FOO/variables?per_page=100&page=1').reply(200, gitlabGroupVariables);
+			githubApi.get(`/repos/${username}/repository-1`).reply(200, githubRepoDetails);
+			githubApi.get(`/repos/${username}/repository-1/environments?per_page=100&page=1`).reply(200, {total_count: 0, environments: []});
+			githubApi.post(`/repos/${username}/repository-1/actions/variables`).reply(403);
+			githubApi.get(`/repos/${username}/repository-1/actions/secrets/public-key`).reply(200, publicKey);
+			githubApi.put(`/repos/${username}/repository-1/actions/secrets/DEPLOY_TOKEN`).reply(201);
+			//when
+			const report = await migrate.copyVariablesFromGitlabToGithub(gitlabGroupName, undefined, 'repository-1');
+			//then
+			expect(report.map(entry => `${entry.key} ${entry.status}`)).to.deep.equal([
+				'REGISTRY_PASSWORD unmapped', 'REGISTRY_HOST unmapped', 'LOG_LEVEL failed', 'DEPLOY_TOKEN copied',
+				'DATABASE_URL unmapped', 'REVIEW_HOST unmapped', 'KUBECONFIG unmapped'
+			]);
+			expect(report[0].reason).to.equal('group variables need a GitHub organisation');
+			expect(report[4].reason).to.equal('no GitHub environment named production');
+		});
+		it('should report the group variables as failed and still copy the project ones when they cannot be fetched', async () => {
+			//given
+			gitlabApi.get('/api/v4/groups/FOO/variables?per_page=100&page=1').reply(403);
+			githubApi.get(`/repos/${githubOrgName}/repository-1`).reply(200, githubRepoDetails);
+			githubApi.get(`/repos/${githubOrgName}/repository-1/environments?per_page=100&page=1`).reply(200, {total_count: 0, environments: []});
+			githubApi.post(`/repos/${githubOrgName}/repository-1/actions/variables`).reply(201);
+			githubApi.get(`/repos/${githubOrgName}/repository-1/actions/secrets/public-key`).reply(200, publicKey);
+			githubApi.put(`/repos/${githubOrgName}/repository-1/actions/secrets/DEPLOY_TOKEN`).reply(201);
+			//when
+			const report = await migrate.copyVariablesFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1');
+			//then
+			expect(report[0]).to.deep.equal({source: 'FOO', target: 'BAR', status: 'failed', reason: 'Error while fetching variables of group FOO'});
+			expect(report.slice(1).map(entry => `${entry.key} ${entry.status}`)).to.deep.equal([
+				'LOG_LEVEL copied', 'DEPLOY_TOKEN copied', 'DATABASE_URL unmapped', 'REVIEW_HOST unmapped', 'KUBECONFIG unmapped'
+			]);
+		});
+	});
+	describe('copy members', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectApiPath = '/api/v4/projects/' + encodeURIComponent('bar/shared-project1');
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			gitlabApi.get(`${projectApiPath}/members/all?per_page=100&page=1`).reply(200, gitlabMembers);
+		});
+		it('should grant mapped members and groups their permissions and report the others as unmapped', async () => {
+			//given
+			githubApi.get(`/repos/${githubOrgName}/shared-project1`).reply(200, githubRepoDetails);
+			githubApi.put(`/repos/${githubOrgName}/shared-project1/collaborators/alice-gh`, {permission: 'maintain'}).reply(204);
+			githubApi.put(`/repos/${githubOrgName}/shared-project1/collaborators/bob-gh`, {permission: 'push'}).reply(201, {id: 1});
+			githubApi.put(`/orgs/${githubOrgName}/teams/foo-team/repos/${githubOrgName}/shared-project1`, {permission: 'triage'}).reply(204);
+			const options = {userMapping: {alice: 'alice-gh', bob: 'bob-gh', carol: 'carol-gh'}, teamMapping: {FOO: 'foo-team'}};
+			//when
+			const report = await migrate.copyMembersFromGitlabToGithub(gitlabGroupName, githubOrgName, 'shared-project1', options);
+			//then
+			expect(nock.isDone()).to.be.true;
+			const source = 'bar/shared-project1';
+			const target = 'BAR/shared-project1';
+			expect(report).to.deep.equal([
+				{source, member: 'alice', kind: 'user', target, grantee: 'alice-gh', permission: 'maintain', status: 'granted'},
+				{source, member: 'bob', kind: 'user', target, grantee: 'bob-gh', permission: 'write', status: 'invited'},
+				{source, member: 'carol', kind: 'user', target, status: 'unmapped', reason: 'carol is blocked on GitLab'},
+				{source, member: 'dave', kind: 'user', target, status: 'unmapped', reason: 'no GitHub login mapped for dave'},
+				{source, member: 'FOO', kind: 'team', target, grantee: 'foo-team', permission: 'triage', status: 'granted'}
+			]);
+		});
+		it('should skip the owner of a personal repo, apply the role mapping and report collaborators github rejects as failed', async () => {
+			//given
+			const username = config.get('gl2gh.github.username');
+			githubApi.get(`/repos/${username}/shared-project1`).reply(200, githubRepoDetails);
+			githubApi.put(`/repos/${username}/shared-project1/collaborators/bob-gh`).reply(422);
+			const options = {userMapping: {alice: username, bob: 'bob-gh', dave: 'dave-gh'}, roleMapping: {guest: 'none'}};
+			//when
+			const report = await migrate.copyMembersFromGitlabToGithub(gitlabGroupName, undefined, 'shared-project1', options);
+			//then
+			expect(report.map(entry => `${entry.member} ${entry.status}`)).to.deep.equal(['bob failed', 'carol unmapped', 'dave unmapped', 'FOO unmapped']);
+			expect(report[0].reason).to.equal('Unable to add collaborator bob-gh to shared-project1');
+			expect(report[2].reason).to.equal('role guest is mapped to no GitHub permission');
+			expect(report[3].reason).to.equal('teams only exist in GitHub organizations');
+		});
+		it('should report the project as failed when its repo does not exist on github', async () => {
+			//given
+			githubApi.get(`/repos/${githubOrgName}/shared-project1`).reply(404);
+			//when
+			const report = await migrate.copyMembersFromGitlabToGithub(gitlabGroupName, githubOrgName, 'shared-project1');
+			//then
+			expect(report).to.deep.equal([{source: 'bar/shared-project1', target: 'BAR/shared-project1', status: 'failed',
+				reason: 'BAR/shared-project1 does not exist on GitHub, copy the content of shared-project1 before its members'}]);
+		});
+	});
+	describe('copy teams', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const options = {naming: 'path', userMapping: {alice: 'alice-gh', bob: 'bob-gh', dave: 'dave-gh'}};
+		const membersApiPath = groupPath => `/api/v4/groups/${encodeURIComponent(groupPath)}/members/all?per_page=100&page=1`;
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName, gitlabGroupDetails, 3);
+			gitlabApi.get('/api/v4/groups/FOO/descendant_groups?per_page=100&page=1').reply(200, gitlabDescendantGroups);
+		});
+		it('should create a team per subgroup, with its members and access to the repos of the subgroup', async () => {
+			//given
+			githubApi.get(`/orgs/${githubOrgName}/teams/foo`).reply(200, {id: 1, slug: 'foo'});
+			githubApi.get(`/orgs/${githubOrgName}/teams/foo-subgroup1`).reply(404);
+			githubApi.post(`/orgs/${githubOrgName}/teams`, {name: 'FOO-subgroup1', description: 'some work related to spikes', privacy: 'closed'}).reply(201, {id: 2, slug: 'foo-subgroup1'});
+			githubApi.get(`/orgs/${githubOrgName}/teams/foo-subgroup1-backend`).reply(404);
+			githubApi.post(`/orgs/${githubOrgName}/teams`, {name: 'FOO-subgroup1-backend', privacy: 'closed'}).reply(201, {id: 3, slug: 'foo-subgroup1-backend'});
+			gitlabApi.get(membersApiPath('FOO')).reply(200, []);
+			gitlabApi.get(membersApiPath('FOO/subgroup1')).reply(200, gitlabMembers);
+			gitlabApi.get(membersApiPath('FOO/subgroup1/backend')).reply(200, []);
+			githubApi.put(`/orgs/${githubOrgName}/teams/foo-subgroup1/memberships/alice-gh`, {role: 'member'}).reply(200, {state: 'active'});
+			githubApi.put(`/orgs/${githubOrgName}/teams/foo-subgroup1/memberships/bob-gh`, {role: 'member'}).reply(200, {state: 'pending'});
+			githubApi.put(`/orgs/${githubOrgName}/teams/foo-subgroup1/repos/${githubOrgName}/subgroup1-project1`, {permission: 'push'}).reply(204);
+			//when
+			const report = await migrate.copyTeamsFromGitlabToGithub(gitlabGroupName, githubOrgName, 'project1', options);
+			//then
+			expect(nock.isDone()).to.be.true;
+			const source = 'FOO/subgroup1';
+			const target = 'BAR/foo-subgroup1';
+			expect(report).to.deep.equal([
+				{source: 'FOO', kind: 'team', target: 'BAR/foo', status: 'exists'},
+				{source, kind: 'team', target, status: 'created'},
+				{source, kind: 'member', member: 'alice', target, grantee: 'alice-gh', role: 'member', status: 'added'},
+				{source, kind: 'member', member: 'bob', target, grantee: 'bob-gh', role: 'member', status: 'invited'},
+				{source, kind: 'member', member: 'carol', target, status: 'unmapped', reason: 'carol is blocked on GitLab'},
+				{source, kind: 'member', member: 'dave', target, status: 'unmapped', reason: 'role guest maps to read, below the write permission of the team'},
+				{source, kind: 'repo', repo: 'subgroup1-project1', target, permission: 'write', status: 'granted'},
+				{source: 'FOO/subgroup1/backend', kind: 'team', target: 'BAR/foo-subgroup1-backend', status: 'created'}
+			]);
+		});
+		it('should report a team which cannot be created as failed and carry on with the others', async () => {
+			//given
+			githubApi.get(`/orgs/${githubOrgName}/teams/foo`).reply(200, {id: 1, slug: 'foo'});
+			githubApi.get(`/orgs/${githubOrgName}/teams/engineering`).reply(404);
+			githubApi.post(`/orgs/${githubOrgName}/teams`, body => body.name === 'Engineering').reply(422);
+			githubApi.get(`/orgs/${githubOrgName}/teams/foo-subgroup1-backend`).reply(404);
+			githubApi.post(`/orgs/${githubOrgName}/teams`, body => body.name === 'FOO-subgroup1-backend').reply(201, {id: 3, slug: 'foo-subgroup1-backend'});
+			gitlabApi.get(membersApiPath('FOO')).reply(200, []);
+			gitlabApi.get(membersApiPath('FOO/subgroup1/backend')).reply(200, []);
+			//when
+			const report = await migrate.copyTeamsFromGitlabToGithub(gitlabGroupName, githubOrgName, 'project1', Object.assign({teamMapping: {'FOO/subgroup1': 'Engineering'}}, options));
+			//then
+			expect(report.map(entry => `${entry.target} ${entry.status}`)).to.deep.equal(['BAR/foo exists', 'BAR/engineering failed', 'BAR/foo-subgroup1-backend created']);
+			expect(report[1].reason).to.equal('Unable to create team Engineering');
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should require a github org and a known permission', async () => {
+			//when
+			//then
+			await assert.isRejected(migrate.copyTeamsFromGitlabToGithub(gitlabGroupName, undefined, 'project1', options),
+				Error, 'Teams only exist in GitHub organizations, a GitHub organisation is required');
+			await assert.isRejected(migrate.copyTeamsFromGitlabToGithub(gitlabGroupName, githubOrgName, 'project1', Object.assign({permission: 'push'}, options)),
+				Error, 'Invalid permission push, expected one of read, triage, write, maintain, admin');
+		});
+	});
+	describe('copy deploy keys', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const deployKeysApiPath = projectName => `/api/v4/projects/${encodeURIComponent('FOO/' + projectName)}/deploy_keys?per_page=100&page=1`;
+		const monitoringKey = gitlabDeployKeys[2];
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			gitlabApi.get(deployKeysApiPath('repository-3')).reply(200, []);
+		});
+		it('should add deploy keys missing on github and report keys shared by several projects', async () => {
+			//given
+			gitlabApi.get(deployKeysApiPath('repository-1')).reply(200, gitlabDeployKeys);
+			gitlabApi.get(deployKeysApiPath('repository-2')).reply(200, [Object.assign({}, monitoringKey, {id: 24, can_push: true})]);
+			githubApi.get(`/repos/${githubOrgName}/repository-1`).reply(200, githubRepoDetails);
+			githubApi.get(`/repos/${githubOrgName}/repository-2`).reply(200, githubRepoDetails);
+			githubApi.get(`/repos/${githubOrgName}/repository-1/keys?per_page=100&page=1`).reply(200, [{id: 1, key: gitlabDeployKeys[0].key.split(' ').slice(0, 2).join(' '), title: 'jenkins', read_only: true}]);
+			githubApi.get(`/repos/${githubOrgName}/repository-2/keys?per_page=100&page=1`).reply(200, []);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/keys`, {title: 'Release bot', key: gitlabDeployKeys[1].key.split(' ').slice(0, 2).join(' '), read_only: false}).reply(201, {id: 2});
+			//when
+			const report = await migrate.copyDeployKeysFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-');
+			//then
+			expect(nock.isDone()).to.be.true;
+			expect(report).to.deep.equal([
+				{source: 'FOO/repository-1', key: 'Jenkins', target: 'BAR/repository-1', readOnly: true, status: 'exists'},
+				{source: 'FOO/repository-1', key: 'Release bot', target: 'BAR/repository-1', readOnly: false, status: 'added'},
+				{source: 'FOO/repository-1', key: 'Monitoring', target: 'BAR/repository-1', readOnly: true, status: 'shared',
+					reason: 'also a deploy key of FOO/repository-2, use a machine user or a GitHub App for access to several repos'},
+				{source: 'FOO/repository-2', key: 'Monitoring', target: 'BAR/repository-2', readOnly: false, status: 'shared',
+					reason: 'also a deploy key of FOO/repository-1, use a machine user or a GitHub App for access to several repos'}
+			]);
+		});
+		it('should report projects whose deploy keys cannot be read and keys github rejects as failed', async () => {
+			//given
+			gitlabApi.get(deployKeysApiPath('repository-1')).reply(403);
+			gitlabApi.get(deployKeysApiPath('repository-2')).reply(200, [monitoringKey]);
+			githubApi.get(`/repos/${githubOrgName}/repository-2`).reply(200, githubRepoDetails);
+			githubApi.get(`/repos/${githubOrgName}/repository-2/keys?per_page=100&page=1`).reply(200, []);
+			githubApi.post(`/repos/${githubOrgName}/repository-2/keys`).reply(422);
+			//when
+			const report = await migrate.copyDeployKeysFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-');
+			//then
+			expect(report).to.deep.equal([
+				{source: 'FOO/repository-1', target: 'BAR/repository-1', status: 'failed', reason: 'Error while fetching deploy keys of project FOO/repository-1'},
+				{source: 'FOO/repository-2', key: 'Monitoring', target: 'BAR/repository-2', readOnly: true, status: 'failed',
+					reason: 'Unable to add deploy key Monitoring to repository-2, the key is already in use on GitHub'}
+			]);
+		});
+	});
+	describe('copy webhooks', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectApiPath = '/api/v4/projects/' + encodeURIComponent('FOO/repository-1');
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			gitlabApi.get(`${projectApiPath}/hooks?per_page=100&page=1`).reply(200, gitlabProjectHooks);
+		});
+		it('should create github webhooks for the hooks and report the triggers without github equivalent', async () => {
+			//given
+			githubApi.get(`/repos/${githubOrgName}/repository-1`).reply(200, githubRepoDetails);
+			githubApi.get(`/repos/${githubOrgName}/repository-1/hooks?per_page=100&page=1`).reply(200, [{id: 1, config: {url: 'https://chat.example.com/hooks/gitlab'}}]);
+			githubApi.post(`/repos/${githubOrgName}/repository-1/hooks`, {events: ['push', 'pull_request'],
+				config: {url: 'https://jenkins.example.com/project/repository-1', content_type: 'json', insecure_ssl: '0', secret: 's3cr3t'}}).reply(201, createWebhookResponse);
+			//when
+			const report = await migrate.copyWebhooksFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1', {secret: 's3cr3t'});
+			//then
+			expect(nock.isDone()).to.be.true;
+			const source = 'FOO/repository-1';
+			const target = 'BAR/repository-1';
+			expect(report).to.deep.equal([
+				{source, url: 'https://jenkins.example.com/project/repository-1', target, events: ['push', 'pull_request'],
+					unmapped: ['GitHub cannot filter push events by branch like main'], status: 'created'},
+				{source, url: 'https://chat.example.com/hooks/gitlab', target, events: ['issue_comment', 'commit_comment', 'pull_request_review_comment', 'workflow_run'],
+					unmapped: ['confidential_issues trigger has no GitHub equivalent'], status: 'exists'},
+				{source, url: 'https://audit.example.com/gitlab', target, events: [],
+					unmapped: ['confidential_issues trigger has no GitHub equivalent', 'confidential_note trigger has no GitHub equivalent'],
+					status: 'unmapped', reason: 'none of its triggers has a GitHub equivalent'}
+			]);
+		});
+		it('should report the hooks as failed when the repo does not exist on github', async () => {
+			//given
+			githubApi.get(`/repos/${githubOrgName}/repository-1`).reply(404);
+			//when
+			const report = await migrate.copyWebhooksFromGitlabToGithub(gitlabGroupName, githubOrgName, 'repository-1');
+			//then
+			expect(report.map(entry => entry.status)).to.deep.equal(['failed', 'failed', 'failed']);
+			expect(report[0].reason).to.equal('BAR/repository-1 does not exist on GitHub, copy the content of repository-1 before its webhooks');
+		});
+	});
+	describe('verify github refs', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectNameFilter = 'repository-';
+		const gitlabRefs = {
+			heads: {master: 'master-sha', feature: 'feature-sha'},
+			tags: {'v1.0': 'tag-sha', 'v1.0^{}': 'commit-sha'},
+			notes: {commits: 'notes-sha'}
+		};
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			githubApi.get(`/repos/${githubOrgName}/repository-1`).reply(200, Object.assign({}, githubRepoDetails, {clone_url: 'https://github.com/BAR/repository-1.git'}));
+			githubApi.get(`/repos/${githubOrgName}/repository-2`).reply(200, Object.assign({}, githubRepoDetails, {clone_url: 'https://github.com/BAR/repository-2.git'}));
+			githubApi.get(`/repos/${githubOrgName}/repository-3`).reply(404);
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: sinon.match(/^https:\/\/gitlab.com/)})).returns(Promise.resolve({capabilities: [], refs: gitlabRefs}));
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: 'https://github.com/BAR/repository-1.git'})).returns(Promise.resolve({capabilities: [], refs: {
+				heads: {master: 'master-sha', feature: 'feature-sha'},
+				tags: {'v1.0': 'tag-sha'}
+			}}));
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: 'https://github.com/BAR/repository-2.git'})).returns(Promise.resolve({capabilities: [], refs: {
+				heads: {master: 'master-sha', feature: 'old-feature-sha', removed: 'removed-sha'}
+			}}));
+		});
+		it('should report missing, extra and diverged branches and tags of every repo', async () => {
+			//when
+			const report = await migrate.verifyGithubRefs(gitlabGroupName, githubOrgName, projectNameFilter);
+			//then
+			expect(report.map(entry => entry.inSync)).to.deep.equal([true, false, false]);
+			expect(report[1]).to.deep.include({
+				repo: 'repository-2',
+				exists: true,
+				missing: ['refs/tags/v1.0'],
+				extra: ['refs/heads/removed'],
+				diverged: ['refs/heads/feature']
+			});
+			expect(report[2]).to.deep.include({
+				repo: 'repository-3',
+				exists: false,
+				missing: ['refs/heads/feature', 'refs/heads/master', 'refs/tags/v1.0']
+			});
+			sinon.assert.notCalled(gitFetchStub);
+			sinon.assert.notCalled(gitPushToRemoteStub);
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should compare the default branch against the commit gl2gh added the rewritten urls on', async () => {
+			//given
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: 'https://github.com/BAR/repository-1.git'})).returns(Promise.resolve({capabilities: [], refs: {
+				heads: {master: 'rewrite-sha', feature: 'feature-sha'},
+				tags: {'v1.0': 'tag-sha'}
+			}}));
+			githubApi.get(`/repos/${githubOrgName}/repository-1/commits/rewrite-sha`).reply(200, {sha: 'rewrite-sha', parents: [{sha: 'master-sha'}],
+				commit: {message: 'Rewrite GitLab URLs to GitHub\n\nRewritten by gl2gh while migrating https://gitlab.com/FOO/repository-1.git to https://github.com/BAR/repository-1.git'}});
+			githubApi.get(`/repos/${githubOrgName}/repository-1/commits/master-sha`).reply(200, {sha: 'master-sha', parents: [], commit: {message: 'Initial commit'}});
+			//when
+			const report = await migrate.verifyGithubRefs(gitlabGroupName, githubOrgName, projectNameFilter);
+			//then
+			expect(report[0].inSync).to.be.true;
+			expect(nock.isDone()).to.be.true;
+		});
+	});
+	describe('copy LFS objects', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectNameFilter = 'repository-1';
+		const lfsOid = 'a'.repeat(64);
+		const lfsContent = 'some-large-content';
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			githubApi.post(`/orgs/${githubOrgName}/repos`).reply(201, githubRepoDetails);
+			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).reply(200, githubRepoDetails);
+			gitFetchStub.returns(Promise.resolve());
+			gitCreateRemoteStub.returns(Promise.resolve());
+			gitListBranchesStub.returns(Promise.resolve(['master']));
+			gitListTagsStub.returns(Promise.resolve([]));
+			gitPushToRemoteStub.returns(Promise.resolve());
+			gitWalkStub.returns(Promise.resolve([{filepath: '.gitattributes', oid: 'attributes-oid'}, {filepath: 'data.bin', oid: 'pointer-oid'}]));
+			gitReadBlobStub.withArgs(sinon.match({oid: 'attributes-oid'})).returns(Promise.resolve({blob: Buffer.from('*.bin filter=lfs diff=lfs merge=lfs -text\n')}));
+			gitReadBlobStub.withArgs(sinon.match({oid: 'pointer-oid'})).returns(Promise.resolve({blob: Buffer.from(`version https://git-lfs.github.com/spec/v1\noid sha256:${lfsOid}\nsize ${lfsContent.length}\n`)}));
+		});
+		it('should upload the LFS objects of the pushed refs which github does not have', async () => {
+			//given
+			nock('https://github.com').post('/foo-user/some-repo.git/info/lfs/objects/batch', {operation: 'upload', transfers: ['basic'], objects: [{oid: lfsOid, size: lfsContent.length}]})
+				.reply(200, {objects: [{oid: lfsOid, size: lfsContent.length, actions: {upload: {href: 'https://lfs.github.com/upload'}}}]});
+			nock('https://gitlab.com').post('/FOO/repository-1.git/info/lfs/objects/batch', {operation: 'download', transfers: ['basic'], objects: [{oid: lfsOid, size: lfsContent.length}]})
+				.reply(200, {objects: [{oid: lfsOid, size: lfsContent.length, actions: {download: {href: 'https://lfs.gitlab.com/download'}}}]});
+			nock('https://lfs.gitlab.com').get('/download').reply(200, lfsContent);
+			nock('https://lfs.github.com').put('/upload', lfsContent).reply(200);
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter);
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.calledWith(gitWalkStub, sinon.match({trees: [sinon.match.any]}));
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should leave the project unfinished in the journal when its LFS objects cannot be copied', async () => {
+			//given
+			const journalPath = 'tmp/journal/some-journal.json';
+			nock('https://github.com').post('/foo-user/some-repo.git/info/lfs/objects/batch').reply(500);
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {journal: journalPath});
+			//then
+			expect(result).to.equal(0);
+			const entry = JSON.parse(writeFileStub.lastCall.args[1]).projects['https://gitlab.com/FOO/repository-1.git'];
+			expect(entry.refs).to.deep.equal({'refs/heads/master': 'some-sha'});
+			expect(entry.lfsPending).to.be.true;
+			expect(entry).to.not.have.property('defaultBranchSet');
+		});
+		it('should copy the LFS objects of every ref again when resuming from a journal', async () => {
+			//given
+			const githubBatch = nock('https://github.com').post('/foo-user/some-repo.git/info/lfs/objects/batch', {operation: 'upload', transfers: ['basic'], objects: [{oid: lfsOid, size: lfsContent.length}]})
+				.reply(200, {objects: [{oid: lfsOid, size: lfsContent.length}]});
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {resume: 'test/resources/journal/lfsPendingRun.json'});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.notCalled(gitPushToRemoteStub);
+			expect(githubBatch.isDone()).to.be.true;
+			const entry = JSON.parse(writeFileStub.lastCall.args[1]).projects['https://gitlab.com/FOO/repository-1.git'];
+			expect(entry).to.not.have.property('lfsPending');
+			expect(entry.defaultBranchSet).to.be.true;
+		});
+	});
+	describe('rewrite gitlab urls', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectNameFilter = 'repository-1';
+		const gitmodules = '[submodule "lib"]\n\turl = https://gitlab.com/FOO/repository-2.git\n';
+		let gitReadTreeStub;
+		let gitWriteBlobStub;
+		let gitCommitStub;
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			githubApi.post(`/orgs/${githubOrgName}/repos`).reply(201, githubRepoDetails);
+			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).reply(200, githubRepoDetails);
+			gitFetchStub.returns(Promise.resolve());
+			gitCreateRemoteStub.returns(Promise.resolve());
+			gitListBranchesStub.returns(Promise.resolve(['master']));
+			gitListTagsStub.returns(Promise.resolve([]));
+			gitPushToRemoteStub.returns(Promise.resolve());
+			gitWalkStub.returns(Promise.resolve([{filepath: '.gitmodules', oid: 'gitmodules-oid'}, {filepath: 'README.md', oid: 'readme-oid'}]));
+			gitReadBlobStub.withArgs(sinon.match({oid: 'gitmodules-oid'})).returns(Promise.resolve({blob: Buffer.from(gitmodules)}));
+			gitReadBlobStub.withArgs(sinon.match({oid: 'readme-oid'})).returns(Promise.resolve({blob: Buffer.from('# repository-1')}));
+			gitReadTreeStub = sinon.stub(git, 'readTree').returns(Promise.resolve({tree: [{mode: '100644', path: '.gitmodules', oid: 'gitmodules-oid', type: 'blob'}]}));
+			gitWriteBlobStub = sinon.stub(git, 'writeBlob').returns(Promise.resolve('new-gitmodules-oid'));
+			sinon.stub(git, 'writeTree').returns(Promise.resolve('new-tree-oid'));
+			gitCommitStub = sinon.stub(git, 'commit').returns(Promise.resolve('new-commit-oid'));
+		});
+		it('should commit the rewritten urls on the default branch before pushing', async () => {
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {rewriteUrls: true});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.calledOnce(gitWriteBlobStub);
+			expect(gitWriteBlobStub.firstCall.args[0].blob.toString()).to.equal('[submodule "lib"]\n\turl = https://github.com/BAR/repository-2.git\n');
+			sinon.assert.calledWith(gitReadTreeStub, sinon.match({oid: 'some-sha'}));
+			sinon.assert.calledWith(gitCommitStub, sinon.match({
+				ref: 'refs/heads/master',
+				parent: ['some-sha'],
+				tree: 'new-tree-oid',
+				message: sinon.match(/^Rewrite GitLab URLs to GitHub/),
+				author: {name: 'gl2gh', email: 'gl2gh@users.noreply.github.com'}
+			}));
+			sinon.assert.callOrder(gitCommitStub, gitPushToRemoteStub);
+		});
+		it('should keep the rewrite of an earlier run while the default branch has not moved on gitlab', async () => {
+			//given
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: 'https://github.com/foo-user/some-repo.git'})).returns(Promise.resolve({capabilities: [], refs: {heads: {master: 'rewrite-sha'}}}));
+			githubApi.get('/repos/foo-user/some-repo/commits/rewrite-sha').reply(200, {sha: 'rewrite-sha', parents: [{sha: 'some-sha'}],
+				commit: {message: 'Rewrite GitLab URLs to GitHub\n\nRewritten by gl2gh while migrating https://gitlab.com/FOO/repository-1.git to https://github.com/foo-user/some-repo.git'}});
+			githubApi.get('/repos/foo-user/some-repo/commits/some-sha').reply(200, {sha: 'some-sha', parents: [{sha: 'older-sha'}], commit: {message: 'Add the lib submodule'}});
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {rewriteUrls: true});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.notCalled(gitCommitStub);
+			sinon.assert.notCalled(gitPushToRemoteStub);
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should replace the rewrite of an earlier run once the default branch has moved on gitlab', async () => {
+			//given
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: 'https://github.com/foo-user/some-repo.git'})).returns(Promise.resolve({capabilities: [], refs: {heads: {master: 'rewrite-sha'}}}));
+			githubApi.get('/repos/foo-user/some-repo/commits/rewrite-sha').reply(200, {sha: 'rewrite-sha', parents: [{sha: 'older-sha'}],
+				commit: {message: 'Rewrite GitLab URLs to GitHub\n\nRewritten by gl2gh while migrating https://gitlab.com/FOO/repository-1.git to https://github.com/foo-user/some-repo.git'}});
+			githubApi.get('/repos/foo-user/some-repo/commits/older-sha').reply(200, {sha: 'older-sha', parents: [], commit: {message: 'Add the lib submodule'}});
+			gitIsDescendentStub.withArgs(sinon.match({oid: 'some-sha', ancestor: 'older-sha'})).returns(Promise.resolve(true));
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {rewriteUrls: true});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.calledOnce(gitCommitStub);
+			sinon.assert.calledWith(gitPushToRemoteStub, sinon.match({remoteRef: 'refs/heads/master', force: true}));
+		});
+		it('should only preview the rewritten urls without committing them', async () => {
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {previewRewriteUrls: true});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.notCalled(gitWriteBlobStub);
+			sinon.assert.notCalled(gitCommitStub);
+			sinon.assert.calledOnce(gitPushToRemoteStub);
+		});
+		it('should not rewrite urls unless asked to', async () => {
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter);
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.neverCalledWith(gitReadBlobStub, sinon.match({oid: 'gitmodules-oid'}));
+			sinon.assert.notCalled(gitCommitStub);
+		});
+	});
+	describe('convert gitlab ci', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectNameFilter = 'repository-1';
+		let gitWriteBlobStub;
+		let gitCommitStub;
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			githubApi.post(`/orgs/${githubOrgName}/repos`).reply(201, githubRepoDetails);
+			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).reply(200, githubRepoDetails);
+			gitFetchStub.returns(Promise.resolve());
+			gitCreateRemoteStub.returns(Promise.resolve());
+			gitListBranchesStub.returns(Promise.resolve(['master']));
+			gitListTagsStub.returns(Promise.resolve([]));
+			gitPushToRemoteStub.returns(Promise.resolve());
+			gitReadBlobStub.withArgs(sinon.match({oid: 'gitlab-ci-oid'})).returns(Promise.resolve({blob: Buffer.from('test:\n  script: npm test\n')}));
+			sinon.stub(git, 'readTree').returns(Promise.resolve({tree: [{mode: '100644', path: '.gitlab-ci.yml', oid: 'gitlab-ci-oid', type: 'blob'}]}));
+			gitWriteBlobStub = sinon.stub(git, 'writeBlob').returns(Promise.resolve('workflow-oid'));
+			sinon.stub(git, 'writeTree').returns(Promise.resolve('new-tree-oid'));
+			gitCommitStub = sinon.stub(git, 'commit').returns(Promise.resolve('new-commit-oid'));
+		});
+		it('should commit the converted workflow on the default branch before pushing', async () => {
+			//given
+			gitWalkStub.returns(Promise.resolve([{filepath: '.gitlab-ci.yml', oid: 'gitlab-ci-oid'}]));
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {convertCi: true});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.calledOnce(gitWriteBlobStub);
+			expect(gitWriteBlobStub.firstCall.args[0].blob.toString()).to.include('jobs:\n  test:\n');
+			sinon.assert.calledWith(gitCommitStub, sinon.match({
+				ref: 'refs/heads/master',
+				message: sinon.match(/^Convert GitLab CI into a GitHub Actions workflow/)
+			}));
+			sinon.assert.callOrder(gitCommitStub, gitPushToRemoteStub);
+		});
+		it('should keep the converted workflow of an earlier run while the default branch has not moved on gitlab', async () => {
+			//given
+			gitWalkStub.returns(Promise.resolve([{filepath: '.gitlab-ci.yml', oid: 'gitlab-ci-oid'}]));
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: 'https://github.com/foo-user/some-repo.git'})).returns(Promise.resolve({capabilities: [], refs: {heads: {master: 'workflow-sha'}}}));
+			githubApi.get('/repos/foo-user/some-repo/commits/workflow-sha').reply(200, {sha: 'workflow-sha', parents: [{sha: 'rewrite-sha'}],
+				commit: {message: 'Convert GitLab CI into a GitHub Actions workflow\n\nConverted by gl2gh from .gitlab-ci.yml, the TODO comments mark what is left to convert by hand'}});
+			githubApi.get('/repos/foo-user/some-repo/commits/rewrite-sha').reply(200, {sha: 'rewrite-sha', parents: [{sha: 'some-sha'}],
+				commit: {message: 'Rewrite GitLab URLs to GitHub\n\nRewritten by gl2gh while migrating https://gitlab.com/FOO/repository-1.git to https://github.com/foo-user/some-repo.git'}});
+			githubApi.get('/repos/foo-user/some-repo/commits/some-sha').reply(200, {sha: 'some-sha', parents: [{sha: 'older-sha'}], commit: {message: 'Add a test job'}});
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {rewriteUrls: true, convertCi: true});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.notCalled(gitCommitStub);
+			sinon.assert.notCalled(gitPushToRemoteStub);
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should replace the converted workflow of an earlier run once the default branch has moved on gitlab', async () => {
+			//given
+			gitWalkStub.returns(Promise.resolve([{filepath: '.gitlab-ci.yml', oid: 'gitlab-ci-oid'}]));
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: 'https://github.com/foo-user/some-repo.git'})).returns(Promise.resolve({capabilities: [], refs: {heads: {master: 'workflow-sha'}}}));
+			githubApi.get('/repos/foo-user/some-repo/commits/workflow-sha').reply(200, {sha: 'workflow-sha', parents: [{sha: 'older-sha'}],
+				commit: {message: 'Convert GitLab CI into a GitHub Actions workflow\n\nConverted by gl2gh from .gitlab-ci.yml, the TODO comments mark what is left to convert by hand'}});
+			githubApi.get('/repos/foo-user/some-repo/commits/older-sha').reply(200, {sha: 'older-sha', parents: [], commit: {message: 'Add a test job'}});
+			gitIsDescendentStub.withArgs(sinon.match({oid: 'some-sha', ancestor: 'older-sha'})).returns(Promise.resolve(true));
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {convertCi: true});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.calledOnce(gitCommitStub);
+			sinon.assert.calledWith(gitPushToRemoteStub, sinon.match({remoteRef: 'refs/heads/master', force: true}));
+		});
+		it('should record that the github token lacks the workflow scope when the converted workflow is refused', async () => {
+			//given
+			const journalPath = 'tmp/journal/some-journal.json';
+			gitWalkStub.returns(Promise.resolve([{filepath: '.gitlab-ci.yml', oid: 'gitlab-ci-oid'}]));
+			gitPushToRemoteStub.rejects(new Error('One or more branches were not updated: \n  - refs/heads/master: refusing to allow a Personal Access Token to create or update workflow `.github/workflows/ci.yml` without `workflow` scope'));
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {convertCi: true, journal: journalPath});
+			//then
+			expect(result).to.equal(0);
+			const entry = JSON.parse(writeFileStub.lastCall.args[1]).projects['https://gitlab.com/FOO/repository-1.git'];
+			expect(entry.failedRefs['refs/heads/master']).to.equal('GitHub refused its workflow files, the GitHub token needs the `workflow` scope to push them');
+			expect(entry.defaultBranchSet).to.be.undefined;
+		});
+		it('should leave an existing workflow as it is', async () => {
+			//given
+			gitWalkStub.returns(Promise.resolve([{filepath: '.gitlab-ci.yml', oid: 'gitlab-ci-oid'}, {filepath: '.github/workflows/ci.yml', oid: 'workflow-oid'}]));
+			gitReadBlobStub.withArgs(sinon.match({oid: 'workflow-oid'})).returns(Promise.resolve({blob: Buffer.from('name: CI\n')}));
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {convertCi: true});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.notCalled(gitCommitStub);
+		});
+	});
+	describe('carry project settings', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectNameFilter = 'repository-';
+		beforeEach(() => {
+			const groupDetails = JSON.parse(JSON.stringify(gitlabGroupDetails));
+			Object.assign(groupDetails.projects[0], {description: 'Some\ndescription', visibility: 'public', tag_list: ['Node JS', 'migration'], wiki_enabled: false});
+			Object.assign(groupDetails.projects[1], {visibility: 'internal'});
+			givenGitlabGroup(gitlabGroupName, groupDetails);
+			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).times(3).reply(200, githubRepoDetails);
+			gitFetchStub.returns(Promise.resolve());
+			gitCreateRemoteStub.returns(Promise.resolve());
+			gitListBranchesStub.returns(Promise.resolve(['master']));
+			gitListTagsStub.returns(Promise.resolve([]));
+			gitPushToRemoteStub.returns(Promise.resolve());
+		});
+		it('should create repos with the description, visibility, features and topics of the projects', async () => {
+			//given
+			githubApi.post(`/orgs/${githubOrgName}/repos`, {
+				name: 'repository-1', private: false, description: 'Some description',
+				visibility: 'public', has_issues: true, has_wiki: false
+			}).reply(201, githubRepoDetails);
+			githubApi.post(`/orgs/${githubOrgName}/repos`, body => body.name === 'repository-2' && body.private === true && body.visibility === 'private').reply(201, githubRepoDetails);
+			githubApi.post(`/orgs/${githubOrgName}/repos`, body => body.name === 'repository-3').reply(201, githubRepoDetails);
+			githubApi.put(`/repos/${githubOrgName}/repository-1/topics`, {names: ['node-js', 'migration']}).reply(200, {names: ['node-js', 'migration']});
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter);
+			//then
+			expect(result).to.equal(0);
+			expect(nock.isDone()).to.be.true;
+		});
+	});
+	describe('preserve default branch', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectNameFilter = 'repository-';
+		beforeEach(() => {
+			const groupDetails = JSON.parse(JSON.stringify(gitlabGroupDetails));
+			groupDetails.projects[1].default_branch = 'develop';
+			groupDetails.projects[2].default_branch = null;
+			givenGitlabGroup(gitlabGroupName, groupDetails);
+			githubApi.post(`/orgs/${githubOrgName}/repos`).times(3).reply(201, githubRepoDetails);
+			gitFetchStub.returns(Promise.resolve());
+			gitCreateRemoteStub.returns(Promise.resolve());
+			gitListBranchesStub.returns(Promise.resolve(['master', 'develop']));
+			gitListTagsStub.returns(Promise.resolve([]));
+			gitPushToRemoteStub.returns(Promise.resolve());
+		});
+		it('should set the default branch of each github repo to the one on gitlab', async () => {
+			//given
+			githubApi.patch(`/repos/${githubOrgName}/repository-1`, {default_branch: 'master'}).reply(200, githubRepoDetails);
+			githubApi.patch(`/repos/${githubOrgName}/repository-2`, {default_branch: 'develop'}).reply(200, githubRepoDetails);
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter);
+			//then
+			expect(result).to.equal(0);
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should apply the branch renames to the pushed and default branches', async () => {
+			//given
+			githubApi.patch(`/repos/${githubOrgName}/repository-1`, {default_branch: 'main'}).reply(200, githubRepoDetails);
+			githubApi.patch(`/repos/${githubOrgName}/repository-2`, {default_branch: 'develop'}).reply(200, githubRepoDetails);
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {branchRenames: {master: 'main'}});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.calledWith(gitPushToRemoteStub, sinon.match({ref: 'refs/heads/master', remoteRef: 'refs/heads/main'}));
+			sinon.assert.calledWith(gitPushToRemoteStub, sinon.match({ref: 'refs/heads/develop', remoteRef: 'refs/heads/develop'}));
+			sinon.assert.neverCalledWith(gitPushToRemoteStub, sinon.match({remoteRef: 'refs/heads/master'}));
+			expect(nock.isDone()).to.be.true;
+		});
+	});
+	describe('sync content', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectNameFilter = 'repository-1';
+		const sourceRefs = {
+			'refs/heads/master': 'master-sha',
+			'refs/heads/feature': 'feature-sha',
+			'refs/tags/v1.0': 'tag-sha'
+		};
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			githubApi.post(`/orgs/${githubOrgName}/repos`).reply(422, repoAlreadyExistsResponse);
+			githubApi.get(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).reply(200, githubRepoDetails);
+			githubApi.patch(RegExp('/repos\\/' + githubOrgName + '\\/[^\\/]+$')).reply(200, githubRepoDetails);
+			gitFetchStub.returns(Promise.resolve());
+			gitCreateRemoteStub.returns(Promise.resolve());
+			gitListBranchesStub.returns(Promise.resolve(['master', 'feature']));
+			gitListTagsStub.returns(Promise.resolve(['v1.0']));
+			gitResolveRefStub.callsFake(({ref}) => Promise.resolve(sourceRefs[ref]));
+			gitGetRemoteInfoStub.returns(Promise.resolve({
+				capabilities: [],
+				refs: {
+					heads: {master: 'master-sha', feature: 'old-feature-sha', removed: 'removed-sha'}
+				}
+			}));
+			gitPushToRemoteStub.returns(Promise.resolve());
+		});
+		it('should push only new and fast-forwarded refs', async () => {
+			//given
+			gitIsDescendentStub.returns(Promise.resolve(true));
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {sync: true});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.callCount(gitPushToRemoteStub, 2);
+			sinon.assert.calledWith(gitPushToRemoteStub, sinon.match({ref: 'refs/tags/v1.0'}));
+			sinon.assert.calledWith(gitPushToRemoteStub, sinon.match({ref: 'refs/heads/feature'}));
+			sinon.assert.neverCalledWith(gitPushToRemoteStub, sinon.match({force: true}));
+			sinon.assert.neverCalledWith(gitPushToRemoteStub, sinon.match({delete: true}));
+			sinon.assert.callCount(rmdirStub, 1);
+		});
+		it('should skip rewritten refs unless force is specified', async () => {
+			//given
+			gitIsDescendentStub.returns(Promise.resolve(false));
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {sync: true});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.callCount(gitPushToRemoteStub, 1);
+			sinon.assert.calledWith(gitPushToRemoteStub, sinon.match({ref: 'refs/tags/v1.0'}));
+		});
+		it('should force-update rewritten refs and prune removed refs', async () => {
+			//given
+			gitIsDescendentStub.returns(Promise.resolve(false));
+			//when
+			const result = await migrate.copyContentFromGitlabToGithub(gitlabGroupName, githubOrgName, projectNameFilter, {sync: true, force: true, prune: true});
+			//then
+			expect(result).to.equal(0);
+			sinon.assert.callCount(gitPushToRemoteStub, 3);
+			sinon.assert.calledWith(gitPushToRemoteStub, sinon.match({ref: 'refs/tags/v1.0'}));
+			sinon.assert.calledWith(gitPushToRemoteStub, sinon.match({ref: 'refs/heads/feature', force: true}));
+			sinon.assert.calledWith(gitPushToRemoteStub, sinon.match({remoteRef: 'refs/heads/removed', delete: true}));
+		});
+	});
 	describe('configure github branch protection rules for github repo', function () {
 		it('should configure branch protection rule for given github repo', async () => {
 			//given
@@ -369,6 +1599,23 @@ describe('migrate', function() {
 			expect(res[0].data.required_pull_request_reviews.dismiss_stale_reviews).to.equal(dismiss_stale_reviews);
 			expect(res[0].data.enforce_admins.enabled).to.equal(enforce_admins);
 		});
+		it('should configure branch protection rule on the renamed branch', async () => {
+			//given
+			const owner = 'some-org';
+			const repoName = 'some-repo';
+			const rules = {
+				'required_status_checks_contexts': [],
+				'required_approving_review_count': 1,
+				'dismiss_stale_reviews': true,
+				'enforce_admins': true
+			};
+			githubApi.put(`/repos/${owner}/${repoName}/branches/main/protection`).reply(200, githubUpdateBranchProtectionResponse);
+			//when
+			const res = await migrate.configureGithubBranchProtectionRule(owner, [repoName], 'master', rules, {branchRenames: {master: 'main'}});
+			//then
+			expect(res[0].status).to.equal(200);
+			expect(nock.isDone()).to.be.true;
+		});
 		it('should configure branch protection rules for multiple github repos', async () => {
 			//given
 			const owner = 'some-org';
@@ -475,6 +1722,176 @@ describe('migrate', function() {
 			expect(res[1].data.path_with_namespace).to.equal(existingProjectPath);
 			expect(res[1].data.archived).to.be.true;
 		});
+		describe('with a moved notice', function () {
+			const gitlabGroupName = 'FOO';
+			const githubOrgName = 'BAR';
+			const projectApiPath = '/api/v4/projects/' + encodeURIComponent('FOO/repository-1');
+			beforeEach(() => {
+				const projects = [Object.assign({}, gitlabGroupDetails.projects[0], {description: 'Some repository'})].concat(gitlabGroupDetails.projects.slice(1));
+				const groupDetails = Object.assign({}, gitlabGroupDetails, {projects});
+				givenGitlabGroup(gitlabGroupName, groupDetails);
+			});
+			it('should point the project at its github repo before archiving it', async () => {
+				//given
+				githubApi.get(`/repos/${githubOrgName}/legacy-repository-1`).reply(200, Object.assign({}, githubRepoDetails, {clone_url: 'https://github.com/BAR/legacy-repository-1.git'}));
+				gitlabApi.put(projectApiPath, {description: 'Moved to https://github.com/BAR/legacy-repository-1 - Some repository'}).reply(200, {});
+				gitlabApi.post(`${projectApiPath}/repository/files/MOVED.md`, {
+					branch: 'master',
+					content: '# Moved to GitHub\n\nThis project now lives at https://github.com/BAR/legacy-repository-1, its GitLab project is archived.\n',
+					commit_message: 'Add notice of the move to https://github.com/BAR/legacy-repository-1'
+				}).reply(201, {file_path: 'MOVED.md', branch: 'master'});
+				gitlabApi.post(`${projectApiPath}/archive`).reply(200, gitlabArchiveResponse);
+				//when
+				const res = await migrate.archiveGitlabProject(['FOO/repository-1'], {movedNotice: true, gitlabGroup: gitlabGroupName, githubOrg: githubOrgName, nameTemplate: 'legacy-{name}'});
+				//then
+				expect(res[0].status).to.equal(200);
+				expect(nock.isDone()).to.be.true;
+			});
+			it('should not archive the project when it has no github repo', async () => {
+				//given
+				githubApi.get(`/repos/${githubOrgName}/repository-1`).reply(404);
+				//when
+				const res = await migrate.archiveGitlabProject(['FOO/repository-1'], {movedNotice: true, gitlabGroup: gitlabGroupName, githubOrg: githubOrgName});
+				//then
+				expect(res).to.deep.equal([undefined]);
+				expect(nock.isDone()).to.be.true;
+			});
+			it('should not archive projects outside of the gitlab group', async () => {
+				//when
+				const res = await migrate.archiveGitlabProject(['BAZ/repository-1'], {movedNotice: true, gitlabGroup: gitlabGroupName, githubOrg: githubOrgName});
+				//then
+				expect(res).to.deep.equal([undefined]);
+				expect(nock.isDone()).to.be.true;
+			});
+		});
+		it('should require the gitlab group to leave a moved notice', async () => {
+			//when
+			return assert.isRejected(
+				migrate.archiveGitlabProject(['FOO/repository-1'], {movedNotice: true}),
+				Error,
+				'The GitLab group the projects were copied from is needed to point them at their GitHub repos');
+		});
+	});
+	describe('cutover', function () {
+		const gitlabGroupName = 'FOO';
+		const githubOrgName = 'BAR';
+		const projectNameFilter = 'repository-1';
+		const projectApiPath = '/api/v4/projects/' + encodeURIComponent('FOO/repository-1');
+		const frozenProtection = {name: '*', push_access_level: 0, merge_access_level: 0, allow_force_push: false};
+		const sourceRefs = {
+			'refs/heads/master': 'master-sha',
+			'refs/heads/feature': 'feature-sha',
+			'refs/tags/v1.0': 'tag-sha'
+		};
+		const gitlabRefs = {
+			heads: {master: 'master-sha', feature: 'feature-sha'},
+			tags: {'v1.0': 'tag-sha'}
+		};
+		beforeEach(() => {
+			givenGitlabGroup(gitlabGroupName);
+			gitFetchStub.returns(Promise.resolve());
+			gitCreateRemoteStub.returns(Promise.resolve());
+			gitListBranchesStub.returns(Promise.resolve(['master', 'feature']));
+			gitListTagsStub.returns(Promise.resolve(['v1.0']));
+			gitResolveRefStub.callsFake(({ref}) => Promise.resolve(sourceRefs[ref]));
+			gitIsDescendentStub.returns(Promise.resolve(true));
+			gitPushToRemoteStub.returns(Promise.resolve());
+		});
+		const givenFrozenProject = () => {
+			gitlabApi.get(`${projectApiPath}/protected_branches?per_page=100&page=1`).reply(200, gitlabProtectedBranches);
+			gitlabApi.delete(`${projectApiPath}/protected_branches/master`).reply(204);
+			gitlabApi.delete(`${projectApiPath}/protected_branches/${encodeURIComponent('release/*')}`).reply(204);
+			gitlabApi.post(`${projectApiPath}/protected_branches`, frozenProtection).reply(201, frozenProtection);
+		};
+		const givenSyncedRepo = (refs) => {
+			githubApi.post(`/orgs/${githubOrgName}/repos`).reply(422, repoAlreadyExistsResponse);
+			githubApi.get(`/repos/${githubOrgName}/repository-1`).times(2).reply(200, githubRepoDetails);
+			githubApi.patch(`/repos/${githubOrgName}/repository-1`).reply(200, githubRepoDetails);
+			gitGetRemoteInfoStub.withArgs(sinon.match({url: sinon.match(/^https:\/\/gitlab.com/)})).returns(Promise.resolve({capabilities: [], refs: gitlabRefs}));
+			gitGetRemoteInfoStub.returns(Promise.resolve({capabilities: [], refs}));
+		};
+		it('should freeze, sync, verify and archive the projects', async () => {
+			//given
+			givenFrozenProject();
+			givenSyncedRepo(gitlabRefs);
+			gitlabApi.post(`${projectApiPath}/archive`).reply(200, gitlabArchiveResponse);
+			//when
+			const report = await migrate.cutover(gitlabGroupName, githubOrgName, projectNameFilter);
+			//then
+			expect(report.map(entry => [entry.step, entry.status])).to.deep.equal([['freeze', 'done'], ['sync', 'done'], ['verify', 'done'], ['archive', 'done']]);
+			sinon.assert.notCalled(gitPushToRemoteStub);
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should point the projects at their github repos when archiving them', async () => {
+			//given
+			givenFrozenProject();
+			givenSyncedRepo(gitlabRefs);
+			githubApi.get(`/repos/${githubOrgName}/repository-1`).reply(200, Object.assign({}, githubRepoDetails, {clone_url: 'https://github.com/BAR/repository-1.git'}));
+			gitlabApi.delete(`${projectApiPath}/protected_branches/${encodeURIComponent('*')}`).reply(204);
+			gitlabApi.put(projectApiPath, {description: 'Moved to https://github.com/BAR/repository-1'}).reply(200, {});
+			gitlabApi.post(`${projectApiPath}/repository/files/MOVED.md`, body => body.branch === 'master').reply(201, {file_path: 'MOVED.md', branch: 'master'});
+			gitlabApi.post(`${projectApiPath}/archive`).reply(200, gitlabArchiveResponse);
+			//when
+			const report = await migrate.cutover(gitlabGroupName, githubOrgName, projectNameFilter, {movedNotice: true});
+			//then
+			expect(report[3]).to.deep.equal({step: 'archive', description: 'Point 1 project(s) at their GitHub repos and archive them on GitLab', status: 'done'});
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should restore the protected branches with the levels of their roles when the refs differ on github', async () => {
+			//given
+			givenFrozenProject();
+			givenSyncedRepo({heads: Object.assign({removed: 'removed-sha'}, gitlabRefs.heads), tags: gitlabRefs.tags});
+			gitlabApi.delete(`${projectApiPath}/protected_branches/${encodeURIComponent('*')}`).reply(204);
+			gitlabApi.post(`${projectApiPath}/protected_branches`, {
+				name: 'master',
+				push_access_level: 0,
+				merge_access_level: 30,
+				allowed_to_push: [{access_level: 0}],
+				allowed_to_merge: [{access_level: 30}],
+				allow_force_push: false,
+				code_owner_approval_required: true
+			}).reply(201);
+			gitlabApi.post(`${projectApiPath}/protected_branches`, {
+				name: 'release/*',
+				push_access_level: 40,
+				merge_access_level: 40,
+				allowed_to_push: [{access_level: 40}],
+				allowed_to_merge: [{access_level: 40}, {user_id: 7}],
+				allow_force_push: true,
+				code_owner_approval_required: false
+			}).reply(201);
+			//when
+			const report = await migrate.cutover(gitlabGroupName, githubOrgName, projectNameFilter);
+			//then
+			expect(report.map(entry => [entry.step, entry.status])).to.deep.equal([['freeze', 'done'], ['sync', 'done'], ['verify', 'failed'], ['unfreeze', 'done']]);
+			expect(report[2].reason).to.equal('Refs differ between GitLab and GitHub for BAR/repository-1');
+			expect(nock.isDone()).to.be.true;
+		});
+		it('should restore the protected branches when a ref cannot be synced', async () => {
+			//given
+			givenFrozenProject();
+			givenSyncedRepo({heads: {master: 'master-sha'}, tags: gitlabRefs.tags});
+			gitPushToRemoteStub.rejects(new Error('push rejected'));
+			gitlabApi.delete(`${projectApiPath}/protected_branches/${encodeURIComponent('*')}`).reply(204);
+			gitlabApi.post(`${projectApiPath}/protected_branches`).times(2).reply(201);
+			//when
+			const report = await migrate.cutover(gitlabGroupName, githubOrgName, projectNameFilter, {journal: 'tmp/journal/some-journal.json'});
+			//then
+			expect(report.map(entry => [entry.step, entry.status])).to.deep.equal([['freeze', 'done'], ['sync', 'failed'], ['unfreeze', 'done']]);
+			expect(report[1].reason).to.equal('repository-1 is not finished, resume from tmp/journal/some-journal.json to copy refs/heads/feature again');
+			// the repo is not looked up again, as the verify step is skipped
+			expect(nock.pendingMocks()).to.deep.equal([`GET https://${config.get('gl2gh.github.url')}:443/repos/${githubOrgName}/repository-1`]);
+		});
+		it('should stop without touching the projects when the first step is declined', async () => {
+			//given
+			const confirm = sinon.stub().returns(Promise.resolve(false));
+			//when
+			const report = await migrate.cutover(gitlabGroupName, githubOrgName, projectNameFilter, {confirm});
+			//then
+			expect(report).to.deep.equal([{step: 'freeze', description: 'Freeze the branches of 1 project(s) on GitLab', status: 'declined'}]);
+			sinon.assert.calledOnce(confirm);
+			expect(nock.isDone()).to.be.true;
+		});
 	});
 	describe('update auto delete head branches on github', function () {
 		it('should update auto delete head branches for the given repo', async () => {
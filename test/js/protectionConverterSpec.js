@@ -0,0 +1,75 @@
+const chai = require('chai');
+const expect = chai.expect;
+
+const ProtectionConverter = require('../../src/protectionConverter.js');
+const protectedBranches = require('../resources/gitlab/protectedBranches.json');
+const approvalRules = require('../resources/gitlab/approvalRules.json');
+
+describe('ProtectionConverter', function() {
+	describe('#rulesFor', function() {
+		it('should require pull requests with the strictest approval rule of the branch when no one can push', function() {
+			//when
+			const rules = ProtectionConverter.rulesFor(protectedBranches[0], approvalRules, {reset_approvals_on_push: true});
+			//then
+			expect(rules).to.deep.equal({
+				required_status_checks_contexts: [],
+				required_approving_review_count: 2,
+				dismiss_stale_reviews: true,
+				enforce_admins: true,
+				require_pull_request: true,
+				require_code_owner_reviews: true,
+				allow_force_pushes: false
+			});
+		});
+		it('should require pull requests when pushes and merges are limited to maintainers', function() {
+			//when
+			const rules = ProtectionConverter.rulesFor(protectedBranches[1]);
+			//then
+			expect(rules).to.include({
+				required_approving_review_count: 0,
+				enforce_admins: false,
+				require_pull_request: true,
+				allow_force_pushes: true
+			});
+		});
+		it('should require pull requests when only merges are limited to maintainers', function() {
+			//given
+			const protectedBranch = Object.assign({}, protectedBranches[1], {push_access_levels: [{access_level: 30, access_level_description: 'Developers + Maintainers'}]});
+			//when
+			const rules = ProtectionConverter.rulesFor(protectedBranch);
+			//then
+			expect(rules.require_pull_request).to.be.true;
+		});
+		it('should only guard against deletion when developers can push and merge and no approvals are required', function() {
+			//given
+			const developers = [{access_level: 30, access_level_description: 'Developers + Maintainers'}];
+			const protectedBranch = Object.assign({}, protectedBranches[1], {push_access_levels: developers, merge_access_levels: developers});
+			//when
+			const rules = ProtectionConverter.rulesFor(protectedBranch);
+			//then
+			expect(rules).to.include({
+				required_approving_review_count: 0,
+				enforce_admins: false,
+				require_pull_request: false,
+				allow_force_pushes: true
+			});
+		});
+	});
+	describe('#unmappedFor', function() {
+		it('should report access levels and wildcards github cannot express', function() {
+			expect(ProtectionConverter.unmappedFor(protectedBranches[0])).to.deep.equal([]);
+			expect(ProtectionConverter.unmappedFor(protectedBranches[1])).to.deep.equal([
+				'push access limited to Maintainers, pull requests are required instead',
+				'merge access of specific users or groups',
+				'merge access limited to Maintainers, pull requests are required instead',
+				'branches created later which match the wildcard'
+			]);
+		});
+	});
+	describe('#matchingBranches', function() {
+		it('should match gitlab wildcards across slashes', function() {
+			expect(ProtectionConverter.matchingBranches('release/*', ['master', 'release/1.0', 'release/1.x/hotfix', 'my-release/1.0'])).to.deep.equal(['release/1.0', 'release/1.x/hotfix']);
+			expect(ProtectionConverter.matchingBranches('*-stable', ['1-0-stable', 'stable'])).to.deep.equal(['1-0-stable']);
+		});
+	});
+});
@@ -0,0 +1,65 @@
+const chai = require('chai');
+const expect = chai.expect;
+
+const RefComparator = require('../../src/refComparator.js');
+
+describe('RefComparator', function() {
+	describe('#compare', function() {
+		it('should classify refs as missing, diverged, extra and unchanged', function() {
+			//given
+			const sourceRefs = {
+				'refs/heads/master': 'aaa',
+				'refs/heads/feature': 'bbb',
+				'refs/tags/v1.0': 'ccc'
+			};
+			const targetRefs = {
+				'refs/heads/master': 'aaa',
+				'refs/heads/feature': 'ddd',
+				'refs/heads/removed': 'eee'
+			};
+			//when
+			const comparison = RefComparator.compare(sourceRefs, targetRefs);
+			//then
+			expect(comparison.missing).to.deep.equal(['refs/tags/v1.0']);
+			expect(comparison.diverged).to.deep.equal(['refs/heads/feature']);
+			expect(comparison.extra).to.deep.equal(['refs/heads/removed']);
+			expect(comparison.unchanged).to.deep.equal(['refs/heads/master']);
+		});
+		it('should report every source ref as missing when target has no refs', function() {
+			//given
+			const sourceRefs = {
+				'refs/heads/master': 'aaa',
+				'refs/tags/v1.0': 'ccc'
+			};
+			//when
+			const comparison = RefComparator.compare(sourceRefs, {});
+			//then
+			expect(comparison.missing).to.deep.equal(['refs/heads/master', 'refs/tags/v1.0']);
+			expect(comparison.diverged).to.be.empty;
+			expect(comparison.extra).to.be.empty;
+			expect(comparison.unchanged).to.be.empty;
+		});
+	});
+	describe('#isInSync', function() {
+		it('should be in sync when every ref is unchanged', function() {
+			//given
+			const refs = {'refs/heads/master': 'aaa'};
+			//when
+			const inSync = RefComparator.isInSync(RefComparator.compare(refs, refs));
+			//then
+			expect(inSync).to.be.true;
+		});
+		it('should not be in sync when any ref is missing, diverged or extra', function() {
+			//given
+			const sourceRefs = {'refs/heads/master': 'aaa'};
+			//when
+			const missing = RefComparator.isInSync(RefComparator.compare(sourceRefs, {}));
+			const diverged = RefComparator.isInSync(RefComparator.compare(sourceRefs, {'refs/heads/master': 'bbb'}));
+			const extra = RefComparator.isInSync(RefComparator.compare({}, sourceRefs));
+			//then
+			expect(missing).to.be.false;
+			expect(diverged).to.be.false;
+			expect(extra).to.be.false;
+		});
+	});
+});
@@ -0,0 +1,64 @@
+const chai = require('chai');
+const expect = chai.expect;
+
+const RepoNamer = require('../../src/repoNamer.js');
+const Project = require('../../src/gitlab/model/project.js');
+
+describe('RepoNamer', function() {
+	const backendApi = new Project('api', 'Backend API', 'https://gitlab.com/FOO/backend/api.git', 'master', 'FOO/backend/api');
+	const frontendApi = new Project('api', 'Frontend API', 'https://gitlab.com/FOO/frontend/api.git', 'master', 'FOO/frontend/api');
+	const sharedProject = new Project('shared project', 'Shared', 'https://gitlab.com/bar/shared-project.git', 'master', 'bar/shared-project');
+	describe('#repoNameFor', function() {
+		it('should name repos after the project name by default', function() {
+			//given
+			const repoNamer = new RepoNamer('FOO');
+			//then
+			expect(repoNamer.repoNameFor(backendApi)).to.equal('api');
+			expect(repoNamer.repoNameFor(sharedProject)).to.equal('shared-project');
+		});
+		it('should name repos after the project path flattened below the group', function() {
+			//given
+			const repoNamer = new RepoNamer('FOO', {naming: 'path'});
+			//then
+			expect(repoNamer.repoNameFor(backendApi)).to.equal('backend-api');
+			expect(repoNamer.repoNameFor(sharedProject)).to.equal('bar-shared-project');
+		});
+		it('should name repos after the template', function() {
+			//given
+			const repoNamer = new RepoNamer('FOO', {nameTemplate: 'legacy-{path}-repo'});
+			//then
+			expect(repoNamer.repoNameFor(frontendApi)).to.equal('legacy-frontend-api-repo');
+		});
+		it('should name repos after the explicit mapping before any strategy', function() {
+			//given
+			const repoNamer = new RepoNamer('FOO', {naming: 'path', nameMapping: {'FOO/backend/api': 'api'}});
+			//then
+			expect(repoNamer.repoNameFor(backendApi)).to.equal('api');
+			expect(repoNamer.repoNameFor(frontendApi)).to.equal('frontend-api');
+		});
+		it('should fail for an unknown naming strategy', function() {
+			//when
+			const createRepoNamer = () => new RepoNamer('FOO', {naming: 'unknown'});
+			//then
+			expect(createRepoNamer).to.throw('Unknown naming strategy: unknown, expected one of name, path');
+		});
+	});
+	describe('#checkCollisions', function() {
+		it('should fail when projects would be copied to the same repo', function() {
+			//given
+			const repoNamer = new RepoNamer('FOO');
+			//when
+			const checkCollisions = () => repoNamer.checkCollisions([backendApi, frontendApi, sharedProject]);
+			//then
+			expect(checkCollisions).to.throw('Projects would be copied to the same GitHub repo, choose another naming strategy: FOO/backend/api, FOO/frontend/api -> api');
+		});
+		it('should pass when every project gets its own repo', function() {
+			//given
+			const repoNamer = new RepoNamer('FOO', {naming: 'path'});
+			//when
+			const checkCollisions = () => repoNamer.checkCollisions([backendApi, frontendApi, sharedProject]);
+			//then
+			expect(checkCollisions).to.not.throw();
+		});
+	});
+});
@@ -0,0 +1,33 @@
+const chai = require('chai');
+const expect = chai.expect;
+
+const RoleMapper = require('../../src/roleMapper.js');
+
+describe('RoleMapper', function() {
+	describe('#permissionFor', function() {
+		it('should map gitlab access levels to github permissions by default', function() {
+			//given
+			const roleMapper = new RoleMapper();
+			//when
+			const permissions = [10, 15, 20, 30, 40, 50].map(accessLevel => roleMapper.permissionFor(accessLevel));
+			//then
+			expect(permissions).to.deep.equal(['read', 'triage', 'triage', 'write', 'maintain', 'admin']);
+		});
+		it('should take the configured mapping over the defaults', function() {
+			//given
+			const roleMapper = new RoleMapper({reporter: 'read', owner: 'maintain', guest: 'none'});
+			//then
+			expect(roleMapper.permissionFor(20)).to.equal('read');
+			expect(roleMapper.permissionFor(50)).to.equal('maintain');
+			expect(roleMapper.permissionFor(10)).to.be.undefined;
+		});
+		it('should not map minimal access', function() {
+			//then
+			expect(new RoleMapper().permissionFor(5)).to.be.undefined;
+		});
+	});
+	it('should reject unknown permissions', function() {
+		//then
+		expect(() => new RoleMapper({developer: 'push'})).to.throw('Invalid permission push for role developer, expected one of read, triage, write, maintain, admin or none');
+	});
+});
@@ -0,0 +1,74 @@
+const chai = require('chai');
+const expect = chai.expect;
+
+const UrlRewriter = require('../../src/urlRewriter.js');
+
+describe('UrlRewriter', function() {
+	const urlRewriter = new UrlRewriter('gitlab.com', 'github.com', {
+		'FOO/repository-1': 'BAR/repository-1',
+		'FOO/subgroup1/project1': 'BAR/project1'
+	});
+	describe('#rewrite', function() {
+		it('should rewrite https and ssh remote urls of migrated projects', function() {
+			//given
+			const gitmodules = [
+				'[submodule "lib"]',
+				'\tpath = lib',
+				'\turl = https://gitlab.com/FOO/repository-1.git',
+				'[submodule "other"]',
+				'\turl = git@gitlab.com:FOO/subgroup1/project1.git'
+			].join('\n');
+			//when
+			const rewritten = urlRewriter.rewrite(gitmodules);
+			//then
+			expect(rewritten).to.contain('url = https://github.com/BAR/repository-1.git');
+			expect(rewritten).to.contain('url = git@github.com:BAR/project1.git');
+		});
+		it('should rewrite git dependencies and shorthands of package.json', function() {
+			//given
+			const packageJson = JSON.stringify({dependencies: {
+				'lib': 'git+https://gitlab.com/FOO/repository-1.git#v1.0',
+				'other': 'gitlab:FOO/subgroup1/project1'
+			}});
+			//when
+			const rewritten = JSON.parse(urlRewriter.rewrite(packageJson));
+			//then
+			expect(rewritten.dependencies.lib).to.equal('git+https://github.com/BAR/repository-1.git#v1.0');
+			expect(rewritten.dependencies.other).to.equal('github:BAR/project1');
+		});
+		it('should rewrite links to project pages and leave unknown projects alone', function() {
+			//given
+			const readme = [
+				'See [docs](https://gitlab.com/FOO/repository-1/-/blob/master/docs/index.md).',
+				'Mirror of https://gitlab.com/FOO/subgroup1/project1.',
+				'Unrelated https://gitlab.com/FOO/repository-10 and https://gitlab.com/FOO/subgroup1'
+			].join('\n');
+			//when
+			const rewritten = urlRewriter.rewrite(readme);
+			//then
+			expect(rewritten).to.equal([
+				'See [docs](https://github.com/BAR/repository-1/blob/master/docs/index.md).',
+				'Mirror of https://github.com/BAR/project1.',
+				'Unrelated https://gitlab.com/FOO/repository-10 and https://gitlab.com/FOO/subgroup1'
+			].join('\n'));
+		});
+		it('should leave the content as it is without any project mapping', function() {
+			//given
+			const content = 'https://gitlab.com/FOO/repository-1.git';
+			//when
+			const rewritten = new UrlRewriter('gitlab.com', 'github.com', {}).rewrite(content);
+			//then
+			expect(rewritten).to.equal(content);
+		});
+	});
+	describe('#isRewritten', function() {
+		it('should rewrite submodules, package manifests and the top level readme only', function() {
+			expect(UrlRewriter.isRewritten('.gitmodules')).to.be.true;
+			expect(UrlRewriter.isRewritten('package.json')).to.be.true;
+			expect(UrlRewriter.isRewritten('packages/lib/package.json')).to.be.true;
+			expect(UrlRewriter.isRewritten('README.md')).to.be.true;
+			expect(UrlRewriter.isRewritten('docs/README.md')).to.be.false;
+			expect(UrlRewriter.isRewritten('src/index.js')).to.be.false;
+		});
+	});
+});
@@ -0,0 +1,16 @@
+const chai = require('chai');
+const expect = chai.expect;
+
+const UserMapper = require('../../src/userMapper.js');
+
+describe('UserMapper', function() {
+	const userMapper = new UserMapper({alice: 'alice-gh', bob: 'bob-gh'});
+	it('should map gitlab usernames to github logins, dropping unmapped ones', function() {
+		expect(userMapper.githubLoginFor('alice')).to.equal('alice-gh');
+		expect(userMapper.githubLoginFor('carol')).to.be.undefined;
+		expect(userMapper.githubLoginsFor(['bob', 'carol', 'alice'])).to.deep.equal(['bob-gh', 'alice-gh']);
+	});
+	it('should list the unmapped gitlab usernames', function() {
+		expect(userMapper.unmapped(['alice', 'carol', 'dave'])).to.deep.equal(['carol', 'dave']);
+	});
+});
@@ -0,0 +1,48 @@
+const chai = require('chai');
+const expect = chai.expect;
+
+const VariableConverter = require('../../src/variableConverter.js');
+const projectVariables = require('../resources/gitlab/projectVariables.json');
+
+describe('VariableConverter', function() {
+	describe('#targetFor', function() {
+		it('should keep plain variables as variables for every environment', function() {
+			//when
+			const target = VariableConverter.targetFor(projectVariables[0], []);
+			//then
+			expect(target).to.deep.equal({kind: 'variable', environment: undefined});
+		});
+		it('should turn masked and protected variables into secrets', function() {
+			//when
+			const masked = VariableConverter.targetFor(projectVariables[1], []);
+			const onlyProtected = VariableConverter.targetFor(projectVariables[2], ['production']);
+			//then
+			expect(masked).to.deep.equal({kind: 'secret', environment: undefined});
+			expect(onlyProtected).to.deep.equal({kind: 'secret', environment: 'production'});
+		});
+		it('should not map variables scoped to an environment missing on GitHub', function() {
+			//when
+			const target = VariableConverter.targetFor(projectVariables[2], ['staging']);
+			//then
+			expect(target).to.deep.equal({reason: 'no GitHub environment named production'});
+		});
+		it('should not map variables scoped to a wildcard environment', function() {
+			//when
+			const target = VariableConverter.targetFor(projectVariables[3], ['review/app']);
+			//then
+			expect(target).to.deep.equal({reason: 'environment scope review/* is a wildcard'});
+		});
+		it('should not map file-type variables', function() {
+			//when
+			const target = VariableConverter.targetFor(projectVariables[4], []);
+			//then
+			expect(target).to.deep.equal({reason: 'file-type variables have no GitHub equivalent'});
+		});
+		it('should not map variables with a name reserved by GitHub', function() {
+			//when
+			const target = VariableConverter.targetFor({variable_type: 'env_var', key: 'GITHUB_TOKEN', value: 'token'}, []);
+			//then
+			expect(target).to.deep.equal({reason: 'GitHub reserves names starting with GITHUB_'});
+		});
+	});
+});
@@ -0,0 +1,37 @@
+const chai = require('chai');
+const expect = chai.expect;
+
+const WebhookConverter = require('../../src/webhookConverter.js');
+const projectHooks = require('../resources/gitlab/projectHooks.json');
+
+describe('WebhookConverter', function() {
+	describe('#convert', function() {
+		it('should map push, tag push and merge request triggers to github events', function() {
+			//when
+			const webhook = WebhookConverter.convert(projectHooks[0]);
+			//then
+			expect(webhook).to.deep.equal({
+				events: ['push', 'pull_request'],
+				insecureSsl: false,
+				unmapped: ['GitHub cannot filter push events by branch like main']
+			});
+		});
+		it('should map note and pipeline triggers and keep ssl verification disabled', function() {
+			//when
+			const webhook = WebhookConverter.convert(projectHooks[1]);
+			//then
+			expect(webhook).to.deep.equal({
+				events: ['issue_comment', 'commit_comment', 'pull_request_review_comment', 'workflow_run'],
+				insecureSsl: true,
+				unmapped: ['confidential_issues trigger has no GitHub equivalent']
+			});
+		});
+		it('should report every trigger without github equivalent', function() {
+			//when
+			const webhook = WebhookConverter.convert(projectHooks[2]);
+			//then
+			expect(webhook.events).to.deep.equal([]);
+			expect(webhook.unmapped).to.deep.equal(['confidential_issues trigger has no GitHub equivalent', 'confidential_note trigger has no GitHub equivalent']);
+		});
+	});
+});
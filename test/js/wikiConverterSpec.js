@@ -0,0 +1,68 @@
+const chai = require('chai');
+const expect = chai.expect;
+
+const WikiConverter = require('../../src/wikiConverter.js');
+
+describe('WikiConverter', function() {
+	const wikiConverter = new WikiConverter('https://gitlab.com/FOO/repository-1', 'https://github.com/BAR/repository-1/wiki');
+	const blobs = [
+		{filepath: 'home.md', oid: 'home-oid'},
+		{filepath: '_sidebar.md', oid: 'sidebar-oid'},
+		{filepath: 'guides/setup.md', oid: 'setup-oid'},
+		{filepath: 'guides/release.rdoc', oid: 'release-oid'},
+		{filepath: 'uploads/abc/image.png', oid: 'image-oid'}
+	];
+	describe('#convert', function() {
+		it('should rename pages to flat github page names and keep other files', function() {
+			//when
+			const files = wikiConverter.convert(blobs, {'home.md': '# Home', '_sidebar.md': '', 'guides/setup.md': '# Setup'});
+			//then
+			expect(files).to.deep.equal({
+				'Home.md': {oid: 'home-oid'},
+				'_Sidebar.md': {oid: 'sidebar-oid'},
+				'guides-setup.md': {oid: 'setup-oid'},
+				'guides-release.rdoc': {oid: 'release-oid'},
+				'uploads/abc/image.png': {oid: 'image-oid'}
+			});
+		});
+		it('should convert relative, absolute and gitlab wiki links to github page names', function() {
+			//given
+			const setup = [
+				'[home](../home), [release](release.rdoc#notes) and [sidebar](/_sidebar "Sidebar")',
+				'[again](https://gitlab.com/FOO/repository-1/-/wikis/guides/setup) and [old](https://gitlab.com/FOO/repository-1/wikis/home)',
+				'![image](/uploads/abc/image.png)'
+			].join('\n');
+			//when
+			const files = wikiConverter.convert(blobs, {'guides/setup.md': setup});
+			//then
+			expect(files['guides-setup.md']).to.equal([
+				'[home](Home), [release](guides-release#notes) and [sidebar](_Sidebar "Sidebar")',
+				'[again](https://github.com/BAR/repository-1/wiki/guides-setup) and [old](https://github.com/BAR/repository-1/wiki/Home)',
+				'![image](uploads/abc/image.png)'
+			].join('\n'));
+		});
+		it('should leave external, anchor and unknown links alone', function() {
+			//given
+			const home = '[site](https://example.com/page), [section](#usage), [missing](missing-page) and [other](https://gitlab.com/FOO/repository-2/-/wikis/home)';
+			//when
+			const files = wikiConverter.convert(blobs, {'home.md': home});
+			//then
+			expect(files['Home.md']).to.deep.equal({oid: 'home-oid'});
+		});
+		it('should fail when two pages would get the same github page name', function() {
+			//given
+			const clashingBlobs = [{filepath: 'guides/setup.md', oid: 'setup-oid'}, {filepath: 'guides-setup.md', oid: 'other-oid'}];
+			//when
+			const convert = () => wikiConverter.convert(clashingBlobs, {});
+			//then
+			expect(convert).to.throw('Unable to convert wiki page guides-setup.md as guides-setup.md already exists');
+		});
+	});
+	describe('#isPage', function() {
+		it('should treat files with a markup extension as pages', function() {
+			expect(WikiConverter.isPage('guides/setup.md')).to.be.true;
+			expect(WikiConverter.isPage('notes.ADOC')).to.be.true;
+			expect(WikiConverter.isPage('uploads/abc/image.png')).to.be.false;
+		});
+	});
+});
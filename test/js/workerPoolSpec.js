@@ -0,0 +1,43 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+const assert = chai.assert;
+const expect = chai.expect;
+
+const WorkerPool = require('../../src/workerPool.js');
+
+describe('WorkerPool', function() {
+	const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+	it('should not run more tasks at once than the concurrency', async function() {
+		//given
+		const pool = new WorkerPool(2);
+		let running = 0;
+		let maxRunning = 0;
+		const task = async (item) => {
+			running++;
+			maxRunning = Math.max(maxRunning, running);
+			await delay(5);
+			running--;
+			return item * 2;
+		};
+		//when
+		const results = await pool.map([1, 2, 3, 4, 5], task);
+		//then
+		expect(results).to.deep.equal([2, 4, 6, 8, 10]);
+		expect(maxRunning).to.equal(2);
+	});
+	it('should keep running queued tasks when one of them fails', async function() {
+		//given
+		const pool = new WorkerPool(1);
+		const failing = pool.run(() => Promise.reject(new Error('task failed')));
+		const succeeding = pool.run(() => Promise.resolve('done'));
+		//when & then
+		await assert.isRejected(failing, Error, 'task failed');
+		expect(await succeeding).to.equal('done');
+	});
+	it('should reject a concurrency which is not a positive integer', function() {
+		//when & then
+		expect(() => new WorkerPool(0)).to.throw(Error, 'Concurrency must be a positive integer, got: 0');
+		expect(() => new WorkerPool('abc')).to.throw(Error, 'Concurrency must be a positive integer, got: abc');
+	});
+});